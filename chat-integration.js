@@ -6,11 +6,15 @@
 const express = require('express');
 const path = require('path');
 const Logger = require('./src/utils/logger');
+const LeadExtractor = require('./src/ai/lead-extractor');
+const { getStorage } = require('./src/storage/storage');
+const { getBusinessProfile } = require('./src/business/business-profile');
 
 class ChatIntegration {
-    constructor(aiAgent) {
+    constructor(aiAgent, storage = null) {
         this.aiAgent = aiAgent;
         this.logger = new Logger('ChatIntegration');
+        this.storage = storage;
         this.activeSessions = new Map();
         
         // Session settings
@@ -18,6 +22,69 @@ class ChatIntegration {
         this.maxMessageLength = 1000;
     }
 
+    /**
+     * Restore unexpired chat sessions from storage
+     */
+    async loadSessions() {
+        this.storage = this.storage || getStorage();
+        await this.storage.initialize();
+
+        const cutoff = new Date(Date.now() - this.sessionTimeout);
+        const rows = await this.storage.find('chat_sessions', {
+            where: { last_activity: { gt: cutoff.toISOString() } }
+        });
+
+        rows.forEach(row => {
+            const session = this.fromRecord(row);
+            this.activeSessions.set(session.id, session);
+        });
+
+        this.logger.info(`Restored ${rows.length} chat sessions`);
+        return rows.length;
+    }
+
+    /**
+     * Write a session through to storage
+     */
+    async saveSession(session) {
+        if (!this.storage) return;
+
+        try {
+            const record = this.toRecord(session);
+            const updated = await this.storage.update('chat_sessions', { session_id: session.id }, record);
+
+            if (updated.length === 0) {
+                await this.storage.insert('chat_sessions', record);
+            }
+        } catch (error) {
+            this.logger.error(`Failed to persist chat session ${session.id}:`, error.message);
+        }
+    }
+
+    toRecord(session) {
+        return {
+            session_id: session.id,
+            user_name: session.userName,
+            messages: session.messages,
+            lead_created: session.leadCreated,
+            started_at: session.createdAt.toISOString(),
+            last_activity: session.lastActivity.toISOString()
+        };
+    }
+
+    fromRecord(row) {
+        return {
+            id: row.session_id,
+            userName: row.user_name || null,
+            messages: row.messages || [],
+            createdAt: new Date(row.started_at || row.created_at),
+            lastActivity: new Date(row.last_activity),
+            leadCreated: !!row.lead_created,
+            ipAddress: null,
+            userAgent: null
+        };
+    }
+
     setupRoutes(app) {
         // Serve the embeddable chat script
         app.get('/chat.js', (req, res) => {
@@ -39,32 +106,7 @@ class ChatIntegration {
                 
                 // Get or create session
                 const session = this.getSession(sessionId, userName);
-                
-                // Add user message to session
-                session.messages.push({
-                    role: 'user',
-                    content: message,
-                    timestamp: new Date()
-                });
-                
-                // Generate AI response
-                const aiResponse = await this.generateResponse(message, session);
-                
-                // Add AI response to session
-                session.messages.push({
-                    role: 'assistant',
-                    content: aiResponse,
-                    timestamp: new Date()
-                });
-                
-                // Update session activity
-                session.lastActivity = new Date();
-                
-                // Check if this looks like a lead
-                if (this.shouldCreateLead(session)) {
-                    await this.createLeadFromChat(session);
-                    session.leadCreated = true;
-                }
+                const aiResponse = await this.handleMessage(session, message);
                 
                 res.json({
                     response: aiResponse,
@@ -74,11 +116,55 @@ class ChatIntegration {
             } catch (error) {
                 this.logger.error('Chat message error:', error);
                 res.status(500).json({
-                    response: "I apologize, but I'm having trouble connecting right now. Please call us directly at (858) 299-2490 for immediate assistance."
+                    response: this.getTroubleMessage()
                 });
             }
         });
 
+        // Streaming version of /api/chat/message: server-sent "session", "token"
+        // (reply text as the AI writes it) and "done" events, or "error" with a
+        // reply to show instead. Closing the connection cancels the reply.
+        app.post('/api/chat/stream', async (req, res) => {
+            const { message, sessionId, userName } = req.body;
+            
+            if (!message || message.length > this.maxMessageLength) {
+                return res.status(400).json({
+                    error: 'Invalid message length'
+                });
+            }
+            
+            const session = this.getSession(sessionId, userName);
+            const controller = new AbortController();
+            res.on('close', () => {
+                if (!res.writableEnded) controller.abort();
+            });
+            
+            res.writeHead(200, {
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            this.sendEvent(res, 'session', { sessionId: session.id });
+            
+            try {
+                const aiResponse = await this.handleMessage(session, message, {
+                    signal: controller.signal,
+                    onText: text => this.sendEvent(res, 'token', { text })
+                });
+                
+                if (aiResponse === null) {
+                    this.logger.info(`Chat reply cancelled by the visitor: ${session.id}`);
+                    return;
+                }
+                this.sendEvent(res, 'done', { response: aiResponse, sessionId: session.id });
+            } catch (error) {
+                this.logger.error('Chat stream error:', error);
+                this.sendEvent(res, 'error', { response: this.getTroubleMessage() });
+            }
+            res.end();
+        });
+
         // Chat session status
         app.get('/api/chat/session/:sessionId', (req, res) => {
             const session = this.activeSessions.get(req.params.sessionId);
@@ -102,6 +188,52 @@ class ChatIntegration {
         });
     }
 
+    /**
+     * Add a visitor message and the reply to the session, and create a lead
+     * once the conversation looks like one. Returns null when options.signal
+     * cancels the reply.
+     */
+    async handleMessage(session, message, options = {}) {
+        session.messages.push({
+            role: 'user',
+            content: message,
+            timestamp: new Date()
+        });
+        
+        const aiResponse = await this.generateResponse(message, session, options);
+        session.lastActivity = new Date();
+        
+        if (aiResponse !== null) {
+            session.messages.push({
+                role: 'assistant',
+                content: aiResponse,
+                timestamp: new Date()
+            });
+            
+            // Check if this looks like a lead
+            if (this.shouldCreateLead(session)) {
+                await this.createLeadFromChat(session);
+                session.leadCreated = true;
+            }
+        }
+        
+        await this.saveSession(session);
+        return aiResponse;
+    }
+
+    /**
+     * Write one server-sent event, unless the visitor has gone
+     */
+    sendEvent(res, event, data) {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    getTroubleMessage() {
+        return 'I apologize, but I\'m having trouble connecting right now. Please call us directly at ' +
+            `${getBusinessProfile().getContactInfo().phone} for immediate assistance.`;
+    }
+
     getSession(sessionId, userName) {
         let session;
         
@@ -136,39 +268,43 @@ class ChatIntegration {
         return 'chat_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
     }
 
-    async generateResponse(message, session) {
-        // Build context for AI
+    /**
+     * Reply to a visitor message; options.onText and options.signal stream
+     * and cancel the AI reply (null when cancelled)
+     */
+    async generateResponse(message, session, options = {}) {
+        // Build context for AI (business details come from the business profile)
         const context = {
-            businessName: 'The Forward Horizon',
-            businessPhone: '(858) 299-2490',
-            businessEmail: 'admin@theforwardhorizon.com',
-            services: [
-                'Veterans Transitional Housing',
-                'Sober Living After Detox',
-                'Reentry Housing'
-            ],
-            conversationHistory: session.messages.slice(-6), // Last 6 messages for context
+            channel: 'chat',
+            conversation: { channel: 'chat', id: session.id },
             userName: session.userName,
             isWebChat: true
         };
         
         // Use the AI agent if available, otherwise use built-in responses
         if (this.aiAgent && typeof this.aiAgent.processWebChatMessage === 'function') {
-            return await this.aiAgent.processWebChatMessage(message, context);
-        } else {
-            return this.getBuiltInResponse(message, context);
+            // Crisis screen first: a crisis gets the vetted response, never an AI reply
+            const safety = await this.aiAgent.screenMessage(message, context.conversation);
+            if (safety.suppress_ai) return safety.response;
+
+            const response = await this.aiAgent.processWebChatMessage(message, { ...context, ...options, safety });
+            if (options.signal && options.signal.aborted) return null;
+            if (response) return response;
+            if (safety.flagged) return safety.response;
         }
+        return this.getBuiltInResponse(message, context);
     }
 
     getBuiltInResponse(message, context) {
         const lowerMessage = message.toLowerCase();
         const userName = context.userName;
+        const { name, phone } = getBusinessProfile().getContactInfo();
         
         // Name detection
         if (!userName && (lowerMessage.includes('i\'m') || lowerMessage.includes('my name') || /^[a-zA-Z\s]+$/.test(message.trim()))) {
             const extractedName = message.replace(/i'm|my name is|i am|hi|hello/gi, '').trim();
             if (extractedName && extractedName.length > 0 && extractedName.length < 50) {
-                return `Nice to meet you, ${extractedName}! What brings you to The Forward Horizon today? Are you interested in our veterans program, recovery housing, or reentry support?`;
+                return `Nice to meet you, ${extractedName}! What brings you to ${name} today? Are you interested in our veterans program, recovery housing, or reentry support?`;
             }
         }
         
@@ -193,12 +329,13 @@ class ChatIntegration {
             return `Perfect! I can help you schedule a video consultation. These typically last 30-45 minutes and cover program details, costs, and next steps. What's the best phone number to reach you at, and do you prefer morning or afternoon appointments?`;
         }
         
-        if (lowerMessage.includes('crisis') || lowerMessage.includes('emergency') || lowerMessage.includes('homeless') || lowerMessage.includes('help')) {
-            return `I understand you may be in a difficult situation right now. If this is an emergency, please call 911. For crisis support, the National Suicide Prevention Lifeline is available 24/7 at 988. For immediate housing assistance, please call our main line at (858) 299-2490. Our team can provide crisis support and resource referrals. How can I best help you right now?`;
+        // Crises are answered before this by the agent's safety screen (src/business/crisis-manager.js)
+        if (lowerMessage.includes('homeless') || lowerMessage.includes('emergency')) {
+            return `I understand you may be in a difficult situation right now. If this is an emergency, please call 911. For immediate housing assistance, please call our main line at ${phone}. Our team can help with shelter options and resource referrals. How can I best help you right now?`;
         }
         
         // Default response
-        return `${userName ? userName + ', i' : 'I'}'m here to help you learn about The Forward Horizon's transitional housing programs. I can explain our veterans, recovery, or reentry programs, and schedule you for a personalized video consultation. What specific information would be most helpful for you?`;
+        return `${userName ? userName + ', i' : 'I'}'m here to help you learn about ${name}'s transitional housing programs. I can explain our veterans, recovery, or reentry programs, and schedule you for a personalized video consultation. What specific information would be most helpful for you?`;
     }
 
     shouldCreateLead(session) {
@@ -223,10 +360,10 @@ class ChatIntegration {
 
     async createLeadFromChat(session) {
         try {
+            const extracted = await this.extractLeadFields(session);
             const lead = {
-                name: session.userName || 'Web Chat Visitor',
-                email: '', // Would be extracted if provided in conversation
-                phone: '', // Would be extracted if provided in conversation
+                ...extracted,
+                name: session.userName || extracted.name || 'Web Chat Visitor',
                 source: 'website_chat',
                 status: 'new',
                 message: this.summarizeChatSession(session),
@@ -234,9 +371,10 @@ class ChatIntegration {
                 created_at: new Date()
             };
             
-            // Create lead using the AI agent's method if available
+            // Create lead using the AI agent's method if available; the visitor typed
+            // these details, so a match with an existing lead is reviewed, not merged
             if (this.aiAgent && typeof this.aiAgent.createLead === 'function') {
-                await this.aiAgent.createLead(lead);
+                await this.aiAgent.createLead(lead, { verified: false });
                 this.logger.success(`Lead created from chat session: ${session.id}`);
             } else {
                 this.logger.info(`Lead would be created: ${JSON.stringify(lead, null, 2)}`);
@@ -248,6 +386,21 @@ class ChatIntegration {
         }
     }
 
+    /**
+     * Details the visitor shared in the chat (name, contact, program, timeline...)
+     */
+    async extractLeadFields(session) {
+        const text = session.messages
+            .filter(m => m.role === 'user')
+            .map(m => m.content)
+            .join('\n');
+        
+        if (this.aiAgent && typeof this.aiAgent.extractLeadFields === 'function') {
+            return await this.aiAgent.extractLeadFields(text);
+        }
+        return (await new LeadExtractor().extract(text)).fields;
+    }
+
     summarizeChatSession(session) {
         const userMessages = session.messages
             .filter(m => m.role === 'user')
@@ -267,7 +420,7 @@ class ChatIntegration {
         return summary;
     }
 
-    cleanupSessions() {
+    async cleanupSessions() {
         const now = new Date();
         const expiredSessions = [];
         
@@ -281,6 +434,14 @@ class ChatIntegration {
             this.activeSessions.delete(sessionId);
             this.logger.info(`Cleaned up expired session: ${sessionId}`);
         });
+
+        if (this.storage && expiredSessions.length > 0) {
+            try {
+                await this.storage.remove('chat_sessions', { session_id: expiredSessions });
+            } catch (error) {
+                this.logger.error('Failed to remove expired chat sessions:', error.message);
+            }
+        }
         
         return expiredSessions.length;
     }
@@ -1,8 +1,9 @@
 /**
  * Forward Horizon AI Chat Widget - Embeddable Version
- * Add this script to any webpage to include 24/7 AI support
+ * Add this script to any webpage to include 24/7 AI support. Replies stream
+ * in from the agent that serves the script (POST /api/chat/stream).
  * 
- * Usage: <script src="embeddable-chat.js"></script>
+ * Usage: <script src="https://your-agent-host/chat.js"></script>
  */
 
 (function() {
@@ -11,14 +12,20 @@
     // Prevent multiple instances
     if (window.ForwardHorizonChat) return;
     
+    // The chat API lives on the server that serves this script
+    const API_URL = document.currentScript && document.currentScript.src
+        ? new URL(document.currentScript.src).origin
+        : '';
+    
     class ForwardHorizonEmbeddableChat {
         constructor() {
             this.isOpen = false;
             this.isMinimized = false;
             this.conversationHistory = [];
-            this.userName = null;
             this.chatButton = null;
             this.chatWidget = null;
+            this.sessionId = null;
+            this.controller = null;
             
             this.init();
         }
@@ -563,6 +570,9 @@
         }
         
         closeChat() {
+            // Stop a reply that is still streaming in
+            if (this.controller) this.controller.abort();
+            
             this.isOpen = false;
             this.isMinimized = false;
             this.chatWidget.classList.remove('open', 'minimized');
@@ -601,69 +611,115 @@
             // Disable input while processing
             sendBtn.disabled = true;
             
-            // Show typing indicator
+            // Show typing indicator until the reply starts streaming in
             this.showTyping();
+            let reply = null;
             
             try {
-                // Get AI response
-                const response = await this.getAIResponse(message);
+                const response = await this.getAIResponse(message, (text) => {
+                    if (!reply) {
+                        this.hideTyping();
+                        reply = this.addMessage('', 'ai');
+                    }
+                    this.appendToMessage(reply, text);
+                });
                 
-                // Hide typing and show response
+                // The finished reply replaces the streamed text
                 this.hideTyping();
-                this.addMessage(response, 'ai');
+                if (reply) {
+                    reply.textContent = response;
+                } else {
+                    this.addMessage(response, 'ai');
+                }
                 
             } catch (error) {
                 this.hideTyping();
-                this.addMessage("I apologize, but I'm having trouble connecting right now. Please call us directly at (858) 299-2490 for immediate assistance.", 'ai');
+                if (error.name === 'AbortError') {
+                    // The chat was closed mid-reply
+                    if (reply) reply.remove();
+                } else {
+                    this.addMessage("I apologize, but I'm having trouble connecting right now. Please call us directly at (858) 299-2490 for immediate assistance.", 'ai');
+                }
             } finally {
+                this.controller = null;
                 sendBtn.disabled = false;
                 input.focus();
             }
         }
         
-        async getAIResponse(message) {
-            // Simulate AI thinking time
-            await new Promise(resolve => setTimeout(resolve, 800 + Math.random() * 1500));
-            
+        async getAIResponse(message, onText) {
             this.conversationHistory.push({role: 'user', content: message});
+            this.controller = new AbortController();
             
-            const lowerMessage = message.toLowerCase();
-            
-            // Name detection and greeting
-            if (!this.userName && (lowerMessage.includes('i\'m') || lowerMessage.includes('my name') || /^[a-zA-Z\s]+$/.test(message.trim()))) {
-                this.userName = message.replace(/i'm|my name is|i am|hi|hello/gi, '').trim();
-                if (this.userName) {
-                    return `Nice to meet you, ${this.userName}! What brings you to The Forward Horizon today? Are you interested in our veterans program, recovery housing, or reentry support?`;
-                }
-            }
+            const body = JSON.stringify({ message, sessionId: this.sessionId });
             
-            // Program-specific responses
-            if (lowerMessage.includes('veteran') || lowerMessage.includes('military')) {
-                return `${this.userName ? this.userName + ', t' : 'T'}hank you for your service! Our Veterans Transitional Housing program is designed specifically for veterans transitioning to civilian life. I'd love to schedule you for a personalized video consultation where we can discuss the program details and see if it's a good fit. Would you like me to help you schedule that?`;
-            }
-            
-            if (lowerMessage.includes('recovery') || lowerMessage.includes('sober') || lowerMessage.includes('addiction')) {
-                return `Our Sober Living After Detox program is perfect for individuals with 30+ days of sobriety who are ready to take the next step. We provide a supportive environment with comprehensive services. I can schedule you for a video consultation to discuss the program requirements and available options. Would that be helpful?`;
-            }
-            
-            if (lowerMessage.includes('reentry') || lowerMessage.includes('prison') || lowerMessage.includes('incarceration')) {
-                return `Our Reentry Housing program helps returning citizens successfully transition back into the community. We understand the unique challenges you face and provide specialized support services. Let me schedule you for a personalized consultation to discuss your specific needs and timeline. Sound good?`;
-            }
+            // Browsers or proxies that cannot stream get the whole reply at once
+            const streamed = await this.streamResponse(body, onText);
+            return streamed !== null ? streamed : await this.fetchResponse(body);
+        }
+        
+        /**
+         * Read the reply from /api/chat/stream as it is written; null when
+         * streaming is not available
+         */
+        async streamResponse(body, onText) {
+            if (!window.ReadableStream || !window.TextDecoder) return null;
             
-            if (lowerMessage.includes('cost') || lowerMessage.includes('price') || lowerMessage.includes('money') || lowerMessage.includes('payment')) {
-                return `I'd love to discuss pricing with you, but since costs can vary based on your specific situation and the housing options available, we cover all the financial details in a personalized video consultation where we can give you exact numbers and payment options that work for your situation. Would you like to schedule that?`;
-            }
+            const response = await fetch(`${API_URL}/api/chat/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'Accept': 'text/event-stream' },
+                body,
+                signal: this.controller.signal
+            });
+            const type = response.headers.get('Content-Type') || '';
+            if (!response.ok || !response.body || !type.includes('text/event-stream')) return null;
             
-            if (lowerMessage.includes('schedule') || lowerMessage.includes('appointment') || lowerMessage.includes('consultation') || lowerMessage.includes('yes')) {
-                return `Perfect! I can help you schedule a video consultation. These typically last 30-45 minutes and cover program details, costs, and next steps. What's the best phone number to reach you at, and do you prefer morning or afternoon appointments?`;
-            }
+            return await this.readEvents(response.body.getReader(), onText);
+        }
+        
+        async readEvents(reader, onText) {
+            const decoder = new TextDecoder();
+            let buffer = '';
             
-            if (lowerMessage.includes('crisis') || lowerMessage.includes('emergency') || lowerMessage.includes('homeless') || lowerMessage.includes('help')) {
-                return `I understand you may be in a difficult situation right now. If this is an emergency, please call 911. For crisis support, the National Suicide Prevention Lifeline is available 24/7 at 988. For immediate housing assistance, please call our main line at (858) 299-2490. Our team can provide crisis support and resource referrals. How can I best help you right now?`;
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) throw new Error('Chat stream ended before the reply');
+                
+                buffer += decoder.decode(value, { stream: true });
+                const events = buffer.split('\n\n');
+                buffer = events.pop();
+                
+                for (const raw of events) {
+                    const { event, data } = this.parseEvent(raw);
+                    if (event === 'session') this.sessionId = data.sessionId;
+                    if (event === 'token') onText(data.text);
+                    if (event === 'done' || event === 'error') return data.response;
+                }
             }
+        }
+        
+        parseEvent(raw) {
+            let event = 'message';
+            let data = '';
+            raw.split('\n').forEach((line) => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            return { event, data: data ? JSON.parse(data) : {} };
+        }
+        
+        async fetchResponse(body) {
+            const response = await fetch(`${API_URL}/api/chat/message`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                signal: this.controller.signal
+            });
+            const data = await response.json();
+            if (!data.response) throw new Error('No reply from the chat service');
             
-            // Default response
-            return `${this.userName ? this.userName + ', i' : 'I'}'m here to help you learn about The Forward Horizon's transitional housing programs. I can explain our veterans, recovery, or reentry programs, and schedule you for a personalized video consultation. What specific information would be most helpful for you?`;
+            if (data.sessionId) this.sessionId = data.sessionId;
+            return data.response;
         }
         
         addMessage(text, sender) {
@@ -673,6 +729,13 @@
             messageDiv.textContent = text;
             messagesContainer.appendChild(messageDiv);
             messagesContainer.scrollTop = messagesContainer.scrollHeight;
+            return messageDiv;
+        }
+        
+        appendToMessage(messageDiv, text) {
+            const messagesContainer = this.chatWidget.querySelector('.fh-chat-messages');
+            messageDiv.textContent += text;
+            messagesContainer.scrollTop = messagesContainer.scrollHeight;
         }
         
         showTyping() {
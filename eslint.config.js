@@ -19,7 +19,8 @@ export default [
                 setTimeout: 'readonly',
                 setInterval: 'readonly',
                 clearTimeout: 'readonly',
-                clearInterval: 'readonly'
+                clearInterval: 'readonly',
+                AbortController: 'readonly'
             }
         },
         rules: {
@@ -42,5 +43,15 @@ export default [
             '*.log',
             'package-lock.json'
         ]
+    },
+    {
+        // Offline test suite (node --test)
+        files: ['test/**/*.js'],
+        languageOptions: {
+            globals: {
+                fetch: 'readonly',
+                URLSearchParams: 'readonly'
+            }
+        }
     }
 ];
\ No newline at end of file
@@ -0,0 +1,60 @@
+/**
+ * Lead profile columns used by scoring, campaigns and intake
+ * (formerly created ad hoc by BusinessLogic.setupBusinessTables and scripts/fix-database.js)
+ */
+
+module.exports = {
+    description: 'Add lead profile, scoring and contact columns',
+
+    up: `
+        ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS message TEXT,
+            ADD COLUMN IF NOT EXISTS chat_session_id VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS is_veteran BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS currently_homeless BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS in_recovery BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS is_reentry BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS eviction_risk BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS employment_status VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS housing_status VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS housing_needs TEXT,
+            ADD COLUMN IF NOT EXISTS household_size INTEGER,
+            ADD COLUMN IF NOT EXISTS has_family BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS move_in_date DATE,
+            ADD COLUMN IF NOT EXISTS income_qualified BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS preferred_contact_method VARCHAR(50),
+            ADD COLUMN IF NOT EXISTS score INTEGER DEFAULT 0,
+            ADD COLUMN IF NOT EXISTS next_action VARCHAR(100),
+            ADD COLUMN IF NOT EXISTS opted_out BOOLEAN DEFAULT false,
+            ADD COLUMN IF NOT EXISTS last_contact TIMESTAMPTZ,
+            ADD COLUMN IF NOT EXISTS metadata JSONB DEFAULT '{}';
+
+        CREATE INDEX IF NOT EXISTS leads_score_idx ON leads(score);
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS leads_score_idx;
+
+        ALTER TABLE leads
+            DROP COLUMN IF EXISTS message,
+            DROP COLUMN IF EXISTS chat_session_id,
+            DROP COLUMN IF EXISTS is_veteran,
+            DROP COLUMN IF EXISTS currently_homeless,
+            DROP COLUMN IF EXISTS in_recovery,
+            DROP COLUMN IF EXISTS is_reentry,
+            DROP COLUMN IF EXISTS eviction_risk,
+            DROP COLUMN IF EXISTS employment_status,
+            DROP COLUMN IF EXISTS housing_status,
+            DROP COLUMN IF EXISTS housing_needs,
+            DROP COLUMN IF EXISTS household_size,
+            DROP COLUMN IF EXISTS has_family,
+            DROP COLUMN IF EXISTS move_in_date,
+            DROP COLUMN IF EXISTS income_qualified,
+            DROP COLUMN IF EXISTS preferred_contact_method,
+            DROP COLUMN IF EXISTS score,
+            DROP COLUMN IF EXISTS next_action,
+            DROP COLUMN IF EXISTS opted_out,
+            DROP COLUMN IF EXISTS last_contact,
+            DROP COLUMN IF EXISTS metadata;
+    `
+};
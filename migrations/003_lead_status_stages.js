@@ -0,0 +1,23 @@
+/**
+ * Allow every lead stage from LeadScoring.stages in leads.status.
+ * 'converted' stays allowed for rows written by older BusinessLogic reports.
+ */
+
+module.exports = {
+    description: 'Extend leads_status_check to all lead lifecycle stages',
+
+    up: `
+        ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_check;
+        ALTER TABLE leads ADD CONSTRAINT leads_status_check CHECK (status IN (
+            'new', 'contacted', 'qualified', 'nurturing', 'appointment_set',
+            'application_submitted', 'approved', 'moved_in', 'lost', 'converted'
+        ));
+    `,
+
+    // NOT VALID keeps rows already in the newer stages instead of failing the rollback
+    down: `
+        ALTER TABLE leads DROP CONSTRAINT IF EXISTS leads_status_check;
+        ALTER TABLE leads ADD CONSTRAINT leads_status_check
+            CHECK (status IN ('new', 'contacted', 'qualified', 'converted', 'lost')) NOT VALID;
+    `
+};
@@ -0,0 +1,39 @@
+/**
+ * Website chat sessions persisted by ChatIntegration
+ */
+
+module.exports = {
+    description: 'Create chat_sessions table',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS chat_sessions (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            session_id VARCHAR(100) NOT NULL UNIQUE,
+            user_name VARCHAR(255),
+            messages JSONB NOT NULL DEFAULT '[]',
+            lead_created BOOLEAN DEFAULT false,
+            started_at TIMESTAMPTZ DEFAULT NOW(),
+            last_activity TIMESTAMPTZ DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS chat_sessions_last_activity_idx ON chat_sessions(last_activity);
+
+        DROP TRIGGER IF EXISTS update_chat_sessions_updated_at ON chat_sessions;
+        CREATE TRIGGER update_chat_sessions_updated_at
+            BEFORE UPDATE ON chat_sessions
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE chat_sessions ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on chat sessions" ON chat_sessions;
+        CREATE POLICY "Allow service role all operations on chat sessions" ON chat_sessions
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS chat_sessions;
+    `
+};
@@ -0,0 +1,65 @@
+/**
+ * Normalized contact keys for duplicate lookups and the duplicate review queue
+ */
+
+module.exports = {
+    description: 'Add normalized lead contact keys and lead_match_reviews table',
+
+    up: `
+        ALTER TABLE leads
+            ADD COLUMN IF NOT EXISTS email_normalized VARCHAR(255),
+            ADD COLUMN IF NOT EXISTS phone_normalized VARCHAR(20);
+
+        UPDATE leads SET email_normalized = lower(trim(email))
+            WHERE email IS NOT NULL AND email <> '' AND email_normalized IS NULL;
+
+        UPDATE leads SET phone_normalized = CASE
+                WHEN length(regexp_replace(phone, '\\D', '', 'g')) = 10 THEN '+1' || regexp_replace(phone, '\\D', '', 'g')
+                ELSE '+' || regexp_replace(phone, '\\D', '', 'g')
+            END
+            WHERE phone IS NOT NULL AND length(regexp_replace(phone, '\\D', '', 'g')) >= 7 AND phone_normalized IS NULL;
+
+        CREATE INDEX IF NOT EXISTS leads_email_normalized_idx ON leads(email_normalized) WHERE email_normalized IS NOT NULL;
+        CREATE INDEX IF NOT EXISTS leads_phone_normalized_idx ON leads(phone_normalized) WHERE phone_normalized IS NOT NULL;
+
+        CREATE TABLE IF NOT EXISTS lead_match_reviews (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+            candidate_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+            score NUMERIC NOT NULL DEFAULT 0,
+            reasons JSONB NOT NULL DEFAULT '[]',
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            resolved_by VARCHAR(255),
+            resolved_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT lead_match_reviews_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'superseded'))
+        );
+
+        CREATE INDEX IF NOT EXISTS lead_match_reviews_status_idx ON lead_match_reviews(status, created_at DESC);
+
+        DROP TRIGGER IF EXISTS update_lead_match_reviews_updated_at ON lead_match_reviews;
+        CREATE TRIGGER update_lead_match_reviews_updated_at
+            BEFORE UPDATE ON lead_match_reviews
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE lead_match_reviews ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on lead match reviews" ON lead_match_reviews;
+        CREATE POLICY "Allow service role all operations on lead match reviews" ON lead_match_reviews
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS lead_match_reviews;
+
+        DROP INDEX IF EXISTS leads_phone_normalized_idx;
+        DROP INDEX IF EXISTS leads_email_normalized_idx;
+
+        ALTER TABLE leads
+            DROP COLUMN IF EXISTS phone_normalized,
+            DROP COLUMN IF EXISTS email_normalized;
+    `
+};
@@ -0,0 +1,59 @@
+/**
+ * Staff accounts and login sessions for the dashboard and protected API routes
+ */
+
+module.exports = {
+    description: 'Create staff_users and staff_sessions tables',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS staff_users (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            email VARCHAR(255) NOT NULL UNIQUE,
+            name VARCHAR(255),
+            role VARCHAR(20) NOT NULL DEFAULT 'read-only',
+            password_hash TEXT NOT NULL,
+            active BOOLEAN NOT NULL DEFAULT true,
+            last_login_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT staff_users_role_check CHECK (role IN ('admin', 'case-manager', 'read-only'))
+        );
+
+        CREATE TABLE IF NOT EXISTS staff_sessions (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            user_id UUID NOT NULL REFERENCES staff_users(id) ON DELETE CASCADE,
+            token_hash VARCHAR(64) NOT NULL UNIQUE,
+            expires_at TIMESTAMPTZ NOT NULL,
+            ip VARCHAR(64),
+            user_agent TEXT,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS staff_sessions_user_id_idx ON staff_sessions(user_id);
+        CREATE INDEX IF NOT EXISTS staff_sessions_expires_at_idx ON staff_sessions(expires_at);
+
+        DROP TRIGGER IF EXISTS update_staff_users_updated_at ON staff_users;
+        CREATE TRIGGER update_staff_users_updated_at
+            BEFORE UPDATE ON staff_users
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE staff_users ENABLE ROW LEVEL SECURITY;
+        ALTER TABLE staff_sessions ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on staff users" ON staff_users;
+        CREATE POLICY "Allow service role all operations on staff users" ON staff_users
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+        DROP POLICY IF EXISTS "Allow service role all operations on staff sessions" ON staff_sessions;
+        CREATE POLICY "Allow service role all operations on staff sessions" ON staff_sessions
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS staff_sessions;
+        DROP TABLE IF EXISTS staff_users;
+    `
+};
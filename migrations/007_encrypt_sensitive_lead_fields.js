@@ -0,0 +1,25 @@
+/**
+ * Sensitive lead attributes are stored as ciphertext (see src/storage/field-encryption.js),
+ * so their columns change from BOOLEAN to TEXT. Existing values become 'true' / 'false'
+ * until `npm run encrypt-fields` re-encrypts them.
+ *
+ * Rolling back needs plaintext values: run `npm run encrypt-fields -- --decrypt` first,
+ * otherwise encrypted values are reset to NULL.
+ */
+
+const FIELDS = ['is_veteran', 'in_recovery', 'is_reentry', 'currently_homeless'];
+
+module.exports = {
+    description: 'Store sensitive lead attributes as encrypted text',
+
+    up: FIELDS.map(field => `
+        ALTER TABLE leads ALTER COLUMN ${field} DROP DEFAULT;
+        ALTER TABLE leads ALTER COLUMN ${field} TYPE TEXT USING ${field}::text;
+    `).join(''),
+
+    down: FIELDS.map(field => `
+        ALTER TABLE leads ALTER COLUMN ${field} TYPE BOOLEAN
+            USING CASE WHEN ${field} IN ('true', 'false') THEN ${field}::boolean ELSE NULL END;
+        ALTER TABLE leads ALTER COLUMN ${field} SET DEFAULT false;
+    `).join('')
+};
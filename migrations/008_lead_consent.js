@@ -0,0 +1,52 @@
+/**
+ * Per-channel communication consent with a history of every change,
+ * and the token behind each lead's public preferences link
+ */
+
+module.exports = {
+    description: 'Add lead_consents table and lead preferences tokens',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS lead_consents (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
+            channel VARCHAR(20) NOT NULL,
+            address VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            source VARCHAR(50) NOT NULL,
+            details JSONB DEFAULT '{}',
+            changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT lead_consents_channel_check CHECK (channel IN ('email', 'sms', 'whatsapp', 'voice')),
+            CONSTRAINT lead_consents_status_check CHECK (status IN ('granted', 'revoked'))
+        );
+
+        CREATE INDEX IF NOT EXISTS lead_consents_address_idx ON lead_consents(channel, address, changed_at DESC);
+        CREATE INDEX IF NOT EXISTS lead_consents_lead_id_idx ON lead_consents(lead_id, changed_at DESC);
+
+        ALTER TABLE leads ADD COLUMN IF NOT EXISTS preferences_token VARCHAR(64);
+        CREATE UNIQUE INDEX IF NOT EXISTS leads_preferences_token_idx ON leads(preferences_token)
+            WHERE preferences_token IS NOT NULL;
+
+        DROP TRIGGER IF EXISTS update_lead_consents_updated_at ON lead_consents;
+        CREATE TRIGGER update_lead_consents_updated_at
+            BEFORE UPDATE ON lead_consents
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE lead_consents ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on lead consents" ON lead_consents;
+        CREATE POLICY "Allow service role all operations on lead consents" ON lead_consents
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS lead_consents;
+
+        DROP INDEX IF EXISTS leads_preferences_token_idx;
+        ALTER TABLE leads DROP COLUMN IF EXISTS preferences_token;
+    `
+};
@@ -0,0 +1,43 @@
+/**
+ * Multi-turn conversation history for the AI, one row per chat session,
+ * phone number or call. Older turns are folded into `summary`.
+ */
+
+module.exports = {
+    description: 'Add conversations table for multi-turn AI memory',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS conversations (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            channel VARCHAR(20) NOT NULL,
+            conversation_key VARCHAR(255) NOT NULL,
+            summary TEXT,
+            messages JSONB NOT NULL DEFAULT '[]',
+            summarized_count INTEGER NOT NULL DEFAULT 0,
+            last_activity TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT conversations_channel_check CHECK (channel IN ('chat', 'sms', 'whatsapp', 'voice'))
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS conversations_key_idx ON conversations(channel, conversation_key);
+        CREATE INDEX IF NOT EXISTS conversations_last_activity_idx ON conversations(last_activity);
+
+        DROP TRIGGER IF EXISTS update_conversations_updated_at ON conversations;
+        CREATE TRIGGER update_conversations_updated_at
+            BEFORE UPDATE ON conversations
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on conversations" ON conversations;
+        CREATE POLICY "Allow service role all operations on conversations" ON conversations
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS conversations;
+    `
+};
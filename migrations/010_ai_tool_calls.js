@@ -0,0 +1,37 @@
+/**
+ * Audit log of the actions the AI assistant took through its tools
+ */
+
+module.exports = {
+    description: 'Add ai_tool_calls audit log',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS ai_tool_calls (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            tool VARCHAR(100) NOT NULL,
+            channel VARCHAR(20),
+            conversation_key VARCHAR(255),
+            actor VARCHAR(255),
+            input JSONB NOT NULL DEFAULT '{}',
+            success BOOLEAN NOT NULL DEFAULT false,
+            error_code VARCHAR(50),
+            error TEXT,
+            result JSONB,
+            duration_ms INTEGER,
+            created_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        CREATE INDEX IF NOT EXISTS ai_tool_calls_created_at_idx ON ai_tool_calls(created_at DESC);
+        CREATE INDEX IF NOT EXISTS ai_tool_calls_tool_idx ON ai_tool_calls(tool);
+
+        ALTER TABLE ai_tool_calls ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on ai_tool_calls" ON ai_tool_calls;
+        CREATE POLICY "Allow service role all operations on ai_tool_calls" ON ai_tool_calls
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS ai_tool_calls;
+    `
+};
@@ -0,0 +1,41 @@
+/**
+ * Knowledge base documents added or replaced by staff through the admin API.
+ * A row overrides the file in knowledge/ with the same slug.
+ */
+
+module.exports = {
+    description: 'Add knowledge_documents table for the AI knowledge base',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS knowledge_documents (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            slug VARCHAR(64) NOT NULL,
+            title VARCHAR(200),
+            format VARCHAR(20) NOT NULL DEFAULT 'markdown',
+            content TEXT NOT NULL,
+            updated_by VARCHAR(255),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT knowledge_documents_format_check CHECK (format IN ('markdown', 'json'))
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS knowledge_documents_slug_idx ON knowledge_documents(slug);
+
+        DROP TRIGGER IF EXISTS update_knowledge_documents_updated_at ON knowledge_documents;
+        CREATE TRIGGER update_knowledge_documents_updated_at
+            BEFORE UPDATE ON knowledge_documents
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE knowledge_documents ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on knowledge_documents" ON knowledge_documents;
+        CREATE POLICY "Allow service role all operations on knowledge_documents" ON knowledge_documents
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS knowledge_documents;
+    `
+};
@@ -0,0 +1,22 @@
+/**
+ * Embedding vectors for hybrid (keyword + semantic) memory search.
+ * Vectors are stored as JSON arrays and compared in the application, so no
+ * database extension is needed; `embedding_model` marks which embedder made them.
+ */
+
+module.exports = {
+    description: 'Add embedding columns to agent_memories',
+
+    up: `
+        ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS embedding JSONB;
+        ALTER TABLE agent_memories ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+
+        CREATE INDEX IF NOT EXISTS memories_lead_id_idx ON agent_memories((metadata ->> 'lead_id'));
+    `,
+
+    down: `
+        DROP INDEX IF EXISTS memories_lead_id_idx;
+        ALTER TABLE agent_memories DROP COLUMN IF EXISTS embedding_model;
+        ALTER TABLE agent_memories DROP COLUMN IF EXISTS embedding;
+    `
+};
@@ -0,0 +1,60 @@
+/**
+ * Safety incidents flagged by crisis screening of inbound chat, SMS/WhatsApp
+ * and call transcripts, with paging results and staff follow-up
+ */
+
+module.exports = {
+    description: 'Add safety_incidents table for crisis escalation',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS safety_incidents (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            channel VARCHAR(20) NOT NULL,
+            conversation_key VARCHAR(255),
+            lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+            contact VARCHAR(255),
+            category VARCHAR(50) NOT NULL,
+            label VARCHAR(255),
+            severity VARCHAR(20) NOT NULL,
+            method VARCHAR(20) NOT NULL DEFAULT 'rules',
+            matched TEXT,
+            confidence NUMERIC,
+            message TEXT NOT NULL,
+            last_message TEXT,
+            message_count INTEGER NOT NULL DEFAULT 1,
+            last_message_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+            paged BOOLEAN NOT NULL DEFAULT false,
+            paged_at TIMESTAMPTZ,
+            page_results JSONB NOT NULL DEFAULT '[]',
+            status VARCHAR(20) NOT NULL DEFAULT 'open',
+            notes TEXT,
+            handled_by VARCHAR(255),
+            handled_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT safety_incidents_severity_check CHECK (severity IN ('elevated', 'high', 'critical')),
+            CONSTRAINT safety_incidents_status_check CHECK (status IN ('open', 'acknowledged', 'resolved'))
+        );
+
+        CREATE INDEX IF NOT EXISTS safety_incidents_status_idx ON safety_incidents(status, created_at DESC);
+        CREATE INDEX IF NOT EXISTS safety_incidents_conversation_idx
+            ON safety_incidents(conversation_key, last_message_at DESC);
+
+        DROP TRIGGER IF EXISTS update_safety_incidents_updated_at ON safety_incidents;
+        CREATE TRIGGER update_safety_incidents_updated_at
+            BEFORE UPDATE ON safety_incidents
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE safety_incidents ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on safety_incidents" ON safety_incidents;
+        CREATE POLICY "Allow service role all operations on safety_incidents" ON safety_incidents
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS safety_incidents;
+    `
+};
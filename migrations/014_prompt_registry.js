@@ -0,0 +1,67 @@
+/**
+ * Prompt versions added by staff and the replies and conversation outcomes
+ * logged against each version, for comparing versions (src/ai/prompt-registry.js).
+ */
+
+module.exports = {
+    description: 'Add prompt_versions and prompt_events tables for the prompt registry',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS prompt_versions (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            name VARCHAR(64) NOT NULL,
+            version INTEGER NOT NULL,
+            channel VARCHAR(20),
+            template TEXT NOT NULL,
+            weight INTEGER NOT NULL DEFAULT 0,
+            description VARCHAR(500),
+            created_by VARCHAR(255),
+            updated_by VARCHAR(255),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT prompt_versions_weight_check CHECK (weight BETWEEN 0 AND 100)
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS prompt_versions_name_version_idx ON prompt_versions(name, version);
+
+        DROP TRIGGER IF EXISTS update_prompt_versions_updated_at ON prompt_versions;
+        CREATE TRIGGER update_prompt_versions_updated_at
+            BEFORE UPDATE ON prompt_versions
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        CREATE TABLE IF NOT EXISTS prompt_events (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            prompt_name VARCHAR(64) NOT NULL,
+            version INTEGER NOT NULL,
+            channel VARCHAR(20),
+            conversation_key VARCHAR(255),
+            event VARCHAR(30) NOT NULL,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT prompt_events_event_check
+                CHECK (event IN ('served', 'lead_created', 'appointment_booked', 'escalated'))
+        );
+
+        CREATE INDEX IF NOT EXISTS prompt_events_prompt_idx ON prompt_events(prompt_name, created_at DESC);
+        CREATE INDEX IF NOT EXISTS prompt_events_conversation_idx
+            ON prompt_events(conversation_key, created_at DESC);
+
+        ALTER TABLE prompt_versions ENABLE ROW LEVEL SECURITY;
+        ALTER TABLE prompt_events ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on prompt_versions" ON prompt_versions;
+        CREATE POLICY "Allow service role all operations on prompt_versions" ON prompt_versions
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+        DROP POLICY IF EXISTS "Allow service role all operations on prompt_events" ON prompt_events;
+        CREATE POLICY "Allow service role all operations on prompt_events" ON prompt_events
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS prompt_events;
+        DROP TABLE IF EXISTS prompt_versions;
+    `
+};
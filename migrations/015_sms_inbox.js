@@ -0,0 +1,80 @@
+/**
+ * Two-way SMS/WhatsApp inbox: one thread per phone number and channel, linked
+ * to the lead, with every inbound and outbound message, unread counts and
+ * staff takeover of AI auto-replies
+ */
+
+module.exports = {
+    description: 'Add sms_threads and sms_messages tables for the staff SMS inbox',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS sms_threads (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            channel VARCHAR(20) NOT NULL,
+            contact VARCHAR(50) NOT NULL,
+            lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+            mode VARCHAR(20) NOT NULL DEFAULT 'ai',
+            assigned_to VARCHAR(255),
+            taken_over_at TIMESTAMPTZ,
+            unread_count INTEGER NOT NULL DEFAULT 0,
+            last_message TEXT,
+            last_direction VARCHAR(10),
+            last_message_at TIMESTAMPTZ DEFAULT NOW(),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT sms_threads_channel_check CHECK (channel IN ('sms', 'whatsapp')),
+            CONSTRAINT sms_threads_mode_check CHECK (mode IN ('ai', 'staff'))
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS sms_threads_contact_idx ON sms_threads(channel, contact);
+        CREATE INDEX IF NOT EXISTS sms_threads_last_message_idx ON sms_threads(last_message_at DESC);
+        CREATE INDEX IF NOT EXISTS sms_threads_lead_idx ON sms_threads(lead_id);
+
+        CREATE TABLE IF NOT EXISTS sms_messages (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            thread_id UUID NOT NULL REFERENCES sms_threads(id) ON DELETE CASCADE,
+            direction VARCHAR(10) NOT NULL,
+            sender VARCHAR(20) NOT NULL,
+            body TEXT NOT NULL,
+            sent_by VARCHAR(255),
+            message_sid VARCHAR(64),
+            status VARCHAR(20),
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT sms_messages_direction_check CHECK (direction IN ('inbound', 'outbound')),
+            CONSTRAINT sms_messages_sender_check CHECK (sender IN ('contact', 'assistant', 'staff'))
+        );
+
+        CREATE INDEX IF NOT EXISTS sms_messages_thread_idx ON sms_messages(thread_id, created_at DESC);
+
+        DROP TRIGGER IF EXISTS update_sms_threads_updated_at ON sms_threads;
+        CREATE TRIGGER update_sms_threads_updated_at
+            BEFORE UPDATE ON sms_threads
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        DROP TRIGGER IF EXISTS update_sms_messages_updated_at ON sms_messages;
+        CREATE TRIGGER update_sms_messages_updated_at
+            BEFORE UPDATE ON sms_messages
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE sms_threads ENABLE ROW LEVEL SECURITY;
+        ALTER TABLE sms_messages ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on sms_threads" ON sms_threads;
+        CREATE POLICY "Allow service role all operations on sms_threads" ON sms_threads
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+
+        DROP POLICY IF EXISTS "Allow service role all operations on sms_messages" ON sms_messages;
+        CREATE POLICY "Allow service role all operations on sms_messages" ON sms_messages
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS sms_messages;
+        DROP TABLE IF EXISTS sms_threads;
+    `
+};
@@ -0,0 +1,44 @@
+/**
+ * Processed-events store for inbound webhooks, so repeat deliveries of the
+ * same Twilio message, call event or CRM event are only handled once
+ */
+
+module.exports = {
+    description: 'Add webhook_events table for idempotent webhook processing',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS webhook_events (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            provider VARCHAR(50) NOT NULL,
+            event_id VARCHAR(255) NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'processing',
+            attempts INTEGER NOT NULL DEFAULT 1,
+            response JSONB,
+            error TEXT,
+            processed_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT webhook_events_status_check CHECK (status IN ('processing', 'processed', 'failed'))
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS webhook_events_event_idx ON webhook_events(provider, event_id);
+        CREATE INDEX IF NOT EXISTS webhook_events_created_idx ON webhook_events(created_at);
+
+        DROP TRIGGER IF EXISTS update_webhook_events_updated_at ON webhook_events;
+        CREATE TRIGGER update_webhook_events_updated_at
+            BEFORE UPDATE ON webhook_events
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE webhook_events ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on webhook_events" ON webhook_events;
+        CREATE POLICY "Allow service role all operations on webhook_events" ON webhook_events
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS webhook_events;
+    `
+};
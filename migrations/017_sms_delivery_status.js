@@ -0,0 +1,27 @@
+/**
+ * Delivery status tracking for sent texts: Twilio's error code and when the
+ * status last changed, and leads flagged when their number can't take texts
+ */
+
+module.exports = {
+    description: 'Add SMS delivery status columns and leads.phone_invalid',
+
+    up: `
+        ALTER TABLE sms_messages
+            ADD COLUMN IF NOT EXISTS error_code INTEGER,
+            ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+        CREATE INDEX IF NOT EXISTS sms_messages_sid_idx ON sms_messages(message_sid) WHERE message_sid IS NOT NULL;
+
+        ALTER TABLE leads ADD COLUMN IF NOT EXISTS phone_invalid BOOLEAN DEFAULT false;
+    `,
+
+    down: `
+        ALTER TABLE leads DROP COLUMN IF EXISTS phone_invalid;
+
+        DROP INDEX IF EXISTS sms_messages_sid_idx;
+        ALTER TABLE sms_messages
+            DROP COLUMN IF EXISTS status_updated_at,
+            DROP COLUMN IF EXISTS error_code;
+    `
+};
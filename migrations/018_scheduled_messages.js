@@ -0,0 +1,56 @@
+/**
+ * Durable queue of outbound texts to send later (scheduled SMS and
+ * appointment reminders), picked up by a poller after restarts and claimed
+ * by one instance at a time. lead_id is not a foreign key because bookings
+ * without a lead carry a placeholder id.
+ */
+
+module.exports = {
+    description: 'Add scheduled_messages table for queued SMS and appointment reminders',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS scheduled_messages (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            channel VARCHAR(20) NOT NULL DEFAULT 'sms',
+            recipient VARCHAR(50) NOT NULL,
+            body TEXT NOT NULL,
+            kind VARCHAR(50) NOT NULL DEFAULT 'scheduled',
+            reference VARCHAR(100),
+            lead_id VARCHAR(100),
+            send_at TIMESTAMPTZ NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'pending',
+            attempts INTEGER NOT NULL DEFAULT 0,
+            last_error TEXT,
+            message_sid VARCHAR(64),
+            locked_by VARCHAR(255),
+            locked_at TIMESTAMPTZ,
+            sent_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+            CONSTRAINT scheduled_messages_channel_check CHECK (channel IN ('sms', 'whatsapp')),
+            CONSTRAINT scheduled_messages_status_check
+                CHECK (status IN ('pending', 'sending', 'sent', 'failed', 'cancelled'))
+        );
+
+        CREATE INDEX IF NOT EXISTS scheduled_messages_due_idx ON scheduled_messages(status, send_at);
+        CREATE INDEX IF NOT EXISTS scheduled_messages_reference_idx ON scheduled_messages(reference);
+        CREATE INDEX IF NOT EXISTS scheduled_messages_lead_idx ON scheduled_messages(lead_id);
+
+        DROP TRIGGER IF EXISTS update_scheduled_messages_updated_at ON scheduled_messages;
+        CREATE TRIGGER update_scheduled_messages_updated_at
+            BEFORE UPDATE ON scheduled_messages
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE scheduled_messages ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on scheduled_messages" ON scheduled_messages;
+        CREATE POLICY "Allow service role all operations on scheduled_messages" ON scheduled_messages
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS scheduled_messages;
+    `
+};
@@ -0,0 +1,50 @@
+/**
+ * Phone calls and their place in the IVR call flow (current node, answers
+ * collected so far, transcript), so every Twilio webhook of a call picks up
+ * where the last one left off, on any instance and across restarts
+ */
+
+module.exports = {
+    description: 'Add voice_calls table for IVR call state',
+
+    up: `
+        CREATE TABLE IF NOT EXISTS voice_calls (
+            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+            call_sid VARCHAR(64) NOT NULL,
+            from_number VARCHAR(50),
+            to_number VARCHAR(50),
+            status VARCHAR(30) NOT NULL DEFAULT 'in-progress',
+            node VARCHAR(100),
+            flow_state JSONB NOT NULL DEFAULT '{}',
+            variables JSONB NOT NULL DEFAULT '{}',
+            transcript JSONB NOT NULL DEFAULT '[]',
+            summary TEXT,
+            duration INTEGER,
+            lead_id UUID REFERENCES leads(id) ON DELETE SET NULL,
+            started_at TIMESTAMPTZ DEFAULT NOW(),
+            ended_at TIMESTAMPTZ,
+            created_at TIMESTAMPTZ DEFAULT NOW(),
+            updated_at TIMESTAMPTZ DEFAULT NOW()
+        );
+
+        CREATE UNIQUE INDEX IF NOT EXISTS voice_calls_call_sid_idx ON voice_calls(call_sid);
+        CREATE INDEX IF NOT EXISTS voice_calls_started_at_idx ON voice_calls(started_at DESC);
+        CREATE INDEX IF NOT EXISTS voice_calls_lead_idx ON voice_calls(lead_id);
+
+        DROP TRIGGER IF EXISTS update_voice_calls_updated_at ON voice_calls;
+        CREATE TRIGGER update_voice_calls_updated_at
+            BEFORE UPDATE ON voice_calls
+            FOR EACH ROW
+            EXECUTE FUNCTION update_updated_at_column();
+
+        ALTER TABLE voice_calls ENABLE ROW LEVEL SECURITY;
+
+        DROP POLICY IF EXISTS "Allow service role all operations on voice_calls" ON voice_calls;
+        CREATE POLICY "Allow service role all operations on voice_calls" ON voice_calls
+            FOR ALL USING (auth.jwt() ->> 'role' = 'service_role');
+    `,
+
+    down: `
+        DROP TABLE IF EXISTS voice_calls;
+    `
+};
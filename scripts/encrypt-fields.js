@@ -0,0 +1,105 @@
+#!/usr/bin/env node
+
+/**
+ * Sensitive Field Encryption CLI
+ * Encrypts existing plaintext values and re-encrypts values written with a
+ * retired key, so FIELD_ENCRYPTION_OLD_KEYS can be dropped afterwards.
+ *
+ * Usage:
+ *   node scripts/encrypt-fields.js [--dry-run]
+ *   node scripts/encrypt-fields.js --decrypt [--dry-run]   # before rolling back migration 007
+ */
+
+require('dotenv').config();
+const { createStorage } = require('../src/storage/storage');
+const FieldEncryption = require('../src/storage/field-encryption');
+
+// Tables holding sensitive values: lead columns and lead snapshots in interaction data
+const TABLES = ['leads', 'lead_interactions'];
+const PAGE_SIZE = 500;
+
+function parseArgs(argv) {
+    const args = { decrypt: false, dryRun: false };
+
+    argv.forEach(flag => {
+        if (flag === '--decrypt') args.decrypt = true;
+        else if (flag === '--dry-run') args.dryRun = true;
+        else throw new Error(`Unknown option: ${flag}`);
+    });
+
+    return args;
+}
+
+/**
+ * Whether any sensitive value in the row is stored in the wrong form.
+ * Throws if a value cannot be decrypted, rather than overwrite it.
+ */
+function needsRewrite(storage, row, decrypt) {
+    let stale = false;
+    storage.transform(row, (value) => {
+        if (FieldEncryption.isEncrypted(value)) {
+            storage.encryption.decrypt(value);
+        }
+        if (decrypt ? FieldEncryption.isEncrypted(value) : storage.encryption.needsRotation(value)) {
+            stale = true;
+        }
+        return value;
+    });
+    return stale;
+}
+
+async function rewriteTable(storage, table, args) {
+    const backend = storage.backend;
+    let rewritten = 0;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const rows = await backend.find(table, { orderBy: 'created_at', limit: PAGE_SIZE, offset });
+
+        for (const row of rows) {
+            if (!needsRewrite(storage, row, args.decrypt)) continue;
+
+            const plain = storage.decryptRecord(row);
+            const next = args.decrypt ? plain : storage.encryptRecord(plain);
+            const changes = Object.fromEntries(
+                Object.keys(next)
+                    .filter(column => column !== 'id' && JSON.stringify(next[column]) !== JSON.stringify(row[column]))
+                    .map(column => [column, next[column]])
+            );
+
+            if (!args.dryRun) {
+                await backend.update(table, { id: row.id }, changes);
+            }
+            rewritten++;
+        }
+
+        if (rows.length < PAGE_SIZE) break;
+    }
+
+    return rewritten;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const storage = createStorage();
+
+    if (!args.decrypt && !storage.encryption.enabled) {
+        throw new Error('FIELD_ENCRYPTION_KEY is not set');
+    }
+
+    await storage.initialize();
+    console.log(`🗄️  Storage backend: ${storage.name}`);
+
+    for (const table of TABLES) {
+        const count = await rewriteTable(storage, table, args);
+        const action = args.decrypt ? 'decrypted' : 'encrypted';
+        console.log(`  ${table.padEnd(20)} ${count} row(s) ${args.dryRun ? `would be ${action}` : action}`);
+    }
+
+    await storage.flush();
+    console.log('✅ Done');
+}
+
+main().catch(error => {
+    console.error('❌ Field encryption failed:', error.message);
+    process.exit(1);
+});
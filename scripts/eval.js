@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Assistant Evaluation CLI
+ * Replays the golden conversations through the AI assistant and the built-in
+ * chat replies, scores them, and compares two runs
+ *
+ * Usage:
+ *   node scripts/eval.js run [--model mock|replay|record] [--recordings <file>] [--targets ai,builtin]
+ *                            [--system-prompt <file>] [--dataset <file>] [--label <name>] [--out <file>]
+ *   node scripts/eval.js diff <base.json> <head.json>
+ *
+ * "mock" (default) answers from the dataset's mock_replies, "replay" from
+ * recorded model replies and "record" calls Claude (ANTHROPIC_API_KEY) and
+ * saves its replies to --recordings. diff exits with 1 when a check regressed.
+ */
+
+require('dotenv').config();
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+
+const fs = require('fs');
+const path = require('path');
+const Evaluator = require('../src/ai/evaluator');
+
+const { MockModel, RecordedModel, TARGETS, DEFAULT_DATASET, diffRuns, formatDiff } = Evaluator;
+
+const DEFAULT_RECORDINGS = path.join(__dirname, '../eval/recordings.json');
+const RUNS_DIR = path.join(__dirname, '../eval/runs');
+
+function parseArgs(argv) {
+    const args = {
+        command: argv[0] || 'run',
+        files: [],
+        model: 'mock',
+        recordings: DEFAULT_RECORDINGS,
+        targets: TARGETS,
+        systemPrompt: null,
+        dataset: DEFAULT_DATASET,
+        label: null,
+        out: null
+    };
+    const options = ['--model', '--recordings', '--targets', '--system-prompt', '--dataset', '--label', '--out'];
+
+    for (let i = 1; i < argv.length; i++) {
+        const flag = argv[i];
+
+        if (!flag.startsWith('--')) {
+            args.files.push(flag);
+        } else if (options.includes(flag) && argv[i + 1] !== undefined) {
+            const key = flag.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+            args[key] = argv[++i];
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    if (typeof args.targets === 'string') {
+        args.targets = args.targets.split(',').map(target => target.trim());
+        const unknown = args.targets.filter(target => !TARGETS.includes(target));
+        if (unknown.length > 0) throw new Error(`Unknown target(s): ${unknown.join(', ')}`);
+    }
+
+    return args;
+}
+
+function createModel(args) {
+    switch (args.model) {
+        case 'mock':
+            return new MockModel();
+        case 'replay':
+            if (!fs.existsSync(args.recordings)) {
+                throw new Error(`No recordings at ${args.recordings} - run with --model record first`);
+            }
+            return new RecordedModel(JSON.parse(fs.readFileSync(args.recordings, 'utf8')));
+        case 'record': {
+            if (!process.env.ANTHROPIC_API_KEY) throw new Error('--model record needs ANTHROPIC_API_KEY');
+            const Anthropic = require('@anthropic-ai/sdk');
+            return new RecordedModel({}, new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY }));
+        }
+        default:
+            throw new Error(`Unknown model "${args.model}" (expected mock, replay or record)`);
+    }
+}
+
+function printSummary(run) {
+    console.log(`\n📋 Evaluation (${run.model} model):\n`);
+
+    for (const [target, summary] of Object.entries(run.summary)) {
+        console.log(`  ${target.padEnd(8)} ${summary.passed}/${summary.cases} cases passed`);
+        for (const [check, counts] of Object.entries(summary.checks)) {
+            console.log(`    ${check.padEnd(22)} ${counts.passed}/${counts.total}`);
+        }
+    }
+
+    for (const result of run.results.filter(row => !row.passed)) {
+        const failed = Object.keys(result.checks).filter(check => !result.checks[check]);
+        console.log(`\n  ❌ ${result.target} / ${result.case_id}: ${result.error || failed.join(', ')}`);
+        console.log(`     ${result.response}`);
+    }
+}
+
+async function run(args) {
+    const dataset = Evaluator.loadDataset(args.dataset);
+    const model = createModel(args);
+    const evaluator = new Evaluator({
+        model,
+        systemPrompt: args.systemPrompt ? fs.readFileSync(args.systemPrompt, 'utf8') : null
+    });
+
+    const results = await evaluator.run(dataset, { targets: args.targets, label: args.label });
+    printSummary(results);
+
+    const out = args.out || path.join(RUNS_DIR, `${results.created_at.replace(/[:.]/g, '-')}.json`);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(results, null, 2));
+    console.log(`\n✅ Results written to ${out}`);
+
+    if (model.name === 'record') {
+        fs.writeFileSync(args.recordings, JSON.stringify(model.recordings, null, 2));
+        console.log(`✅ Recorded ${Object.keys(model.recordings).length} replies to ${args.recordings}`);
+    }
+}
+
+function diff(args) {
+    if (args.files.length !== 2) throw new Error('diff expects two run files: <base.json> <head.json>');
+
+    const [base, head] = args.files.map(file => JSON.parse(fs.readFileSync(file, 'utf8')));
+    const report = diffRuns(base, head);
+    console.log(formatDiff(report));
+
+    if (report.regressions > 0) process.exitCode = 1;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+
+    switch (args.command) {
+        case 'run':
+            await run(args);
+            break;
+        case 'diff':
+            diff(args);
+            break;
+        default:
+            throw new Error(`Unknown command "${args.command}" (expected run or diff)`);
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Evaluation failed:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+/**
+ * Database Migration CLI
+ * Applies, rolls back and reports the numbered migrations in /migrations
+ *
+ * Usage:
+ *   node scripts/migrate.js up [--to <version>] [--dry-run]
+ *   node scripts/migrate.js down [--steps <n> | --to <version>] [--dry-run]
+ *   node scripts/migrate.js status
+ */
+
+require('dotenv').config();
+const { createStorage } = require('../src/storage/storage');
+const Migrator = require('../src/storage/migrator');
+
+function parseArgs(argv) {
+    const args = { command: argv[0] || 'status', to: null, steps: 1, dryRun: false };
+
+    for (let i = 1; i < argv.length; i++) {
+        const flag = argv[i];
+
+        if (flag === '--dry-run') {
+            args.dryRun = true;
+        } else if (flag === '--to' || flag === '--steps') {
+            const value = parseInt(argv[++i], 10);
+            if (Number.isNaN(value) || value < 0) {
+                throw new Error(`${flag} expects a non-negative number`);
+            }
+            args[flag.slice(2)] = value;
+        } else {
+            throw new Error(`Unknown option: ${flag}`);
+        }
+    }
+
+    return args;
+}
+
+function printStatus(migrations) {
+    console.log('📋 Migration status:\n');
+
+    if (migrations.length === 0) {
+        console.log('  No migrations found');
+        return;
+    }
+
+    migrations.forEach(migration => {
+        const version = String(migration.version).padStart(3, '0');
+        const state = migration.applied ? `✅ applied ${migration.applied_at}` : '⏳ pending';
+        console.log(`  ${version}  ${migration.description.padEnd(60)} ${state}`);
+    });
+
+    const pending = migrations.filter(migration => !migration.applied).length;
+    console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const storage = createStorage();
+    const migrator = new Migrator(storage);
+
+    console.log(`🗄️  Storage backend: ${storage.name}`);
+
+    switch (args.command) {
+        case 'up': {
+            const applied = await migrator.migrate({ to: args.to === null ? Infinity : args.to, dryRun: args.dryRun });
+            console.log(applied.length === 0
+                ? '✅ Database schema is up to date'
+                : `✅ ${args.dryRun ? 'Would apply' : 'Applied'} ${applied.length} migration(s)`);
+            break;
+        }
+        case 'down': {
+            const rolledBack = await migrator.rollback({ steps: args.steps, to: args.to, dryRun: args.dryRun });
+            console.log(rolledBack.length === 0
+                ? '✅ Nothing to roll back'
+                : `✅ ${args.dryRun ? 'Would roll back' : 'Rolled back'} ${rolledBack.length} migration(s)`);
+            break;
+        }
+        case 'status':
+            printStatus(await migrator.status());
+            break;
+        default:
+            throw new Error(`Unknown command "${args.command}" (expected up, down or status)`);
+    }
+
+    await storage.flush();
+}
+
+main().catch(error => {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+});
@@ -8,6 +8,8 @@
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const path = require('path');
+const SupabaseStorage = require('../src/storage/supabase-storage');
+const Migrator = require('../src/storage/migrator');
 require('dotenv').config();
 
 class SetupWizard {
@@ -122,184 +124,27 @@ class SetupWizard {
   }
 
   async setupDatabase() {
-    console.log('🏗️  Setting up database tables...');
-    
-    const tables = [
-      {
-        name: 'leads',
-        sql: `
-          -- Create leads table
-          CREATE TABLE IF NOT EXISTS leads (
-            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-            name VARCHAR(255) NOT NULL,
-            email VARCHAR(255),
-            phone VARCHAR(50),
-            source VARCHAR(100) DEFAULT 'website',
-            status VARCHAR(50) DEFAULT 'new',
-            created_at TIMESTAMPTZ DEFAULT NOW(),
-            updated_at TIMESTAMPTZ DEFAULT NOW(),
-            
-            -- Add constraints
-            CONSTRAINT leads_name_check CHECK (length(trim(name)) > 0),
-            CONSTRAINT leads_email_check CHECK (email IS NULL OR email ~* '^[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\\\.[A-Za-z]{2,}\$'),
-            CONSTRAINT leads_status_check CHECK (status IN ('new', 'contacted', 'qualified', 'converted', 'lost'))
-          );
-          
-          -- Create indexes
-          CREATE INDEX IF NOT EXISTS leads_created_at_idx ON leads(created_at DESC);
-          CREATE INDEX IF NOT EXISTS leads_status_idx ON leads(status);
-          CREATE INDEX IF NOT EXISTS leads_email_idx ON leads(email) WHERE email IS NOT NULL;
-        `
-      },
-      {
-        name: 'agent_memories',
-        sql: `
-          -- Create agent memories table
-          CREATE TABLE IF NOT EXISTS agent_memories (
-            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-            content TEXT NOT NULL,
-            type VARCHAR(50) NOT NULL DEFAULT 'system',
-            importance VARCHAR(20) NOT NULL DEFAULT 'medium',
-            metadata JSONB DEFAULT '{}',
-            created_at TIMESTAMPTZ DEFAULT NOW(),
-            updated_at TIMESTAMPTZ DEFAULT NOW(),
-            expires_at TIMESTAMPTZ,
-            
-            -- Constraints
-            CONSTRAINT memories_type_check CHECK (type IN ('conversation', 'lead', 'action', 'business', 'research', 'system')),
-            CONSTRAINT memories_importance_check CHECK (importance IN ('low', 'medium', 'high', 'critical'))
-          );
-          
-          -- Create indexes
-          CREATE INDEX IF NOT EXISTS memories_type_idx ON agent_memories(type);
-          CREATE INDEX IF NOT EXISTS memories_importance_idx ON agent_memories(importance);
-          CREATE INDEX IF NOT EXISTS memories_created_at_idx ON agent_memories(created_at DESC);
-          CREATE INDEX IF NOT EXISTS memories_expires_at_idx ON agent_memories(expires_at) WHERE expires_at IS NOT NULL;
-        `
-      },
-      {
-        name: 'lead_interactions',
-        sql: `
-          -- Create lead interactions table
-          CREATE TABLE IF NOT EXISTS lead_interactions (
-            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-            lead_id UUID REFERENCES leads(id) ON DELETE CASCADE,
-            interaction_type VARCHAR(50) NOT NULL,
-            interaction_data JSONB NOT NULL DEFAULT '{}',
-            scheduled_at TIMESTAMPTZ,
-            completed_at TIMESTAMPTZ,
-            status VARCHAR(20) DEFAULT 'pending',
-            created_at TIMESTAMPTZ DEFAULT NOW(),
-            updated_at TIMESTAMPTZ DEFAULT NOW(),
-            
-            CONSTRAINT interactions_status_check CHECK (status IN ('pending', 'completed', 'failed', 'cancelled'))
-          );
-          
-          -- Create indexes
-          CREATE INDEX IF NOT EXISTS lead_interactions_lead_id_idx ON lead_interactions(lead_id);
-          CREATE INDEX IF NOT EXISTS lead_interactions_type_status_idx ON lead_interactions(interaction_type, status);
-          CREATE INDEX IF NOT EXISTS lead_interactions_scheduled_idx ON lead_interactions(scheduled_at) WHERE scheduled_at IS NOT NULL;
-        `
-      },
-      {
-        name: 'business_metrics',
-        sql: `
-          -- Create business metrics table
-          CREATE TABLE IF NOT EXISTS business_metrics (
-            id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-            metric_type VARCHAR(50) NOT NULL,
-            metric_name VARCHAR(100) NOT NULL,
-            metric_value NUMERIC NOT NULL DEFAULT 0,
-            date DATE NOT NULL DEFAULT CURRENT_DATE,
-            metadata JSONB DEFAULT '{}',
-            created_at TIMESTAMPTZ DEFAULT NOW(),
-            updated_at TIMESTAMPTZ DEFAULT NOW()
-          );
-          
-          -- Create indexes
-          CREATE INDEX IF NOT EXISTS business_metrics_type_date_idx ON business_metrics(metric_type, date);
-          CREATE INDEX IF NOT EXISTS business_metrics_name_date_idx ON business_metrics(metric_name, date);
-        `
-      }
-    ];
-
-    // Create triggers for updated_at
-    const triggerSQL = `
-      -- Create updated_at trigger function
-      CREATE OR REPLACE FUNCTION update_updated_at_column()
-      RETURNS TRIGGER AS \$\$
-      BEGIN
-        NEW.updated_at = NOW();
-        RETURN NEW;
-      END;
-      \$\$ language 'plpgsql';
-
-      -- Apply triggers to all tables
-      DROP TRIGGER IF EXISTS update_leads_updated_at ON leads;
-      CREATE TRIGGER update_leads_updated_at
-        BEFORE UPDATE ON leads
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-
-      DROP TRIGGER IF EXISTS update_memories_updated_at ON agent_memories;
-      CREATE TRIGGER update_memories_updated_at
-        BEFORE UPDATE ON agent_memories
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-
-      DROP TRIGGER IF EXISTS update_interactions_updated_at ON lead_interactions;
-      CREATE TRIGGER update_interactions_updated_at
-        BEFORE UPDATE ON lead_interactions
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-
-      DROP TRIGGER IF EXISTS update_metrics_updated_at ON business_metrics;
-      CREATE TRIGGER update_metrics_updated_at
-        BEFORE UPDATE ON business_metrics
-        FOR EACH ROW
-        EXECUTE FUNCTION update_updated_at_column();
-    `;
+    console.log('🏗️  Applying database migrations...');
 
-    // Execute table creation
-    for (const table of tables) {
-      try {
-        // Check if we have service role key for RPC
-        if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-          const { error } = await this.supabase.rpc('exec_sql', { sql: table.sql });
-          
-          if (error) {
-            console.log(`  ⚠️  Could not create ${table.name} via RPC: ${error.message}`);
-            console.log(`  💡  Please run the SQL commands manually in your Supabase SQL editor`);
-          } else {
-            console.log(`  ✅ Created table: ${table.name}`);
-          }
-        } else {
-          console.log(`  ⚠️  ${table.name}: Requires SUPABASE_SERVICE_ROLE_KEY for automatic creation`);
-          console.log(`  💡  Please run schema.sql manually in your Supabase SQL editor`);
-        }
-      } catch (error) {
-        console.log(`  ⚠️  ${table.name}: ${error.message}`);
-        console.log(`  💡  This is normal with placeholder credentials - run schema.sql manually when ready`);
-      }
+    if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      console.log('  ⚠️  Requires SUPABASE_SERVICE_ROLE_KEY for automatic migrations');
+      console.log('  💡  Add it to .env and run: npm run migrate');
+      console.log('✅ Database setup completed\n');
+      return;
     }
 
-    // Setup triggers
     try {
-      if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-        const { error } = await this.supabase.rpc('exec_sql', { sql: triggerSQL });
-        if (!error) {
-          console.log('  ✅ Created update triggers');
-        } else {
-          console.log(`  ⚠️  Triggers: ${error.message}`);
-          console.log(`  💡  Please run schema.sql manually for triggers`);
-        }
+      const storage = new SupabaseStorage({ client: this.supabase });
+      const applied = await new Migrator(storage).migrate();
+
+      if (applied.length === 0) {
+        console.log('  ✅ Database schema is up to date');
       } else {
-        console.log('  ⚠️  Triggers: Requires SUPABASE_SERVICE_ROLE_KEY for automatic creation');
-        console.log('  💡  Please run schema.sql manually in your Supabase SQL editor');
+        applied.forEach(migration => console.log(`  ✅ Applied migration ${migration.version}: ${migration.description}`));
       }
     } catch (error) {
-      console.log(`  ⚠️  Triggers: ${error.message}`);
-      console.log(`  💡  This is normal with placeholder credentials - run schema.sql manually when ready`);
+      console.log(`  ⚠️  Migrations: ${error.message}`);
+      console.log('  💡  Create the exec_sql function (see src/storage/migrator.js), then run: npm run migrate');
     }
 
     console.log('✅ Database setup completed\n');
@@ -77,7 +77,7 @@ class TestRunner {
       'src/agent.js',
       'package.json',
       '.env.example',
-      'schema.sql',
+      'migrations/001_initial_schema.js',
       'README.md'
     ];
 
@@ -93,6 +93,7 @@ class TestRunner {
     const requiredDirs = [
       'src',
       'scripts',
+      'migrations',
       'logs'
     ];
 
@@ -2,7 +2,12 @@
 
 /**
  * Forward Horizon AI Agent
- * An intelligent business assistant with memory, internet access, and automation
+ * An intelligent business assistant with memory, internet access, and automation.
+ *
+ * This is the single server for the project. The core (leads, inbound SMS,
+ * memory, status, website) is always on; chat, SMS, voice, calendar, CRM,
+ * campaigns and dashboard are feature modules switched on or off with
+ * ENABLED_MODULES / DISABLED_MODULES (see src/modules/index.js).
  */
 
 const express = require('express');
@@ -12,11 +17,24 @@ require('dotenv').config();
 
 // Core modules
 const Memory = require('./memory/memory');
+const ConversationMemory = require('./memory/conversation-memory');
 const InternetAccess = require('./internet/web-access');
 const EmailManager = require('./email/enhanced-email-manager');
 const TaskAutomation = require('./automation/task-automation');
+const MessageQueue = require('./automation/message-queue');
 const BusinessLogic = require('./business/business-logic');
+const LeadLifecycle = require('./business/lead-lifecycle');
+const LeadDeduplicator = require('./business/lead-dedup');
+const ConsentManager = require('./business/consent-manager');
+const CrisisManager = require('./business/crisis-manager');
+const SMSInbox = require('./business/sms-inbox');
+const { getBusinessProfile } = require('./business/business-profile');
 const AICore = require('./ai/ai-core');
+const LeadExtractor = require('./ai/lead-extractor');
+const ToolRegistry = require('./ai/tool-registry');
+const KnowledgeBase = require('./ai/knowledge-base');
+const PromptRegistry = require('./ai/prompt-registry');
+const SafetyClassifier = require('./ai/safety-classifier');
 const Logger = require('./utils/logger');
 const Dashboard = require('./dashboard/dashboard');
 const SMSManager = require('./integrations/sms-manager');
@@ -24,11 +42,86 @@ const CalendarManager = require('./integrations/calendar-manager');
 const VoiceAI = require('./integrations/voice-ai');
 const AnalyticsEngine = require('./analytics/analytics-engine');
 const CRMIntegration = require('./integrations/crm-integration');
+const { getStorage } = require('./storage/storage');
+const Migrator = require('./storage/migrator');
+const { resolveModules, createModules } = require('./modules');
+const Hooks = require('./utils/hooks');
+const AuthManager = require('./auth/auth-manager');
+const WebhookVerifier = require('./auth/webhook-verifier');
+const WebhookEvents = require('./storage/webhook-events');
+
+// Lead fields accepted from public intake forms
+const LEAD_INTAKE_FIELDS = [
+  'name', 'email', 'phone', 'source', 'message', 'chat_session_id',
+  'is_veteran', 'in_recovery', 'is_reentry', 'currently_homeless', 'eviction_risk',
+  'employment_status', 'income_qualified', 'household_size', 'has_family',
+  'housing_status', 'move_in_date', 'preferred_contact_method'
+];
+
+// Website pages served from the repository root
+const WEBSITE_PAGES = {
+  '/demo': 'demo-enhanced.html',
+  '/enhanced': 'theforwardhorizon-enhanced.html',
+  '/complete': 'theforwardhorizon-complete-enhanced.html',
+  '/final': 'theforwardhorizon-readable-enhanced.html',
+  '/ultimate': 'theforwardhorizon-ultimate-enhanced.html',
+  '/nextlevel': 'theforwardhorizon-nextlevel.html',
+  '/perfect': 'theforwardhorizon-perfect.html',
+  '/spaced': 'theforwardhorizon-spaced.html',
+  '/clean': 'theforwardhorizon-clean.html',
+  '/enhanced-final': 'theforwardhorizon-enhanced-final.html',
+  '/': 'theforwardhorizon-enhanced-final.html'
+};
 
 class ForwardHorizonAIAgent {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
-    this.port = process.env.PORT || 3000;
+    this.port = options.port !== undefined ? options.port : (process.env.PORT || 3000);
+    // API requests allowed per client IP every 15 minutes
+    this.rateLimit = options.rateLimit || 100;
+    
+    // Shared storage backend (Supabase or local file, chosen by STORAGE_BACKEND)
+    this.storage = options.storage || getStorage();
+    
+    // Name, contacts, programs, hours and holidays (throws if the profile file is invalid)
+    this.profile = getBusinessProfile();
+    
+    // Feature modules and the hooks they subscribe to
+    this.moduleNames = resolveModules(options.modules);
+    this.modules = [];
+    this.hooks = new Hooks();
+    this.lifecycle = new LeadLifecycle(this.storage, this.hooks);
+    this.dedup = new LeadDeduplicator(this.storage, this.hooks);
+    this.auth = new AuthManager(this.storage);
+    this.webhooks = new WebhookVerifier();
+    this.webhookEvents = new WebhookEvents(this.storage);
+    this.consent = new ConsentManager(this.storage, this.hooks);
+    this.conversations = new ConversationMemory(this.storage, {
+      summarize: async (summary, messages) => (await this.getAI()).summarizeConversation(summary, messages)
+    });
+    this.tools = new ToolRegistry(this);
+    this.knowledge = new KnowledgeBase(this.storage);
+    this.prompts = new PromptRegistry(this.storage);
+    
+    // Crisis screening of inbound messages (throws if config/safety-rules.json is invalid)
+    this.crisis = new CrisisManager(this.storage, {
+      classifier: new SafetyClassifier({
+        scoreWithModel: async (text, categories) => (await this.getAI()).scoreSafety(text, categories)
+      }),
+      page: incident => this.pageOnCall(incident)
+    });
+    
+    // Two-way SMS/WhatsApp threads that staff can take over from the AI
+    this.inbox = new SMSInbox(this.storage, {
+      send: (thread, body, options) => this.sendToThread(thread, body, options)
+    });
+    
+    // Texts sent later (scheduled SMS, appointment reminders), stored until due
+    this.messageQueue = new MessageQueue(this.storage, {
+      send: message => this.sendScheduledMessage(message)
+    });
+    this.server = null;
+    this.timers = [];
     
     // Lazy-loaded components (initialized only when needed)
     this._memory = null;
@@ -43,6 +136,7 @@ class ForwardHorizonAIAgent {
     this._voice = null;
     this._analytics = null;
     this._crm = null;
+    this._leadExtractor = null;
     
     this.logger = new Logger('AI-Agent');
     this.isRunning = false;
@@ -55,7 +149,7 @@ class ForwardHorizonAIAgent {
   // Lazy initialization getters
   async getMemory() {
     if (!this._memory) {
-      this._memory = new Memory();
+      this._memory = new Memory(this.storage);
       if (!this.initializedComponents.has('memory')) {
         await this._memory.initialize();
         this.initializedComponents.add('memory');
@@ -77,7 +171,7 @@ class ForwardHorizonAIAgent {
 
   async getEmail() {
     if (!this._email) {
-      this._email = new EmailManager();
+      this._email = new EmailManager(this.storage, { lifecycle: this.lifecycle, consent: this.consent });
       if (!this.initializedComponents.has('email')) {
         await this._email.initialize();
         this.initializedComponents.add('email');
@@ -99,7 +193,7 @@ class ForwardHorizonAIAgent {
 
   async getBusiness() {
     if (!this._business) {
-      this._business = new BusinessLogic();
+      this._business = new BusinessLogic(this.storage, { lifecycle: this.lifecycle });
       if (!this.initializedComponents.has('business')) {
         await this._business.initialize();
         this.initializedComponents.add('business');
@@ -110,7 +204,7 @@ class ForwardHorizonAIAgent {
 
   async getAI() {
     if (!this._ai) {
-      this._ai = new AICore();
+      this._ai = new AICore({ prompts: this.prompts });
       if (!this.initializedComponents.has('ai')) {
         await this._ai.initialize();
         this.initializedComponents.add('ai');
@@ -132,7 +226,13 @@ class ForwardHorizonAIAgent {
 
   async getSMS() {
     if (!this._sms) {
-      this._sms = new SMSManager();
+      this._sms = new SMSManager({
+        consent: this.consent,
+        aiAgent: this,
+        inbox: this.inbox,
+        queue: this.messageQueue,
+        onInvalidPhone: (phone, errorCode) => this.markInvalidPhone(phone, errorCode)
+      });
       if (!this.initializedComponents.has('sms')) {
         await this._sms.initialize();
         this.initializedComponents.add('sms');
@@ -143,7 +243,7 @@ class ForwardHorizonAIAgent {
 
   async getCalendar() {
     if (!this._calendar) {
-      this._calendar = new CalendarManager();
+      this._calendar = new CalendarManager({ queue: this.messageQueue });
       if (!this.initializedComponents.has('calendar')) {
         await this._calendar.initialize();
         this.initializedComponents.add('calendar');
@@ -154,7 +254,7 @@ class ForwardHorizonAIAgent {
 
   async getVoice() {
     if (!this._voice) {
-      this._voice = new VoiceAI();
+      this._voice = new VoiceAI(this);
       if (!this.initializedComponents.has('voice')) {
         await this._voice.initialize();
         this.initializedComponents.add('voice');
@@ -189,8 +289,14 @@ class ForwardHorizonAIAgent {
     this.logger.info('🚀 Initializing Forward Horizon AI Agent (Fast Startup Mode)...');
 
     try {
-      // Setup Express server only - components will be lazy-loaded
+      await this.storage.initialize();
+      await this.checkMigrations();
+      await this.initializeAuth();
+      
+      // Setup Express server and feature modules - components will be lazy-loaded
       this.setupServer();
+      this.setupCoreHooks();
+      await this.loadModules();
       
       this.logger.info('✅ Agent initialized successfully - Components will load on-demand');
       this.logger.info('🏃‍♂️ Fast startup complete! Server ready in milliseconds instead of seconds');
@@ -201,25 +307,183 @@ class ForwardHorizonAIAgent {
     }
   }
 
+  /**
+   * Warn about pending migrations, or apply them when AUTO_MIGRATE=true
+   */
+  async checkMigrations() {
+    const migrator = new Migrator(this.storage);
+
+    if (process.env.AUTO_MIGRATE === 'true') {
+      const applied = await migrator.migrate();
+      if (applied.length > 0) {
+        this.logger.database(`Applied ${applied.length} pending migration(s)`);
+      }
+      return;
+    }
+
+    try {
+      const pending = await migrator.getPending();
+      if (pending.length > 0) {
+        this.logger.warn(`${pending.length} database migration(s) pending - ` +
+          'run "npm run migrate" or set AUTO_MIGRATE=true');
+      }
+    } catch (error) {
+      this.logger.warn('Could not check database migrations:', error.message);
+    }
+  }
+
+  async initializeAuth() {
+    try {
+      await this.auth.initialize();
+    } catch (error) {
+      // Protected routes fail closed until staff accounts can be loaded
+      this.logger.error('Staff authentication unavailable:', error.message);
+    }
+  }
+
   setupServer() {
     // Middleware
-    this.app.use(cors());
-    this.app.use(express.json());
-    this.app.use(express.static('public'));
+    // The raw body is kept for webhook signatures computed over it
+    const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+    this.app.use(express.json({ verify: keepRawBody }));
+    this.app.use(express.urlencoded({ extended: true, verify: keepRawBody })); // Twilio webhooks
+    this.app.use(express.static(path.join(__dirname, '../public')));
+    this.setupSecurityMiddleware();
+
+    // Staff sign-in; public chat, intake and webhooks stay open
+    this.auth.setupRoutes(this.app);
+    this.consent.setupRoutes(this.app);
 
     // API Routes
     this.setupRoutes();
   }
 
+  setupSecurityMiddleware() {
+    // CORS configuration
+    this.app.use(cors({
+      origin: process.env.ALLOWED_ORIGINS ?
+        process.env.ALLOWED_ORIGINS.split(',') :
+        ['http://localhost:3000', 'https://theforwardhorizon.com'],
+      credentials: true
+    }));
+    
+    // Basic security headers
+    this.app.use((req, res, next) => {
+      res.setHeader('X-Content-Type-Options', 'nosniff');
+      res.setHeader('X-Frame-Options', 'DENY');
+      res.setHeader('X-XSS-Protection', '1; mode=block');
+      next();
+    });
+    
+    // Simple rate limiting
+    const rateLimitMap = new Map();
+    this.app.use('/api/', (req, res, next) => {
+      const ip = req.ip || req.connection.remoteAddress;
+      const now = Date.now();
+      const windowMs = 15 * 60 * 1000; // 15 minutes
+      const maxRequests = this.rateLimit;
+      
+      const requests = (rateLimitMap.get(ip) || []).filter(time => now - time < windowMs);
+      
+      if (requests.length >= maxRequests) {
+        return res.status(429).json({
+          error: 'Too many requests, please try again later.'
+        });
+      }
+      
+      requests.push(now);
+      rateLimitMap.set(ip, requests);
+      
+      next();
+    });
+  }
+
+  /**
+   * Hooks that belong to the core rather than any feature module
+   */
+  setupCoreHooks() {
+    this.hooks.on('lead:created', async (lead) => {
+      const email = await this.getEmail();
+      if (email.initialized) {
+        await email.sendWelcomeEmail(lead);
+      }
+    });
+
+    // Leads from a web chat count towards the prompt version that chatted with them
+    this.hooks.on('lead:created', async (lead) => {
+      if (lead.chat_session_id) {
+        await this.recordOutcome({ channel: 'chat', id: lead.chat_session_id }, 'lead_created');
+      }
+    });
+
+    // Texts from a new lead's number show up under the lead in the inbox
+    this.hooks.on('lead:created', async (lead) => {
+      if (lead.phone) {
+        await this.inbox.linkLead(lead.phone, lead.id);
+      }
+    });
+
+    this.hooks.on('lead:merged', async ({ lead, duplicate }) => {
+      if (duplicate) {
+        await this.inbox.reassignLead(duplicate.id, lead.id);
+      }
+    });
+
+    // Approved leads leave the nurture sequence
+    this.hooks.on('lead:approved', async ({ lead }) => {
+      const email = await this.getEmail();
+      await email.stopNurture(lead.id, 'approved');
+    });
+
+    // Lost leads get no further follow-ups or appointment reminders
+    this.hooks.on('lead:lost', async ({ lead, context }) => {
+      const business = await this.getBusiness();
+      await business.cancelPendingInteractions(lead.id, null, context.reason);
+      // Reminders are queued even when the calendar hasn't been loaded since a restart
+      await this.messageQueue.cancel({ leadId: lead.id, kind: CalendarManager.REMINDER_KIND });
+    });
+
+    // Unsubscribing from email also cancels queued follow-up emails
+    this.hooks.on('lead:consent_changed', async (consent) => {
+      if (consent.lead_id && consent.channel === 'email' && consent.status === 'revoked') {
+        const email = await this.getEmail();
+        await email.stopNurture(consent.lead_id, `unsubscribed via ${consent.source}`);
+      }
+    });
+  }
+
+  /**
+   * Instantiate and set up the enabled feature modules
+   */
+  async loadModules() {
+    this.modules = createModules(this, this.moduleNames);
+    
+    for (const module of this.modules) {
+      try {
+        await module.setup(this.app);
+        this.logger.info(`🧩 Module enabled: ${module.name}`);
+      } catch (error) {
+        this.logger.error(`Module ${module.name} failed to load:`, error.message);
+      }
+    }
+  }
+
+  getModuleNames() {
+    return this.modules.map(module => module.name);
+  }
+
   setupRoutes() {
     // Agent status and control
     this.app.get('/api/status', async (req, res) => {
       try {
         const status = {
           status: this.isRunning ? 'active' : 'inactive',
+          version: require('../package.json').version,
           uptime: process.uptime(),
           lastActivity: this.lastActivity,
-          initializedComponents: Array.from(this.initializedComponents)
+          modules: this.getModuleNames(),
+          initializedComponents: Array.from(this.initializedComponents),
+          storage: this.storage.getStats()
         };
         
         // Only get stats from initialized components to avoid unnecessary initialization
@@ -243,7 +507,7 @@ class ForwardHorizonAIAgent {
     });
 
     // Start/stop agent
-    this.app.post('/api/control/:action', async (req, res) => {
+    this.app.post('/api/control/:action', this.auth.require('agent:control'), async (req, res) => {
       const { action } = req.params;
       
       try {
@@ -262,7 +526,7 @@ class ForwardHorizonAIAgent {
     });
 
     // Memory operations
-    this.app.get('/api/memory', async (req, res) => {
+    this.app.get('/api/memory', this.auth.require('memory:read'), async (req, res) => {
       try {
         const memory = await this.getMemory();
         const memories = await memory.getRecentMemories();
@@ -272,7 +536,7 @@ class ForwardHorizonAIAgent {
       }
     });
 
-    this.app.post('/api/memory', async (req, res) => {
+    this.app.post('/api/memory', this.auth.require('memory:write'), async (req, res) => {
       const { content, type, importance } = req.body;
       
       // Input validation
@@ -296,283 +560,625 @@ class ForwardHorizonAIAgent {
       res.json(storedMemory);
     });
 
-    // Chat with agent
-    this.app.post('/api/chat', async (req, res) => {
-      const { message, context } = req.body;
-      
-      // Input validation
+    // Staff assistant - the AI can act on leads, tasks and memory within the user's permissions
+    this.app.post('/api/assistant', this.auth.require('dashboard:act'), async (req, res) => {
+      const { message } = req.body || {};
       if (!message || typeof message !== 'string' || message.length > 5000) {
         return res.status(400).json({ error: 'Invalid message: must be a string under 5000 characters' });
       }
       
       try {
-        const response = await this.processMessage(message, context);
+        const response = await this.processMessage(message, { channel: 'staff', actor: req.user });
         res.json({ response });
       } catch (error) {
-        this.logger.error('Chat API error:', error.message);
+        this.logger.error('Assistant error:', error.message);
         res.status(500).json({ error: 'Internal server error' });
       }
     });
 
-    // Business operations
-    this.app.get('/api/business/leads', async (req, res) => {
+    // Audit log of actions the AI assistant took through its tools
+    this.app.get('/api/ai/tool-calls', this.auth.require('assistant:audit'), async (req, res) => {
       try {
-        const business = await this.getBusiness();
-        const leads = await business.getLeads();
-        res.json(leads);
+        const { tool, channel } = req.query;
+        const calls = await this.tools.getCalls({
+          tool,
+          channel,
+          limit: Math.min(parseInt(req.query.limit) || 50, 200),
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json(calls);
       } catch (error) {
-        res.status(500).json({ error: 'Failed to retrieve leads' });
+        this.logger.error('Failed to load AI tool calls:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve AI tool calls' });
       }
     });
 
-    this.app.get('/api/business/tasks', async (req, res) => {
+    // Business profile - public details for the website and widgets, edited by staff
+    this.app.get('/api/business/profile', (req, res) => {
+      res.json(this.profile.get());
+    });
+
+    this.app.patch('/api/business/profile', this.auth.require('business:manage'), async (req, res) => {
+      const result = await this.profile.update(req.body, req.user.email);
+
+      if (!result.success) {
+        const code = { invalid_profile: 400 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code, errors: result.errors });
+      }
+
+      res.json(result);
+    });
+
+    // Safety incidents flagged by crisis screening, for staff follow-up
+    this.app.get('/api/safety/incidents', this.auth.require('safety:respond'), async (req, res) => {
       try {
-        const automation = await this.getAutomation();
-        const tasks = await automation.getTasks();
-        res.json(tasks);
+        const incidents = await this.crisis.listIncidents({
+          status: req.query.status || null,
+          limit: Math.min(parseInt(req.query.limit) || 50, 200),
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json(incidents);
       } catch (error) {
-        res.status(500).json({ error: 'Failed to retrieve tasks' });
+        this.logger.error('Failed to load safety incidents:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve safety incidents' });
       }
     });
 
-    // Lead Capture API - This is where live leads are received
-    this.app.post('/api/leads', async (req, res) => {
+    this.app.patch('/api/safety/incidents/:id', this.auth.require('safety:respond'), async (req, res) => {
+      const { status, notes } = req.body || {};
+      const result = await this.crisis.updateIncident(req.params.id, { status, notes }, req.user.email);
+
+      if (!result.success) {
+        const code = { not_found: 404, invalid_status: 400, invalid_notes: 400 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result.incident);
+    });
+
+    // SMS/WhatsApp inbox - threads with unread counts; staff take threads over from the AI and reply by hand
+    this.app.get('/api/inbox/threads', this.auth.require('leads:read'), async (req, res) => {
       try {
-        const leadData = req.body;
-        
-        // Validate required fields
-        if (!leadData.name || !leadData.email) {
-          return res.status(400).json({
-            success: false,
-            error: 'Name and email are required'
-          });
+        const threads = await this.inbox.listThreads({
+          mode: req.query.mode || null,
+          unread: req.query.unread === 'true',
+          leadId: req.query.lead_id || null,
+          limit: Math.min(parseInt(req.query.limit) || 50, 200),
+          offset: parseInt(req.query.offset) || 0
+        });
+        res.json({ threads, unread: await this.inbox.getUnreadCount() });
+      } catch (error) {
+        this.logger.error('Failed to load inbox threads:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve inbox threads' });
+      }
+    });
+
+    this.app.get('/api/inbox/threads/:id', this.auth.require('leads:read'), async (req, res) => {
+      try {
+        const thread = await this.inbox.getThread(req.params.id);
+        if (!thread) {
+          return res.status(404).json({ error: 'Thread not found' });
         }
+        
+        const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+        res.json({ thread, messages: await this.inbox.getMessages(thread.id, limit) });
+      } catch (error) {
+        this.logger.error('Failed to load inbox thread:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve inbox thread' });
+      }
+    });
 
-        // Process the lead through business logic
-        const business = await this.getBusiness();
-        const lead = await business.processNewLead(leadData);
+    const threadActions = {
+      read: id => this.inbox.markRead(id),
+      takeover: (id, actor) => this.inbox.takeOver(id, actor),
+      release: (id, actor) => this.inbox.handBack(id, actor)
+    };
+    for (const [action, run] of Object.entries(threadActions)) {
+      this.app.post(`/api/inbox/threads/:id/${action}`, this.auth.require('messages:send'), async (req, res) => {
+        const result = await run(req.params.id, req.user.email);
         
-        // Log the new lead
-        this.logger.info(`📋 New lead received: ${leadData.name} (${leadData.email})`);
+        if (!result.success) {
+          return res.status(result.code === 'not_found' ? 404 : 500).json({ error: result.error, code: result.code });
+        }
         
-        // Store in memory
-        const memory = await this.getMemory();
-        await memory.store(
-          `New lead: ${leadData.name} from ${leadData.source || 'unknown source'}`,
-          'lead',
-          leadData.is_veteran || leadData.currently_homeless ? 'high' : 'medium'
-        );
+        res.json(result.thread);
+      });
+    }
 
-        // Trigger immediate lead processing with all integrations
-        if (this.initializedComponents.has('automation')) {
-          const automation = await this.getAutomation();
-          if (typeof automation.triggerTask === 'function') {
-            automation.triggerTask('lead_processing');
-          }
-        }
+    this.app.post('/api/inbox/threads/:id/messages', this.auth.require('messages:send'), async (req, res) => {
+      const result = await this.inbox.reply(req.params.id, (req.body || {}).message, req.user.email);
+      
+      if (!result.success) {
+        const codes = { not_found: 404, invalid_message: 400, not_taken_over: 409, no_consent: 409, send_failed: 502 };
+        return res.status(codes[result.code] || 500).json({ error: result.error, code: result.code });
+      }
+      
+      res.json(result);
+    });
 
-        // Auto-sync to CRM systems
-        try {
-          const crm = await this.getCRM();
-          await crm.syncLead(leadData);
-        } catch (error) {
-          this.logger.error('CRM sync failed:', error.message);
-        }
+    // Knowledge base - documents the AI answers program, eligibility, cost and house-rule questions from
+    this.app.get('/api/knowledge', this.auth.require('dashboard:view'), async (req, res) => {
+      try {
+        const documents = await this.knowledge.listDocuments();
+        res.json({ documents, stats: this.knowledge.getStats() });
+      } catch (error) {
+        this.logger.error('Failed to list knowledge documents:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve knowledge documents' });
+      }
+    });
 
-        // Send SMS notification
-        try {
-          const sms = await this.getSMS();
-          await sms.sendLeadNotification(leadData);
-        } catch (error) {
-          this.logger.error('SMS notification failed:', error.message);
-        }
+    this.app.get('/api/knowledge/search', this.auth.require('dashboard:view'), async (req, res) => {
+      const { q } = req.query;
+      if (!q || typeof q !== 'string') {
+        return res.status(400).json({ error: 'Query parameter q is required' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit) || this.knowledge.maxPassages, 20);
+      res.json({ passages: await this.knowledge.search(q, limit) });
+    });
 
-        // Track in analytics
-        try {
-          const analytics = await this.getAnalytics();
-          analytics.trackLead(leadData, 'created');
-        } catch (error) {
-          this.logger.error('Analytics tracking failed:', error.message);
+    this.app.post('/api/knowledge/reindex', this.auth.require('knowledge:manage'), async (req, res) => {
+      try {
+        res.json(await this.knowledge.reindex());
+      } catch (error) {
+        this.logger.error('Failed to re-index knowledge base:', error.message);
+        res.status(500).json({ error: 'Failed to re-index knowledge base' });
+      }
+    });
+
+    this.app.get('/api/knowledge/:id', this.auth.require('dashboard:view'), async (req, res) => {
+      try {
+        const document = await this.knowledge.getDocument(req.params.id);
+        if (!document) {
+          return res.status(404).json({ error: 'Knowledge document not found' });
         }
+        res.json(document);
+      } catch (error) {
+        this.logger.error('Failed to load knowledge document:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve knowledge document' });
+      }
+    });
 
-        res.json({
-          success: true,
-          lead: {
-            id: lead.id,
-            name: lead.name,
-            status: lead.status,
-            score: lead.score || 0,
-            next_action: lead.next_action
-          },
-          message: 'Lead successfully captured and processing initiated'
-        });
+    this.app.put('/api/knowledge/:id', this.auth.require('knowledge:manage'), async (req, res) => {
+      const result = await this.knowledge.saveDocument(req.params.id, req.body || {}, req.user.email);
+
+      if (!result.success) {
+        const code = { invalid_document: 400 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
 
+      res.json(result);
+    });
+
+    this.app.delete('/api/knowledge/:id', this.auth.require('knowledge:manage'), async (req, res) => {
+      const result = await this.knowledge.removeDocument(req.params.id, req.user.email);
+
+      if (!result.success) {
+        const code = { not_found: 404 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result);
+    });
+
+    // Prompt registry - versioned templates, their traffic split and outcomes
+    this.app.get('/api/prompts', this.auth.require('dashboard:view'), async (req, res) => {
+      try {
+        res.json(await this.prompts.listPrompts());
       } catch (error) {
-        this.logger.error('Failed to process new lead:', error);
-        res.status(500).json({
-          success: false,
-          error: 'Failed to process lead',
-          details: error.message
-        });
+        this.logger.error('Failed to list prompts:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve prompts' });
       }
     });
 
-    // SMS & WhatsApp Routes
-    this.app.post('/api/sms/send', async (req, res) => {
+    this.app.get('/api/prompts/:name', this.auth.require('dashboard:view'), async (req, res) => {
       try {
-        const { to, message, type = 'sms' } = req.body;
-        const sms = await this.getSMS();
-        
-        const result = type === 'whatsapp' 
-          ? await sms.sendWhatsApp(to, message)
-          : await sms.sendSMS(to, message);
-        
-        res.json(result);
+        const prompt = await this.prompts.getPrompt(req.params.name);
+        if (!prompt) {
+          return res.status(404).json({ error: 'Prompt not found' });
+        }
+        res.json(prompt);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('Failed to load prompt:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve prompt' });
       }
     });
 
-    this.app.post('/api/sms/webhook', async (req, res) => {
+    this.app.get('/api/prompts/:name/metrics', this.auth.require('analytics:read'), async (req, res) => {
       try {
-        const { From, Body, MessageSid } = req.body;
-        const sms = await this.getSMS();
-        await sms.handleIncomingMessage(From, Body);
-        res.status(200).send('OK');
+        const days = Math.min(parseInt(req.query.days) || 30, 365);
+        res.json({ name: req.params.name, days, versions: await this.prompts.getMetrics(req.params.name, { days }) });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('Failed to load prompt metrics:', error.message);
+        res.status(500).json({ error: 'Failed to retrieve prompt metrics' });
       }
     });
 
-    // Voice AI Routes
-    this.app.post('/api/voice/incoming', async (req, res) => {
+    this.app.post('/api/prompts/:name/versions', this.auth.require('prompts:manage'), async (req, res) => {
+      const result = await this.prompts.createVersion(req.params.name, req.body || {}, req.user.email);
+
+      if (!result.success) {
+        const code = { not_found: 404, invalid_prompt: 400 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result.version);
+    });
+
+    this.app.patch('/api/prompts/:name/versions/:version', this.auth.require('prompts:manage'), async (req, res) => {
+      const { weight, description } = req.body || {};
+      const result = await this.prompts.updateVersion(
+        req.params.name, req.params.version, { weight, description }, req.user.email
+      );
+
+      if (!result.success) {
+        const code = { not_found: 404, invalid_prompt: 400 }[result.code] || 500;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result.version);
+    });
+
+    // Business operations
+    this.app.get('/api/business/leads', this.auth.require('leads:read'), async (req, res) => {
       try {
-        const { CallSid, From, To } = req.body;
-        const voice = await this.getVoice();
-        const response = await voice.handleIncomingCall(CallSid, From, To);
-        res.set('Content-Type', 'text/xml');
-        res.send(response);
+        const business = await this.getBusiness();
+        const leads = await business.getLeads();
+        res.json(leads);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve leads' });
       }
     });
 
-    this.app.post('/api/voice/gather', async (req, res) => {
+    this.app.get('/api/business/tasks', this.auth.require('tasks:read'), async (req, res) => {
       try {
-        const { CallSid, SpeechResult, Confidence } = req.body;
-        const voice = await this.getVoice();
-        const response = await voice.processSpeechInput(CallSid, SpeechResult, parseFloat(Confidence));
-        res.set('Content-Type', 'text/xml');
-        res.send(response);
+        const automation = await this.getAutomation();
+        const tasks = await automation.getTasks();
+        res.json(tasks);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve tasks' });
       }
     });
 
-    // Calendar Routes
-    this.app.get('/api/calendar/slots', async (req, res) => {
+    // Lead Capture API - This is where live leads are received
+    this.app.post('/api/leads', async (req, res) => {
       try {
-        const { date, days = 7 } = req.query;
-        const calendar = await this.getCalendar();
-        const slots = await calendar.getAvailableSlots(date ? new Date(date) : new Date(), parseInt(days));
-        res.json(slots);
+        const leadData = req.body || {};
+        
+        const validationError = this.validateLead(leadData);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        // Public form: whoever typed these details may not be their owner, so a
+        // match is never merged here and no stored lead is sent back
+        const { merged, review } = await this.intakeLead(leadData, { verified: false });
+        
+        res.json({ success: true, merged, needs_review: Boolean(review) });
+
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('Failed to process new lead:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to process lead',
+          details: error.message
+        });
       }
     });
 
-    this.app.post('/api/calendar/book', async (req, res) => {
+    this.app.get('/api/leads', this.auth.require('leads:read'), async (req, res) => {
       try {
-        const { leadData, slot } = req.body;
-        const calendar = await this.getCalendar();
-        const appointment = await calendar.bookAppointment(leadData, slot);
-        res.json(appointment);
+        const business = await this.getBusiness();
+        const leads = await business.getLeads({
+          limit: parseInt(req.query.limit) || 100,
+          offset: parseInt(req.query.offset) || 0,
+          status: req.query.status || null
+        });
+        res.json(leads);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve leads' });
       }
     });
 
-    // Analytics Routes
-    this.app.get('/api/analytics/dashboard', async (req, res) => {
+    this.app.get('/api/leads/duplicates', this.auth.require('leads:read'), async (req, res) => {
       try {
-        const analytics = await this.getAnalytics();
-        const metrics = analytics.getDashboardMetrics();
-        res.json(metrics);
+        const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+        res.json(await this.dedup.getReviews(status));
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        res.status(500).json({ error: 'Failed to retrieve duplicate reviews' });
       }
     });
 
-    this.app.get('/api/analytics/funnel', async (req, res) => {
+    const resolveDuplicateRoute = '/api/leads/duplicates/:id/:decision(approve|reject)';
+    this.app.post(resolveDuplicateRoute, this.auth.require('leads:write'), async (req, res) => {
       try {
-        const { timeframe = '30d' } = req.query;
-        const analytics = await this.getAnalytics();
-        const funnel = analytics.getConversionFunnel(timeframe);
-        res.json(funnel);
+        const result = await this.dedup.resolveReview(req.params.id, req.params.decision, req.user.email);
+
+        if (!result.success) {
+          const code = { not_found: 404, already_resolved: 409 }[result.code] || 500;
+          return res.status(code).json({ error: result.error, code: result.code });
+        }
+
+        res.json(result);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('Failed to resolve duplicate review:', error);
+        res.status(500).json({ error: 'Failed to resolve duplicate review' });
       }
     });
 
-    this.app.post('/api/analytics/track', async (req, res) => {
+    this.app.post('/api/leads/:id/status', this.auth.require('leads:write'), async (req, res) => {
+      const { status, ...context } = req.body || {};
+
+      if (!status) {
+        return res.status(400).json({ error: 'status is required' });
+      }
+
+      const result = await this.lifecycle.transition(req.params.id, status, {
+        ...context,
+        actor: req.user.email
+      });
+
+      if (!result.success) {
+        const code = { not_found: 404, error: 500 }[result.code] || 400;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result);
+    });
+
+    this.app.get('/api/leads/:id/history', this.auth.require('leads:read'), async (req, res) => {
+      const history = await this.lifecycle.getHistory(req.params.id);
+      res.json(history);
+    });
+
+    this.app.get('/api/leads/:id/consent', this.auth.require('leads:read'), async (req, res) => {
       try {
-        const { event, data } = req.body;
-        const analytics = await this.getAnalytics();
-        
-        switch (event) {
-          case 'lead':
-            analytics.trackLead(data.lead, data.event);
-            break;
-          case 'conversion':
-            analytics.trackConversion(data.leadId, data.type, data.value);
-            break;
-          case 'email':
-            analytics.trackEmail(data.emailId, data.event, data);
-            break;
-          default:
-            return res.status(400).json({ error: 'Invalid event type' });
+        const lead = await this.storage.findOne('leads', { where: { id: req.params.id } });
+        if (!lead) {
+          return res.status(404).json({ error: `Lead ${req.params.id} not found` });
         }
         
-        res.json({ success: true });
+        res.json({
+          consent: await this.consent.getConsent(lead),
+          history: await this.consent.getHistory(lead.id)
+        });
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('Failed to load consent:', error);
+        res.status(500).json({ error: 'Failed to load consent' });
       }
     });
 
-    // CRM Routes
-    this.app.post('/api/crm/sync', async (req, res) => {
+    // Staff record consent given or withdrawn outside the system (phone call, paper form)
+    this.app.post('/api/leads/:id/consent', this.auth.require('leads:write'), async (req, res) => {
+      const { channel, status, note } = req.body || {};
+      const result = await this.consent.record({
+        leadId: req.params.id,
+        channel,
+        status,
+        source: 'staff',
+        details: { actor: req.user.email, note: note || null }
+      });
+      
+      if (!result.success) {
+        const code = { not_found: 404, error: 500 }[result.code] || 400;
+        return res.status(code).json({ error: result.error, code: result.code });
+      }
+
+      res.json(result);
+    });
+
+    // Inbound SMS & WhatsApp (Twilio) - replies via TwiML
+    this.app.post('/api/sms/webhook', this.twilioWebhook(req => req.body.MessageSid), async (req, res) => {
       try {
-        const { leadData } = req.body;
-        const crm = await this.getCRM();
-        const results = await crm.syncLead(leadData);
-        res.json(results);
+        const { From, Body } = req.body;
+        const type = (From || '').startsWith('whatsapp:') ? 'whatsapp' : 'sms';
+        const sms = await this.getSMS();
+        const reply = await sms.handleIncomingMessage(From || 'Unknown', Body || '', type);
+        
+        // Inquiries become leads; repeat texts from the same number merge into one
+        if (From && sms.isLeadInquiry(Body)) {
+          await this.intakeSMSLead(From, Body, type)
+            .catch(error => this.logger.error('SMS lead intake failed:', error.message));
+        }
+        
+        res.set('Content-Type', 'text/xml');
+        res.send(this.buildMessageTwiML(reply));
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('SMS webhook error:', error.message);
+        res.status(500).send('Error processing SMS');
       }
     });
 
-    this.app.post('/api/crm/webhook/:crmName', async (req, res) => {
+    // Twilio delivery status callbacks for sent texts (queued -> sent -> delivered / undelivered / failed)
+    const statusEvent = req => req.body.MessageSid && `${req.body.MessageSid}:${req.body.MessageStatus}`;
+    this.app.post('/api/sms/status', this.twilioWebhook(statusEvent), async (req, res) => {
       try {
-        const { crmName } = req.params;
-        const crm = await this.getCRM();
-        await crm.processWebhook(crmName, req.body);
-        res.status(200).send('OK');
+        const sms = await this.getSMS();
+        const update = await sms.handleStatusCallback(req.body);
+        if (update.changed) {
+          await this.hooks.emit('sms:status', update);
+        }
+        res.sendStatus(204);
       } catch (error) {
-        res.status(500).json({ error: error.message });
+        this.logger.error('SMS status callback error:', error.message);
+        res.status(500).send('Error processing SMS status');
       }
     });
 
-    // Enhanced Lead Processing with Integrations
-    const originalLeadsRoute = this.app._router.stack.find(layer => 
-      layer.route && layer.route.path === '/api/leads' && layer.route.methods.post
-    );
+    // Website pages
+    for (const [route, file] of Object.entries(WEBSITE_PAGES)) {
+      this.app.get(route, (req, res) => {
+        res.sendFile(path.join(__dirname, '..', file));
+      });
+    }
+  }
+
+  /**
+   * Guards for a Twilio webhook route: the request must carry a valid
+   * signature, and each delivery (named by `eventIdOf(req)`) is handled once.
+   * A repeat that arrives while the first is still running is redirected back
+   * here with the event id until the first delivery's response is stored.
+   */
+  twilioWebhook(eventIdOf) {
+    const eventOf = req => req.query.webhook_event || eventIdOf(req);
+    return [
+      this.webhooks.require('twilio'),
+      this.webhookEvents.once('twilio', eventOf, {
+        duplicate: (req, res) => res.type('text/xml').send(this.buildHoldingTwiML(req, eventOf(req)))
+      })
+    ];
+  }
 
-    // Dashboard
-    this.app.get('/', (req, res) => {
-      res.sendFile(path.join(__dirname, '../public/dashboard.html'));
+  /**
+   * TwiML that asks Twilio to request the same webhook again shortly; calls
+   * pause first, messages (which can't) are redirected straight away
+   */
+  buildHoldingTwiML(req, eventId) {
+    const url = `${req.baseUrl}${req.path}?webhook_event=${encodeURIComponent(eventId)}`;
+    const pause = req.body.CallSid ? '\n    <Pause length="1"/>' : '';
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>${pause}
+    <Redirect method="POST">${this.escapeXml(url)}</Redirect>
+</Response>`;
+  }
+
+  /**
+   * Lead from an inbound text, with details pulled from everything the
+   * sender has texted in this conversation
+   */
+  async intakeSMSLead(from, body, type) {
+    const conversation = await this.conversations.load(type, from);
+    const texts = conversation.messages.filter(message => message.role === 'user').map(message => message.content);
+    if (texts[texts.length - 1] !== body) texts.push(body);
+    
+    const extracted = await this.extractLeadFields(texts.join('\n'));
+    
+    return await this.intakeLead({
+      name: type === 'whatsapp' ? 'WhatsApp Contact' : 'SMS Contact',
+      ...extracted,
+      phone: from.replace(/^whatsapp:/, ''),
+      source: type,
+      message: body,
+      preferred_contact_method: type
     });
   }
 
+  /**
+   * Lead fields mentioned in conversation text - extracted by the AI core
+   * when it is configured, by LeadExtractor's rules otherwise
+   */
+  async extractLeadFields(text) {
+    if (!this._leadExtractor) {
+      this._leadExtractor = new LeadExtractor(await this.getAI());
+    }
+    
+    const { fields, method } = await this._leadExtractor.extract(text);
+    this.logger.info(`🔎 Extracted ${Object.keys(fields).length} lead field(s) using ${method}`);
+    return fields;
+  }
+
+  validateLead(leadData) {
+    if (!leadData.name || !leadData.email) {
+      return 'Name and email required';
+    }
+    
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (typeof leadData.email !== 'string' || !emailRegex.test(leadData.email)) {
+      return 'Invalid email format';
+    }
+    
+    if (String(leadData.name).length > 100 || leadData.email.length > 254) {
+      return 'Input too long';
+    }
+    
+    return null;
+  }
+
+  /**
+   * Capture a lead from any channel (web form, chat, SMS, voice).
+   * Enabled modules react through the `lead:created` hook. `options.verified`
+   * is passed on to intakeLead.
+   */
+  async createLead(leadData, options = {}) {
+    const { lead } = await this.intakeLead(leadData, options);
+    return lead;
+  }
+
+  /**
+   * Lead intake shared by every channel. A confident match with an existing
+   * person is merged into that lead (no second welcome sequence); an uncertain
+   * match creates the lead and queues it for duplicate review. Contact details
+   * nobody has verified (`verified: false`) never merge: any match is reviewed.
+   */
+  async intakeLead(leadData, { verified = true } = {}) {
+    const intake = this.pickIntakeFields(leadData);
+
+    const match = await this.dedup.findMatch(intake);
+    if (match && match.confidence === 'exact' && verified) {
+      const lead = await this.dedup.mergeIntake(match.lead, intake, match);
+      this.lastActivity = new Date();
+      return { lead, merged: true, review: null };
+    }
+
+    const business = await this.getBusiness();
+    const lead = await business.processNewLead(this.dedup.withKeys(intake));
+    const review = match ? await this.dedup.flagForReview(lead, match) : null;
+    
+    this.logger.info(`📋 New lead received: ${lead.name} (${lead.source || 'unknown source'})`);
+    this.lastActivity = new Date();
+    
+    // Store in memory
+    const memory = await this.getMemory();
+    await memory.store(
+      `New lead: ${lead.name} from ${lead.source || 'unknown source'}`,
+      'lead',
+      lead.is_veteran || lead.currently_homeless ? 'high' : 'medium',
+      { lead_id: lead.id }
+    );
+
+    // Trigger immediate lead processing
+    if (this.initializedComponents.has('automation')) {
+      const automation = await this.getAutomation();
+      if (typeof automation.triggerTask === 'function') {
+        automation.triggerTask('lead_processing');
+      }
+    }
+
+    await this.hooks.emit('lead:created', lead);
+    
+    return { lead, merged: false, review };
+  }
+
+  pickIntakeFields(leadData) {
+    const intake = {};
+    for (const field of LEAD_INTAKE_FIELDS) {
+      if (leadData[field] !== undefined && leadData[field] !== '') {
+        intake[field] = leadData[field];
+      }
+    }
+    return intake;
+  }
+
+  buildMessageTwiML(message) {
+    if (!message) {
+      return '<?xml version="1.0" encoding="UTF-8"?>\n<Response></Response>';
+    }
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<Response>
+    <Message>${this.escapeXml(message)}</Message>
+</Response>`;
+  }
+
+  escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
   async start() {
     if (this.isRunning) {
       this.logger.warn('Agent is already running');
@@ -603,6 +1209,7 @@ class ForwardHorizonAIAgent {
 
     this.logger.info('🔴 Stopping AI Agent...');
     this.isRunning = false;
+    this.stopMonitoring();
     
     // Stop automated tasks if running
     if (this.initializedComponents.has('automation')) {
@@ -614,8 +1221,13 @@ class ForwardHorizonAIAgent {
   }
 
   startMonitoring() {
+    this.stopMonitoring();
+    
+    // Send scheduled texts as they come due, including any queued before a restart
+    this.messageQueue.start();
+    
     // Check for new leads every 5 minutes
-    setInterval(async () => {
+    this.timers.push(setInterval(async () => {
       if (!this.isRunning) return;
       
       try {
@@ -625,10 +1237,10 @@ class ForwardHorizonAIAgent {
       } catch (error) {
         this.logger.error('Error in monitoring loop:', error);
       }
-    }, 5 * 60 * 1000); // 5 minutes
+    }, 5 * 60 * 1000)); // 5 minutes
 
     // Memory cleanup every hour
-    setInterval(async () => {
+    this.timers.push(setInterval(async () => {
       if (!this.isRunning) return;
       
       try {
@@ -636,10 +1248,18 @@ class ForwardHorizonAIAgent {
           const memory = await this.getMemory();
           await memory.cleanup();
         }
+        await this.conversations.cleanup();
+        await this.webhookEvents.cleanup();
       } catch (error) {
         this.logger.error('Error in memory cleanup:', error);
       }
-    }, 60 * 60 * 1000); // 1 hour
+    }, 60 * 60 * 1000)); // 1 hour
+  }
+
+  stopMonitoring() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+    this.messageQueue.stop();
   }
 
   async checkNewLeads() {
@@ -654,21 +1274,10 @@ class ForwardHorizonAIAgent {
       // Store in memory
       if (this.initializedComponents.has('memory')) {
         const memory = await this.getMemory();
-        await memory.store(`New lead: ${lead.name} (${lead.email})`, 'lead', 'high');
+        await memory.store(`New lead: ${lead.name} (${lead.email})`, 'lead', 'high', { lead_id: lead.id });
       }
       
-      // Auto-respond if configured
-      if (business.shouldAutoRespond(lead)) {
-        if (this.initializedComponents.has('email')) {
-          const email = await this.getEmail();
-          await email.sendWelcomeEmail(lead);
-          
-          if (this.initializedComponents.has('memory')) {
-            const memory = await this.getMemory();
-            await memory.store(`Sent welcome email to ${lead.name}`, 'action', 'medium');
-          }
-        }
-      }
+      // Welcome emails are sent at intake by the lead:created hook
       
       // Schedule follow-up
       if (this.initializedComponents.has('automation')) {
@@ -679,15 +1288,18 @@ class ForwardHorizonAIAgent {
   }
 
   async processScheduledTasks() {
-    const tasks = await this.automation.getDueTasks();
+    if (!this.initializedComponents.has('automation')) return;
+    
+    const automation = await this.getAutomation();
+    const tasks = await automation.getDueTasks();
     
     for (const task of tasks) {
       try {
         await this.executeTask(task);
-        await this.automation.markTaskCompleted(task.id);
+        await automation.markTaskCompleted(task.id);
       } catch (error) {
         this.logger.error(`Failed to execute task ${task.id}:`, error);
-        await this.automation.markTaskFailed(task.id, error.message);
+        await automation.markTaskFailed(task.id, error.message);
       }
     }
   }
@@ -697,82 +1309,323 @@ class ForwardHorizonAIAgent {
     
     switch (task.type) {
       case 'send_email':
-        await this.email.sendEmail(task.data);
+        await (await this.getEmail()).sendEmail(task.data);
         break;
       case 'web_research':
-        await this.internet.research(task.data.topic);
+        await (await this.getInternet()).research(task.data.topic);
         break;
       case 'follow_up_lead':
-        await this.business.followUpLead(task.data.leadId);
+        await (await this.getBusiness()).followUpLead(task.data.leadId);
         break;
       case 'generate_report':
-        await this.business.generateReport(task.data.type);
+        await (await this.getBusiness()).generateReport(task.data.type);
         break;
       default:
         throw new Error(`Unknown task type: ${task.type}`);
     }
     
-    await this.memory.store(`Completed task: ${task.type}`, 'action', 'medium');
+    const memory = await this.getMemory();
+    await memory.store(`Completed task: ${task.type}`, 'action', 'medium');
   }
 
   async processMessage(message, context = {}) {
     this.logger.info(`💬 Processing message: ${message.substring(0, 50)}...`);
     
-    // Store message in memory
-    await this.memory.store(`User message: ${message}`, 'conversation', 'medium');
+    const memory = await this.getMemory();
+    const business = await this.getBusiness();
+    const ai = await this.getAI();
     
-    // Get relevant memories for context
-    const relevantMemories = await this.memory.search(message);
+    // Memories relevant to this message and to the lead it is about; people on
+    // public channels never get other people's conversations in their context
+    const subject = await this.getMemorySubject(context);
+    const relevantMemories = await memory.search(message, 3, null, {
+      ...subject,
+      ownConversationOnly: Boolean(context.conversation) || context.channel === 'chat'
+    });
+    const metadata = {
+      ...(subject.leadId && { lead_id: subject.leadId }),
+      ...(subject.conversationKey && { conversation_key: subject.conversationKey })
+    };
+    
+    // Store message in memory
+    await memory.store(`User message: ${message}`, 'conversation', 'medium', metadata);
     
     // Get business context
-    const businessContext = await this.business.getContext();
+    const businessContext = await business.getContext();
+    
+    // Knowledge base passages the AI should answer from (src/ai/knowledge-base.js)
+    const knowledge = await this.knowledge.search(message);
+    
+    // Earlier turns of this conversation ({ channel, id }), if any
+    const conversation = context.conversation
+      ? await this.conversations.load(context.conversation.channel, context.conversation.id)
+      : null;
+    
+    // Actions the AI may take on this channel (src/ai/tool-registry.js)
+    const channel = context.channel || (context.conversation && context.conversation.channel);
+    const tools = channel
+      ? this.tools.forContext({ channel, actor: context.actor, conversation: context.conversation })
+      : null;
     
     // Generate response using AI
-    const response = await this.ai.generateResponse(message, {
+    const response = await ai.generateResponse(message, {
       memories: relevantMemories,
-      business: businessContext,
-      ...context
+      business: businessContext.business,
+      working_hours: businessContext.working_hours,
+      knowledge,
+      ...context,
+      ...(conversation && {
+        history: this.conversations.getHistory(conversation),
+        conversation_summary: conversation.summary
+      }),
+      tools
     });
     
+    // The web chat visitor left before a streamed reply finished
+    if (response === null) return null;
+    
+    if (conversation) {
+      await this.conversations.append(conversation, message, response);
+    }
+    
     // Store response in memory
-    await this.memory.store(`Agent response: ${response}`, 'conversation', 'medium');
+    await memory.store(`Agent response: ${response}`, 'conversation', 'medium', metadata);
     
     return response;
   }
 
-  async listen() {
-    const server = this.app.listen(this.port, () => {
-      this.logger.info(`🌐 AI Agent dashboard available at http://localhost:${this.port}`);
-      this.logger.info(`📊 Status: http://localhost:${this.port}/api/status`);
-      this.logger.info(`💬 Chat: http://localhost:${this.port}/api/chat`);
-    });
+  /**
+   * Lead and conversation a message is about, for ranking and tagging memories
+   */
+  async getMemorySubject(context) {
+    const { conversation } = context;
+    if (!conversation) return { leadId: context.lead_id || null, conversationKey: null };
+    
+    const lead = context.lead_id ? null : await this.findConversationLead(conversation);
+    return {
+      leadId: context.lead_id || (lead && lead.id) || null,
+      conversationKey: `${conversation.channel}:${conversation.id}`
+    };
+  }
 
-    // Graceful shutdown
-    process.on('SIGTERM', async () => {
-      this.logger.info('🛑 Received SIGTERM, shutting down gracefully...');
-      await this.stop();
-      server.close(() => {
-        process.exit(0);
+  /**
+   * Lead behind a conversation: texts match by phone number, web chats by chat session ID
+   */
+  async findConversationLead(conversation) {
+    if (conversation.channel === 'chat') {
+      return await this.storage.findOne('leads', { where: { chat_session_id: String(conversation.id) } });
+    }
+    if (['sms', 'whatsapp'].includes(conversation.channel)) {
+      const phone = this.dedup.matcher.normalizePhone(String(conversation.id));
+      return phone ? await this.storage.findOne('leads', { where: { phone_normalized: phone } }) : null;
+    }
+    return null;
+  }
+
+  /**
+   * Crisis screen for an inbound message from the public ({ channel, id }).
+   * Returns { flagged: false } or the CrisisManager result: when `suppress_ai`
+   * is set the caller replies with `response` instead of an AI reply;
+   * otherwise it passes the result on as `context.safety`.
+   */
+  async screenMessage(message, conversation, details = {}) {
+    try {
+      const lead = conversation.id ? await this.findConversationLead(conversation) : null;
+      const result = await this.crisis.screen(message, {
+        channel: conversation.channel,
+        conversationKey: conversation.id ? `${conversation.channel}:${conversation.id}` : null,
+        leadId: lead ? lead.id : null,
+        contact: details.contact || this.getConversationContact(conversation, lead)
       });
-    });
+      if (result.flagged) {
+        await this.recordOutcome(conversation, 'escalated');
+      }
+      return result;
+    } catch (error) {
+      this.logger.error('Safety screening failed:', error);
+      return { flagged: false };
+    }
+  }
 
-    return server;
+  /**
+   * Credit a conversation outcome ({ channel, id }) to the prompt version
+   * that last replied in it (src/ai/prompt-registry.js)
+   */
+  async recordOutcome(conversation, outcome) {
+    if (!conversation || !conversation.id) return;
+    await this.prompts.recordOutcome(`${conversation.channel}:${conversation.id}`, outcome);
+  }
+
+  /**
+   * Number or address staff can use to reach the person in a conversation
+   */
+  getConversationContact(conversation, lead) {
+    if (['sms', 'whatsapp'].includes(conversation.channel)) {
+      return String(conversation.id).replace(/^whatsapp:/, '');
+    }
+    return lead ? lead.phone || lead.email || null : null;
+  }
+
+  /**
+   * Send a staff reply on an inbox thread over the thread's channel
+   */
+  async sendToThread(thread, body, options = {}) {
+    const sms = await this.getSMS();
+    return thread.channel === 'whatsapp'
+      ? await sms.sendWhatsApp(thread.contact, body, options)
+      : await sms.sendSMS(thread.contact, body, options);
+  }
+
+  /**
+   * Send a queued text that has come due
+   */
+  async sendScheduledMessage(message) {
+    const sms = await this.getSMS();
+    return message.channel === 'whatsapp'
+      ? await sms.sendWhatsApp(message.recipient, message.body)
+      : await sms.sendSMS(message.recipient, message.body);
+  }
+
+  /**
+   * Flag the leads with a number Twilio says can't receive texts, which
+   * costs them LeadScoring's invalidPhone penalty
+   */
+  async markInvalidPhone(phone, errorCode) {
+    const normalized = this.dedup.matcher.normalizePhone(phone);
+    if (!normalized) return [];
+
+    const leads = (await this.storage.find('leads', { where: { phone_normalized: normalized } }))
+      .filter(lead => !lead.phone_invalid);
+    if (leads.length === 0) return [];
+
+    const updated = await this.storage.update('leads', { id: leads.map(lead => lead.id) }, { phone_invalid: true });
+    for (const lead of updated) {
+      await this.storage.insert('lead_interactions', {
+        lead_id: lead.id,
+        interaction_type: 'phone_invalid',
+        interaction_data: { phone: normalized, error_code: errorCode },
+        status: 'completed',
+        completed_at: new Date().toISOString()
+      });
+      this.logger.warn(`📵 Lead ${lead.id} phone ${normalized} marked invalid (Twilio error ${errorCode})`);
+    }
+    return updated;
+  }
+
+  /**
+   * Text and email on-call staff about a safety incident
+   * (SAFETY_ONCALL_PHONES and SAFETY_ONCALL_EMAILS, comma separated)
+   */
+  async pageOnCall(incident) {
+    const list = name => (process.env[name] || '').split(',').map(item => item.trim()).filter(Boolean);
+    const phones = list('SAFETY_ONCALL_PHONES');
+    const emails = list('SAFETY_ONCALL_EMAILS');
+    if (phones.length === 0 && emails.length === 0) {
+      this.logger.warn(`No on-call staff configured to page about safety incident ${incident.id}`);
+      return [];
+    }
+    
+    const subject = `Safety alert: ${incident.label} (${incident.severity}) via ${incident.channel}`;
+    const text = this.formatPage(subject, incident);
+    
+    const results = [];
+    if (phones.length > 0) {
+      const sms = await this.getSMS();
+      for (const phone of phones) {
+        const result = await sms.sendSMS(phone, text, { staffAlert: true });
+        results.push({ channel: 'sms', to: phone, success: result.success, error: result.error || null });
+      }
+    }
+    if (emails.length > 0) {
+      const email = await this.getEmail();
+      for (const address of emails) {
+        const result = await email.sendEmail({ to: address, subject, text });
+        results.push({ channel: 'email', to: address, success: result.success, error: result.error || null });
+      }
+    }
+    
+    this.logger.info(`📟 Paged on-call staff about safety incident ${incident.id}`);
+    return results;
+  }
+
+  formatPage(subject, incident) {
+    const excerpt = incident.last_message.length > 160
+      ? `${incident.last_message.slice(0, 157)}...`
+      : incident.last_message;
+    
+    return `🚨 ${this.profile.name} - ${subject}${incident.contact ? ` from ${incident.contact}` : ''}\n` +
+      `"${excerpt}"\nIncident ${incident.id} - please follow up now.`;
   }
-}
 
-// Handle unhandled promise rejections and uncaught exceptions
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-  process.exit(1);
-});
+  /**
+   * AI reply within a multi-turn conversation keyed by channel and id
+   * (chat session ID, phone number or call SID). Returns null when the
+   * AI core is not configured so callers can fall back to built-in replies.
+   */
+  async processConversationMessage(message, conversation, context = {}) {
+    const ai = await this.getAI();
+    if (!ai.initialized) return null;
+    
+    return await this.processMessage(message, { channel: conversation.channel, ...context, conversation });
+  }
 
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  process.exit(1);
-});
+  /**
+   * AI reply for website chat, or null when the AI core is not configured
+   * so the chat module can fall back to its built-in replies
+   */
+  async processWebChatMessage(message, context = {}) {
+    const ai = await this.getAI();
+    if (!ai.initialized) return null;
+    
+    return await this.processMessage(message, context);
+  }
+
+  async listen() {
+    this.server = this.app.listen(this.port, () => {
+      this.logger.info(`🌐 AI Agent running on http://localhost:${this.server.address().port}`);
+      this.logger.info(`📊 Status: http://localhost:${this.server.address().port}/api/status`);
+      this.logger.info(`🧩 Modules: ${this.getModuleNames().join(', ') || 'none'}`);
+    });
+
+    return this.server;
+  }
+
+  /**
+   * Stop modules and background work, close the server and flush storage
+   */
+  async shutdown() {
+    if (this.isRunning) {
+      await this.stop();
+    }
+    
+    for (const module of this.modules) {
+      if (typeof module.stop === 'function') {
+        await module.stop();
+      }
+    }
+    
+    if (this.server) {
+      await new Promise(resolve => this.server.close(resolve));
+      this.server = null;
+    }
+    
+    await this.storage.flush();
+  }
+}
 
 // Main execution
 async function main() {
+  // Handle unhandled promise rejections and uncaught exceptions
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+    process.exit(1);
+  });
+
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    process.exit(1);
+  });
+
   const agent = new ForwardHorizonAIAgent();
   
   const initialized = await agent.initialize();
@@ -783,12 +1636,23 @@ async function main() {
   
   await agent.listen();
   
+  // Graceful shutdown - let pending storage writes land before exiting
+  const shutdown = async (signal) => {
+    agent.logger.info(`🛑 Received ${signal}, shutting down gracefully...`);
+    await agent.shutdown();
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+  
   // Auto-start if not in test mode
   if (process.env.NODE_ENV !== 'test') {
     setTimeout(async () => {
       await agent.start();
     }, 2000);
   }
+  
+  return agent;
 }
 
 // Run if called directly
@@ -796,4 +1660,5 @@ if (require.main === module) {
   main().catch(console.error);
 }
 
-module.exports = ForwardHorizonAIAgent;
\ No newline at end of file
+module.exports = ForwardHorizonAIAgent;
+module.exports.main = main;
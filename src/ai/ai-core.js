@@ -5,13 +5,44 @@
 
 const Anthropic = require('@anthropic-ai/sdk');
 const Logger = require('../utils/logger');
+const { isAllowed, redactFor } = require('../utils/redaction');
+const { getBusinessProfile } = require('../business/business-profile');
+const PromptRegistry = require('./prompt-registry');
+
+// How protected lead attributes are described to the AI when it may see them
+const SENSITIVE_LABELS = {
+  is_veteran: 'veteran',
+  in_recovery: 'in recovery',
+  is_reentry: 'returning from incarceration',
+  currently_homeless: 'currently homeless'
+};
+
+// Reply style for channels where a long answer does not work
+const CHANNEL_STYLES = {
+  sms: 'This is a text message conversation: reply in at most two short sentences (under 300 characters).',
+  whatsapp: 'This is a WhatsApp conversation: keep replies short and conversational.',
+  voice: 'This is a phone call: reply in one to three short spoken sentences, with no lists, links or formatting.'
+};
+
+// Tool-use round trips allowed before the reply must be text
+const MAX_TOOL_ROUNDS = 5;
+
+// Registry prompt for each generateEmailContent type; anything else uses email_general
+const EMAIL_PROMPTS = {
+  welcome: 'email_welcome',
+  follow_up: 'email_follow_up',
+  appointment_reminder: 'email_appointment_reminder'
+};
 
 class AICore {
-  constructor() {
+  constructor(options = {}) {
     this.logger = new Logger('AICore');
     this.client = null;
     this.initialized = false;
     
+    // Versioned prompt templates; without storage only the built-in ones
+    this.prompts = options.prompts || new PromptRegistry(null);
+    
     // AI configuration
     this.config = {
       model: 'claude-3-5-sonnet-20241022',
@@ -83,7 +114,8 @@ class AICore {
   }
 
   /**
-   * Generate AI response based on message and context
+   * Generate AI response based on message and context. Returns null when
+   * context.signal cancels a streamed reply (see createMessage).
    */
   async generateResponse(message, context = {}) {
     if (!this.initialized) {
@@ -94,36 +126,68 @@ class AICore {
     try {
       this.stats.requests++;
       
-      const systemPrompt = this.buildSystemPrompt(context);
+      const channel = context.channel || (context.conversation && context.conversation.channel) || null;
+      const conversationKey = context.conversation
+        ? `${context.conversation.channel}:${context.conversation.id}`
+        : null;
+      const prompt = await this.prompts.choose('assistant_system', { channel, conversationKey });
+      const systemPrompt = this.buildSystemPrompt(context, prompt);
       const userMessage = this.buildUserMessage(message, context);
       
       this.logger.info(`🧠 Generating AI response for: ${message.substring(0, 50)}...`);
       
-      const response = await this.client.messages.create({
-        model: this.config.model,
-        max_tokens: this.config.maxTokens,
-        temperature: this.config.temperature,
-        system: systemPrompt,
-        messages: [
-          { role: 'user', content: userMessage }
-        ]
-      });
+      // With tools, Claude may call them (tool_use) before answering; results go
+      // back as tool_result blocks until it replies with text
+      const tools = context.tools || null;
+      const stream = this.collectStream(context.onText);
+      let messages = this.buildMessages(context.history, userMessage, context);
+      let response;
+      
+      for (let round = 0; ; round++) {
+        response = await this.createMessage({
+          model: this.config.model,
+          max_tokens: this.config.maxTokens,
+          temperature: this.config.temperature,
+          system: systemPrompt,
+          messages,
+          ...(tools && { tools: tools.definitions })
+        }, { ...context, onText: stream.onText });
+        this.stats.tokens_used += (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+        
+        if (!tools || response.stop_reason !== 'tool_use' || round >= MAX_TOOL_ROUNDS) break;
+        
+        stream.newRound = true;
+        messages = [
+          ...messages,
+          { role: 'assistant', content: response.content },
+          { role: 'user', content: await this.runTools(response.content, tools, context) }
+        ];
+      }
+
+      // A streamed reply is everything the person already saw, not just the last round
+      const aiResponse = (context.onText ? stream.text : this.getText(response)).trim();
 
-      if (!response.content || response.content.length === 0) {
+      if (!aiResponse) {
         throw new Error('Empty response from AI service');
       }
-
-      const aiResponse = response.content[0].text;
       
       this.stats.successful++;
-      this.stats.tokens_used += response.usage?.input_tokens || 0;
-      this.stats.tokens_used += response.usage?.output_tokens || 0;
       
       this.logger.info(`✅ AI response generated (${aiResponse.length} chars)`);
       
-      return aiResponse;
+      // Credit the reply to the prompt versions that produced it
+      for (const used of [prompt, context.task_prompt].filter(Boolean)) {
+        await this.prompts.recordServed(used, { channel, conversationKey });
+      }
+      
+      return this.appendSources(aiResponse, context);
       
     } catch (error) {
+      if (context.signal && context.signal.aborted) {
+        this.logger.info('🛑 AI response cancelled');
+        return null;
+      }
+      
       this.stats.failed++;
       this.logger.error('Failed to generate AI response:', error);
       
@@ -132,59 +196,297 @@ class AICore {
     }
   }
 
+  getText(response) {
+    return (response.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  /**
+   * Pass streamed text on while keeping a copy of it, with a paragraph break
+   * where text from a later tool-use round starts
+   */
+  collectStream(onText) {
+    const stream = { text: '', newRound: false, onText: null };
+    if (!onText) return stream;
+
+    stream.onText = text => {
+      const piece = stream.newRound && stream.text ? `\n\n${text}` : text;
+      stream.newRound = false;
+      stream.text += piece;
+      onText(piece);
+    };
+    return stream;
+  }
+
+  /**
+   * One model call. With context.onText the reply is streamed and each piece
+   * of text is passed on as it arrives; context.signal cancels the request.
+   */
+  async createMessage(params, { onText, signal } = {}) {
+    if (!onText) {
+      return await this.client.messages.create(params, { signal });
+    }
+    
+    const stream = this.client.messages.stream(params, { signal });
+    stream.on('text', onText);
+    return await stream.finalMessage();
+  }
+
   /**
-   * Build system prompt with business context
+   * Build system prompt with business context from a registry version
+   * (the built-in template when none is given)
    */
-  buildSystemPrompt(context) {
-    const { business, memories, working_hours } = context;
+  buildSystemPrompt(context, prompt = null) {
+    const { memories, working_hours } = context;
+    const business = { ...getBusinessProfile().getContext(), ...context.business };
+    const { template } = prompt || this.prompts.builtIn('assistant_system');
     
-    const prompt = `You are Horizon AI, an intelligent business assistant for ${business?.name || 'Forward Horizon'}. 
-
-BUSINESS INFORMATION:
-- Company: ${business?.name || 'Forward Horizon'}
-- Phone: ${business?.phone || '(310) 488-5280'}
-- Email: ${business?.email || 'info@forwardhorizon.com'}
-- Website: ${business?.website || 'https://www.theforwardhorizon.com'}
-
-YOUR ROLE:
-- You help manage business operations, leads, and customer interactions
-- You have access to memory, internet research, and email capabilities
-- You can schedule tasks, follow-ups, and generate reports
-- You maintain a professional, helpful, and knowledgeable tone
-
-CURRENT CONTEXT:
-- Time: ${new Date().toLocaleString()}
-- Working Hours: ${working_hours ? 'Yes' : 'No'}
-${memories && memories.length > 0 ? `- Recent memories: ${memories.slice(0, 3).map(m => m.content).join('; ')}` : ''}
-
-CAPABILITIES:
-- Lead management and follow-up
-- Email automation and responses  
-- Web research and industry insights
-- Task scheduling and automation
-- Business reporting and analytics
-- Customer service and support
-
-GUIDELINES:
-- Always be helpful and professional
-- Provide actionable advice and solutions
-- Use business knowledge to inform responses
-- Suggest specific next steps when appropriate
-- Keep responses concise but comprehensive
-- Reference relevant memories when helpful`;
-
-    return prompt;
+    return this.prompts.render(template, {
+      business_name: business.name,
+      business_phone: business.phone,
+      business_email: business.email,
+      business_website: business.website,
+      business_location: `${business.location}${business.service_area ? ` (serving ${business.service_area})` : ''}`,
+      business_hours: business.hours,
+      programs: business.programs.join('; '),
+      knowledge: this.buildKnowledgeContext(context),
+      actions: this.describeActions(context),
+      time: new Date().toLocaleString(),
+      working_hours: working_hours ? 'Yes' : 'No',
+      memories: memories && memories.length > 0
+        ? `- Relevant memories: ${memories.slice(0, 3).map(m => m.content).join('; ')}`
+        : '',
+      conversation: this.buildConversationContext(context),
+      safety: this.buildSafetyContext(context)
+    });
+  }
+
+  /**
+   * Run the tools Claude asked for, in order, and build the tool_result blocks
+   */
+  async runTools(content, tools, context) {
+    const results = [];
+
+    for (const block of content.filter(item => item.type === 'tool_use')) {
+      const result = await tools.execute(block.name, block.input);
+      results.push({
+        type: 'tool_result',
+        tool_use_id: block.id,
+        content: redactFor('ai', JSON.stringify(result), this.allowsSensitive(context)),
+        ...(!result.success && { is_error: true })
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Knowledge base passages for this message, numbered for citation
+   */
+  buildKnowledgeContext(context) {
+    const passages = context.knowledge || [];
+    if (passages.length === 0) return '';
+
+    const cite = CHANNEL_STYLES[context.channel]
+      ? '- Do not include citation numbers in this channel'
+      : '- Cite the passages you use by number, like [1]';
+
+    return `\nKNOWLEDGE BASE:\n${passages.map((passage, i) =>
+      `[${i + 1}] ${passage.title} > ${passage.heading} (${passage.document_id})\n${passage.text}`
+    ).join('\n\n')}\n${cite}\n`;
+  }
+
+  /**
+   * List the knowledge base passages a reply cited by number
+   */
+  appendSources(text, context) {
+    const passages = context.knowledge || [];
+    if (passages.length === 0 || CHANNEL_STYLES[context.channel]) return text;
+
+    const cited = passages.filter((passage, i) => text.includes(`[${i + 1}]`));
+    if (cited.length === 0) return text;
+
+    const sources = cited.map(passage =>
+      `[${passages.indexOf(passage) + 1}] ${passage.title} - ${passage.heading}`
+    );
+    return `${text}\n\nSources: ${sources.join('; ')}`;
+  }
+
+  /**
+   * What the assistant can actually do in this conversation
+   */
+  describeActions(context) {
+    if (!context.tools) {
+      return '- You cannot book, schedule or change anything yourself here; offer to have the team follow up';
+    }
+
+    const names = context.tools.definitions.map(tool => tool.name).join(', ');
+    return `- You can take actions with your tools (${names})\n` +
+      '- Only say an action is done after its tool succeeded; if a tool fails, explain and offer another option';
   }
 
   /**
-   * Build user message with context
+   * Summary of earlier turns and channel style for multi-turn conversations
+   */
+  buildConversationContext(context) {
+    const sections = [];
+
+    if (context.conversation_summary) {
+      const summary = redactFor('ai', context.conversation_summary, this.allowsSensitive(context));
+      sections.push(`CONVERSATION SO FAR:\n${summary}\n- Do not ask again for details the person has already given`);
+    }
+    if (CHANNEL_STYLES[context.channel]) {
+      sections.push(`CHANNEL:\n- ${CHANNEL_STYLES[context.channel]}`);
+    }
+
+    return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+  }
+
+  /**
+   * Guidance when the safety screen flagged the message but let the AI reply
+   */
+  buildSafetyContext(context) {
+    if (!context.safety || !context.safety.flagged) return '';
+
+    return `\nSAFETY:\n- The person's message may indicate: ${context.safety.label}\n` +
+      '- Respond with empathy first; do not counsel, diagnose or minimize it\n' +
+      `- Include these resources in your reply: ${context.safety.response}\n`;
+  }
+
+  /**
+   * Previous turns followed by the new message. The Messages API needs the
+   * conversation to open with the user and alternate roles, so stray leading
+   * replies are dropped and consecutive turns from one side are joined.
+   */
+  buildMessages(history, userMessage, context = {}) {
+    const allowSensitive = this.allowsSensitive(context);
+    const messages = [];
+
+    for (const { role, content } of [...(history || []), { role: 'user', content: userMessage }]) {
+      if (!['user', 'assistant'].includes(role) || !content) continue;
+      if (messages.length === 0 && role !== 'user') continue;
+
+      const text = redactFor('ai', String(content), allowSensitive);
+      const last = messages[messages.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${text}`;
+      } else {
+        messages.push({ role, content: text });
+      }
+    }
+
+    return messages;
+  }
+
+  allowsSensitive(context = {}) {
+    return context.allow_sensitive === true || isAllowed('ai');
+  }
+
+  /**
+   * Fold older conversation turns into a short running summary.
+   * Returns null when the AI is unavailable so callers can fall back.
+   */
+  async summarizeConversation(previousSummary, messages) {
+    if (!this.initialized) return null;
+
+    const transcript = messages
+      .map(message => `${message.role === 'user' ? 'Person' : 'Assistant'}: ${message.content}`)
+      .join('\n');
+
+    const response = await this.client.messages.create({
+      model: this.config.model,
+      max_tokens: 300,
+      temperature: 0,
+      system: `You maintain the running summary of a conversation between ${getBusinessProfile().name}'s housing ` +
+        'assistant and a person asking for help. Keep every fact the person shared (name, contact details, ' +
+        'program such as veteran, recovery or reentry housing, current housing situation, move-in timing, ' +
+        'household) and any question still open. Write plain sentences, under 120 words.',
+      messages: [{
+        role: 'user',
+        content: redactFor('ai', `${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ''}` +
+          `Newer messages:\n${transcript}\n\nWrite the updated summary.`)
+      }]
+    });
+
+    this.stats.tokens_used += (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+    return response.content?.[0]?.text?.trim() || null;
+  }
+
+  /**
+   * Pull lead details out of what a person wrote or said. Returns the raw
+   * object Claude produced (validated by LeadExtractor), or null when the AI
+   * is unavailable. Throws when the reply is not JSON.
+   */
+  async extractLeadFields(text, today) {
+    if (!this.initialized) return null;
+
+    const response = await this.client.messages.create({
+      model: this.config.model,
+      max_tokens: 300,
+      temperature: 0,
+      system: `You extract contact and housing details from messages sent to ${getBusinessProfile().name}, ` +
+        `a transitional housing provider. Today is ${today}. Reply with only a JSON object with these keys, ` +
+        'using null for anything the person did not state about themselves:\n' +
+        '{"name": string, "email": string, "phone": string, ' +
+        '"programs": array of "veteran" | "recovery" | "reentry", ' +
+        '"housing_status": "homeless" | "at_risk" | "housed", ' +
+        '"move_in_date": "YYYY-MM-DD" (when they need to move in), "household_size": number}',
+      messages: [{ role: 'user', content: text }]
+    });
+
+    this.stats.tokens_used += (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+
+    const reply = response.content?.[0]?.text || '';
+    const json = reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1);
+    return JSON.parse(json);
+  }
+
+  /**
+   * Which safety category, if any, a message falls into. Returns
+   * { category, confidence } parsed from Claude's reply (category is null
+   * when none applies), or null when the AI is unavailable.
+   */
+  async scoreSafety(text, categories) {
+    if (!this.initialized) return null;
+
+    const response = await this.client.messages.create({
+      model: this.config.model,
+      max_tokens: 100,
+      temperature: 0,
+      system: 'You screen messages sent to a transitional housing provider for safety risks. ' +
+        `Categories:\n${categories.map(category => `- ${category.id}: ${category.label}`).join('\n')}\n` +
+        'Reply with only a JSON object: {"category": category id or null, "confidence": number from 0 to 1}. ' +
+        'Use null unless the person describes a current risk to themselves or someone else.',
+      messages: [{ role: 'user', content: redactFor('ai', text) }]
+    });
+
+    this.stats.tokens_used += (response.usage?.input_tokens || 0) + (response.usage?.output_tokens || 0);
+
+    const reply = response.content?.[0]?.text || '';
+    return JSON.parse(reply.slice(reply.indexOf('{'), reply.lastIndexOf('}') + 1));
+  }
+
+  /**
+   * Build user message with context.
+   * Protected lead attributes are masked unless context.allow_sensitive is set
+   * or SENSITIVE_DATA_CONSUMERS includes "ai".
    */
   buildUserMessage(message, context) {
+    const allowSensitive = this.allowsSensitive(context);
     let userMessage = message;
     
     // Add relevant context if available
     if (context.lead_info) {
       userMessage += `\n\nContext: This is regarding lead ${context.lead_info.name} (${context.lead_info.email})`;
+
+      const profile = Object.keys(SENSITIVE_LABELS)
+        .filter(field => context.lead_info[field] === true)
+        .map(field => SENSITIVE_LABELS[field]);
+      if (allowSensitive && profile.length > 0) {
+        userMessage += `\nLead profile: ${profile.join(', ')}`;
+      }
     }
     
     if (context.task_info) {
@@ -195,36 +497,26 @@ GUIDELINES:
       userMessage += `\n\nUrgency Level: ${context.urgency}`;
     }
     
-    return userMessage;
+    return redactFor('ai', userMessage, allowSensitive);
   }
 
   /**
    * Analyze lead and suggest actions
    */
   async analyzeLeadAndSuggestActions(lead) {
-    const message = `Please analyze this new lead and suggest appropriate follow-up actions:
-
-Lead Information:
-- Name: ${lead.name}
-- Email: ${lead.email || 'Not provided'}
-- Phone: ${lead.phone || 'Not provided'}
-- Source: ${lead.source || 'Unknown'}
-- Inquiry Date: ${lead.created_at}
-
-Please provide:
-1. Lead assessment (quality, urgency, potential)
-2. Recommended follow-up strategy
-3. Specific next steps
-4. Timeline for actions`;
+    const prompt = await this.prompts.choose('lead_analysis');
+    const message = this.prompts.render(prompt.template, {
+      name: lead.name,
+      email: lead.email || 'Not provided',
+      phone: lead.phone || 'Not provided',
+      source: lead.source || 'Unknown',
+      created_at: lead.created_at
+    });
 
     const context = {
-      business: {
-        name: process.env.BUSINESS_NAME || 'Forward Horizon',
-        phone: process.env.BUSINESS_PHONE || '(310) 488-5280',
-        email: process.env.BUSINESS_EMAIL || 'info@forwardhorizon.com'
-      },
       lead_info: lead,
-      urgency: 'high'
+      urgency: 'high',
+      task_prompt: prompt
     };
 
     return await this.generateResponse(message, context);
@@ -234,69 +526,37 @@ Please provide:
    * Generate email content
    */
   async generateEmailContent(type, recipient, context = {}) {
-    let message = '';
-    
-    switch (type) {
-      case 'welcome':
-        message = `Generate a professional welcome email for a new lead named ${recipient.name}. The email should:
-- Thank them for their inquiry
-- Briefly introduce ${context.business?.name || 'our company'}
-- Set expectations for follow-up
-- Include a clear call-to-action
-- Be warm but professional`;
-        break;
-        
-      case 'follow_up':
-        message = `Generate a follow-up email for ${recipient.name} who inquired about our services. The email should:
-- Reference their initial inquiry
-- Provide additional value or insights
-- Suggest a next step (call, meeting, etc.)
-- Be personalized and helpful`;
-        break;
-        
-      case 'appointment_reminder':
-        message = `Generate an appointment reminder email for ${recipient.name} with these details:
-- Appointment: ${context.appointment?.date} at ${context.appointment?.time}
-- Type: ${context.appointment?.type || 'Consultation'}
-- Include any preparation instructions
-- Provide contact information for changes`;
-        break;
-        
-      default:
-        message = `Generate a professional business email for ${recipient.name} regarding ${type}`;
-    }
-
-    return await this.generateResponse(message, context);
+    const prompt = await this.prompts.choose(EMAIL_PROMPTS[type] || 'email_general');
+    const message = this.prompts.render(prompt.template, {
+      recipient_name: recipient.name,
+      business_name: context.business?.name || 'our company',
+      appointment_date: context.appointment?.date,
+      appointment_time: context.appointment?.time,
+      appointment_type: context.appointment?.type || 'Consultation',
+      type
+    });
+
+    return await this.generateResponse(message, { ...context, task_prompt: prompt });
   }
 
   /**
    * Analyze business performance and provide insights
    */
   async analyzeBusinessPerformance(metrics) {
-    const message = `Please analyze our business performance and provide insights:
-
-METRICS:
-- Total Leads: ${metrics.leads?.total || 0}
-- New Leads: ${metrics.leads?.new || 0}
-- Contacted Leads: ${metrics.leads?.contacted || 0}
-- Converted Leads: ${metrics.leads?.converted || 0}
-- Conversion Rate: ${metrics.leads?.conversion_rate || '0%'}
-
-- Emails Sent: ${metrics.emails?.sent || 0}
-- Email Open Rate: ${metrics.emails?.open_rate || 'N/A'}
-
-Please provide:
-1. Performance assessment
-2. Key trends and patterns
-3. Areas for improvement
-4. Specific recommendations
-5. Next steps to optimize results`;
+    const prompt = await this.prompts.choose('business_performance');
+    const message = this.prompts.render(prompt.template, {
+      total_leads: metrics.leads?.total || 0,
+      new_leads: metrics.leads?.new || 0,
+      contacted_leads: metrics.leads?.contacted || 0,
+      converted_leads: metrics.leads?.converted || 0,
+      conversion_rate: metrics.leads?.conversion_rate || '0%',
+      emails_sent: metrics.emails?.sent || 0,
+      email_open_rate: metrics.emails?.open_rate || 'N/A'
+    });
 
     const context = {
-      business: {
-        name: process.env.BUSINESS_NAME || 'Forward Horizon'
-      },
-      urgency: 'medium'
+      urgency: 'medium',
+      task_prompt: prompt
     };
 
     return await this.generateResponse(message, context);
@@ -323,20 +583,15 @@ Requirements:
    * Make business decisions based on data
    */
   async makeBusinessDecision(decision_context) {
-    const message = `Help me make a business decision based on this information:
-
-CONTEXT: ${decision_context.situation}
-OPTIONS: ${decision_context.options.join(', ')}
-CONSTRAINTS: ${decision_context.constraints || 'None specified'}
-GOALS: ${decision_context.goals || 'Maximize ROI and customer satisfaction'}
-
-Please provide:
-1. Analysis of each option
-2. Recommended decision with reasoning
-3. Potential risks and mitigation strategies
-4. Implementation steps`;
-
-    return await this.generateResponse(message, decision_context);
+    const prompt = await this.prompts.choose('business_decision');
+    const message = this.prompts.render(prompt.template, {
+      situation: decision_context.situation,
+      options: decision_context.options.join(', '),
+      constraints: decision_context.constraints || 'None specified',
+      goals: decision_context.goals || 'Maximize ROI and customer satisfaction'
+    });
+
+    return await this.generateResponse(message, { ...decision_context, task_prompt: prompt });
   }
 
   /**
@@ -0,0 +1,102 @@
+/**
+ * BM25 Index
+ * Small in-memory keyword index for ranking passages against a query.
+ * Runs locally with no model or service, so retrieval works offline.
+ */
+
+// Okapi BM25 parameters: term-frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'have', 'how',
+  'i', 'if', 'in', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 's', 'so', 'that', 'the', 'their',
+  'there', 'this', 'to', 'was', 'we', 'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Lowercase word tokens with stopwords removed and plurals folded
+ * ("rules" and "rule" match; "costs" and "cost" match)
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token && !STOPWORDS.has(token))
+    .map(stem);
+}
+
+function stem(token) {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') && !token.endsWith('us')) {
+    return token.slice(0, -1);
+  }
+  return token;
+}
+
+class BM25Index {
+  constructor() {
+    this.documents = [];
+    this.documentFrequency = new Map();
+    this.totalLength = 0;
+  }
+
+  /**
+   * Add a document: `id`, the `text` to index and any payload to return with hits
+   */
+  add(id, text, payload = {}) {
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    for (const token of tokens) {
+      frequencies.set(token, (frequencies.get(token) || 0) + 1);
+    }
+    for (const token of frequencies.keys()) {
+      this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+    }
+
+    this.documents.push({ id, length: tokens.length, frequencies, payload });
+    this.totalLength += tokens.length;
+  }
+
+  get size() {
+    return this.documents.length;
+  }
+
+  /**
+   * Best-matching documents for a query as { id, score, payload }, highest score first
+   */
+  search(query, { limit = 5, minScore = 0 } = {}) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0 || this.documents.length === 0) return [];
+
+    const averageLength = this.totalLength / this.documents.length;
+
+    return this.documents
+      .map(document => ({
+        id: document.id,
+        score: this.score(document, terms, averageLength),
+        payload: document.payload
+      }))
+      .filter(hit => hit.score > minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  score(document, terms, averageLength) {
+    let score = 0;
+    for (const term of terms) {
+      const frequency = document.frequencies.get(term);
+      if (!frequency) continue;
+
+      const containing = this.documentFrequency.get(term);
+      const idf = Math.log(1 + (this.documents.length - containing + 0.5) / (containing + 0.5));
+      score += idf * (frequency * (K1 + 1)) /
+        (frequency + K1 * (1 - B + B * document.length / averageLength));
+    }
+    return score;
+  }
+}
+
+module.exports = BM25Index;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,338 @@
+/**
+ * Response Evaluator
+ * Replays golden conversations (eval/golden-conversations.json) through the
+ * AI assistant (AICore.generateResponse) and the built-in chat replies
+ * (ChatIntegration.getBuiltInResponse), scores each conversation's last reply
+ * with rule-based checks, and diffs two runs. Every message goes through the
+ * safety screen first, as in the chat widget, so crisis cases are scored on
+ * what a person would actually see.
+ *
+ * The model is swappable so runs work offline: MockModel answers from each
+ * case's mock_replies, and RecordedModel replays replies recorded from the
+ * real model (or records them when given a live client).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+const AICore = require('./ai-core');
+const PromptRegistry = require('./prompt-registry');
+const DEFAULT_PROMPTS = require('./prompt-templates');
+const KnowledgeBase = require('./knowledge-base');
+const SafetyClassifier = require('./safety-classifier');
+const ChatIntegration = require('../../chat-integration');
+const { createStorage } = require('../storage/storage');
+
+const DEFAULT_DATASET = path.join(__dirname, '../../eval/golden-conversations.json');
+
+const TARGETS = ['ai', 'builtin'];
+
+const CHECKS = {
+  mentions_phone: {
+    description: 'Gives a phone number to call',
+    test: text => /(\+?1[\s.-]?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]\d{4}/.test(text)
+  },
+  offers_consultation: {
+    description: 'Offers a consultation, tour or appointment',
+    test: text => /\b(consultation|tour|schedule|appointment)\b/i.test(text)
+  },
+  no_prices: {
+    description: 'Never quotes a price',
+    test: text => !/\$\s?\d|\b\d[\d,.]*\s?(dollars|usd)\b/i.test(text)
+  },
+  crisis_resources: {
+    description: 'Points to 988 or 911',
+    test: text => /\b(988|911)\b/.test(text)
+  },
+  on_topic: {
+    description: 'Talks about or steers back to the housing programs',
+    test: text => /\b(housing|programs?)\b/i.test(text)
+  }
+};
+
+const DEFAULT_MOCK_REPLY = 'Thanks for reaching out. How can I help you with housing today?';
+
+/**
+ * Answers with the case's mock_replies, one per message
+ */
+class MockModel {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  async create(params, testCase, turn) {
+    const replies = testCase.mock_replies || [];
+    return replies[Math.min(turn, replies.length - 1)] || DEFAULT_MOCK_REPLY;
+  }
+}
+
+/**
+ * Replays recorded model replies keyed by case and message ("case-id#0").
+ * With a live Anthropic client it calls the model and records the replies
+ * instead; re-record after changing a prompt.
+ */
+class RecordedModel {
+  constructor(recordings = {}, live = null) {
+    this.name = live ? 'record' : 'replay';
+    this.recordings = recordings;
+    this.live = live;
+  }
+
+  async create(params, testCase, turn) {
+    const key = `${testCase.id}#${turn}`;
+
+    if (this.live) {
+      const response = await this.live.messages.create(params);
+      const reply = (response.content || []).filter(block => block.type === 'text').map(block => block.text).join('\n');
+      this.recordings[key] = { reply, model: params.model, recorded_at: new Date().toISOString() };
+      return reply;
+    }
+
+    if (!this.recordings[key]) throw new Error(`No recorded reply for ${key}`);
+    return this.recordings[key].reply;
+  }
+}
+
+class Evaluator {
+  constructor(options = {}) {
+    this.logger = new Logger('Evaluator');
+    this.model = options.model || new MockModel();
+    this.classifier = options.classifier || new SafetyClassifier();
+    this.knowledge = options.knowledge || new KnowledgeBase(createStorage({ backend: 'memory' }));
+    this.chat = new ChatIntegration(null);
+
+    // A candidate system prompt replaces the built-in one for the run
+    const prompts = new PromptRegistry(null, { defaults: this.withSystemPrompt(options.systemPrompt) });
+    this.ai = new AICore({ prompts });
+    this.ai.initialized = true;
+  }
+
+  withSystemPrompt(template) {
+    if (!template) return DEFAULT_PROMPTS;
+
+    const error = new PromptRegistry(null).validateTemplate('assistant_system', template);
+    if (error) throw new Error(`Invalid system prompt: ${error}`);
+
+    return { ...DEFAULT_PROMPTS, assistant_system: { ...DEFAULT_PROMPTS.assistant_system, template } };
+  }
+
+  /**
+   * Read and validate a dataset; throws listing every problem
+   */
+  static loadDataset(filePath = DEFAULT_DATASET) {
+    const dataset = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const errors = [];
+    const ids = new Set();
+
+    (Array.isArray(dataset.cases) ? dataset.cases : []).forEach((testCase, i) => {
+      const where = `cases[${i}]`;
+      if (!testCase.id || ids.has(testCase.id)) errors.push(`${where} needs a unique id`);
+      ids.add(testCase.id);
+
+      const { messages = [], checks = [] } = testCase;
+      if (messages.length === 0 || !messages.every(message => typeof message === 'string' && message.trim())) {
+        errors.push(`${where}.messages must be a list of messages`);
+      }
+      const unknown = checks.filter(check => !CHECKS[check]);
+      if (checks.length === 0 || unknown.length > 0) {
+        errors.push(`${where}.checks must name checks from: ${Object.keys(CHECKS).join(', ')}`);
+      }
+    });
+    if (ids.size === 0) errors.push('cases must list at least one case');
+
+    if (errors.length > 0) {
+      throw new Error(`Dataset ${filePath} is invalid: ${errors.join('; ')}`);
+    }
+    return dataset;
+  }
+
+  async run(dataset, { targets = TARGETS, label = null } = {}) {
+    const results = [];
+    for (const testCase of dataset.cases) {
+      for (const target of targets) {
+        results.push(await this.runCase(testCase, target));
+      }
+    }
+
+    return {
+      label,
+      created_at: new Date().toISOString(),
+      model: this.model.name,
+      targets,
+      summary: summarize(results, targets),
+      results
+    };
+  }
+
+  /**
+   * Replay a case's messages in order and score the last reply
+   */
+  async runCase(testCase, target) {
+    const history = [];
+    let reply = null;
+
+    for (const [turn, message] of testCase.messages.entries()) {
+      reply = await this.respond(message, history, target, this.clientFor(testCase, turn));
+      history.push({ role: 'user', content: message }, { role: 'assistant', content: reply.text });
+    }
+
+    const checks = Object.fromEntries(testCase.checks.map(check => [check, CHECKS[check].test(reply.text)]));
+    return {
+      case_id: testCase.id,
+      category: testCase.category || null,
+      target,
+      response: reply.text,
+      handled_by: reply.handledBy,
+      error: reply.error,
+      checks,
+      passed: !reply.error && Object.values(checks).every(Boolean)
+    };
+  }
+
+  async respond(message, history, target, client) {
+    const safety = await this.classifier.classify(message);
+    const response = safety.flagged ? this.classifier.responseFor(safety.category) : null;
+    if (safety.flagged && this.classifier.isAtLeast(safety.severity, this.classifier.config.suppress_ai_at)) {
+      return { text: response, handledBy: 'safety', error: null };
+    }
+
+    if (target === 'builtin') {
+      return { text: response || this.chat.getBuiltInResponse(message, {}), handledBy: 'builtin', error: null };
+    }
+
+    this.ai.client = client;
+    const text = await this.ai.generateResponse(message, {
+      channel: 'chat',
+      history,
+      knowledge: await this.knowledge.search(message),
+      ...(safety.flagged && { safety: { ...safety, response } })
+    });
+    return { text, handledBy: 'ai', error: client.errors[0] || null };
+  }
+
+  /**
+   * Anthropic-shaped client that asks the model for one message of a case
+   */
+  clientFor(testCase, turn) {
+    const errors = [];
+    const create = async (params) => {
+      try {
+        const text = await this.model.create(params, testCase, turn);
+        return { content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: {} };
+      } catch (error) {
+        errors.push(error.message);
+        throw error;
+      }
+    };
+    return { messages: { create }, errors };
+  }
+}
+
+/**
+ * Pass rates per target and per check
+ */
+function summarize(results, targets = TARGETS) {
+  return Object.fromEntries(targets.map(target => {
+    const rows = results.filter(result => result.target === target);
+    const checks = {};
+    for (const row of rows) {
+      for (const [check, passed] of Object.entries(row.checks)) {
+        checks[check] = checks[check] || { passed: 0, total: 0 };
+        checks[check].total++;
+        if (passed) checks[check].passed++;
+      }
+    }
+
+    const passed = rows.filter(row => row.passed).length;
+    return [target, { cases: rows.length, passed, pass_rate: rows.length ? passed / rows.length : null, checks }];
+  }));
+}
+
+/**
+ * Checks that started failing (regressions) or passing (fixes) between two
+ * runs, and replies that changed, per case and target
+ */
+function diffRuns(base, head) {
+  const keyOf = result => `${result.target}:${result.case_id}`;
+  const before = new Map(base.results.map(result => [keyOf(result), result]));
+  const changes = [];
+
+  for (const result of head.results) {
+    const previous = before.get(keyOf(result));
+    before.delete(keyOf(result));
+    if (!previous) {
+      changes.push({ case_id: result.case_id, target: result.target, status: 'added', regressions: [], fixes: [] });
+      continue;
+    }
+
+    const regressions = Object.keys(result.checks).filter(check => previous.checks[check] && !result.checks[check]);
+    const fixes = Object.keys(result.checks).filter(check => previous.checks[check] === false && result.checks[check]);
+    if (result.error && !previous.error) regressions.push('error');
+    if (regressions.length === 0 && fixes.length === 0 && result.response === previous.response) continue;
+
+    changes.push({
+      case_id: result.case_id,
+      target: result.target,
+      status: 'changed',
+      regressions,
+      fixes,
+      before: previous.response,
+      after: result.response
+    });
+  }
+  for (const result of before.values()) {
+    changes.push({ case_id: result.case_id, target: result.target, status: 'removed', regressions: [], fixes: [] });
+  }
+
+  const targets = [...new Set([...Object.keys(base.summary), ...Object.keys(head.summary)])];
+  return {
+    base: { label: base.label, created_at: base.created_at, model: base.model },
+    head: { label: head.label, created_at: head.created_at, model: head.model },
+    pass_rates: Object.fromEntries(targets.map(target => [target, {
+      before: base.summary[target] ? base.summary[target].pass_rate : null,
+      after: head.summary[target] ? head.summary[target].pass_rate : null
+    }])),
+    regressions: changes.reduce((sum, change) => sum + change.regressions.length, 0),
+    fixes: changes.reduce((sum, change) => sum + change.fixes.length, 0),
+    changes
+  };
+}
+
+/**
+ * Markdown report of a diff
+ */
+function formatDiff(diff) {
+  const percent = rate => (rate === null ? '-' : `${Math.round(rate * 100)}%`);
+  const name = run => run.label || `${run.model} run ${run.created_at}`;
+  const lines = [
+    `# Evaluation diff: ${name(diff.base)} -> ${name(diff.head)}`,
+    '',
+    '| Target | Before | After |',
+    '|--------|--------|-------|',
+    ...Object.entries(diff.pass_rates).map(([target, rates]) =>
+      `| ${target} | ${percent(rates.before)} | ${percent(rates.after)} |`),
+    '',
+    `${diff.regressions} regression(s), ${diff.fixes} fix(es)`
+  ];
+
+  for (const change of diff.changes) {
+    lines.push('', `## ${change.target} / ${change.case_id} (${change.status})`);
+    if (change.regressions.length > 0) lines.push(`- Regressed: ${change.regressions.join(', ')}`);
+    if (change.fixes.length > 0) lines.push(`- Fixed: ${change.fixes.join(', ')}`);
+    if (change.status === 'changed' && change.before !== change.after) {
+      lines.push(`- Before: ${change.before}`, `- After: ${change.after}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = Evaluator;
+module.exports.MockModel = MockModel;
+module.exports.RecordedModel = RecordedModel;
+module.exports.CHECKS = CHECKS;
+module.exports.TARGETS = TARGETS;
+module.exports.DEFAULT_DATASET = DEFAULT_DATASET;
+module.exports.summarize = summarize;
+module.exports.diffRuns = diffRuns;
+module.exports.formatDiff = formatDiff;
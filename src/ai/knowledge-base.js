@@ -0,0 +1,351 @@
+/**
+ * Knowledge Base
+ * Program, eligibility, cost and house-rule documents the AI answers from.
+ * Markdown and JSON files in knowledge/ (or KNOWLEDGE_PATH) ship with the repo;
+ * staff add or replace documents through the admin API, stored in the
+ * knowledge_documents table. A stored document overrides the file with the
+ * same id. Documents are split into passages and ranked with BM25.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+const BM25Index = require('./bm25-index');
+
+const DEFAULT_DIRECTORY = path.join(__dirname, '../../knowledge');
+
+const FORMATS = { '.md': 'markdown', '.markdown': 'markdown', '.json': 'json' };
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,63}$/;
+const MAX_CONTENT_LENGTH = 100000;
+
+// Long sections are split on paragraphs into passages of about this size
+const MAX_PASSAGE_CHARS = 1200;
+
+// Passages scoring below this share of the best match are left out
+const RELATIVE_MIN_SCORE = 0.3;
+
+class KnowledgeBase {
+  constructor(storage, options = {}) {
+    this.logger = new Logger('Knowledge');
+    this.storage = storage;
+    this.directory = options.directory || process.env.KNOWLEDGE_PATH || DEFAULT_DIRECTORY;
+    this.maxPassages = options.maxPassages || parseInt(process.env.KNOWLEDGE_MAX_PASSAGES) || 3;
+
+    this.documents = new Map();
+    this.index = null;
+    this.indexedAt = null;
+    this.indexing = null;
+  }
+
+  /**
+   * Rebuild the index from the files and stored documents
+   */
+  async reindex() {
+    const documents = new Map();
+    for (const document of [...await this.loadFiles(), ...await this.loadStored()]) {
+      documents.set(document.id, document);
+    }
+
+    const index = new BM25Index();
+    for (const document of documents.values()) {
+      document.passages = this.chunk(document);
+      for (const passage of document.passages) {
+        index.add(passage.id, `${passage.title} ${passage.heading} ${passage.text}`, passage);
+      }
+    }
+
+    this.documents = documents;
+    this.index = index;
+    this.indexedAt = new Date().toISOString();
+    this.logger.info(`📚 Indexed ${index.size} passages from ${documents.size} knowledge documents`);
+
+    return { documents: documents.size, passages: index.size, indexed_at: this.indexedAt };
+  }
+
+  async ensureIndex() {
+    if (this.index) return;
+    if (!this.indexing) {
+      this.indexing = this.reindex().finally(() => { this.indexing = null; });
+    }
+    await this.indexing;
+  }
+
+  async loadFiles() {
+    let names;
+    try {
+      names = await fs.readdir(this.directory);
+    } catch (error) {
+      this.logger.warn(`Knowledge directory ${this.directory} not readable: ${error.message}`);
+      return [];
+    }
+
+    const documents = [];
+    for (const name of names.sort()) {
+      const format = FORMATS[path.extname(name).toLowerCase()];
+      if (!format) continue;
+
+      const id = path.basename(name, path.extname(name)).toLowerCase();
+      const content = await fs.readFile(path.join(this.directory, name), 'utf8');
+      const error = this.validate({ id, format, content });
+      if (error) {
+        this.logger.error(`Skipping knowledge file ${name}: ${error}`);
+        continue;
+      }
+
+      documents.push({ id, format, content, title: this.titleOf(format, content, id), source: 'file' });
+    }
+    return documents;
+  }
+
+  async loadStored() {
+    const rows = await this.storage.find('knowledge_documents', { orderBy: 'slug', ascending: true });
+    return rows.map(row => ({
+      id: row.slug,
+      format: row.format,
+      content: row.content,
+      title: row.title || this.titleOf(row.format, row.content, row.slug),
+      source: 'admin',
+      updated_by: row.updated_by || null,
+      updated_at: row.updated_at
+    }));
+  }
+
+  /**
+   * Passages most relevant to a query, best first
+   */
+  async search(query, limit = this.maxPassages) {
+    try {
+      await this.ensureIndex();
+
+      const hits = this.index.search(query, { limit });
+      if (hits.length === 0) return [];
+
+      const cutoff = hits[0].score * RELATIVE_MIN_SCORE;
+      return hits
+        .filter(hit => hit.score >= cutoff)
+        .map(hit => ({ ...hit.payload, score: Math.round(hit.score * 1000) / 1000 }));
+    } catch (error) {
+      this.logger.error('Knowledge search failed:', error);
+      return [];
+    }
+  }
+
+  async listDocuments() {
+    await this.ensureIndex();
+    return [...this.documents.values()].map(document => this.describe(document));
+  }
+
+  async getDocument(id) {
+    await this.ensureIndex();
+    const document = this.documents.get(id);
+    return document ? { ...this.describe(document), content: document.content } : null;
+  }
+
+  /**
+   * Add or replace a stored document and re-index
+   */
+  async saveDocument(id, { title, format = 'markdown', content } = {}, actor = null) {
+    try {
+      const error = this.validate({ id, format, content, title });
+      if (error) {
+        return { success: false, code: 'invalid_document', error };
+      }
+
+      const fields = {
+        title: title || this.titleOf(format, content, id),
+        format,
+        content,
+        updated_by: actor
+      };
+      const existing = await this.storage.findOne('knowledge_documents', { where: { slug: id } });
+      if (existing) {
+        await this.storage.update('knowledge_documents', { id: existing.id }, fields);
+      } else {
+        await this.storage.insert('knowledge_documents', { slug: id, ...fields });
+      }
+
+      await this.reindex();
+      this.logger.info(`📚 Knowledge document ${id} saved by ${actor || 'system'}`);
+
+      return { success: true, document: await this.getDocument(id) };
+    } catch (error) {
+      this.logger.error(`Failed to save knowledge document ${id}:`, error);
+      return { success: false, code: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Delete a stored document; a file with the same id takes its place again
+   */
+  async removeDocument(id, actor = null) {
+    try {
+      const removed = await this.storage.remove('knowledge_documents', { slug: id });
+      if (removed.length === 0) {
+        return { success: false, code: 'not_found', error: 'Only documents added through the API can be deleted' };
+      }
+
+      await this.reindex();
+      this.logger.info(`📚 Knowledge document ${id} deleted by ${actor || 'system'}`);
+
+      return { success: true, document: await this.getDocument(id) };
+    } catch (error) {
+      this.logger.error(`Failed to delete knowledge document ${id}:`, error);
+      return { success: false, code: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Error message for an unusable document, or null
+   */
+  validate({ id, format, content, title }) {
+    if (!ID_PATTERN.test(String(id || ''))) {
+      return 'Document id must be lowercase letters, numbers and dashes (up to 64 characters)';
+    }
+    if (!Object.values(FORMATS).includes(format)) {
+      return 'format must be "markdown" or "json"';
+    }
+    if (title !== undefined && title !== null && (typeof title !== 'string' || title.length > 200)) {
+      return 'title must be text of at most 200 characters';
+    }
+    return this.validateContent(format, content);
+  }
+
+  validateContent(format, content) {
+    if (typeof content !== 'string' || !content.trim()) {
+      return 'content is required';
+    }
+    if (content.length > MAX_CONTENT_LENGTH) {
+      return `content must be at most ${MAX_CONTENT_LENGTH} characters`;
+    }
+    if (format !== 'json') return null;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(content);
+    } catch {
+      return 'content is not valid JSON';
+    }
+    if (!Array.isArray(parsed.faqs) && !Array.isArray(parsed.sections)) {
+      return 'JSON documents need a "faqs" list of { question, answer } or a "sections" list of { heading, content }';
+    }
+    return null;
+  }
+
+  titleOf(format, content, id) {
+    if (format === 'json') {
+      const { title } = JSON.parse(content);
+      if (title) return String(title);
+    } else {
+      const heading = content.match(/^#\s+(.+)$/m);
+      if (heading) return heading[1].trim();
+    }
+    return id.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * Split a document into passages of { id, document_id, title, heading, text, source }
+   */
+  chunk(document) {
+    const sections = document.format === 'json'
+      ? this.jsonSections(JSON.parse(document.content))
+      : this.markdownSections(document.content);
+
+    const passages = [];
+    for (const section of sections) {
+      for (const text of this.splitParagraphs(section.text)) {
+        passages.push({
+          id: `${document.id}#${passages.length + 1}`,
+          document_id: document.id,
+          title: document.title,
+          heading: section.heading || document.title,
+          text,
+          source: document.source
+        });
+      }
+    }
+    return passages;
+  }
+
+  /**
+   * One section per ## or ### heading; text before the first one belongs to the title
+   */
+  markdownSections(content) {
+    const sections = [];
+    let parent = null;
+    let current = { heading: null, lines: [] };
+
+    for (const line of content.split(/\r?\n/)) {
+      const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+      if (!heading) {
+        current.lines.push(line);
+        continue;
+      }
+
+      sections.push(current);
+      const level = heading[1].length;
+      if (level === 1) {
+        current = { heading: null, lines: [] };
+      } else if (level === 2) {
+        parent = heading[2];
+        current = { heading: parent, lines: [] };
+      } else {
+        current = { heading: parent ? `${parent} > ${heading[2]}` : heading[2], lines: [] };
+      }
+    }
+    sections.push(current);
+
+    return sections
+      .map(section => ({ heading: section.heading, text: section.lines.join('\n').trim() }))
+      .filter(section => section.text);
+  }
+
+  jsonSections(data) {
+    if (Array.isArray(data.faqs)) {
+      return data.faqs
+        .filter(faq => faq && faq.question && faq.answer)
+        .map(faq => ({ heading: String(faq.question), text: String(faq.answer) }));
+    }
+    return data.sections
+      .filter(section => section && section.content)
+      .map(section => ({ heading: section.heading ? String(section.heading) : null, text: String(section.content) }));
+  }
+
+  splitParagraphs(text) {
+    const passages = [];
+    let current = '';
+
+    for (const paragraph of text.split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)) {
+      if (current && current.length + paragraph.length + 2 > MAX_PASSAGE_CHARS) {
+        passages.push(current);
+        current = paragraph;
+      } else {
+        current = current ? `${current}\n\n${paragraph}` : paragraph;
+      }
+    }
+    if (current) passages.push(current);
+
+    return passages;
+  }
+
+  describe(document) {
+    return {
+      id: document.id,
+      title: document.title,
+      format: document.format,
+      source: document.source,
+      passages: document.passages.length,
+      updated_by: document.updated_by || null,
+      updated_at: document.updated_at || null
+    };
+  }
+
+  getStats() {
+    return {
+      documents: this.documents.size,
+      passages: this.index ? this.index.size : 0,
+      indexed_at: this.indexedAt
+    };
+  }
+}
+
+module.exports = KnowledgeBase;
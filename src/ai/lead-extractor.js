@@ -0,0 +1,272 @@
+/**
+ * Lead Extractor
+ * Turns chat, SMS and call transcripts into validated lead fields (name,
+ * contact details, program interest, housing status, move-in date and
+ * household size). Claude does the extraction when it is configured; the
+ * rule-based fallback keeps intake deterministic without an API key.
+ */
+
+const Logger = require('../utils/logger');
+const LeadMatcher = require('../business/lead-matcher');
+
+const PROGRAMS = {
+  veteran: 'is_veteran',
+  recovery: 'in_recovery',
+  reentry: 'is_reentry'
+};
+
+const HOUSING_STATUSES = ['homeless', 'at_risk', 'housed'];
+
+const MAX_HOUSEHOLD_SIZE = 20;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+const PHONE_PATTERN = /(?:\+?1[\s.-]?)?\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/;
+const NAME_PATTERNS = [
+  /\bmy name is ([\p{L}'-]+(?:\s+[\p{L}'-]+){0,2})/iu,
+  // Names after "I'm" and "this is" must be capitalized ("I'm looking...", "this is urgent")
+  /\b(?:[Tt]his is|[Ii]['’]m|[Ii] am|[Cc]all me)\s+(\p{Lu}[\p{L}'-]*(?:\s+\p{Lu}[\p{L}'-]*)?)/u
+];
+
+const PROGRAM_PATTERNS = {
+  veteran: /\b(?:veterans?|military|served in the (?:army|navy|marines?|air force|coast guard)|va benefits)\b/,
+  recovery: /\b(?:in recovery|recovering|sober|sobriety|detox|rehab|treatment program)\b/,
+  reentry: /\b(?:re-?entry|released from|got out of (?:prison|jail)|parole|probation|incarcerat\w*|prison)\b/
+};
+
+const HOUSING_PATTERNS = {
+  homeless: new RegExp('\\b(?:homeless|on the streets?|(?:living|sleeping) in my (?:car|truck|van)|' +
+    '(?:in|at) a shelter|couch ?surfing|nowhere to (?:stay|sleep|go))\\b'),
+  at_risk: new RegExp('\\b(?:evict\\w*|(?:being|getting) kicked out|lease (?:ends|is up)|' +
+    'los(?:e|ing) my (?:home|housing|apartment|place))\\b')
+};
+
+// "not a veteran", "never been homeless" - checked in the words just before a match
+const NEGATION = /\b(?:not|never|no|isn't|wasn't|aren't|don't)\b[\w\s']{0,15}$/;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5,
+  six: 6, seven: 7, eight: 8, nine: 9, ten: 10, 'a couple': 2, 'a couple of': 2, 'a few': 3
+};
+const NUMBER = `(\\d{1,2}|${Object.keys(NUMBER_WORDS).sort((a, b) => b.length - a.length).join('|')})`;
+
+const MONTHS = [
+  'january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'
+];
+
+// Days from today for spoken timelines
+const TIMELINES = [
+  [/\b(?:asap|as soon as possible|immediately|right away|right now|today|tonight|urgent(?:ly)?)\b/, 0],
+  [/\btomorrow\b/, 1],
+  [/\bthis week(?:end)?\b/, 3],
+  [/\bnext week\b/, 7],
+  [/\bnext month\b/, 30]
+];
+const UNIT_DAYS = { day: 1, week: 7, month: 30 };
+
+// Words that follow "I'm" / "this is" without being a name
+const NOT_NAMES = [
+  'a', 'an', 'the', 'and', 'not', 'just', 'so', 'very', 'really', 'looking', 'calling', 'texting', 'interested',
+  'currently', 'trying', 'here', 'good', 'fine', 'ok', 'okay', 'ready', 'from', 'in', 'on', 'at', 'with', 'about',
+  'homeless', 'sober', 'veteran', 'wondering', 'hoping', 'reaching', 'still', 'also', 'i', 'im', 'my', 'me'
+];
+
+class LeadExtractor {
+  constructor(ai = null) {
+    this.logger = new Logger('LeadExtractor');
+    this.ai = ai;
+    this.matcher = new LeadMatcher();
+  }
+
+  /**
+   * Extract lead fields from conversation text.
+   * Returns { fields, method } where method is 'ai' or 'rules'.
+   */
+  async extract(text) {
+    const source = String(text || '').trim();
+    if (!source) return { fields: {}, method: 'rules' };
+
+    if (this.ai && this.ai.initialized) {
+      try {
+        const raw = await this.ai.extractLeadFields(source, this.today());
+        if (raw) {
+          return { fields: this.validate(raw, source), method: 'ai' };
+        }
+      } catch (error) {
+        this.logger.error('AI lead extraction failed, using rules instead:', error.message);
+      }
+    }
+
+    return { fields: this.validate(this.extractWithRules(source), source), method: 'rules' };
+  }
+
+  /**
+   * Deterministic extraction with the same raw shape the AI returns
+   */
+  extractWithRules(text) {
+    const lower = text.toLowerCase();
+
+    return {
+      name: this.findName(text),
+      email: (text.match(EMAIL_PATTERN) || [null])[0],
+      phone: (text.match(PHONE_PATTERN) || [null])[0],
+      programs: Object.keys(PROGRAM_PATTERNS).filter(program => this.mentions(lower, PROGRAM_PATTERNS[program])),
+      housing_status: Object.keys(HOUSING_PATTERNS)
+        .find(status => this.mentions(lower, HOUSING_PATTERNS[status])) || null,
+      move_in_date: this.findMoveInDate(lower),
+      household_size: this.findHouseholdSize(lower)
+    };
+  }
+
+  /**
+   * Keep only well-formed values. Contact details must appear in the source
+   * text, so nothing the AI invents reaches the lead.
+   */
+  validate(raw, text) {
+    if (!raw || typeof raw !== 'object') return {};
+
+    return { ...this.validateContact(raw, text), ...this.validateProfile(raw) };
+  }
+
+  validateContact(raw, text) {
+    const fields = {};
+
+    const name = typeof raw.name === 'string' ? raw.name.trim().replace(/\s+/g, ' ') : '';
+    if (name.length >= 2 && name.length <= 60 && /^\p{L}[\p{L}' .-]*$/u.test(name) &&
+        !this.matcher.isPlaceholderName(name)) {
+      fields.name = name;
+    }
+
+    const email = typeof raw.email === 'string' ? raw.email.trim() : '';
+    const emailInText = text.toLowerCase().includes(email.toLowerCase());
+    if (new RegExp(`^${EMAIL_PATTERN.source}$`, 'i').test(email) && emailInText) {
+      fields.email = email;
+    }
+
+    const phone = this.matcher.normalizePhone(typeof raw.phone === 'string' ? raw.phone : null);
+    if (phone && /^\+1\d{10}$/.test(phone) && text.replace(/\D/g, '').includes(phone.slice(-10))) {
+      fields.phone = phone;
+    }
+
+    return fields;
+  }
+
+  validateProfile(raw) {
+    const fields = {};
+
+    for (const program of Array.isArray(raw.programs) ? raw.programs : []) {
+      if (PROGRAMS[program]) fields[PROGRAMS[program]] = true;
+    }
+
+    if (HOUSING_STATUSES.includes(raw.housing_status)) {
+      fields.housing_status = raw.housing_status;
+      if (raw.housing_status === 'homeless') fields.currently_homeless = true;
+      if (raw.housing_status === 'at_risk') fields.eviction_risk = true;
+    }
+
+    if (this.isPlausibleMoveIn(raw.move_in_date)) {
+      fields.move_in_date = raw.move_in_date;
+    }
+
+    const householdSize = Number(raw.household_size);
+    if (Number.isInteger(householdSize) && householdSize >= 1 && householdSize <= MAX_HOUSEHOLD_SIZE) {
+      fields.household_size = householdSize;
+      fields.has_family = householdSize > 1;
+    }
+
+    return fields;
+  }
+
+  /**
+   * Whether any match of the pattern is not negated
+   */
+  mentions(lower, pattern) {
+    for (const match of lower.matchAll(new RegExp(pattern.source, 'g'))) {
+      if (!NEGATION.test(lower.slice(Math.max(0, match.index - 20), match.index))) return true;
+    }
+    return false;
+  }
+
+  findName(text) {
+    const match = NAME_PATTERNS.map(pattern => text.match(pattern)).find(Boolean);
+    if (!match) return null;
+
+    const words = [];
+    for (const word of match[1].split(/\s+/)) {
+      if (NOT_NAMES.includes(word.toLowerCase().replace(/'/g, ''))) break;
+      words.push(word.charAt(0).toUpperCase() + word.slice(1).toLowerCase());
+    }
+    return words.length > 0 ? words.join(' ') : null;
+  }
+
+  findHouseholdSize(lower) {
+    const toNumber = value => NUMBER_WORDS[value] || parseInt(value);
+
+    const counted = lower.match(new RegExp(`\\b(?:family|household) of ${NUMBER}\\b`)) ||
+      lower.match(new RegExp(`\\b${NUMBER} (?:of us|people in my (?:family|household))\\b`));
+    if (counted) return toNumber(counted[1]);
+
+    const children = lower.match(new RegExp(`\\b(?:me and|with) my ${NUMBER} (?:kids|children|sons|daughters)\\b`));
+    if (children) return toNumber(children[1]) + 1;
+
+    if (/\b(?:me and|with) my (?:wife|husband|partner|son|daughter|child|kid|girlfriend|boyfriend|mom|mother)\b/
+      .test(lower)) {
+      return 2;
+    }
+    if (/\b(?:just me|only me|by myself|on my own)\b/.test(lower)) return 1;
+
+    return null;
+  }
+
+  findMoveInDate(lower) {
+    for (const [pattern, days] of TIMELINES) {
+      if (pattern.test(lower)) return this.today(days);
+    }
+
+    const relative = lower.match(new RegExp(`\\b(?:in|within) (?:about |the next )?${NUMBER} (day|week|month)s?\\b`));
+    if (relative) {
+      return this.today((NUMBER_WORDS[relative[1]] || parseInt(relative[1])) * UNIT_DAYS[relative[2]]);
+    }
+
+    const month = lower.match(new RegExp(`\\b(?:in|by|on|around|before|early|mid|late) (${MONTHS.join('|')})` +
+      '(?: (\\d{1,2})(?:st|nd|rd|th)?)?\\b'));
+    if (month) {
+      const now = new Date();
+      const date = new Date(now.getFullYear(), MONTHS.indexOf(month[1]), parseInt(month[2]) || 1);
+      if (date < new Date(now.getFullYear(), now.getMonth(), now.getDate())) {
+        date.setFullYear(date.getFullYear() + 1);
+      }
+      return this.formatDate(date);
+    }
+
+    return null;
+  }
+
+  /**
+   * A YYYY-MM-DD date from today up to a year out
+   */
+  isPlausibleMoveIn(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return this.formatDate(date) === value && value >= this.today() && value <= this.today(366);
+  }
+
+  /**
+   * Local date as YYYY-MM-DD, optionally some days from now
+   */
+  today(offsetDays = 0) {
+    const now = new Date();
+    return this.formatDate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + offsetDays));
+  }
+
+  formatDate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+module.exports = LeadExtractor;
+module.exports.PROGRAMS = PROGRAMS;
+module.exports.HOUSING_STATUSES = HOUSING_STATUSES;
@@ -0,0 +1,343 @@
+/**
+ * Prompt Registry
+ * Named, versioned prompt templates with {{variable}} placeholders. The
+ * built-in templates (src/ai/prompt-templates.js) are version 0; staff add
+ * versions through the admin API, stored in prompt_versions, for every
+ * channel or for one. Versions with a weight above 0 split the prompt's
+ * traffic by weight - a conversation stays on one version while the weights
+ * are unchanged - and the built-in template is used when none are active.
+ *
+ * Every reply is logged in prompt_events against the version that produced
+ * it, and conversation outcomes (lead created, appointment booked,
+ * escalation) are credited to the version that last replied.
+ */
+
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+const DEFAULT_PROMPTS = require('./prompt-templates');
+
+const CHANNELS = ['chat', 'sms', 'whatsapp', 'voice', 'staff'];
+const OUTCOMES = ['lead_created', 'appointment_booked', 'escalated'];
+const MAX_TEMPLATE_LENGTH = 20000;
+const PLACEHOLDER = /\{\{(\w+)\}\}/g;
+
+const isSet = value => value !== undefined && value !== null;
+
+class PromptRegistry {
+  constructor(storage, options = {}) {
+    this.logger = new Logger('Prompts');
+    this.storage = storage;
+    this.defaults = options.defaults || DEFAULT_PROMPTS;
+
+    // Stored versions by prompt name, loaded on first use
+    this.versions = null;
+    this.loading = null;
+  }
+
+  async load() {
+    const rows = this.storage
+      ? await this.storage.find('prompt_versions', { orderBy: 'version', ascending: true })
+      : [];
+
+    const versions = new Map();
+    for (const row of rows) {
+      if (!versions.has(row.name)) versions.set(row.name, []);
+      versions.get(row.name).push(row);
+    }
+    this.versions = versions;
+  }
+
+  async ensureLoaded() {
+    if (this.versions) return;
+    if (!this.loading) {
+      this.loading = this.load().finally(() => { this.loading = null; });
+    }
+    await this.loading;
+  }
+
+  /**
+   * Version to use: active versions for the channel, else active versions
+   * for every channel, else the built-in template
+   */
+  async choose(name, { channel = null, conversationKey = null } = {}) {
+    if (!this.defaults[name]) throw new Error(`Unknown prompt: ${name}`);
+
+    try {
+      await this.ensureLoaded();
+    } catch (error) {
+      this.logger.error('Failed to load prompt versions, using built-in prompts:', error);
+      return this.builtIn(name);
+    }
+
+    const active = (this.versions.get(name) || []).filter(version => version.weight > 0);
+    const forChannel = active.filter(version => channel && version.channel === channel);
+    const candidates = forChannel.length > 0 ? forChannel : active.filter(version => !version.channel);
+    if (candidates.length === 0) return this.builtIn(name);
+
+    return this.split(candidates, conversationKey ? `${name}:${conversationKey}` : null);
+  }
+
+  /**
+   * Pick a version in proportion to its weight; the same key always gets the same one
+   */
+  split(candidates, key) {
+    const total = candidates.reduce((sum, version) => sum + version.weight, 0);
+    let point = key
+      ? crypto.createHash('sha256').update(key).digest().readUInt32BE(0) % total
+      : Math.random() * total;
+
+    for (const candidate of candidates) {
+      point -= candidate.weight;
+      if (point < 0) return candidate;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  builtIn(name) {
+    return {
+      name,
+      version: 0,
+      channel: null,
+      weight: null,
+      description: 'Built-in',
+      template: this.defaults[name].template
+    };
+  }
+
+  /**
+   * Fill a template's placeholders; missing values become empty
+   */
+  render(template, values = {}) {
+    return template.replace(PLACEHOLDER, (match, key) =>
+      (isSet(values[key]) ? String(values[key]) : '')
+    );
+  }
+
+  /**
+   * Log that a version produced a reply
+   */
+  async recordServed(prompt, { channel = null, conversationKey = null } = {}) {
+    if (!this.storage) return;
+
+    try {
+      await this.storage.insert('prompt_events', {
+        prompt_name: prompt.name,
+        version: prompt.version,
+        channel,
+        conversation_key: conversationKey,
+        event: 'served'
+      });
+    } catch (error) {
+      this.logger.error(`Failed to record use of prompt ${prompt.name} v${prompt.version}:`, error.message);
+    }
+  }
+
+  /**
+   * Credit an outcome to the version that last replied in the conversation.
+   * Each outcome counts once per conversation and version.
+   */
+  async recordOutcome(conversationKey, outcome) {
+    if (!OUTCOMES.includes(outcome)) throw new Error(`Unknown prompt outcome: ${outcome}`);
+    if (!this.storage || !conversationKey) return null;
+
+    try {
+      const served = await this.storage.findOne('prompt_events', {
+        where: { conversation_key: conversationKey, event: 'served' },
+        orderBy: 'created_at',
+        ascending: false
+      });
+      if (!served) return null;
+
+      const event = {
+        prompt_name: served.prompt_name,
+        version: served.version,
+        conversation_key: conversationKey,
+        event: outcome
+      };
+      if (await this.storage.findOne('prompt_events', { where: event })) return null;
+
+      return await this.storage.insert('prompt_events', { ...event, channel: served.channel });
+    } catch (error) {
+      this.logger.error(`Failed to record prompt outcome ${outcome}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Replies, conversations and outcomes per version and channel over the last `days`.
+   * Rates are outcomes per conversation.
+   */
+  async getMetrics(name, { days = 30 } = {}) {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const events = await this.storage.find('prompt_events', {
+      where: { prompt_name: name, created_at: { gte: since } }
+    });
+
+    const groups = new Map();
+    for (const event of events) {
+      const key = `${event.version}:${event.channel || ''}`;
+      if (!groups.has(key)) {
+        groups.set(key, {
+          version: event.version,
+          channel: event.channel || null,
+          responses: 0,
+          conversations: new Set(),
+          outcomes: Object.fromEntries(OUTCOMES.map(outcome => [outcome, 0]))
+        });
+      }
+
+      const group = groups.get(key);
+      if (event.event === 'served') {
+        group.responses++;
+        if (event.conversation_key) group.conversations.add(event.conversation_key);
+      } else if (OUTCOMES.includes(event.event)) {
+        group.outcomes[event.event]++;
+      }
+    }
+
+    return [...groups.values()]
+      .sort((a, b) => a.version - b.version || String(a.channel).localeCompare(String(b.channel)))
+      .map(group => ({
+        ...group,
+        conversations: group.conversations.size,
+        rates: Object.fromEntries(OUTCOMES.map(outcome => [outcome, group.conversations.size > 0
+          ? Math.round(group.outcomes[outcome] / group.conversations.size * 1000) / 1000
+          : null]))
+      }));
+  }
+
+  async listPrompts() {
+    await this.ensureLoaded();
+    return Object.entries(this.defaults).map(([name, prompt]) => ({
+      name,
+      description: prompt.description,
+      variables: prompt.variables,
+      versions: (this.versions.get(name) || []).length + 1,
+      active: (this.versions.get(name) || [])
+        .filter(version => version.weight > 0)
+        .map(({ version, channel, weight }) => ({ version, channel, weight }))
+    }));
+  }
+
+  async getPrompt(name) {
+    if (!this.defaults[name]) return null;
+    await this.ensureLoaded();
+
+    const { description, variables, required = [] } = this.defaults[name];
+    return {
+      name,
+      description,
+      variables,
+      required,
+      versions: [this.builtIn(name), ...(this.versions.get(name) || [])]
+    };
+  }
+
+  /**
+   * Add a version of a prompt; versions are numbered per prompt and never edited
+   */
+  async createVersion(name, { template, channel = null, weight = 0, description = null } = {}, actor = null) {
+    if (!this.defaults[name]) {
+      return { success: false, code: 'not_found', error: `Unknown prompt: ${name}` };
+    }
+
+    const error = this.validateTemplate(name, template) || this.validateSettings({ channel, weight, description });
+    if (error) {
+      return { success: false, code: 'invalid_prompt', error };
+    }
+
+    return await this.insertVersion(name, { channel, template, weight, description, created_by: actor });
+  }
+
+  async insertVersion(name, fields) {
+    try {
+      await this.load();
+      const versions = this.versions.get(name) || [];
+      const version = await this.storage.insert('prompt_versions', {
+        name,
+        version: versions.length > 0 ? versions[versions.length - 1].version + 1 : 1,
+        ...fields
+      });
+
+      await this.load();
+      this.logger.info(`📝 Prompt ${name} v${version.version} added by ${fields.created_by || 'system'}`);
+
+      return { success: true, version };
+    } catch (error) {
+      this.logger.error(`Failed to add a version of prompt ${name}:`, error);
+      return { success: false, code: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Change a version's traffic weight or description
+   */
+  async updateVersion(name, version, { weight, description } = {}, actor = null) {
+    const error = this.validateSettings({ weight, description });
+    if (error) {
+      return { success: false, code: 'invalid_prompt', error };
+    }
+
+    try {
+      const existing = await this.storage.findOne('prompt_versions', {
+        where: { name, version: parseInt(version) }
+      });
+      if (!existing) {
+        return { success: false, code: 'not_found', error: `Prompt ${name} has no stored version ${version}` };
+      }
+
+      const [updated] = await this.storage.update('prompt_versions', { id: existing.id }, {
+        ...(weight !== undefined && { weight }),
+        ...(description !== undefined && { description }),
+        updated_by: actor
+      });
+
+      await this.load();
+      this.logger.info(`📝 Prompt ${name} v${existing.version} updated by ${actor || 'system'}`);
+
+      return { success: true, version: updated };
+    } catch (error) {
+      this.logger.error(`Failed to update prompt ${name} v${version}:`, error);
+      return { success: false, code: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Error message for an unusable template, or null
+   */
+  validateTemplate(name, template) {
+    if (typeof template !== 'string' || !template.trim()) {
+      return 'template is required';
+    }
+    if (template.length > MAX_TEMPLATE_LENGTH) {
+      return `template must be at most ${MAX_TEMPLATE_LENGTH} characters`;
+    }
+
+    const { variables, required = [] } = this.defaults[name];
+    const used = [...template.matchAll(PLACEHOLDER)].map(match => match[1]);
+    const unknown = [...new Set(used.filter(variable => !variables.includes(variable)))];
+    if (unknown.length > 0) {
+      return `Unknown variables: ${unknown.join(', ')} (available: ${variables.join(', ')})`;
+    }
+
+    const missing = required.filter(variable => !used.includes(variable));
+    return missing.length > 0 ? `template must include ${missing.map(item => `{{${item}}}`).join(', ')}` : null;
+  }
+
+  validateSettings({ channel, weight, description }) {
+    if (isSet(channel) && !CHANNELS.includes(channel)) {
+      return `channel must be one of: ${CHANNELS.join(', ')} (or null for every channel)`;
+    }
+    if (weight !== undefined && (!Number.isInteger(weight) || weight < 0 || weight > 100)) {
+      return 'weight must be a whole number from 0 to 100';
+    }
+    if (isSet(description) && (typeof description !== 'string' || description.length > 500)) {
+      return 'description must be text of at most 500 characters';
+    }
+    return null;
+  }
+}
+
+module.exports = PromptRegistry;
+module.exports.CHANNELS = CHANNELS;
+module.exports.OUTCOMES = OUTCOMES;
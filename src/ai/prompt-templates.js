@@ -0,0 +1,160 @@
+/**
+ * Built-in Prompt Templates
+ * Version 0 of every prompt in the registry (src/ai/prompt-registry.js).
+ * `variables` are the {{placeholders}} a template may use; `required` ones
+ * must appear in every version.
+ */
+
+const DEFAULT_PROMPTS = {
+  assistant_system: {
+    description: 'System prompt for chat, SMS/WhatsApp, voice and the staff assistant',
+    variables: [
+      'business_name', 'business_phone', 'business_email', 'business_website', 'business_location',
+      'business_hours', 'programs', 'knowledge', 'actions', 'time', 'working_hours', 'memories',
+      'conversation', 'safety'
+    ],
+    // Crisis guidance from the safety screen must reach the AI whatever the version
+    required: ['safety'],
+    template: `You are Horizon AI, an intelligent business assistant for {{business_name}}.
+
+BUSINESS INFORMATION:
+- Company: {{business_name}}
+- Phone: {{business_phone}}
+- Email: {{business_email}}
+- Website: {{business_website}}
+- Location: {{business_location}}
+- Office hours: {{business_hours}}
+- Programs: {{programs}}
+{{knowledge}}
+YOUR ROLE:
+- You help manage business operations, leads, and customer interactions
+- You have access to memory, internet research, and email capabilities
+{{actions}}
+- You maintain a professional, helpful, and knowledgeable tone
+
+CURRENT CONTEXT:
+- Time: {{time}}
+- Working Hours: {{working_hours}}
+{{memories}}
+{{conversation}}{{safety}}
+
+CAPABILITIES:
+- Lead management and follow-up
+- Email automation and responses
+- Web research and industry insights
+- Task scheduling and automation
+- Business reporting and analytics
+- Customer service and support
+
+GUIDELINES:
+- Always be helpful and professional
+- Provide actionable advice and solutions
+- Use business knowledge to inform responses
+- Only state program details, eligibility, costs and house rules found in the knowledge base
+- If the knowledge base does not cover a question, say so and offer to connect the person with staff
+- Suggest specific next steps when appropriate
+- Keep responses concise but comprehensive
+- Reference relevant memories when helpful`
+  },
+
+  lead_analysis: {
+    description: 'Assessment and follow-up plan for a new lead',
+    variables: ['name', 'email', 'phone', 'source', 'created_at'],
+    template: `Please analyze this new lead and suggest appropriate follow-up actions:
+
+Lead Information:
+- Name: {{name}}
+- Email: {{email}}
+- Phone: {{phone}}
+- Source: {{source}}
+- Inquiry Date: {{created_at}}
+
+Please provide:
+1. Lead assessment (quality, urgency, potential)
+2. Recommended follow-up strategy
+3. Specific next steps
+4. Timeline for actions`
+  },
+
+  email_welcome: {
+    description: 'Welcome email for a new lead',
+    variables: ['recipient_name', 'business_name'],
+    template: `Generate a professional welcome email for a new lead named {{recipient_name}}. The email should:
+- Thank them for their inquiry
+- Briefly introduce {{business_name}}
+- Set expectations for follow-up
+- Include a clear call-to-action
+- Be warm but professional`
+  },
+
+  email_follow_up: {
+    description: 'Follow-up email after an inquiry',
+    variables: ['recipient_name', 'business_name'],
+    template: `Generate a follow-up email for {{recipient_name}} who inquired about our services. The email should:
+- Reference their initial inquiry
+- Provide additional value or insights
+- Suggest a next step (call, meeting, etc.)
+- Be personalized and helpful`
+  },
+
+  email_appointment_reminder: {
+    description: 'Appointment reminder email',
+    variables: ['recipient_name', 'business_name', 'appointment_date', 'appointment_time', 'appointment_type'],
+    template: `Generate an appointment reminder email for {{recipient_name}} with these details:
+- Appointment: {{appointment_date}} at {{appointment_time}}
+- Type: {{appointment_type}}
+- Include any preparation instructions
+- Provide contact information for changes`
+  },
+
+  email_general: {
+    description: 'Any other business email',
+    variables: ['recipient_name', 'business_name', 'type'],
+    template: 'Generate a professional business email for {{recipient_name}} regarding {{type}}'
+  },
+
+  business_performance: {
+    description: 'Insights from lead and email metrics',
+    variables: [
+      'total_leads', 'new_leads', 'contacted_leads', 'converted_leads', 'conversion_rate',
+      'emails_sent', 'email_open_rate'
+    ],
+    template: `Please analyze our business performance and provide insights:
+
+METRICS:
+- Total Leads: {{total_leads}}
+- New Leads: {{new_leads}}
+- Contacted Leads: {{contacted_leads}}
+- Converted Leads: {{converted_leads}}
+- Conversion Rate: {{conversion_rate}}
+
+- Emails Sent: {{emails_sent}}
+- Email Open Rate: {{email_open_rate}}
+
+Please provide:
+1. Performance assessment
+2. Key trends and patterns
+3. Areas for improvement
+4. Specific recommendations
+5. Next steps to optimize results`
+  },
+
+  business_decision: {
+    description: 'Recommendation between business options',
+    variables: ['situation', 'options', 'constraints', 'goals'],
+    template: `Help me make a business decision based on this information:
+
+CONTEXT: {{situation}}
+OPTIONS: {{options}}
+CONSTRAINTS: {{constraints}}
+GOALS: {{goals}}
+
+Please provide:
+1. Analysis of each option
+2. Recommended decision with reasoning
+3. Potential risks and mitigation strategies
+4. Implementation steps`
+  }
+};
+
+module.exports = DEFAULT_PROMPTS;
@@ -0,0 +1,173 @@
+/**
+ * Safety Classifier
+ * Flags inbound messages that suggest a crisis (suicide or self-harm, overdose,
+ * violence, abuse) or elevated risk (relapse, no shelter tonight). Rules are
+ * regular expressions in config/safety-rules.json (or SAFETY_RULES_PATH); the
+ * AI can optionally score messages the rules did not flag as critical.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
+
+const DEFAULT_PATH = path.join(__dirname, '../../config/safety-rules.json');
+
+// Lowest to highest
+const SEVERITIES = ['elevated', 'high', 'critical'];
+
+class SafetyClassifier {
+  constructor(options = {}) {
+    this.logger = new Logger('Safety');
+    this.filePath = options.filePath || process.env.SAFETY_RULES_PATH || DEFAULT_PATH;
+    this.config = options.config || this.load();
+    this.rules = this.compile(this.config);
+
+    // async (text, categories) => { category, confidence } from the AI (AICore.scoreSafety)
+    this.scoreWithModel = options.scoreWithModel || null;
+    const modelScoring = this.config.model_scoring || {};
+    this.modelScoring = process.env.SAFETY_MODEL_SCORING
+      ? process.env.SAFETY_MODEL_SCORING === 'true'
+      : modelScoring.enabled === true;
+    this.minConfidence = modelScoring.min_confidence || 0.7;
+  }
+
+  load() {
+    try {
+      return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Safety rules ${this.filePath} could not be read: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validate the rules and compile their patterns; throws listing every problem
+   */
+  compile(config) {
+    const errors = [];
+    const responses = config.responses || {};
+
+    for (const key of ['suppress_ai_at', 'page_at']) {
+      if (!SEVERITIES.includes(config[key])) {
+        errors.push(`${key} must be one of ${SEVERITIES.join(', ')}`);
+      }
+    }
+
+    const rules = (Array.isArray(config.rules) ? config.rules : []).map((rule, i) => {
+      const where = `rules[${i}]`;
+      if (!rule.id || !rule.label) errors.push(`${where} needs an id and a label`);
+      if (!SEVERITIES.includes(rule.severity)) errors.push(`${where}.severity must be one of ${SEVERITIES.join(', ')}`);
+      if (typeof responses[rule.response] !== 'string') {
+        errors.push(`${where}.response must name an entry in responses`);
+      }
+
+      const patterns = (rule.patterns || []).flatMap(pattern => {
+        try {
+          return [new RegExp(pattern, 'i')];
+        } catch (error) {
+          errors.push(`${where} pattern ${pattern} is invalid: ${error.message}`);
+          return [];
+        }
+      });
+      if (patterns.length === 0) errors.push(`${where} needs at least one pattern`);
+
+      return { ...rule, patterns };
+    });
+    if (rules.length === 0) errors.push('rules must list at least one rule');
+
+    if (errors.length > 0) {
+      throw new Error(`Safety rules ${this.filePath} are invalid: ${errors.join('; ')}`);
+    }
+    return rules;
+  }
+
+  /**
+   * { flagged: false } or { flagged, category, label, severity, method, matched, confidence }
+   */
+  async classify(text) {
+    const byRules = this.matchRules(text);
+    if (byRules && byRules.severity === 'critical') return byRules;
+
+    const byModel = await this.scoreModel(text);
+    if (byModel && (!byRules || this.rank(byModel.severity) > this.rank(byRules.severity))) {
+      return byModel;
+    }
+    return byRules || { flagged: false };
+  }
+
+  /**
+   * Most severe rule whose pattern appears in the text
+   */
+  matchRules(text) {
+    const normalized = String(text || '').replace(/[‘’]/g, '\'');
+    let best = null;
+
+    for (const rule of this.rules) {
+      if (best && this.rank(rule.severity) <= this.rank(best.severity)) continue;
+
+      const match = rule.patterns.map(pattern => normalized.match(pattern)).find(Boolean);
+      if (match) {
+        best = this.result(rule, 'rules', { matched: match[0] });
+      }
+    }
+    return best;
+  }
+
+  async scoreModel(text) {
+    if (!this.modelScoring || !this.scoreWithModel) return null;
+
+    try {
+      const categories = this.rules.map(({ id, label }) => ({ id, label }));
+      const score = await this.scoreWithModel(text, categories);
+      const rule = score && this.rules.find(item => item.id === score.category);
+      if (!rule || !(score.confidence >= this.minConfidence)) return null;
+
+      return this.result(rule, 'model', { confidence: score.confidence });
+    } catch (error) {
+      this.logger.warn('Safety model scoring failed, using rules only:', error.message);
+      return null;
+    }
+  }
+
+  result(rule, method, details) {
+    return {
+      flagged: true,
+      category: rule.id,
+      label: rule.label,
+      severity: rule.severity,
+      method,
+      matched: null,
+      confidence: null,
+      ...details
+    };
+  }
+
+  rank(severity) {
+    return SEVERITIES.indexOf(severity);
+  }
+
+  isAtLeast(severity, threshold) {
+    return this.rank(severity) >= this.rank(threshold);
+  }
+
+  /**
+   * Vetted reply for a category, with the business contact filled in.
+   * `paged` adds that staff were alerted - only said when they were.
+   */
+  responseFor(category, { paged = false } = {}) {
+    const rule = this.rules.find(item => item.id === category);
+    const { name, phone } = getBusinessProfile().getContactInfo();
+    const values = {
+      name,
+      phone,
+      follow_up: paged ? 'Our team has been alerted and will follow up with you.' : ''
+    };
+
+    return this.config.responses[rule.response]
+      .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match))
+      .trim();
+  }
+}
+
+module.exports = SafetyClassifier;
+module.exports.SEVERITIES = SEVERITIES;
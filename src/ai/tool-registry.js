@@ -0,0 +1,380 @@
+/**
+ * AI Tool Registry
+ * Vetted agent actions the AI can call during a conversation (tour slots and
+ * booking, follow-ups, memory search, lead status). Each channel has an
+ * allowlist, arguments are validated against the tool's schema before
+ * anything runs, and every call is recorded in the ai_tool_calls audit log.
+ */
+
+const Logger = require('../utils/logger');
+const { hasPermission } = require('../auth/permissions');
+const { redact } = require('../utils/redaction');
+const { STAGES } = require('../business/lead-lifecycle');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Most slots offered per day, to keep tool results short
+const MAX_SLOTS_PER_DAY = 8;
+
+const LEAD_SOURCES = { chat: 'website_chat', voice: 'phone_call' };
+
+/**
+ * Tool definitions. `input_schema` is sent to Claude and used for validation;
+ * `permission` is what a staff user needs; `staffOnly` tools change existing
+ * leads and can never be enabled for public channels.
+ */
+const TOOLS = {
+  get_available_slots: {
+    description: 'List open property tour times. Check this before offering or booking a tour.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        date: { type: 'string', format: 'date', description: 'First day to check (YYYY-MM-DD), default today' },
+        days: { type: 'integer', minimum: 1, maximum: 14, description: 'Number of days to check, default 7' }
+      },
+      required: []
+    },
+    permission: 'leads:read',
+    run: async (agent, input) => {
+      const calendar = await agent.getCalendar();
+      const start = input.date ? new Date(`${input.date}T12:00:00`) : new Date();
+      const days = await calendar.getAvailableSlots(start, input.days || 7);
+
+      return {
+        success: true,
+        days: days
+          .filter(day => day.slots.length > 0)
+          .map(day => ({
+            date: day.date,
+            day: day.dayName,
+            times: day.slots.slice(0, MAX_SLOTS_PER_DAY).map(slot => slot.start)
+          }))
+      };
+    }
+  },
+
+  book_tour: {
+    description: 'Book a property tour at an open time from get_available_slots. ' +
+      'Only call this once the person has confirmed the time and given their name and an email or phone number.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', maxLength: 100, description: 'Full name of the person touring' },
+        email: { type: 'string', format: 'email', maxLength: 254 },
+        phone: { type: 'string', pattern: '^\\+?[0-9 ().-]{7,20}$' },
+        date: { type: 'string', format: 'date', description: 'Tour date (YYYY-MM-DD)' },
+        time: { type: 'string', pattern: '^([01][0-9]|2[0-3]):[0-5][0-9]$', description: 'Start time (HH:MM)' }
+      },
+      required: ['name', 'date', 'time']
+    },
+    permission: 'leads:write',
+    validate: input => (input.email || input.phone ? null : 'An email or phone number is required'),
+    run: async (agent, input, context) => {
+      const calendar = await agent.getCalendar();
+      const [day] = await calendar.getAvailableSlots(new Date(`${input.date}T12:00:00`), 1);
+      const open = day && day.date === input.date && day.slots.some(slot => slot.start === input.time);
+      if (!open) {
+        const error = `${input.date} ${input.time} is not an open tour time`;
+        return { success: false, code: 'slot_unavailable', error };
+      }
+
+      // Visitors can type anyone's email or phone, so only staff bookings may land on an existing lead
+      const { lead, merged } = await agent.intakeLead({
+        name: input.name,
+        email: input.email,
+        phone: input.phone,
+        source: LEAD_SOURCES[context.channel] || context.channel,
+        message: `Tour booked in ${context.channel} conversation for ${input.date} at ${input.time}`
+      }, { verified: Boolean(context.actor) });
+      const appointment = await calendar.bookAppointment(
+        { id: lead.id, name: lead.name, email: input.email, phone: input.phone },
+        { date: input.date, time: input.time }
+      );
+
+      const transition = await agent.lifecycle.transition(lead.id, STAGES.APPOINTMENT_SET, {
+        appointment_at: `${input.date}T${input.time}`,
+        actor: context.actorName,
+        source: 'assistant'
+      });
+      if (!transition.success) {
+        agent.logger.warn(`Tour booked but lead ${lead.id} not moved to appointment set: ${transition.error}`);
+      }
+
+      if (!merged) await agent.recordOutcome(context.conversation, 'lead_created');
+      await agent.recordOutcome(context.conversation, 'appointment_booked');
+
+      return {
+        success: true,
+        appointment: { id: appointment.id, type: appointment.type, date: appointment.date, time: appointment.time }
+      };
+    }
+  },
+
+  schedule_follow_up: {
+    description: 'Schedule a follow-up with an existing lead.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        lead_id: { type: 'string', maxLength: 64 },
+        type: { type: 'string', enum: ['email', 'sms', 'call'] },
+        delay_hours: { type: 'integer', minimum: 1, maximum: 336, description: 'Hours from now, default 24' }
+      },
+      required: ['lead_id', 'type']
+    },
+    permission: 'tasks:write',
+    staffOnly: true,
+    run: async (agent, input) => {
+      const lead = await agent.storage.findOne('leads', { where: { id: input.lead_id } });
+      if (!lead) return { success: false, code: 'not_found', error: `Lead ${input.lead_id} not found` };
+
+      const business = await agent.getBusiness();
+      const followUp = await business.scheduleFollowUp(lead, input.type, input.delay_hours || 24);
+      if (!followUp) return { success: false, code: 'error', error: 'Could not schedule the follow-up' };
+
+      return { success: true, follow_up: { id: followUp.id, type: input.type, scheduled_at: followUp.scheduled_at } };
+    }
+  },
+
+  search_memory: {
+    description: 'Search the agent\'s memories (past conversations, leads and actions).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', maxLength: 200 },
+        limit: { type: 'integer', minimum: 1, maximum: 20 }
+      },
+      required: ['query']
+    },
+    permission: 'memory:read',
+    staffOnly: true,
+    run: async (agent, input) => {
+      const memory = await agent.getMemory();
+      const memories = await memory.search(input.query, input.limit || 5);
+
+      return {
+        success: true,
+        memories: memories.map(({ content, type, created_at }) => ({ content, type, created_at }))
+      };
+    }
+  },
+
+  update_lead_status: {
+    description: 'Move a lead to a new pipeline stage. Some stages need extra details (see the error if refused).',
+    input_schema: {
+      type: 'object',
+      properties: {
+        lead_id: { type: 'string', maxLength: 64 },
+        status: { type: 'string', enum: Object.values(STAGES) },
+        reason: { type: 'string', maxLength: 500 }
+      },
+      required: ['lead_id', 'status']
+    },
+    permission: 'leads:write',
+    staffOnly: true,
+    run: async (agent, input, context) => {
+      const result = await agent.lifecycle.transition(input.lead_id, input.status, {
+        reason: input.reason,
+        actor: context.actorName,
+        source: 'assistant'
+      });
+      if (!result.success) return result;
+
+      return { success: true, changed: result.changed, from: result.from, to: result.to };
+    }
+  }
+};
+
+// Tools each channel may use, overridable with AI_TOOLS_<CHANNEL> (comma separated, or "none")
+const DEFAULT_ALLOWLISTS = {
+  chat: ['get_available_slots', 'book_tour'],
+  sms: ['get_available_slots', 'book_tour'],
+  whatsapp: ['get_available_slots', 'book_tour'],
+  voice: ['get_available_slots', 'book_tour'],
+  staff: Object.keys(TOOLS)
+};
+
+class ToolRegistry {
+  constructor(agent, options = {}) {
+    this.logger = new Logger('AITools');
+    this.agent = agent;
+    this.storage = options.storage || agent.storage;
+    this.tools = options.tools || TOOLS;
+    this.allowlists = this.loadAllowlists(options.allowlists || DEFAULT_ALLOWLISTS);
+  }
+
+  loadAllowlists(defaults) {
+    const allowlists = {};
+
+    for (const channel of Object.keys(defaults)) {
+      const override = process.env[`AI_TOOLS_${channel.toUpperCase()}`];
+      const names = override !== undefined
+        ? override.split(',').map(name => name.trim()).filter(name => name && name !== 'none')
+        : defaults[channel];
+
+      allowlists[channel] = names.filter(name => {
+        const tool = this.tools[name];
+        if (!tool) {
+          this.logger.warn(`Ignoring unknown AI tool "${name}" for ${channel}`);
+          return false;
+        }
+        if (tool.staffOnly && channel !== 'staff') {
+          this.logger.warn(`AI tool "${name}" is staff-only and cannot be enabled for ${channel}`);
+          return false;
+        }
+        return true;
+      });
+    }
+
+    return allowlists;
+  }
+
+  /**
+   * Tools available to a conversation: the channel's allowlist, narrowed by
+   * the staff user's permissions on the staff channel
+   */
+  getAllowed(channel, actor = null) {
+    return (this.allowlists[channel] || []).filter(name =>
+      channel !== 'staff' || (actor && hasPermission(actor.role, this.tools[name].permission))
+    );
+  }
+
+  /**
+   * Tool definitions for the Messages API plus an executor bound to the
+   * conversation, or null when the channel has no tools
+   */
+  forContext({ channel, actor = null, conversation = null }) {
+    const allowed = this.getAllowed(channel, actor);
+    if (allowed.length === 0) return null;
+
+    return {
+      definitions: allowed.map(name => ({
+        name,
+        description: this.tools[name].description,
+        input_schema: this.tools[name].input_schema
+      })),
+      execute: (name, input) => this.execute(name, input, { channel, actor, conversation })
+    };
+  }
+
+  /**
+   * Check the allowlist and arguments, run the tool and record the call.
+   * Always resolves to { success, ... } so the result can go back to the AI.
+   */
+  async execute(name, input, context = {}) {
+    const startedAt = Date.now();
+    const actorName = context.actor ? context.actor.email : `assistant:${context.channel}`;
+    let result;
+
+    try {
+      if (!this.getAllowed(context.channel, context.actor).includes(name)) {
+        result = { success: false, code: 'not_allowed', error: `Tool ${name} is not available here` };
+      } else {
+        const error = this.validate(name, input);
+        result = error
+          ? { success: false, code: 'invalid_input', error }
+          : await this.tools[name].run(this.agent, input, { ...context, actorName });
+      }
+    } catch (error) {
+      this.logger.error(`AI tool ${name} failed:`, error);
+      result = { success: false, code: 'error', error: 'The action failed' };
+    }
+
+    await this.audit(name, input, result, { ...context, actorName }, Date.now() - startedAt);
+    return result;
+  }
+
+  /**
+   * Validate arguments against the tool's input schema. Returns an error message or null.
+   */
+  validate(name, input) {
+    const tool = this.tools[name];
+    if (!tool) return `Unknown tool: ${name}`;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) return 'Arguments must be an object';
+
+    const { properties, required = [] } = tool.input_schema;
+
+    for (const key of Object.keys(input)) {
+      if (!properties[key]) return `Unexpected argument: ${key}`;
+    }
+    for (const key of required) {
+      if (input[key] === undefined || input[key] === null || input[key] === '') return `Missing argument: ${key}`;
+    }
+    for (const [key, value] of Object.entries(input)) {
+      if (value === undefined) continue;
+      const error = this.validateValue(properties[key], value);
+      if (error) return `${key} ${error}`;
+    }
+
+    return tool.validate ? tool.validate(input) : null;
+  }
+
+  validateValue(schema, value) {
+    if (schema.type === 'integer') {
+      if (!Number.isInteger(value)) return 'must be a whole number';
+      if (schema.minimum !== undefined && value < schema.minimum) return `must be at least ${schema.minimum}`;
+      if (schema.maximum !== undefined && value > schema.maximum) return `must be at most ${schema.maximum}`;
+      return null;
+    }
+
+    if (typeof value !== 'string') return 'must be a string';
+    if (schema.maxLength && value.length > schema.maxLength) return `must be at most ${schema.maxLength} characters`;
+    if (schema.enum && !schema.enum.includes(value)) return `must be one of: ${schema.enum.join(', ')}`;
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) return 'has an invalid format';
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) return 'must be an email address';
+    if (schema.format === 'date' && !this.isDate(value)) return 'must be a date (YYYY-MM-DD)';
+    return null;
+  }
+
+  isDate(value) {
+    if (!DATE_PATTERN.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    const date = new Date(year, month - 1, day);
+    return date.getFullYear() === year && date.getMonth() === month - 1 && date.getDate() === day;
+  }
+
+  async audit(name, input, result, context, durationMs) {
+    try {
+      await this.storage.insert('ai_tool_calls', {
+        tool: name,
+        channel: context.channel || null,
+        conversation_key: context.conversation
+          ? `${context.conversation.channel}:${context.conversation.id}`
+          : null,
+        actor: context.actorName,
+        input: redact(input),
+        success: result.success === true,
+        error_code: result.success ? null : result.code || 'error',
+        error: result.success ? null : result.error || null,
+        result: result.success ? redact(result) : null,
+        duration_ms: durationMs
+      });
+    } catch (error) {
+      this.logger.error(`Failed to record AI tool call ${name}:`, error.message);
+    }
+
+    const outcome = result.success ? 'ok' : `${result.code}: ${result.error}`;
+    this.logger.info(`🛠️ AI tool ${name} (${context.channel}, ${context.actorName}) - ${outcome}`);
+  }
+
+  /**
+   * Recent audit log entries, newest first
+   */
+  async getCalls({ tool, channel, limit = 50, offset = 0 } = {}) {
+    const where = {};
+    if (tool) where.tool = tool;
+    if (channel) where.channel = channel;
+
+    return await this.storage.find('ai_tool_calls', {
+      where,
+      orderBy: 'created_at',
+      ascending: false,
+      limit,
+      offset
+    });
+  }
+}
+
+module.exports = ToolRegistry;
+module.exports.TOOLS = TOOLS;
+module.exports.DEFAULT_ALLOWLISTS = DEFAULT_ALLOWLISTS;
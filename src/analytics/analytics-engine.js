@@ -15,6 +15,7 @@ class AnalyticsEngine {
             leads: new Map(),
             conversations: new Map(),
             emails: new Map(),
+            sms: new Map(),
             conversions: new Map(),
             revenue: new Map()
         };
@@ -28,6 +29,9 @@ class AnalyticsEngine {
             emailsSent: 0,
             emailsOpened: 0,
             emailsClicked: 0,
+            smsSent: 0,
+            smsDelivered: 0,
+            smsFailed: 0,
             conversions: 0,
             revenue: 0
         };
@@ -227,6 +231,41 @@ class AnalyticsEngine {
         }
     }
 
+    /**
+     * Track an SMS delivery status callback. Each message counts once as sent
+     * and once under its latest outcome (delivered, or undelivered/failed).
+     */
+    trackSMS(messageSid, status, data = {}) {
+        if (!this.metrics.sms.has(messageSid)) {
+            this.metrics.sms.set(messageSid, { id: messageSid, status: null, events: [] });
+            this.counters.smsSent++;
+        }
+
+        const sms = this.metrics.sms.get(messageSid);
+        sms.events.push({
+            event: status,
+            timestamp: new Date(),
+            data: data
+        });
+
+        this.countSMSOutcome(sms.status, -1);
+        this.countSMSOutcome(status, 1);
+        sms.status = status;
+    }
+
+    countSMSOutcome(status, change) {
+        switch (status) {
+            case 'delivered':
+            case 'read':
+                this.counters.smsDelivered += change;
+                break;
+            case 'undelivered':
+            case 'failed':
+                this.counters.smsFailed += change;
+                break;
+        }
+    }
+
     /**
      * Track conversion events
      */
@@ -277,6 +316,11 @@ class AnalyticsEngine {
             ? (this.counters.emailsClicked / this.counters.emailsOpened) * 100 
             : 0;
         
+        const smsOutcomes = this.counters.smsDelivered + this.counters.smsFailed;
+        const smsDeliveryRate = smsOutcomes > 0
+            ? (this.counters.smsDelivered / smsOutcomes) * 100
+            : 0;
+        
         const leadConversionRate = this.counters.dailyLeads > 0 
             ? (this.counters.conversions / this.counters.dailyLeads) * 100 
             : 0;
@@ -305,6 +349,12 @@ class AnalyticsEngine {
                 openRate: Math.round(emailOpenRate),
                 clickRate: Math.round(emailClickRate)
             },
+            sms: {
+                sent: this.counters.smsSent,
+                delivered: this.counters.smsDelivered,
+                failed: this.counters.smsFailed,
+                deliveryRate: Math.round(smsDeliveryRate)
+            },
             conversions: {
                 total: this.counters.conversions,
                 revenue: this.counters.revenue,
@@ -466,6 +516,7 @@ class AnalyticsEngine {
                 leads: metrics.leads.today,
                 conversations: metrics.conversations.total,
                 emails: metrics.emails.sent,
+                texts: metrics.sms.sent,
                 conversions: metrics.conversions.total,
                 revenue: metrics.conversions.revenue
             },
@@ -502,6 +553,10 @@ class AnalyticsEngine {
             recommendations.push('📧 Consider A/B testing email subject lines to improve open rates');
         }
         
+        if (metrics.sms.failed > 0 && metrics.sms.deliveryRate < 90) {
+            recommendations.push('📵 Review undelivered texts - numbers marked invalid need another way to reach them');
+        }
+        
         if (metrics.leads.conversionRate < 5) {
             recommendations.push('🎯 Focus on lead qualification to improve conversion rates');
         }
@@ -540,6 +595,7 @@ class AnalyticsEngine {
             totalLeads: this.metrics.leads.size,
             totalConversations: this.metrics.conversations.size,
             totalEmails: this.metrics.emails.size,
+            totalTexts: this.metrics.sms.size,
             totalConversions: this.metrics.conversions.size,
             counters: this.counters
         };
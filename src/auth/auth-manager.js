@@ -0,0 +1,362 @@
+/**
+ * Staff Authentication
+ * Staff accounts with roles, login sessions and per-route permission checks
+ *
+ * A login returns an opaque session token, set as an HttpOnly cookie for the
+ * dashboard and usable as `Authorization: Bearer <token>` for API clients.
+ * Only a SHA-256 hash of each token is stored. Passwords are hashed with scrypt.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Logger = require('../utils/logger');
+const { ROLES, hasPermission } = require('./permissions');
+
+const SESSION_COOKIE = 'fh_session';
+const MIN_PASSWORD_LENGTH = 10;
+const SCRYPT_KEY_LENGTH = 64;
+
+// Failed logins allowed per IP before a cool-down
+const MAX_FAILED_LOGINS = 10;
+const FAILED_LOGIN_WINDOW_MS = 15 * 60 * 1000;
+
+class AuthManager {
+    constructor(storage, options = {}) {
+        this.logger = new Logger('Auth');
+        this.storage = storage;
+        this.sessionTtlHours = options.sessionTtlHours || parseInt(process.env.SESSION_TTL_HOURS) || 12;
+        this.failedLogins = new Map();
+        this.initialized = false;
+    }
+
+    async initialize() {
+        await this.storage.initialize();
+
+        const users = await this.storage.find('staff_users', { limit: 1 });
+        if (users.length === 0) {
+            await this.bootstrapAdmin();
+        }
+
+        this.initialized = true;
+        return true;
+    }
+
+    /**
+     * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when no staff exist yet
+     */
+    async bootstrapAdmin() {
+        const email = process.env.ADMIN_EMAIL;
+        const password = process.env.ADMIN_PASSWORD;
+
+        if (!email || !password) {
+            this.logger.warn('⚠️ No staff accounts exist - ' +
+                'set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin');
+            return null;
+        }
+
+        const user = await this.createUser({ email, password, name: 'Administrator', role: 'admin' });
+        this.logger.success(`👤 Created initial admin account ${user.email}`);
+        return user;
+    }
+
+    // Password hashing
+
+    async hashPassword(password) {
+        const salt = crypto.randomBytes(16).toString('hex');
+        const hash = await this.scrypt(password, salt);
+        return `scrypt$${salt}$${hash.toString('hex')}`;
+    }
+
+    async verifyPassword(password, stored) {
+        const [scheme, salt, expected] = (stored || '').split('$');
+        if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+        const hash = await this.scrypt(password, salt);
+        const expectedBuffer = Buffer.from(expected, 'hex');
+        return expectedBuffer.length === hash.length && crypto.timingSafeEqual(hash, expectedBuffer);
+    }
+
+    scrypt(password, salt) {
+        return new Promise((resolve, reject) => {
+            crypto.scrypt(String(password), salt, SCRYPT_KEY_LENGTH, (error, key) => {
+                if (error) reject(error);
+                else resolve(key);
+            });
+        });
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    // Staff accounts
+
+    toPublicUser(user) {
+        if (!user) return null;
+        const publicUser = { ...user };
+        delete publicUser.password_hash;
+        return publicUser;
+    }
+
+    validateUserFields({ email, role, password }, partial = false) {
+        if (!partial || email !== undefined) {
+            if (!email || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) return 'A valid email is required';
+        }
+        if (!partial || role !== undefined) {
+            if (!ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}`;
+        }
+        if (!partial || password !== undefined) {
+            if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+                return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+            }
+        }
+        return null;
+    }
+
+    async createUser({ email, password, name = '', role = 'read-only' }) {
+        const error = this.validateUserFields({ email, role, password });
+        if (error) throw new Error(error);
+
+        const normalizedEmail = email.trim().toLowerCase();
+        const existing = await this.storage.findOne('staff_users', { where: { email: normalizedEmail } });
+        if (existing) throw new Error(`A staff account for ${normalizedEmail} already exists`);
+
+        const user = await this.storage.insert('staff_users', {
+            email: normalizedEmail,
+            name,
+            role,
+            password_hash: await this.hashPassword(password),
+            active: true
+        });
+
+        this.logger.info(`👤 Staff account created: ${user.email} (${role})`);
+        return this.toPublicUser(user);
+    }
+
+    async updateUser(userId, { name, role, active, password }) {
+        const error = this.validateUserFields({ role, password }, true);
+        if (error) throw new Error(error);
+
+        if ((role !== undefined && role !== 'admin') || active === false) {
+            const admins = await this.storage.find('staff_users', { where: { role: 'admin', active: true } });
+            if (admins.length === 1 && admins[0].id === userId) {
+                throw new Error('Cannot demote or deactivate the last active admin');
+            }
+        }
+
+        const changes = { updated_at: new Date().toISOString() };
+        if (name !== undefined) changes.name = name;
+        if (role !== undefined) changes.role = role;
+        if (active !== undefined) changes.active = Boolean(active);
+        if (password !== undefined) changes.password_hash = await this.hashPassword(password);
+
+        const [user] = await this.storage.update('staff_users', { id: userId }, changes);
+        if (!user) return null;
+
+        // Role, status or password changes end existing sessions
+        if (role !== undefined || active === false || password !== undefined) {
+            await this.storage.remove('staff_sessions', { user_id: userId });
+        }
+
+        this.logger.info(`👤 Staff account updated: ${user.email}`);
+        return this.toPublicUser(user);
+    }
+
+    async listUsers() {
+        const users = await this.storage.find('staff_users', { orderBy: 'created_at' });
+        return users.map(user => this.toPublicUser(user));
+    }
+
+    // Sessions
+
+    async login(email, password, meta = {}) {
+        const user = await this.storage.findOne('staff_users', {
+            where: { email: String(email || '').trim().toLowerCase() }
+        });
+
+        if (!user || !user.active || !(await this.verifyPassword(password, user.password_hash))) {
+            return null;
+        }
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        const expiresAt = new Date(Date.now() + this.sessionTtlHours * 60 * 60 * 1000).toISOString();
+
+        await this.storage.remove('staff_sessions', { expires_at: { lt: new Date().toISOString() } });
+        await this.storage.insert('staff_sessions', {
+            user_id: user.id,
+            token_hash: this.hashToken(token),
+            expires_at: expiresAt,
+            ip: meta.ip || null,
+            user_agent: meta.userAgent || null
+        });
+        await this.storage.update('staff_users', { id: user.id }, { last_login_at: new Date().toISOString() });
+
+        this.logger.info(`🔐 ${user.email} signed in`);
+        return { token, expires_at: expiresAt, user: this.toPublicUser(user) };
+    }
+
+    async logout(token) {
+        if (!token) return false;
+        const removed = await this.storage.remove('staff_sessions', { token_hash: this.hashToken(token) });
+        return removed.length > 0;
+    }
+
+    async getSessionUser(token) {
+        if (!token) return null;
+
+        const session = await this.storage.findOne('staff_sessions', {
+            where: { token_hash: this.hashToken(token) }
+        });
+        if (!session || new Date(session.expires_at) <= new Date()) return null;
+
+        const user = await this.storage.findOne('staff_users', { where: { id: session.user_id } });
+        return user && user.active ? this.toPublicUser(user) : null;
+    }
+
+    extractToken(req) {
+        const header = req.headers.authorization || '';
+        if (header.startsWith('Bearer ')) {
+            return header.slice(7).trim();
+        }
+
+        const cookies = (req.headers.cookie || '').split(';').map(part => part.trim().split('='));
+        const cookie = cookies.find(([name]) => name === SESSION_COOKIE);
+        return cookie ? decodeURIComponent(cookie.slice(1).join('=')) : null;
+    }
+
+    sessionCookie(token, expiresAt) {
+        const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+        const expiry = expiresAt ? `; Expires=${new Date(expiresAt).toUTCString()}` : '; Max-Age=0';
+        const value = encodeURIComponent(token || '');
+        return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict${expiry}${secure}`;
+    }
+
+    // Login throttling
+
+    isLoginBlocked(ip) {
+        const entry = this.failedLogins.get(ip);
+        if (!entry || Date.now() - entry.first > FAILED_LOGIN_WINDOW_MS) {
+            this.failedLogins.delete(ip);
+            return false;
+        }
+        return entry.count >= MAX_FAILED_LOGINS;
+    }
+
+    recordFailedLogin(ip) {
+        const entry = this.failedLogins.get(ip) || { count: 0, first: Date.now() };
+        entry.count++;
+        this.failedLogins.set(ip, entry);
+    }
+
+    // Middleware
+
+    /**
+     * Route guard. `permission` is a permission name, or a function of the request
+     * returning one when the permission depends on the payload.
+     */
+    require(permission) {
+        return async (req, res, next) => {
+            try {
+                const user = await this.getSessionUser(this.extractToken(req));
+
+                if (!user) {
+                    if (req.method === 'GET' && !req.path.startsWith('/api/') && req.accepts('html')) {
+                        return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+                    }
+                    return res.status(401).json({ error: 'Authentication required' });
+                }
+
+                const needed = typeof permission === 'function' ? permission(req) : permission;
+                if (!hasPermission(user.role, needed)) {
+                    this.logger.warn(`Denied ${user.email} (${user.role}) ${req.method} ${req.path} - needs ${needed}`);
+                    return res.status(403).json({ error: `Permission denied: ${needed} required` });
+                }
+
+                req.user = user;
+                next();
+            } catch (error) {
+                this.logger.error('Authentication check failed:', error);
+                res.status(500).json({ error: 'Authentication check failed' });
+            }
+        };
+    }
+
+    /**
+     * Login/logout, current user and staff account routes
+     */
+    setupRoutes(app) {
+        app.get('/login', (req, res) => {
+            res.sendFile(path.join(__dirname, '../../public/login.html'));
+        });
+
+        app.post('/api/auth/login', async (req, res) => {
+            const ip = req.ip || req.connection.remoteAddress;
+
+            if (this.isLoginBlocked(ip)) {
+                return res.status(429).json({ error: 'Too many failed sign-in attempts, please try again later.' });
+            }
+
+            try {
+                const { email, password } = req.body || {};
+                const session = await this.login(email, password, { ip, userAgent: req.headers['user-agent'] });
+
+                if (!session) {
+                    this.recordFailedLogin(ip);
+                    return res.status(401).json({ error: 'Invalid email or password' });
+                }
+
+                this.failedLogins.delete(ip);
+                res.setHeader('Set-Cookie', this.sessionCookie(session.token, session.expires_at));
+                res.json(session);
+            } catch (error) {
+                this.logger.error('Login failed:', error);
+                res.status(500).json({ error: 'Login failed' });
+            }
+        });
+
+        app.post('/api/auth/logout', async (req, res) => {
+            try {
+                await this.logout(this.extractToken(req));
+                res.setHeader('Set-Cookie', this.sessionCookie(null));
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Logout failed:', error);
+                res.status(500).json({ error: 'Logout failed' });
+            }
+        });
+
+        app.get('/api/auth/me', this.require('dashboard:view'), (req, res) => {
+            res.json(req.user);
+        });
+
+        app.get('/api/auth/users', this.require('users:manage'), async (req, res) => {
+            try {
+                res.json(await this.listUsers());
+            } catch (error) {
+                this.logger.error('Failed to list staff accounts:', error);
+                res.status(500).json({ error: 'Failed to list staff accounts' });
+            }
+        });
+
+        app.post('/api/auth/users', this.require('users:manage'), async (req, res) => {
+            try {
+                res.status(201).json(await this.createUser(req.body || {}));
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+
+        app.patch('/api/auth/users/:id', this.require('users:manage'), async (req, res) => {
+            try {
+                const user = await this.updateUser(req.params.id, req.body || {});
+                if (!user) return res.status(404).json({ error: 'Staff account not found' });
+                res.json(user);
+            } catch (error) {
+                res.status(400).json({ error: error.message });
+            }
+        });
+    }
+}
+
+module.exports = AuthManager;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
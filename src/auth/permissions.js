@@ -0,0 +1,47 @@
+/**
+ * Staff Roles and Permissions
+ * Every protected route names one permission; roles grant sets of permissions
+ */
+
+const ROLES = ['admin', 'case-manager', 'read-only'];
+
+const PERMISSIONS = {
+    'agent:control': 'Start/stop the agent and its scheduled work',
+    'users:manage': 'Create staff accounts and change roles',
+    'dashboard:view': 'Open the staff dashboard',
+    'dashboard:act': 'Run dashboard actions such as test emails and research',
+    'leads:read': 'View leads, including sensitive profile fields',
+    'leads:write': 'Change lead status and resolve duplicate reviews',
+    'memory:read': 'Read agent memories',
+    'memory:write': 'Store or clear agent memories',
+    'messages:send': 'Send SMS, WhatsApp and email to leads',
+    'tasks:read': 'View scheduled tasks',
+    'tasks:write': 'Schedule tasks',
+    'analytics:read': 'View analytics and funnel reports',
+    'crm:sync': 'Push leads to connected CRMs',
+    'assistant:audit': 'View the log of actions the AI assistant took',
+    'business:manage': 'Edit the business profile (contacts, programs, locations, hours and holidays)',
+    'knowledge:manage': 'Add, update, delete and re-index knowledge base documents',
+    'safety:respond': 'View and follow up on safety incidents flagged in conversations',
+    'prompts:manage': 'Add prompt versions and change how traffic is split between them'
+};
+
+const ROLE_PERMISSIONS = {
+    admin: Object.keys(PERMISSIONS),
+    'case-manager': [
+        'dashboard:view', 'dashboard:act', 'leads:read', 'leads:write', 'memory:read',
+        'messages:send', 'tasks:read', 'tasks:write', 'analytics:read', 'crm:sync', 'safety:respond'
+    ],
+    'read-only': ['dashboard:view', 'leads:read', 'tasks:read', 'analytics:read']
+};
+
+function hasPermission(role, permission) {
+    return (ROLE_PERMISSIONS[role] || []).includes(permission);
+}
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    hasPermission
+};
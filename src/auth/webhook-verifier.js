@@ -0,0 +1,122 @@
+/**
+ * Webhook Verification
+ * Checks that an inbound webhook was sent by the provider it claims to come
+ * from, with one verifier per provider:
+ *
+ *   twilio      X-Twilio-Signature, signed with TWILIO_AUTH_TOKEN over the
+ *               public URL (BASE_URL + path) and the posted parameters
+ *   crm:<name>  X-Webhook-Signature, a hex HMAC-SHA256 of the raw body keyed
+ *               by CRM_WEBHOOK_SECRET_<NAME> or CRM_WEBHOOK_SECRET
+ *
+ * Other schemes are added with register(). Requests that fail are refused
+ * with 403; WEBHOOK_VERIFICATION=off turns the checks off for local testing.
+ */
+
+const crypto = require('crypto');
+const twilio = require('twilio');
+const Logger = require('../utils/logger');
+
+const CRM_SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+class WebhookVerifier {
+    constructor(options = {}) {
+        this.logger = new Logger('Webhooks');
+        this.enabled = options.enabled !== undefined ? options.enabled : process.env.WEBHOOK_VERIFICATION !== 'off';
+        this.verifiers = new Map();
+
+        this.register('twilio', req => this.verifyTwilio(req));
+        this.register('crm', req => this.verifyCRM(req));
+    }
+
+    /**
+     * `verify(req)` returns null for a genuine request, otherwise the reason
+     * it was refused. "crm:hubspot" overrides the "crm" default for HubSpot.
+     */
+    register(provider, verify) {
+        this.verifiers.set(provider, verify);
+    }
+
+    verify(provider, req) {
+        const verify = this.verifiers.get(provider) || this.verifiers.get(provider.split(':')[0]);
+        if (!verify) return `No webhook verifier for ${provider}`;
+        return verify(req);
+    }
+
+    /**
+     * Route guard. `provider` is a provider name, or a function of the request
+     * returning one, e.g. req => `crm:${req.params.crmName}`.
+     */
+    require(provider) {
+        return (req, res, next) => {
+            if (!this.enabled) return next();
+
+            const name = typeof provider === 'function' ? provider(req) : provider;
+            try {
+                const reason = this.verify(name, req);
+                if (reason) {
+                    this.logger.warn(`🚫 Refused ${name} webhook ${req.method} ${req.path}: ${reason}`);
+                    return res.status(403).json({ error: 'Webhook verification failed' });
+                }
+                next();
+            } catch (error) {
+                this.logger.error(`Failed to verify ${name} webhook:`, error);
+                res.status(403).json({ error: 'Webhook verification failed' });
+            }
+        };
+    }
+
+    /**
+     * URL the provider posted to. Behind a proxy the request's own host and
+     * protocol differ from what the provider signed, so BASE_URL wins.
+     */
+    publicUrl(req) {
+        const base = process.env.BASE_URL
+            ? process.env.BASE_URL.replace(/\/+$/, '')
+            : `${req.protocol}://${req.get('host')}`;
+        return `${base}${req.originalUrl}`;
+    }
+
+    verifyTwilio(req) {
+        const authToken = process.env.TWILIO_AUTH_TOKEN;
+        const signature = req.get('X-Twilio-Signature');
+
+        if (!authToken) return 'TWILIO_AUTH_TOKEN is not set';
+        if (!signature) return 'Missing X-Twilio-Signature';
+        if (!twilio.validateRequest(authToken, signature, this.publicUrl(req), req.body || {})) {
+            return 'Invalid X-Twilio-Signature';
+        }
+        return null;
+    }
+
+    verifyCRM(req) {
+        const crmName = String(req.params.crmName || '');
+        const secret = process.env[`CRM_WEBHOOK_SECRET_${crmName.toUpperCase()}`] || process.env.CRM_WEBHOOK_SECRET;
+        const signature = String(req.get(CRM_SIGNATURE_HEADER) || '').replace(/^sha256=/, '');
+
+        if (!secret) return `No webhook secret configured for ${crmName}`;
+        if (!signature) return `Missing ${CRM_SIGNATURE_HEADER}`;
+
+        const expected = signBody(secret, req.rawBody);
+        if (!safeEqual(signature.toLowerCase(), expected)) {
+            return `Invalid ${CRM_SIGNATURE_HEADER}`;
+        }
+        return null;
+    }
+}
+
+/**
+ * Hex HMAC-SHA256 of a raw request body
+ */
+function signBody(secret, body) {
+    return crypto.createHmac('sha256', secret).update(body || Buffer.alloc(0)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(a);
+    const right = Buffer.from(b);
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+module.exports = WebhookVerifier;
+module.exports.CRM_SIGNATURE_HEADER = CRM_SIGNATURE_HEADER;
+module.exports.signBody = signBody;
@@ -0,0 +1,225 @@
+/**
+ * Scheduled Message Queue
+ * Outbound texts to send later (scheduled SMS, appointment reminders) are
+ * stored in `scheduled_messages` and sent by a poller, so they survive
+ * restarts and redeploys and any delay works, however long.
+ *
+ * Each due message is claimed with a conditional update (pending -> sending)
+ * before it is sent, so when several instances poll the same store only one
+ * of them sends it. A message interrupted mid-send is marked failed rather
+ * than sent twice.
+ */
+
+const os = require('os');
+const Logger = require('../utils/logger');
+
+const CHANNELS = ['sms', 'whatsapp'];
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'cancelled'];
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 5 * 60 * 1000;
+const STALE_SEND_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 50;
+
+// Send failures a retry can't fix
+const PERMANENT_FAILURES = ['no_consent', 'invalid_phone'];
+
+class MessageQueue {
+  constructor(storage, options = {}) {
+    this.logger = new Logger('MessageQueue');
+    this.storage = storage;
+
+    // async (message) => { success, messageId, code, error } - sends a due message
+    this.send = options.send || null;
+    this.instanceId = options.instanceId || `${os.hostname()}:${process.pid}`;
+    this.pollInterval = options.pollInterval || (parseInt(process.env.MESSAGE_QUEUE_POLL_SECONDS) || 60) * 1000;
+    this.timer = null;
+    this.processing = false;
+  }
+
+  /**
+   * Queue a message. `kind` groups messages for cancellation (e.g.
+   * "appointment_reminder") and `reference` ties them to a record such as
+   * an appointment id.
+   */
+  async schedule({ channel = 'sms', to, body, sendAt, kind = 'scheduled', reference = null, leadId = null }) {
+    if (!CHANNELS.includes(channel)) {
+      return { success: false, code: 'invalid_channel', error: `Channel must be one of: ${CHANNELS.join(', ')}` };
+    }
+    const when = new Date(sendAt);
+    if (!to || !body || Number.isNaN(when.getTime())) {
+      return { success: false, code: 'invalid_message', error: 'A recipient, message and send time are required' };
+    }
+
+    try {
+      const message = await this.storage.insert('scheduled_messages', {
+        channel,
+        recipient: to,
+        body,
+        kind,
+        reference,
+        lead_id: leadId,
+        send_at: when.toISOString(),
+        status: 'pending',
+        attempts: 0
+      });
+
+      this.logger.info(`⏰ ${kind} ${channel} to ${to} scheduled for ${message.send_at}`);
+      return { success: true, message };
+    } catch (error) {
+      this.logger.error(`Failed to schedule ${channel} to ${to}:`, error);
+      return { success: false, code: 'error', error: error.message };
+    }
+  }
+
+  /**
+   * Cancel pending messages matching every given filter; returns how many
+   */
+  async cancel({ leadId, reference, kind } = {}) {
+    const where = {
+      status: 'pending',
+      ...(leadId && { lead_id: leadId }),
+      ...(reference && { reference }),
+      ...(kind && { kind })
+    };
+    if (Object.keys(where).length === 1) {
+      throw new Error('cancel() needs a leadId, reference or kind');
+    }
+
+    try {
+      const cancelled = await this.storage.update('scheduled_messages', where, { status: 'cancelled' });
+      if (cancelled.length > 0) {
+        this.logger.info(`🚫 Cancelled ${cancelled.length} scheduled message(s)`);
+      }
+      return cancelled.length;
+    } catch (error) {
+      this.logger.error('Failed to cancel scheduled messages:', error);
+      return 0;
+    }
+  }
+
+  async list({ status = null, leadId = null, reference = null, limit = 100 } = {}) {
+    return await this.storage.find('scheduled_messages', {
+      where: {
+        ...(status && { status }),
+        ...(leadId && { lead_id: leadId }),
+        ...(reference && { reference })
+      },
+      orderBy: 'send_at',
+      limit
+    });
+  }
+
+  /**
+   * Send every message that is due; returns how many were sent
+   */
+  async processDue(now = new Date()) {
+    if (this.processing || !this.send) return 0;
+    this.processing = true;
+
+    try {
+      await this.failStaleSends(now);
+
+      const due = await this.storage.find('scheduled_messages', {
+        where: { status: 'pending', send_at: { lte: now.toISOString() } },
+        orderBy: 'send_at',
+        limit: BATCH_SIZE
+      });
+
+      let sent = 0;
+      for (const message of due) {
+        if (await this.deliver(message)) sent++;
+      }
+      return sent;
+    } catch (error) {
+      this.logger.error('Failed to process scheduled messages:', error);
+      return 0;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Claim and send one message. Another instance that claimed it first
+   * leaves the update empty, and this one skips it.
+   */
+  async deliver(message) {
+    const [claimed] = await this.storage.update('scheduled_messages', { id: message.id, status: 'pending' }, {
+      status: 'sending',
+      locked_by: this.instanceId,
+      locked_at: new Date().toISOString(),
+      attempts: (message.attempts || 0) + 1
+    });
+    if (!claimed) return false;
+
+    let result;
+    try {
+      result = await this.send(claimed);
+    } catch (error) {
+      result = { success: false, error: error.message };
+    }
+
+    if (result.success) {
+      await this.storage.update('scheduled_messages', { id: claimed.id }, {
+        status: 'sent',
+        message_sid: result.messageId || null,
+        sent_at: new Date().toISOString(),
+        last_error: null
+      });
+      return true;
+    }
+
+    await this.retryOrFail(claimed, result);
+    return false;
+  }
+
+  async retryOrFail(message, result) {
+    const permanent = PERMANENT_FAILURES.includes(result.code);
+    const retry = !permanent && message.attempts < MAX_ATTEMPTS;
+
+    await this.storage.update('scheduled_messages', { id: message.id }, {
+      status: retry ? 'pending' : 'failed',
+      last_error: result.error || result.code || 'Send failed',
+      locked_by: null,
+      ...(retry && { send_at: new Date(Date.now() + RETRY_DELAY_MS * message.attempts).toISOString() })
+    });
+
+    const outcome = retry ? 'will be retried' : 'failed';
+    const reason = result.error || result.code;
+    this.logger.warn(`📵 Scheduled ${message.channel} to ${message.recipient} ${outcome}: ${reason}`);
+  }
+
+  /**
+   * Sends cut off by a crash or redeploy may or may not have gone out
+   */
+  async failStaleSends(now) {
+    const stale = await this.storage.update('scheduled_messages', {
+      status: 'sending',
+      locked_at: { lt: new Date(now.getTime() - STALE_SEND_MS).toISOString() }
+    }, {
+      status: 'failed',
+      last_error: 'Interrupted while sending'
+    });
+
+    stale.forEach(message => this.logger.warn(`⚠️ Scheduled message ${message.id} was interrupted while sending`));
+  }
+
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.processDue(), this.pollInterval);
+    this.timer.unref();
+    this.processDue();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = MessageQueue;
+module.exports.CHANNELS = CHANNELS;
+module.exports.STATUSES = STATUSES;
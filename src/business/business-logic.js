@@ -3,27 +3,25 @@
  * Handles Forward Horizon specific business operations and integrations
  */
 
-const { createClient } = require('@supabase/supabase-js');
 const Logger = require('../utils/logger');
+const { getStorage } = require('../storage/storage');
+const LeadLifecycle = require('./lead-lifecycle');
+const { getBusinessProfile } = require('./business-profile');
 
 class BusinessLogic {
-  constructor() {
+  constructor(storage = null, options = {}) {
     this.logger = new Logger('Business');
-    this.supabase = null;
+    this.storage = storage;
+    this.lifecycle = options.lifecycle || null;
     this.initialized = false;
     
-    // In-memory storage fallback
+    // In-memory fallback when the storage backend rejects a write
     this.memoryLeads = [];
     
     // Business configuration
     this.config = {
       autoRespond: process.env.AUTO_RESPOND_LEADS === 'true',
-      followUpDelay: parseInt(process.env.FOLLOW_UP_DELAY_HOURS) || 24,
-      workingHours: {
-        start: parseInt(process.env.WORKING_HOURS_START) || 9,
-        end: parseInt(process.env.WORKING_HOURS_END) || 17,
-        timezone: process.env.TIMEZONE || 'America/Los_Angeles'
-      }
+      followUpDelay: parseInt(process.env.FOLLOW_UP_DELAY_HOURS) || 24
     };
     
     // Business metrics
@@ -38,14 +36,10 @@ class BusinessLogic {
     this.logger.info('🏢 Initializing Business Logic...');
     
     try {
-      // Initialize Supabase client
-      const supabaseUrl = process.env.SUPABASE_URL;
-      const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-      
-      if (supabaseUrl && supabaseKey) {
-        this.supabase = createClient(supabaseUrl, supabaseKey);
-        await this.setupBusinessTables();
-      }
+      // Use the shared storage backend unless one was injected
+      this.storage = this.storage || getStorage();
+      this.lifecycle = this.lifecycle || new LeadLifecycle(this.storage);
+      await this.storage.initialize();
       
       // Load initial metrics
       await this.loadMetrics();
@@ -60,132 +54,21 @@ class BusinessLogic {
     }
   }
 
-  async setupBusinessTables() {
-    try {
-      // Ensure business-specific tables exist
-      const tables = [
-        {
-          name: 'leads',
-          sql: `
-            CREATE TABLE IF NOT EXISTS leads (
-              id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-              name VARCHAR(255) NOT NULL,
-              email VARCHAR(255) NOT NULL,
-              phone VARCHAR(50),
-              status VARCHAR(50) DEFAULT 'new',
-              source VARCHAR(100),
-              is_veteran BOOLEAN DEFAULT false,
-              currently_homeless BOOLEAN DEFAULT false,
-              in_recovery BOOLEAN DEFAULT false,
-              is_reentry BOOLEAN DEFAULT false,
-              eviction_risk BOOLEAN DEFAULT false,
-              employment_status VARCHAR(50),
-              housing_needs TEXT,
-              income_qualified BOOLEAN DEFAULT false,
-              preferred_contact_method VARCHAR(50),
-              score INTEGER DEFAULT 0,
-              next_action VARCHAR(100),
-              metadata JSONB DEFAULT '{}',
-              created_at TIMESTAMPTZ DEFAULT NOW(),
-              updated_at TIMESTAMPTZ DEFAULT NOW()
-            );
-            
-            CREATE INDEX IF NOT EXISTS leads_status_idx ON leads(status);
-            CREATE INDEX IF NOT EXISTS leads_email_idx ON leads(email);
-            CREATE INDEX IF NOT EXISTS leads_score_idx ON leads(score);
-            CREATE INDEX IF NOT EXISTS leads_created_idx ON leads(created_at);
-          `
-        },
-        {
-          name: 'business_metrics',
-          sql: `
-            CREATE TABLE IF NOT EXISTS business_metrics (
-              id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-              metric_type VARCHAR(50) NOT NULL,
-              metric_name VARCHAR(100) NOT NULL,
-              metric_value NUMERIC NOT NULL DEFAULT 0,
-              date DATE NOT NULL DEFAULT CURRENT_DATE,
-              metadata JSONB DEFAULT '{}',
-              created_at TIMESTAMPTZ DEFAULT NOW(),
-              updated_at TIMESTAMPTZ DEFAULT NOW()
-            );
-            
-            CREATE INDEX IF NOT EXISTS business_metrics_type_date_idx ON business_metrics(metric_type, date);
-            CREATE INDEX IF NOT EXISTS business_metrics_name_date_idx ON business_metrics(metric_name, date);
-          `
-        },
-        {
-          name: 'lead_interactions',
-          sql: `
-            CREATE TABLE IF NOT EXISTS lead_interactions (
-              id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-              lead_id UUID REFERENCES leads(id),
-              interaction_type VARCHAR(50) NOT NULL,
-              interaction_data JSONB NOT NULL DEFAULT '{}',
-              scheduled_at TIMESTAMPTZ,
-              completed_at TIMESTAMPTZ,
-              status VARCHAR(20) DEFAULT 'pending',
-              created_at TIMESTAMPTZ DEFAULT NOW(),
-              updated_at TIMESTAMPTZ DEFAULT NOW()
-            );
-            
-            CREATE INDEX IF NOT EXISTS lead_interactions_lead_id_idx ON lead_interactions(lead_id);
-            CREATE INDEX IF NOT EXISTS lead_interactions_type_status_idx ON lead_interactions(interaction_type, status);
-          `
-        }
-      ];
-
-      for (const table of tables) {
-        try {
-          await this.supabase.rpc('exec_sql', { sql: table.sql });
-        } catch (error) {
-          this.logger.warn(`Could not create ${table.name} table:`, error.message);
-        }
-      }
-    } catch (error) {
-      this.logger.warn('Business table setup warning:', error.message);
-    }
-  }
-
   /**
    * Get all leads with their latest status
    */
   async getLeads(options = {}) {
-    if (!this.supabase) {
-      return [];
-    }
-
     try {
       const { limit = 50, offset = 0, status = null } = options;
       
-      let query = this.supabase
-        .from('leads')
-        .select(`
-          *,
-          lead_interactions (
-            id,
-            interaction_type,
-            status,
-            scheduled_at,
-            completed_at,
-            created_at
-          )
-        `)
-        .order('created_at', { ascending: false })
-        .range(offset, offset + limit - 1);
-
-      if (status) {
-        query = query.eq('status', status);
-      }
-
-      const { data, error } = await query;
-
-      if (error) {
-        this.logger.error('Failed to get leads:', error);
-        return [];
-      }
-
-      return data || [];
+      return await this.storage.find('leads', {
+        where: status ? { status } : {},
+        embed: { lead_interactions: 'lead_id' },
+        orderBy: 'created_at',
+        ascending: false,
+        limit,
+        offset
+      });
     } catch (error) {
       this.logger.error('Error getting leads:', error);
       return [];
@@ -203,15 +86,10 @@ class BusinessLogic {
    * Process a new incoming lead
    */
   async processNewLead(leadData) {
-    // Use memory storage if database not available
-    if (!this.supabase) {
-      return this.processLeadInMemory(leadData);
-    }
-
     try {
-      // Ensure required fields
-      if (!leadData.name || !leadData.email) {
-        throw new Error('Name and email are required');
+      // Ensure required fields - chat and phone leads may not have an email yet
+      if (!leadData.name) {
+        throw new Error('Lead name is required');
       }
 
       // Add metadata
@@ -227,17 +105,7 @@ class BusinessLogic {
       // Try to insert lead into database, fallback to memory
       let data;
       try {
-        const result = await this.supabase
-          .from('leads')
-          .insert([lead])
-          .select()
-          .single();
-          
-        if (result.error) {
-          this.logger.warn('Database insert failed, using memory storage:', result.error.message);
-          return this.processLeadInMemory(leadData);
-        }
-        data = result.data;
+        data = await this.storage.insert('leads', lead);
       } catch (dbError) {
         this.logger.warn('Database insert failed, using memory storage:', dbError.message);
         return this.processLeadInMemory(leadData);
@@ -289,6 +157,13 @@ class BusinessLogic {
     return Math.min(100, Math.max(0, score));
   }
 
+  /**
+   * Moved-in leads count as conversions (older rows use 'converted')
+   */
+  isConverted(lead) {
+    return this.lifecycle.normalizeStatus(lead.status) === this.lifecycle.stages.MOVED_IN;
+  }
+
   /**
    * Determine next action for a new lead
    */
@@ -335,78 +210,35 @@ class BusinessLogic {
     if (!this.config.autoRespond) return false;
     if (!lead.email) return false;
     
-    // Check if it's during working hours
-    const now = new Date();
-    const hour = now.getHours();
-    
-    if (hour < this.config.workingHours.start || hour > this.config.workingHours.end) {
-      return false; // Outside working hours
-    }
-    
-    return true;
+    // Only during office hours (closed days and holidays included)
+    return this.isWorkingHours();
   }
 
   /**
-   * Update lead status
+   * Update lead status through the lifecycle state machine
    */
   async updateLeadStatus(leadId, status, metadata = {}) {
-    if (!this.supabase) {
-      return false;
-    }
-
-    try {
-      const { data, error } = await this.supabase
-        .from('leads')
-        .update({ 
-          status,
-          updated_at: new Date().toISOString()
-        })
-        .eq('id', leadId)
-        .select()
-        .single();
-
-      if (error) {
-        this.logger.error('Failed to update lead status:', error);
-        return false;
-      }
-
-      // Record the status change as an interaction
-      await this.recordInteraction(leadId, 'status_change', {
-        old_status: data.status,
-        new_status: status,
-        ...metadata
-      });
+    const result = await this.lifecycle.transition(leadId, status, metadata);
 
-      this.logger.info(`📊 Lead ${leadId} status updated to ${status}`);
-      return true;
-    } catch (error) {
-      this.logger.error('Error updating lead status:', error);
+    if (!result.success) {
+      this.logger.error(`Failed to update lead status: ${result.error}`);
       return false;
     }
+
+    return true;
   }
 
   /**
    * Record a lead interaction
    */
   async recordInteraction(leadId, type, data = {}) {
-    if (!this.supabase) {
-      return false;
-    }
-
     try {
-      const { error } = await this.supabase
-        .from('lead_interactions')
-        .insert([{
-          lead_id: leadId,
-          interaction_type: type,
-          interaction_data: data,
-          status: 'completed'
-        }]);
-
-      if (error) {
-        this.logger.error('Failed to record interaction:', error);
-        return false;
-      }
+      await this.storage.insert('lead_interactions', {
+        lead_id: leadId,
+        interaction_type: type,
+        interaction_data: data,
+        status: 'completed'
+      });
 
       return true;
     } catch (error) {
@@ -437,16 +269,7 @@ class BusinessLogic {
         status: 'pending'
       };
 
-      const { data, error } = await this.supabase
-        .from('lead_interactions')
-        .insert([followUp])
-        .select()
-        .single();
-
-      if (error) {
-        this.logger.error('Failed to schedule follow-up:', error);
-        return false;
-      }
+      const data = await this.storage.insert('lead_interactions', followUp);
 
       this.logger.info(`📅 Scheduled ${type} follow-up for ${lead.name} at ${scheduledAt}`);
       return data;
@@ -456,6 +279,29 @@ class BusinessLogic {
     }
   }
 
+  /**
+   * Cancel a lead's pending follow-ups, optionally only the given interaction types
+   */
+  async cancelPendingInteractions(leadId, types = null, reason = '') {
+    try {
+      const where = { lead_id: leadId, status: 'pending' };
+      if (types) where.interaction_type = types;
+
+      const cancelled = await this.storage.update('lead_interactions', where, {
+        status: 'cancelled',
+        completed_at: new Date().toISOString()
+      });
+
+      if (cancelled.length > 0) {
+        this.logger.info(`🚫 Cancelled ${cancelled.length} pending follow-up(s) for lead ${leadId}${reason ? ` (${reason})` : ''}`);
+      }
+      return cancelled;
+    } catch (error) {
+      this.logger.error('Error cancelling pending interactions:', error);
+      return [];
+    }
+  }
+
   /**
    * Follow up on a lead
    */
@@ -504,10 +350,8 @@ class BusinessLogic {
       report.data.leads = this.analyzeLeads(leads, type);
 
       // Get interaction metrics
-      if (this.supabase) {
-        const interactions = await this.getInteractions(type);
-        report.data.interactions = this.analyzeInteractions(interactions);
-      }
+      const interactions = await this.getInteractions(type);
+      report.data.interactions = this.analyzeInteractions(interactions);
 
       // Store report metrics
       await this.storeMetrics('report_generated', type, 1);
@@ -525,12 +369,7 @@ class BusinessLogic {
    */
   async getContext() {
     return {
-      business: {
-        name: process.env.BUSINESS_NAME || 'Forward Horizon',
-        phone: process.env.BUSINESS_PHONE || '(310) 488-5280',
-        email: process.env.BUSINESS_EMAIL || 'info@forwardhorizon.com',
-        website: process.env.BUSINESS_WEBSITE || 'https://www.theforwardhorizon.com'
-      },
+      business: getBusinessProfile().getContext(),
       metrics: this.metrics,
       config: this.config,
       current_time: new Date().toISOString(),
@@ -540,21 +379,15 @@ class BusinessLogic {
 
   // Helper methods
   async loadMetrics() {
-    if (!this.supabase) {
-      return;
-    }
-
     try {
       // Load lead metrics
-      const { data: leads } = await this.supabase
-        .from('leads')
-        .select('status');
+      const leads = await this.storage.find('leads');
 
       if (leads) {
         this.metrics.leads.total = leads.length;
         this.metrics.leads.new = leads.filter(l => l.status === 'new').length;
         this.metrics.leads.contacted = leads.filter(l => l.status === 'contacted').length;
-        this.metrics.leads.converted = leads.filter(l => l.status === 'converted').length;
+        this.metrics.leads.converted = leads.filter(l => this.isConverted(l)).length;
       }
     } catch (error) {
       this.logger.warn('Could not load metrics:', error.message);
@@ -562,43 +395,25 @@ class BusinessLogic {
   }
 
   async storeMetrics(type, name, value, metadata = {}) {
-    if (!this.supabase) {
-      return;
-    }
-
     try {
-      await this.supabase
-        .from('business_metrics')
-        .insert([{
-          metric_type: type,
-          metric_name: name,
-          metric_value: value,
-          metadata
-        }]);
+      await this.storage.insert('business_metrics', {
+        metric_type: type,
+        metric_name: name,
+        metric_value: value,
+        metadata
+      });
     } catch (error) {
       this.logger.warn('Could not store metrics:', error.message);
     }
   }
 
   async getInteractions(period = 'daily') {
-    if (!this.supabase) {
-      return [];
-    }
-
     try {
       const startDate = this.getStartDate(period);
       
-      const { data, error } = await this.supabase
-        .from('lead_interactions')
-        .select('*')
-        .gte('created_at', startDate.toISOString());
-
-      if (error) {
-        this.logger.error('Failed to get interactions:', error);
-        return [];
-      }
-
-      return data || [];
+      return await this.storage.find('lead_interactions', {
+        where: { created_at: { gte: startDate.toISOString() } }
+      });
     } catch (error) {
       this.logger.error('Error getting interactions:', error);
       return [];
@@ -616,10 +431,10 @@ class BusinessLogic {
       new: periodLeads.filter(l => l.status === 'new').length,
       contacted: periodLeads.filter(l => l.status === 'contacted').length,
       qualified: periodLeads.filter(l => l.status === 'qualified').length,
-      converted: periodLeads.filter(l => l.status === 'converted').length,
+      converted: periodLeads.filter(l => this.isConverted(l)).length,
       sources: this.groupBy(periodLeads, 'source'),
       conversion_rate: periodLeads.length > 0 ? 
-        (periodLeads.filter(l => l.status === 'converted').length / periodLeads.length * 100).toFixed(1) + '%' : '0%'
+        (periodLeads.filter(l => this.isConverted(l)).length / periodLeads.length * 100).toFixed(1) + '%' : '0%'
     };
   }
 
@@ -673,9 +488,7 @@ class BusinessLogic {
   }
 
   isWorkingHours() {
-    const now = new Date();
-    const hour = now.getHours();
-    return hour >= this.config.workingHours.start && hour <= this.config.workingHours.end;
+    return getBusinessProfile().isOpen(new Date());
   }
 
   getStats() {
@@ -0,0 +1,388 @@
+/**
+ * Business Profile
+ * The organization's name, contacts, programs, locations, hours and holidays
+ *
+ * Loaded from one JSON file (config/business-profile.json, or BUSINESS_PROFILE_PATH)
+ * that prompts, replies, emails and the calendar all read from. Staff edit it through
+ * the admin API; edits are validated before they are written back to the file, and
+ * a profile that fails validation stops the agent at startup.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+
+const DEFAULT_PATH = path.join(__dirname, '../../config/business-profile.json');
+
+// Indexed like Date#getDay()
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const SECTIONS = ['name', 'timezone', 'contacts', 'programs', 'locations', 'hours', 'holidays'];
+const CONTACT_FIELDS = ['phone', 'email', 'website'];
+const PROGRAM_FIELDS = ['id', 'name', 'description'];
+const LOCATION_FIELDS = ['id', 'name', 'address', 'city', 'state', 'zip', 'service_area'];
+
+// Settings the profile replaced; they are ignored if still set
+const LEGACY_ENV = [
+    'BUSINESS_NAME', 'BUSINESS_PHONE', 'BUSINESS_EMAIL', 'BUSINESS_WEBSITE',
+    'WORKING_HOURS_START', 'WORKING_HOURS_END', 'TIMEZONE'
+];
+
+// Sections whose keys can be edited one at a time; the rest are replaced whole
+const MERGED_SECTIONS = ['contacts', 'hours'];
+
+const ID_PATTERN = /^[a-z][a-z0-9_-]{0,39}$/;
+const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+let sharedProfile = null;
+
+class BusinessProfile {
+    constructor(options = {}) {
+        this.logger = new Logger('BusinessProfile');
+        this.filePath = options.filePath || process.env.BUSINESS_PROFILE_PATH || DEFAULT_PATH;
+        this.profile = options.profile ? this.assertValid(options.profile) : this.load();
+
+        const legacy = LEGACY_ENV.filter(name => process.env[name]);
+        if (legacy.length > 0) {
+            this.logger.warn(`${legacy.join(', ')} no longer apply - set them in ${this.filePath} instead`);
+        }
+    }
+
+    load() {
+        let profile;
+        try {
+            profile = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Business profile ${this.filePath} could not be read: ${error.message}`);
+        }
+        return this.assertValid(profile);
+    }
+
+    assertValid(profile) {
+        const errors = this.validate(profile);
+        if (errors.length > 0) {
+            throw new Error(`Business profile ${this.filePath} is invalid: ${errors.join('; ')}`);
+        }
+        return profile;
+    }
+
+    /**
+     * Problems with a profile, as a list of messages (empty when valid)
+     */
+    validate(profile) {
+        if (!isObject(profile)) return ['Profile must be an object'];
+
+        const errors = Object.keys(profile)
+            .filter(key => !SECTIONS.includes(key))
+            .map(key => `Unknown section: ${key}`);
+
+        if (!isText(profile.name)) errors.push('name is required');
+        if (!isText(profile.timezone) || !isTimeZone(profile.timezone)) {
+            errors.push('timezone must be an IANA time zone such as America/Los_Angeles');
+        }
+
+        return errors.concat(
+            this.validateContacts(profile.contacts),
+            this.validateList('programs', profile.programs, PROGRAM_FIELDS),
+            this.validateList('locations', profile.locations, LOCATION_FIELDS),
+            this.validateHours(profile.hours),
+            this.validateHolidays(profile.holidays)
+        );
+    }
+
+    validateContacts(contacts) {
+        if (!isObject(contacts)) return ['contacts must be an object'];
+
+        const errors = unknownKeys('contacts', contacts, CONTACT_FIELDS);
+        if (!isText(contacts.phone) || contacts.phone.replace(/\D/g, '').length < 10) {
+            errors.push('contacts.phone must be a phone number');
+        }
+        if (!isText(contacts.email) || !EMAIL_PATTERN.test(contacts.email)) {
+            errors.push('contacts.email must be an email address');
+        }
+        if (!isText(contacts.website) || !/^https?:\/\/[^\s/]+/.test(contacts.website)) {
+            errors.push('contacts.website must be an http(s) URL');
+        }
+        return errors;
+    }
+
+    /**
+     * Programs and locations: a non-empty list of entries with unique ids and names
+     */
+    validateList(section, entries, fields) {
+        if (!Array.isArray(entries) || entries.length === 0) return [`${section} must list at least one entry`];
+
+        const errors = [];
+        const ids = new Set();
+        entries.forEach((entry, index) => {
+            const label = `${section}[${index}]`;
+            if (!isObject(entry)) {
+                errors.push(`${label} must be an object`);
+                return;
+            }
+
+            errors.push(...unknownKeys(label, entry, fields));
+            if (typeof entry.id !== 'string' || !ID_PATTERN.test(entry.id)) {
+                errors.push(`${label}.id must be lowercase letters, digits, - or _`);
+            } else if (ids.has(entry.id)) {
+                errors.push(`${label}.id "${entry.id}" is used more than once`);
+            }
+            ids.add(entry.id);
+
+            if (!isText(entry.name)) errors.push(`${label}.name is required`);
+            for (const field of fields.filter(field => !['id', 'name'].includes(field))) {
+                if (entry[field] !== undefined && typeof entry[field] !== 'string') {
+                    errors.push(`${label}.${field} must be text`);
+                }
+            }
+        });
+        return errors;
+    }
+
+    validateHours(hours) {
+        if (!isObject(hours)) return ['hours must be an object with a key for each day of the week'];
+
+        const errors = unknownKeys('hours', hours, DAYS);
+        for (const day of DAYS) {
+            const dayHours = hours[day];
+            if (dayHours === null) continue; // Closed
+
+            if (!isObject(dayHours) || !TIME_PATTERN.test(dayHours.start) || !TIME_PATTERN.test(dayHours.end)) {
+                errors.push(`hours.${day} must be null (closed) or { "start": "HH:MM", "end": "HH:MM" }`);
+            } else if (dayHours.start >= dayHours.end) {
+                errors.push(`hours.${day} must start before it ends`);
+            }
+        }
+        return errors;
+    }
+
+    validateHolidays(holidays) {
+        if (!Array.isArray(holidays)) return ['holidays must be a list'];
+
+        const errors = [];
+        holidays.forEach((holiday, index) => {
+            if (!isObject(holiday) || !isDate(holiday.date) || !isText(holiday.name)) {
+                errors.push(`holidays[${index}] must have a date (YYYY-MM-DD) and a name`);
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Apply staff edits. contacts and hours merge key by key; other sections are replaced.
+     */
+    async update(changes, actor = null) {
+        if (!isObject(changes)) {
+            return { success: false, code: 'invalid_profile', error: 'Changes must be an object', errors: [] };
+        }
+
+        const updated = { ...this.get(), ...changes };
+        for (const section of MERGED_SECTIONS) {
+            if (isObject(changes[section]) && isObject(this.profile[section])) {
+                updated[section] = { ...this.profile[section], ...changes[section] };
+            }
+        }
+
+        const errors = this.validate(updated);
+        if (errors.length > 0) {
+            return { success: false, code: 'invalid_profile', error: 'Business profile is invalid', errors };
+        }
+
+        try {
+            await this.save(updated);
+            this.profile = updated;
+            this.logger.info(`🏢 Business profile updated (${Object.keys(changes).join(', ')})` +
+                (actor ? ` by ${actor}` : ''));
+            return { success: true, profile: this.get() };
+        } catch (error) {
+            this.logger.error('Failed to save business profile:', error.message);
+            return { success: false, code: 'error', error: 'Failed to save business profile' };
+        }
+    }
+
+    /**
+     * Write the profile through a temp file so a failed write never leaves a truncated profile
+     */
+    async save(profile) {
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, `${JSON.stringify(profile, null, 2)}\n`);
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    get() {
+        return JSON.parse(JSON.stringify(this.profile));
+    }
+
+    get name() {
+        return this.profile.name;
+    }
+
+    get timezone() {
+        return this.profile.timezone;
+    }
+
+    /**
+     * Name and contact details, the shape message templates use
+     */
+    getContactInfo() {
+        return { name: this.profile.name, ...this.profile.contacts };
+    }
+
+    getPrograms() {
+        return JSON.parse(JSON.stringify(this.profile.programs));
+    }
+
+    /**
+     * A location by id, or the main (first) location
+     */
+    getLocation(id = null) {
+        const location = this.profile.locations.find(entry => entry.id === id) || this.profile.locations[0];
+        return { ...location };
+    }
+
+    /**
+     * One-line location for messages, e.g. "Forward Horizon Office, Los Angeles, CA"
+     */
+    describeLocation(id = null) {
+        const location = this.getLocation(id);
+        const region = [location.state, location.zip].filter(Boolean).join(' ');
+        return [location.name, location.address, location.city, region].filter(Boolean).join(', ');
+    }
+
+    /**
+     * The holiday on a date, or null
+     */
+    getHoliday(date = new Date()) {
+        const day = formatDate(date);
+        return this.profile.holidays.find(holiday => holiday.date === day) || null;
+    }
+
+    /**
+     * Opening hours on a date ({ start, end }), or null when closed or a holiday
+     */
+    getHoursFor(date = new Date()) {
+        if (this.getHoliday(date)) return null;
+        const hours = this.profile.hours[DAYS[date.getDay()]];
+        return hours ? { ...hours } : null;
+    }
+
+    isOpen(date = new Date()) {
+        const hours = this.getHoursFor(date);
+        if (!hours) return false;
+
+        const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return time >= hours.start && time < hours.end;
+    }
+
+    /**
+     * Weekly hours in words, e.g. "Monday-Friday 9am-5pm and Saturday 10am-2pm"
+     */
+    describeHours() {
+        // Monday-first, grouping consecutive days with the same hours
+        const groups = [];
+        for (const day of [...DAYS.slice(1), DAYS[0]]) {
+            const hours = this.profile.hours[day];
+            const last = groups[groups.length - 1];
+            if (last && hours && last.hours && last.hours.start === hours.start && last.hours.end === hours.end) {
+                last.to = day;
+            } else {
+                groups.push({ from: day, to: day, hours });
+            }
+        }
+
+        const open = groups.filter(group => group.hours).map(group => {
+            const days = group.from === group.to
+                ? capitalize(group.from)
+                : `${capitalize(group.from)}-${capitalize(group.to)}`;
+            return `${days} ${formatTime(group.hours.start)}-${formatTime(group.hours.end)}`;
+        });
+
+        if (open.length === 0) return 'by appointment only';
+        return open.length === 1 ? open[0] : `${open.slice(0, -1).join(', ')} and ${open[open.length - 1]}`;
+    }
+
+    /**
+     * Business details for AI prompts
+     */
+    getContext() {
+        return {
+            ...this.getContactInfo(),
+            hours: this.describeHours(),
+            location: this.describeLocation(),
+            service_area: this.getLocation().service_area || null,
+            programs: this.profile.programs.map(program =>
+                (program.description ? `${program.name}: ${program.description}` : program.name))
+        };
+    }
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+function isTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const [year, month, day] = value.split('-').map(Number);
+    return formatDate(new Date(year, month - 1, day)) === value;
+}
+
+function unknownKeys(label, object, fields) {
+    return Object.keys(object).filter(key => !fields.includes(key)).map(key => `Unknown field: ${label}.${key}`);
+}
+
+function pad(value) {
+    return String(value).padStart(2, '0');
+}
+
+function formatDate(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// "09:00" -> "9am", "17:30" -> "5:30pm"
+function formatTime(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    const suffix = hour < 12 ? 'am' : 'pm';
+    return `${hour % 12 || 12}${minute ? `:${pad(minute)}` : ''}${suffix}`;
+}
+
+function capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Get the process-wide business profile, loading it on first use
+ */
+function getBusinessProfile() {
+    if (!sharedProfile) {
+        sharedProfile = new BusinessProfile();
+    }
+    return sharedProfile;
+}
+
+/**
+ * Replace the process-wide business profile (used by tests)
+ */
+function setBusinessProfile(profile) {
+    sharedProfile = profile;
+}
+
+module.exports = BusinessProfile;
+module.exports.DAYS = DAYS;
+module.exports.getBusinessProfile = getBusinessProfile;
+module.exports.setBusinessProfile = setBusinessProfile;
@@ -0,0 +1,379 @@
+/**
+ * Consent Manager
+ * Per-channel communication consent (email, SMS, WhatsApp, voice) for each lead
+ *
+ * Every change is a new lead_consents row with its source and timestamp; the most
+ * recent row for a channel and address is the current state. Consent is keyed by
+ * the normalized address so a STOP from a number blocks it even before (or after)
+ * it is tied to a lead. Addresses with no record are treated as allowed.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const Logger = require('../utils/logger');
+const Hooks = require('../utils/hooks');
+const LeadMatcher = require('./lead-matcher');
+const { getBusinessProfile } = require('./business-profile');
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'voice'];
+const STATUSES = { GRANTED: 'granted', REVOKED: 'revoked' };
+
+// Lead field holding the address each channel uses
+const CONTACT_FIELDS = { email: 'email', sms: 'phone', whatsapp: 'phone', voice: 'phone' };
+const KEY_FIELDS = {
+    email: 'email_normalized', sms: 'phone_normalized', whatsapp: 'phone_normalized', voice: 'phone_normalized'
+};
+
+const TOKEN_PATTERN = /^[A-Za-z0-9_-]{20,64}$/;
+
+class ConsentManager {
+    constructor(storage, hooks = null) {
+        this.logger = new Logger('Consent');
+        this.storage = storage;
+        this.hooks = hooks || new Hooks();
+        this.matcher = new LeadMatcher();
+        this.baseUrl = (process.env.BASE_URL || getBusinessProfile().getContactInfo().website).replace(/\/$/, '');
+    }
+
+    normalizeAddress(channel, address) {
+        return channel === 'email'
+            ? this.matcher.normalizeEmail(address)
+            : this.matcher.normalizePhone(address);
+    }
+
+    addressFor(lead, channel) {
+        return lead ? this.normalizeAddress(channel, lead[CONTACT_FIELDS[channel]]) : null;
+    }
+
+    /**
+     * Latest consent row for a channel and address, or null when none was ever recorded
+     */
+    async getLatest(channel, address) {
+        return this.storage.findOne('lead_consents', {
+            where: { channel, address },
+            orderBy: 'changed_at',
+            ascending: false
+        });
+    }
+
+    /**
+     * Whether we may contact an address on a channel.
+     * Fails closed: if consent cannot be read, the message is not sent.
+     */
+    async check(channel, address) {
+        const normalized = this.normalizeAddress(channel, address);
+        if (!normalized) {
+            return { allowed: true, status: 'not_set' };
+        }
+
+        try {
+            const latest = await this.getLatest(channel, normalized);
+            if (latest && latest.status === STATUSES.REVOKED) {
+                return {
+                    allowed: false,
+                    status: latest.status,
+                    source: latest.source,
+                    changed_at: latest.changed_at,
+                    reason: `${normalized} opted out of ${channel} (${latest.source})`
+                };
+            }
+            return { allowed: true, status: latest ? latest.status : 'not_set' };
+        } catch (error) {
+            this.logger.error(`Consent check failed for ${channel}:`, error);
+            return { allowed: false, status: 'unknown', reason: 'Consent could not be verified' };
+        }
+    }
+
+    /**
+     * Record a consent change for a lead (address taken from the lead) or a bare address
+     */
+    async record({ leadId = null, channel, address = null, status, source, details = {} }) {
+        if (!CHANNELS.includes(channel)) {
+            return { success: false, code: 'invalid_channel', error: `Channel must be one of: ${CHANNELS.join(', ')}` };
+        }
+        if (!Object.values(STATUSES).includes(status)) {
+            return { success: false, code: 'invalid_status', error: 'Status must be granted or revoked' };
+        }
+        if (!source) {
+            return { success: false, code: 'invalid_source', error: 'A consent source is required' };
+        }
+
+        try {
+            let normalized = this.normalizeAddress(channel, address);
+            if (!normalized && leadId) {
+                const lead = await this.storage.findOne('leads', { where: { id: leadId } });
+                if (!lead) {
+                    return { success: false, code: 'not_found', error: `Lead ${leadId} not found` };
+                }
+                normalized = this.addressFor(lead, channel);
+            }
+            if (!normalized) {
+                const field = CONTACT_FIELDS[channel];
+                return { success: false, code: 'no_address', error: `No ${field} to record ${channel} consent for` };
+            }
+
+            const consent = await this.storage.insert('lead_consents', {
+                lead_id: leadId,
+                channel,
+                address: normalized,
+                status,
+                source,
+                details,
+                changed_at: new Date().toISOString()
+            });
+
+            if (leadId) {
+                await this.syncOptedOut(leadId);
+            }
+
+            this.logger.info(`${status === STATUSES.REVOKED ? '🔕' : '🔔'} ${channel} consent ${status} ` +
+                `for ${leadId ? `lead ${leadId}` : 'unknown contact'} via ${source}`);
+            await this.hooks.emit('lead:consent_changed', consent);
+
+            return { success: true, consent };
+        } catch (error) {
+            this.logger.error(`Failed to record ${channel} consent:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    /**
+     * Record a change that arrived from an address (e.g. a STOP text) for every lead using it
+     */
+    async recordForAddress(channel, address, status, source, details = {}) {
+        const normalized = this.normalizeAddress(channel, address);
+        if (!normalized) {
+            return { success: false, code: 'no_address', error: 'Address could not be normalized' };
+        }
+
+        const leads = await this.storage.find('leads', { where: { [KEY_FIELDS[channel]]: normalized } });
+        const leadIds = leads.length > 0 ? leads.map(lead => lead.id) : [null];
+
+        const results = [];
+        for (const leadId of leadIds) {
+            results.push(await this.record({ leadId, channel, address: normalized, status, source, details }));
+        }
+
+        const failed = results.find(result => !result.success);
+        return failed || { success: true, consents: results.map(result => result.consent) };
+    }
+
+    /**
+     * Current state of every channel for a lead
+     */
+    async getConsent(lead) {
+        const consent = {};
+
+        for (const channel of CHANNELS) {
+            const address = this.addressFor(lead, channel);
+            const latest = address ? await this.getLatest(channel, address) : null;
+
+            consent[channel] = {
+                available: Boolean(address),
+                status: latest ? latest.status : 'not_set',
+                source: latest ? latest.source : null,
+                changed_at: latest ? latest.changed_at : null
+            };
+        }
+
+        return consent;
+    }
+
+    async getHistory(leadId) {
+        return this.storage.find('lead_consents', {
+            where: { lead_id: leadId },
+            orderBy: 'changed_at',
+            ascending: false
+        });
+    }
+
+    /**
+     * Keep leads.opted_out in step: set once every channel the lead can be reached on is revoked
+     */
+    async syncOptedOut(leadId) {
+        const lead = await this.storage.findOne('leads', { where: { id: leadId } });
+        if (!lead) return false;
+
+        const states = Object.values(await this.getConsent(lead)).filter(state => state.available);
+        const optedOut = states.length > 0 && states.every(state => state.status === STATUSES.REVOKED);
+
+        if (Boolean(lead.opted_out) !== optedOut) {
+            await this.storage.update('leads', { id: leadId }, {
+                opted_out: optedOut,
+                updated_at: new Date().toISOString()
+            });
+        }
+        return optedOut;
+    }
+
+    // Preferences links
+
+    /**
+     * The lead's preferences token, created on first use
+     */
+    async getPreferencesToken(lead) {
+        if (lead.preferences_token) return lead.preferences_token;
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        await this.storage.update('leads', { id: lead.id }, { preferences_token: token });
+        lead.preferences_token = token;
+        return token;
+    }
+
+    async findLeadByToken(token) {
+        if (!TOKEN_PATTERN.test(token || '')) return null;
+        return this.storage.findOne('leads', { where: { preferences_token: token } });
+    }
+
+    preferencesUrl(token = null) {
+        return token ? `${this.baseUrl}/preferences/${token}` : `${this.baseUrl}/preferences`;
+    }
+
+    /**
+     * Preferences and one-click unsubscribe URLs for an email recipient.
+     * Recipients that are not leads get the generic page, where they can unsubscribe by address.
+     */
+    async getEmailLinks(to, leadId = null) {
+        try {
+            const email = this.normalizeAddress('email', to);
+            let lead = null;
+            if (leadId) {
+                lead = await this.storage.findOne('leads', { where: { id: leadId } });
+            } else if (email) {
+                lead = await this.storage.findOne('leads', { where: { email_normalized: email } });
+            }
+
+            if (!lead) {
+                return { preferences: this.preferencesUrl(), unsubscribe: null };
+            }
+
+            const token = await this.getPreferencesToken(lead);
+            return {
+                preferences: this.preferencesUrl(token),
+                unsubscribe: `${this.baseUrl}/api/preferences/${token}/unsubscribe`
+            };
+        } catch (error) {
+            this.logger.error('Failed to build preferences link:', error);
+            return { preferences: this.preferencesUrl(), unsubscribe: null };
+        }
+    }
+
+    /**
+     * What the public preferences page shows: first name and masked addresses only
+     */
+    async getPublicPreferences(lead) {
+        const consent = await this.getConsent(lead);
+
+        return {
+            name: (lead.name || '').split(' ')[0] || null,
+            channels: Object.fromEntries(CHANNELS.map(channel => [channel, {
+                available: consent[channel].available,
+                subscribed: consent[channel].status !== STATUSES.REVOKED,
+                address: consent[channel].available ? this.maskAddress(lead[CONTACT_FIELDS[channel]]) : null
+            }]))
+        };
+    }
+
+    maskAddress(address) {
+        const value = String(address || '');
+        if (value.includes('@')) {
+            const [user, domain] = value.split('@');
+            return `${user.slice(0, 1)}***@${domain}`;
+        }
+        const digits = value.replace(/\D/g, '');
+        return digits.length >= 4 ? `***-***-${digits.slice(-4)}` : '***';
+    }
+
+    /**
+     * Apply the choices submitted from the preferences page, recording only real changes
+     */
+    async updatePreferences(lead, choices, source = 'preferences_page') {
+        const consent = await this.getConsent(lead);
+        const changed = [];
+
+        for (const channel of CHANNELS) {
+            if (typeof choices[channel] !== 'boolean' || !consent[channel].available) continue;
+
+            const status = choices[channel] ? STATUSES.GRANTED : STATUSES.REVOKED;
+            if (status === consent[channel].status) continue;
+
+            const result = await this.record({ leadId: lead.id, channel, status, source });
+            if (!result.success) throw new Error(result.error);
+            changed.push(channel);
+        }
+
+        return changed;
+    }
+
+    /**
+     * Public preferences page and its API (no login; the token in the link is the credential)
+     */
+    setupRoutes(app) {
+        const page = path.join(__dirname, '../../public/preferences.html');
+
+        app.get('/preferences', (req, res) => res.sendFile(page));
+        app.get('/preferences/:token', (req, res) => res.sendFile(page));
+
+        // Unsubscribe by address from the generic page (emails sent to non-leads)
+        app.post('/api/preferences/unsubscribe', async (req, res) => {
+            const email = this.normalizeAddress('email', (req.body || {}).email);
+            if (!email) {
+                return res.status(400).json({ error: 'A valid email address is required' });
+            }
+
+            try {
+                const result = await this.recordForAddress('email', email, STATUSES.REVOKED, 'preferences_page');
+                if (!result.success) {
+                    return res.status(500).json({ error: 'Could not update your preferences' });
+                }
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Failed to unsubscribe address:', error);
+                res.status(500).json({ error: 'Could not update your preferences' });
+            }
+        });
+
+        app.get('/api/preferences/:token', async (req, res) => {
+            try {
+                const lead = await this.findLeadByToken(req.params.token);
+                if (!lead) return res.status(404).json({ error: 'This preferences link is not valid' });
+                res.json(await this.getPublicPreferences(lead));
+            } catch (error) {
+                this.logger.error('Failed to load preferences:', error);
+                res.status(500).json({ error: 'Could not load your preferences' });
+            }
+        });
+
+        app.post('/api/preferences/:token', async (req, res) => {
+            try {
+                const lead = await this.findLeadByToken(req.params.token);
+                if (!lead) return res.status(404).json({ error: 'This preferences link is not valid' });
+
+                const changed = await this.updatePreferences(lead, (req.body || {}).channels || {});
+                res.json({ success: true, changed, ...(await this.getPublicPreferences(lead)) });
+            } catch (error) {
+                this.logger.error('Failed to update preferences:', error);
+                res.status(500).json({ error: 'Could not update your preferences' });
+            }
+        });
+
+        // One-click unsubscribe (List-Unsubscribe-Post) and the page's "unsubscribe from all"
+        app.post('/api/preferences/:token/unsubscribe', async (req, res) => {
+            try {
+                const lead = await this.findLeadByToken(req.params.token);
+                if (!lead) return res.status(404).json({ error: 'This preferences link is not valid' });
+
+                const choices = Object.fromEntries(CHANNELS.map(channel => [channel, false]));
+                const changed = await this.updatePreferences(lead, choices, 'unsubscribe_link');
+                res.json({ success: true, changed });
+            } catch (error) {
+                this.logger.error('Failed to unsubscribe:', error);
+                res.status(500).json({ error: 'Could not update your preferences' });
+            }
+        });
+    }
+}
+
+module.exports = ConsentManager;
+module.exports.CHANNELS = CHANNELS;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,208 @@
+/**
+ * Crisis Manager
+ * Screens every inbound chat, SMS/WhatsApp message and call transcript with the
+ * safety classifier. Flagged messages get a vetted response with crisis
+ * resources, are logged as safety_incidents for staff follow-up, and page
+ * on-call staff at or above the configured severity.
+ *
+ * Repeat messages from the same conversation within the repeat window update
+ * the open incident instead of opening (and paging) a new one, unless the
+ * severity goes up.
+ */
+
+const Logger = require('../utils/logger');
+const SafetyClassifier = require('../ai/safety-classifier');
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+
+class CrisisManager {
+    constructor(storage, options = {}) {
+        this.logger = new Logger('Crisis');
+        this.storage = storage;
+        this.classifier = options.classifier || new SafetyClassifier();
+
+        // async incident => [{ channel, to, success, error }] - alerts on-call staff
+        this.page = options.page || null;
+        this.pending = new Set();
+    }
+
+    get config() {
+        return this.classifier.config;
+    }
+
+    /**
+     * Screen an inbound message. Returns { flagged: false }, or the category,
+     * severity, whether the AI reply is suppressed, the vetted response and
+     * the incident id.
+     */
+    async screen(text, { channel, conversationKey = null, leadId = null, contact = null } = {}) {
+        const result = await this.classifier.classify(text);
+        if (!result.flagged) return { flagged: false };
+
+        this.logger.warn(`🚨 ${result.label} (${result.severity}, ${result.method}) on ${channel}`);
+
+        // Logging and paging failures must never hold back the crisis response
+        let incident = null;
+        try {
+            incident = await this.recordIncident(result, text, { channel, conversationKey, leadId, contact });
+        } catch (error) {
+            this.logger.error('Failed to record safety incident:', error);
+        }
+
+        return {
+            flagged: true,
+            category: result.category,
+            label: result.label,
+            severity: result.severity,
+            suppress_ai: this.classifier.isAtLeast(result.severity, this.config.suppress_ai_at),
+            response: this.classifier.responseFor(result.category, { paged: Boolean(incident && incident.paging) }),
+            incident_id: incident ? incident.id : null
+        };
+    }
+
+    async recordIncident(result, text, { channel, conversationKey, leadId, contact }) {
+        const now = new Date().toISOString();
+        const open = await this.findOpenIncident(conversationKey);
+
+        if (open) {
+            const escalated = this.classifier.rank(result.severity) > this.classifier.rank(open.severity);
+            const [updated] = await this.storage.update('safety_incidents', { id: open.id }, {
+                message_count: (open.message_count || 1) + 1,
+                last_message: text,
+                last_message_at: now,
+                ...(escalated && {
+                    category: result.category,
+                    label: result.label,
+                    severity: result.severity,
+                    method: result.method
+                })
+            });
+            return escalated ? this.notify(updated) : updated;
+        }
+
+        const incident = await this.storage.insert('safety_incidents', {
+            channel,
+            conversation_key: conversationKey,
+            lead_id: leadId,
+            contact,
+            category: result.category,
+            label: result.label,
+            severity: result.severity,
+            method: result.method,
+            matched: result.matched,
+            confidence: result.confidence,
+            message: text,
+            last_message: text,
+            message_count: 1,
+            last_message_at: now,
+            status: 'open',
+            paged: false,
+            page_results: []
+        });
+
+        return this.notify(incident);
+    }
+
+    async findOpenIncident(conversationKey) {
+        if (!conversationKey) return null;
+
+        const since = new Date(Date.now() - (this.config.repeat_window_minutes || 30) * 60 * 1000);
+        return await this.storage.findOne('safety_incidents', {
+            where: { conversation_key: conversationKey, status: 'open', last_message_at: { gte: since.toISOString() } },
+            orderBy: 'last_message_at',
+            ascending: false
+        });
+    }
+
+    /**
+     * Page on-call staff when the incident is severe enough. The page runs in
+     * the background so the crisis response never waits on it.
+     */
+    notify(incident) {
+        if (!this.page || !this.classifier.isAtLeast(incident.severity, this.config.page_at)) {
+            return incident;
+        }
+
+        const sending = Promise.resolve()
+            .then(() => this.page(incident))
+            .then(results => this.recordPage(incident, results))
+            .catch(error => {
+                this.logger.error(`Failed to page on-call staff about safety incident ${incident.id}:`, error);
+            })
+            .finally(() => this.pending.delete(sending));
+        this.pending.add(sending);
+
+        return { ...incident, paging: true };
+    }
+
+    async recordPage(incident, results) {
+        const paged = results.some(result => result.success);
+        if (!paged) {
+            this.logger.error(`No on-call staff could be paged about safety incident ${incident.id}`, { results });
+        }
+
+        await this.storage.update('safety_incidents', { id: incident.id }, {
+            paged,
+            paged_at: new Date().toISOString(),
+            page_results: results
+        });
+    }
+
+    /**
+     * Resolves once every page started so far has gone out (or failed)
+     */
+    async pagesSent() {
+        await Promise.all([...this.pending]);
+    }
+
+    async listIncidents({ status = null, limit = 50, offset = 0 } = {}) {
+        return await this.storage.find('safety_incidents', {
+            where: status ? { status } : {},
+            orderBy: 'created_at',
+            ascending: false,
+            limit,
+            offset
+        });
+    }
+
+    /**
+     * Staff follow-up: acknowledge or resolve an incident and add notes
+     */
+    async updateIncident(id, { status, notes } = {}, actor = null) {
+        const invalid = this.validateFollowUp(status, notes);
+        if (invalid) return invalid;
+
+        try {
+            const incident = await this.storage.findOne('safety_incidents', { where: { id } });
+            if (!incident) {
+                return { success: false, code: 'not_found', error: `Incident ${id} not found` };
+            }
+
+            const [updated] = await this.storage.update('safety_incidents', { id }, {
+                ...(status && { status }),
+                ...(notes !== undefined && { notes }),
+                handled_by: actor,
+                handled_at: new Date().toISOString()
+            });
+            this.logger.info(`Safety incident ${id} ${status || 'updated'} by ${actor || 'system'}`);
+
+            return { success: true, incident: updated };
+        } catch (error) {
+            this.logger.error(`Failed to update safety incident ${id}:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    validateFollowUp(status, notes) {
+        if (status !== undefined && !STATUSES.includes(status)) {
+            return { success: false, code: 'invalid_status', error: `Status must be one of: ${STATUSES.join(', ')}` };
+        }
+        if (notes !== undefined && (typeof notes !== 'string' || notes.length > 5000)) {
+            return { success: false, code: 'invalid_notes', error: 'Notes must be text under 5000 characters' };
+        }
+        return null;
+    }
+}
+
+module.exports = CrisisManager;
+module.exports.STATUSES = STATUSES;
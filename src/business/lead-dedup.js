@@ -0,0 +1,298 @@
+/**
+ * Lead Deduplication
+ * Matches intake against existing leads, merges confident matches and
+ * queues uncertain ones in lead_match_reviews for staff to approve or reject
+ */
+
+const Logger = require('../utils/logger');
+const Hooks = require('../utils/hooks');
+const LeadMatcher = require('./lead-matcher');
+
+// How far back name-only matching looks for candidates
+const FUZZY_LOOKBACK_DAYS = 90;
+const FUZZY_CANDIDATE_LIMIT = 500;
+
+// Fields copied onto the surviving lead when it has no value yet
+const MERGE_FIELDS = [
+    'email', 'phone', 'chat_session_id', 'employment_status', 'housing_status',
+    'housing_needs', 'household_size', 'move_in_date', 'preferred_contact_method'
+];
+
+// Flags that stay set once either record has them
+const MERGE_FLAGS = [
+    'is_veteran', 'in_recovery', 'is_reentry', 'currently_homeless',
+    'eviction_risk', 'has_family', 'income_qualified'
+];
+
+class LeadDeduplicator {
+    constructor(storage, hooks = null) {
+        this.logger = new Logger('LeadDedup');
+        this.storage = storage;
+        this.hooks = hooks || new Hooks();
+        this.matcher = new LeadMatcher();
+    }
+
+    /**
+     * Add the normalized lookup keys to a lead record
+     */
+    withKeys(lead) {
+        return { ...lead, ...this.matcher.getKeys(lead) };
+    }
+
+    async findCandidates(lead) {
+        const keys = this.matcher.getKeys(lead);
+        const queries = [];
+
+        if (keys.email_normalized) {
+            queries.push({ where: { email_normalized: keys.email_normalized } });
+        }
+        if (keys.phone_normalized) {
+            queries.push({ where: { phone_normalized: keys.phone_normalized } });
+        }
+        if (!this.matcher.isPlaceholderName(lead.name)) {
+            const since = new Date(Date.now() - FUZZY_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+            queries.push({
+                where: { created_at: { gte: since.toISOString() } },
+                orderBy: 'created_at',
+                ascending: false,
+                limit: FUZZY_CANDIDATE_LIMIT
+            });
+        }
+
+        const candidates = new Map();
+        for (const query of queries) {
+            const rows = await this.storage.find('leads', query);
+            rows.forEach(row => candidates.set(row.id, row));
+        }
+
+        return [...candidates.values()];
+    }
+
+    /**
+     * Best existing match for an incoming lead, or null
+     */
+    async findMatch(lead) {
+        try {
+            const candidates = await this.findCandidates(lead);
+            return this.matcher.findBestMatch(lead, candidates);
+        } catch (error) {
+            this.logger.error('Duplicate lookup failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Changes that fold `incoming` into `primary` without overwriting what staff already know
+     */
+    buildMergeChanges(primary, incoming) {
+        const changes = {};
+
+        if (!this.matcher.isPlaceholderName(incoming.name) && this.matcher.isPlaceholderName(primary.name)) {
+            changes.name = incoming.name;
+        }
+
+        for (const field of MERGE_FIELDS) {
+            const value = incoming[field];
+            const current = primary[field];
+            if (value !== undefined && value !== null && value !== '' &&
+                (current === undefined || current === null || current === '')) {
+                changes[field] = value;
+            }
+        }
+
+        for (const flag of MERGE_FLAGS) {
+            if (incoming[flag] === true && primary[flag] !== true) {
+                changes[flag] = true;
+            }
+        }
+
+        if (incoming.message && !(primary.message || '').includes(incoming.message)) {
+            changes.message = primary.message ? `${primary.message}\n\n${incoming.message}` : incoming.message;
+        }
+
+        if ((incoming.score || 0) > (primary.score || 0)) {
+            changes.score = incoming.score;
+        }
+
+        return Object.assign(changes, this.matcher.getKeys({ ...primary, ...changes }));
+    }
+
+    /**
+     * Fold new intake into an existing lead instead of creating a duplicate
+     */
+    async mergeIntake(existing, intake, match) {
+        const changes = this.buildMergeChanges(existing, intake);
+        const [updated] = await this.storage.update('leads', { id: existing.id }, {
+            ...changes,
+            updated_at: new Date().toISOString()
+        });
+
+        await this.recordMerge(existing.id, {
+            source: intake.source || 'unknown',
+            match_reasons: match.reasons,
+            match_score: match.score,
+            fields_updated: Object.keys(changes),
+            incoming: intake
+        });
+
+        const lead = updated || { ...existing, ...changes };
+        this.logger.info(`🔗 Intake from ${intake.source || 'unknown'} merged into lead ${existing.id} ` +
+            `(${match.reasons.join(', ')})`);
+
+        await this.hooks.emit('lead:merged', { lead, incoming: intake, match });
+        return lead;
+    }
+
+    /**
+     * Queue an uncertain match for staff review
+     */
+    async flagForReview(lead, match) {
+        try {
+            const review = await this.storage.insert('lead_match_reviews', {
+                lead_id: lead.id,
+                candidate_id: match.lead.id,
+                score: match.score,
+                reasons: match.reasons,
+                status: 'pending'
+            });
+
+            this.logger.info(`🔍 Lead ${lead.id} may duplicate ${match.lead.id} ` +
+                `(${match.reasons.join(', ')}) - queued for review`);
+            return review;
+        } catch (error) {
+            this.logger.error('Failed to queue duplicate review:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Review queue with both leads attached
+     */
+    async getReviews(status = 'pending') {
+        const reviews = await this.storage.find('lead_match_reviews', {
+            where: status ? { status } : {},
+            orderBy: 'created_at',
+            ascending: false
+        });
+
+        const leadIds = [...new Set(reviews.flatMap(review => [review.lead_id, review.candidate_id]))];
+        const leads = leadIds.length > 0
+            ? await this.storage.find('leads', { where: { id: leadIds } })
+            : [];
+        const byId = new Map(leads.map(lead => [lead.id, lead]));
+
+        return reviews.map(review => ({
+            ...review,
+            lead: byId.get(review.lead_id) || null,
+            candidate: byId.get(review.candidate_id) || null
+        }));
+    }
+
+    /**
+     * Resolve a review: approving merges the newer lead into the existing candidate
+     */
+    async resolveReview(reviewId, decision, actor = null) {
+        const review = await this.storage.findOne('lead_match_reviews', { where: { id: reviewId } });
+
+        if (!review) {
+            return { success: false, code: 'not_found', error: `Review ${reviewId} not found` };
+        }
+        if (review.status !== 'pending') {
+            return {
+                success: false,
+                code: 'already_resolved',
+                error: `Review ${reviewId} is already ${review.status}`
+            };
+        }
+
+        // Only a pending review is claimed, so two reviewers can't both resolve it
+        const [resolved] = await this.storage.update('lead_match_reviews', { id: reviewId, status: 'pending' }, {
+            status: decision === 'approve' ? 'approved' : 'rejected',
+            resolved_by: actor,
+            resolved_at: new Date().toISOString()
+        });
+        if (!resolved) {
+            return { success: false, code: 'already_resolved', error: `Review ${reviewId} is already resolved` };
+        }
+
+        if (decision !== 'approve') {
+            this.logger.info(`Review ${reviewId} rejected - leads kept separate`);
+            return { success: true, review: resolved };
+        }
+
+        const result = await this.mergeLeads(review.candidate_id, review.lead_id, { actor, review_id: reviewId });
+        if (!result.success) {
+            // Back to pending so the merge can be approved again once the problem is fixed
+            await this.storage.update('lead_match_reviews', { id: reviewId }, {
+                status: 'pending',
+                resolved_by: null,
+                resolved_at: null
+            });
+            return { ...result, review };
+        }
+        return { ...result, review: resolved };
+    }
+
+    /**
+     * Merge a duplicate lead into the primary one, moving its interaction history
+     */
+    async mergeLeads(primaryId, duplicateId, details = {}) {
+        try {
+            const primary = await this.storage.findOne('leads', { where: { id: primaryId } });
+            const duplicate = await this.storage.findOne('leads', { where: { id: duplicateId } });
+
+            if (!primary || !duplicate) {
+                return { success: false, code: 'not_found', error: 'Both leads must exist to merge' };
+            }
+
+            const changes = this.buildMergeChanges(primary, duplicate);
+            const [updated] = await this.storage.update('leads', { id: primaryId }, {
+                ...changes,
+                updated_at: new Date().toISOString()
+            });
+
+            const moved = await this.storage.update('lead_interactions',
+                { lead_id: duplicateId }, { lead_id: primaryId });
+            await this.storage.update('lead_consents', { lead_id: duplicateId }, { lead_id: primaryId });
+
+            // Other open reviews about the removed lead no longer apply
+            for (const column of ['lead_id', 'candidate_id']) {
+                await this.storage.update('lead_match_reviews', { [column]: duplicateId, status: 'pending' }, {
+                    status: 'superseded',
+                    resolved_at: new Date().toISOString()
+                });
+            }
+
+            await this.recordMerge(primaryId, {
+                ...details,
+                merged_lead_id: duplicateId,
+                merged_lead: duplicate,
+                fields_updated: Object.keys(changes),
+                interactions_moved: moved.length
+            });
+
+            await this.storage.remove('leads', { id: duplicateId });
+
+            const lead = updated || { ...primary, ...changes };
+            this.logger.info(`🔗 Lead ${duplicateId} merged into ${primaryId} (${moved.length} interactions moved)`);
+
+            await this.hooks.emit('lead:merged', { lead, duplicate, details });
+            return { success: true, lead, merged_lead_id: duplicateId };
+        } catch (error) {
+            this.logger.error(`Failed to merge lead ${duplicateId} into ${primaryId}:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    async recordMerge(leadId, data) {
+        await this.storage.insert('lead_interactions', {
+            lead_id: leadId,
+            interaction_type: 'lead_merged',
+            interaction_data: data,
+            status: 'completed',
+            completed_at: new Date().toISOString()
+        });
+    }
+}
+
+module.exports = LeadDeduplicator;
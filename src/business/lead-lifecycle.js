@@ -0,0 +1,177 @@
+/**
+ * Lead Lifecycle
+ * State machine for lead status, aligned with LeadScoring.stages
+ *
+ * Every change goes through transition(), which checks the transition table and
+ * the stage guards, writes the new status, records a `status_change` row in
+ * lead_interactions and emits `lead:status_changed` plus `lead:<stage>` hooks.
+ */
+
+const Logger = require('../utils/logger');
+const Hooks = require('../utils/hooks');
+const LeadScoring = require('../campaigns/lead-scoring');
+
+const STAGES = new LeadScoring().stages;
+
+// Allowed next stages for each stage; moved_in is terminal
+const TRANSITIONS = {
+    [STAGES.NEW]: [STAGES.CONTACTED, STAGES.QUALIFIED, STAGES.NURTURING, STAGES.APPOINTMENT_SET, STAGES.LOST],
+    [STAGES.CONTACTED]: [STAGES.QUALIFIED, STAGES.NURTURING, STAGES.APPOINTMENT_SET, STAGES.LOST],
+    [STAGES.QUALIFIED]: [STAGES.NURTURING, STAGES.APPOINTMENT_SET, STAGES.APPLICATION_SUBMITTED, STAGES.LOST],
+    [STAGES.NURTURING]: [STAGES.CONTACTED, STAGES.QUALIFIED, STAGES.APPOINTMENT_SET, STAGES.LOST],
+    [STAGES.APPOINTMENT_SET]: [STAGES.QUALIFIED, STAGES.NURTURING, STAGES.APPLICATION_SUBMITTED, STAGES.LOST],
+    [STAGES.APPLICATION_SUBMITTED]: [STAGES.APPROVED, STAGES.LOST],
+    [STAGES.APPROVED]: [STAGES.MOVED_IN, STAGES.LOST],
+    [STAGES.MOVED_IN]: [],
+    [STAGES.LOST]: [STAGES.CONTACTED, STAGES.NURTURING]
+};
+
+// Statuses written before the lifecycle existed
+const LEGACY_STATUSES = {
+    converted: STAGES.MOVED_IN
+};
+
+class LeadLifecycle {
+    constructor(storage, hooks = null) {
+        this.logger = new Logger('LeadLifecycle');
+        this.storage = storage;
+        this.hooks = hooks || new Hooks();
+        this.stages = STAGES;
+        this.transitions = TRANSITIONS;
+
+        // Guards return an error message to block a transition, or null to allow it
+        this.guards = new Map();
+        this.addGuard(STAGES.CONTACTED, (lead) =>
+            (lead.email || lead.phone ? null : 'Lead has no email or phone to contact'));
+        this.addGuard(STAGES.APPOINTMENT_SET, (lead, context) =>
+            (context.appointment_at ? null : 'appointment_at is required to set an appointment'));
+        this.addGuard(STAGES.APPROVED, (lead, context) =>
+            (context.actor ? null : 'Approval must name the staff member (actor) who approved it'));
+        this.addGuard(STAGES.MOVED_IN, (lead, context) =>
+            (context.move_in_date || lead.move_in_date ? null : 'move_in_date is required to mark a lead moved in'));
+        this.addGuard(STAGES.LOST, (lead, context) =>
+            (context.reason ? null : 'A reason is required to mark a lead lost'));
+    }
+
+    /**
+     * Register an extra guard for transitions into a stage
+     */
+    addGuard(stage, guard) {
+        if (!this.guards.has(stage)) {
+            this.guards.set(stage, []);
+        }
+        this.guards.get(stage).push(guard);
+    }
+
+    normalizeStatus(status) {
+        return LEGACY_STATUSES[status] || status || STAGES.NEW;
+    }
+
+    isStage(status) {
+        return Object.values(STAGES).includes(status);
+    }
+
+    canTransition(from, to) {
+        return (TRANSITIONS[this.normalizeStatus(from)] || []).includes(to);
+    }
+
+    /**
+     * Check the transition table and guards without changing anything
+     */
+    validate(lead, to, context = {}) {
+        const from = this.normalizeStatus(lead.status);
+
+        if (!this.isStage(to)) {
+            return { code: 'invalid_status', error: `Unknown lead status "${to}"` };
+        }
+
+        if (!this.canTransition(from, to)) {
+            return { code: 'invalid_transition', error: `Cannot move lead from ${from} to ${to}` };
+        }
+
+        for (const guard of this.guards.get(to) || []) {
+            const error = guard(lead, context);
+            if (error) {
+                return { code: 'guard_failed', error };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Move a lead to a new stage.
+     * context: { reason, actor, source, appointment_at, move_in_date, ... } is kept in the audit row.
+     */
+    async transition(leadId, to, context = {}) {
+        try {
+            const lead = await this.storage.findOne('leads', { where: { id: leadId } });
+
+            if (!lead) {
+                return { success: false, code: 'not_found', error: `Lead ${leadId} not found` };
+            }
+
+            const from = this.normalizeStatus(lead.status);
+            if (from === to) {
+                return { success: true, changed: false, lead, from, to };
+            }
+
+            const rejection = this.validate(lead, to, context);
+            if (rejection) {
+                this.logger.warn(`Blocked lead ${leadId} ${from} -> ${to}: ${rejection.error}`);
+                return { success: false, ...rejection };
+            }
+
+            const now = new Date().toISOString();
+            const changes = { status: to, updated_at: now };
+            if (to === STAGES.MOVED_IN && context.move_in_date) {
+                changes.move_in_date = context.move_in_date;
+            }
+
+            const [updated] = await this.storage.update('leads', { id: leadId }, changes);
+
+            await this.storage.insert('lead_interactions', {
+                lead_id: leadId,
+                interaction_type: 'status_change',
+                interaction_data: {
+                    ...context,
+                    old_status: from,
+                    new_status: to
+                },
+                status: 'completed',
+                completed_at: now
+            });
+
+            const result = { success: true, changed: true, lead: updated || { ...lead, ...changes }, from, to };
+            this.logger.info(`📊 Lead ${leadId} status ${from} -> ${to}`);
+
+            await this.hooks.emit('lead:status_changed', { ...result, context });
+            await this.hooks.emit(`lead:${to}`, { ...result, context });
+
+            return result;
+        } catch (error) {
+            this.logger.error(`Failed to transition lead ${leadId}:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    /**
+     * Audit trail of status changes for a lead, oldest first
+     */
+    async getHistory(leadId) {
+        try {
+            return await this.storage.find('lead_interactions', {
+                where: { lead_id: leadId, interaction_type: 'status_change' },
+                orderBy: 'created_at',
+                ascending: true
+            });
+        } catch (error) {
+            this.logger.error(`Failed to load status history for lead ${leadId}:`, error);
+            return [];
+        }
+    }
+}
+
+module.exports = LeadLifecycle;
+module.exports.STAGES = STAGES;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,184 @@
+/**
+ * Lead Matcher
+ * Decides whether an incoming lead is a person we already know,
+ * using normalized email and phone plus fuzzy name similarity
+ */
+
+// Names channels use when the person has not told us theirs
+const PLACEHOLDER_NAMES = ['phone caller', 'web chat visitor', 'sms contact', 'whatsapp contact', 'unknown'];
+
+// Jaro-Winkler similarity needed for names to count as the same person
+const NAME_MATCH_THRESHOLD = 0.88;
+// Higher bar when the name is the only thing that matches
+const NAME_ONLY_THRESHOLD = 0.93;
+
+class LeadMatcher {
+    constructor(options = {}) {
+        this.nameMatchThreshold = options.nameMatchThreshold || NAME_MATCH_THRESHOLD;
+        this.nameOnlyThreshold = options.nameOnlyThreshold || NAME_ONLY_THRESHOLD;
+    }
+
+    normalizeEmail(email) {
+        if (!email || typeof email !== 'string') return null;
+        const normalized = email.trim().toLowerCase();
+        return normalized.includes('@') ? normalized : null;
+    }
+
+    /**
+     * Normalize a phone number to E.164, assuming US numbers when no country code is given
+     */
+    normalizePhone(phone) {
+        if (!phone || typeof phone !== 'string') return null;
+        const raw = phone.replace(/^whatsapp:/i, '').trim();
+        const digits = raw.replace(/\D/g, '');
+
+        if (digits.length < 7) return null;
+        if (digits.length === 10) return `+1${digits}`;
+        return `+${digits}`;
+    }
+
+    normalizeName(name) {
+        if (!name || typeof name !== 'string') return '';
+        return name
+            .toLowerCase()
+            .replace(/[^a-z0-9\s]/g, ' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    isPlaceholderName(name) {
+        const normalized = this.normalizeName(name);
+        return !normalized || PLACEHOLDER_NAMES.includes(normalized);
+    }
+
+    /**
+     * Keys stored on the lead for indexed duplicate lookups
+     */
+    getKeys(lead) {
+        return {
+            email_normalized: this.normalizeEmail(lead.email),
+            phone_normalized: this.normalizePhone(lead.phone)
+        };
+    }
+
+    /**
+     * Name similarity from 0 to 1, tolerant of typos and reordered names ("Smith, John")
+     */
+    nameSimilarity(a, b) {
+        const left = this.normalizeName(a);
+        const right = this.normalizeName(b);
+        if (!left || !right) return 0;
+
+        const sortTokens = (name) => name.split(' ').sort().join(' ');
+        return Math.max(
+            this.jaroWinkler(left, right),
+            this.jaroWinkler(sortTokens(left), sortTokens(right))
+        );
+    }
+
+    jaroWinkler(a, b) {
+        if (a === b) return 1;
+
+        const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+        const aMatches = new Array(a.length).fill(false);
+        const bMatches = new Array(b.length).fill(false);
+        let matches = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            const start = Math.max(0, i - matchWindow);
+            const end = Math.min(i + matchWindow + 1, b.length);
+            for (let j = start; j < end; j++) {
+                if (!bMatches[j] && a[i] === b[j]) {
+                    aMatches[i] = bMatches[j] = true;
+                    matches++;
+                    break;
+                }
+            }
+        }
+
+        if (matches === 0) return 0;
+
+        let transpositions = 0;
+        for (let i = 0, j = 0; i < a.length; i++) {
+            if (!aMatches[i]) continue;
+            while (!bMatches[j]) j++;
+            if (a[i] !== b[j]) transpositions++;
+            j++;
+        }
+
+        const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+
+        let prefix = 0;
+        while (prefix < Math.min(4, a.length, b.length) && a[prefix] === b[prefix]) prefix++;
+
+        return jaro + prefix * 0.1 * (1 - jaro);
+    }
+
+    /**
+     * Compare an incoming lead with an existing one.
+     * Returns null, or { confidence: 'exact' | 'possible', score, reasons }
+     */
+    compare(incoming, existing) {
+        const incomingKeys = this.getKeys(incoming);
+        const existingKeys = this.getKeys(existing);
+
+        const emailMatch = Boolean(incomingKeys.email_normalized) &&
+            incomingKeys.email_normalized === existingKeys.email_normalized;
+        const phoneMatch = Boolean(incomingKeys.phone_normalized) &&
+            incomingKeys.phone_normalized === existingKeys.phone_normalized;
+
+        const unnamed = this.isPlaceholderName(incoming.name) || this.isPlaceholderName(existing.name);
+        const nameScore = unnamed ? 0 : this.nameSimilarity(incoming.name, existing.name);
+        const nameMatch = nameScore >= this.nameMatchThreshold;
+
+        const reasons = [];
+        if (emailMatch) reasons.push('email');
+        if (phoneMatch) reasons.push('phone');
+        if (nameMatch) reasons.push('name');
+
+        if (emailMatch && phoneMatch) {
+            return { confidence: 'exact', score: 1, reasons };
+        }
+
+        if (emailMatch || phoneMatch) {
+            // Same contact details under a different name - e.g. a shared family phone
+            if (!unnamed && !nameMatch) {
+                return { confidence: 'possible', score: 0.6, reasons: [...reasons, 'name_mismatch'] };
+            }
+            return { confidence: 'exact', score: unnamed ? 0.9 : 0.95, reasons };
+        }
+
+        if (!unnamed && nameScore >= this.nameOnlyThreshold) {
+            // Different email and different phone is most likely a namesake
+            const emailConflict = incomingKeys.email_normalized && existingKeys.email_normalized;
+            const phoneConflict = incomingKeys.phone_normalized && existingKeys.phone_normalized;
+            if (emailConflict && phoneConflict) return null;
+
+            return { confidence: 'possible', score: Number((nameScore * 0.7).toFixed(2)), reasons };
+        }
+
+        return null;
+    }
+
+    /**
+     * Best match among candidates, preferring exact matches and then higher scores
+     */
+    findBestMatch(incoming, candidates) {
+        let best = null;
+
+        for (const candidate of candidates) {
+            const result = this.compare(incoming, candidate);
+            if (!result) continue;
+
+            const rank = (match) => (match.confidence === 'exact' ? 1 : 0) + match.score;
+            if (!best || rank(result) > rank(best)) {
+                best = { ...result, lead: candidate };
+            }
+        }
+
+        return best;
+    }
+}
+
+module.exports = LeadMatcher;
+module.exports.PLACEHOLDER_NAMES = PLACEHOLDER_NAMES;
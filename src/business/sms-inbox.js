@@ -0,0 +1,373 @@
+/**
+ * SMS Inbox
+ * Two-way SMS and WhatsApp threads, one per phone number and channel, linked
+ * to the lead with that number. Every inbound text and every message sent to
+ * the number is stored as it happens, and inbound texts count as unread until
+ * a staff member opens the thread.
+ *
+ * A case manager can take over a thread: the AI stops auto-replying (crisis
+ * responses and STOP/START confirmations still go out) while they reply by
+ * hand, until they hand the thread back.
+ *
+ * Sent messages move through Twilio's delivery statuses (queued, sent,
+ * delivered, undelivered, failed) as status callbacks arrive.
+ */
+
+const Logger = require('../utils/logger');
+const LeadMatcher = require('./lead-matcher');
+
+const CHANNELS = ['sms', 'whatsapp'];
+const MODES = ['ai', 'staff'];
+const SENDERS = ['contact', 'assistant', 'staff'];
+const MAX_MESSAGE_LENGTH = 1600;
+
+// Delivery statuses in lifecycle order; callbacks can arrive out of order and
+// never move a message back to an earlier stage
+const STATUS_STAGES = {
+    accepted: 0,
+    scheduled: 0,
+    queued: 1,
+    sending: 2,
+    sent: 3,
+    delivered: 4,
+    undelivered: 4,
+    failed: 4,
+    read: 5
+};
+
+// Final delivery outcomes; a late callback never swaps one for another
+const FINAL_STATUSES = ['delivered', 'undelivered', 'failed'];
+
+// Tries at bumping a thread's unread count before it is written regardless
+const UNREAD_ATTEMPTS = 5;
+
+class SMSInbox {
+    constructor(storage, options = {}) {
+        this.logger = new Logger('Inbox');
+        this.storage = storage;
+        this.matcher = new LeadMatcher();
+
+        // async (thread, body, { sender, sentBy }) => { success, messageId, code, error } - sends a staff reply
+        this.send = options.send || null;
+
+        // Threads being created in this process; the unique index covers other instances
+        this.creating = new Map();
+    }
+
+    /**
+     * Thread key for an address such as "+15551234567" or "whatsapp:+15551234567"
+     */
+    contactFor(address) {
+        return this.matcher.normalizePhone(address) || String(address || '').replace(/^whatsapp:/i, '');
+    }
+
+    async findThread(channel, address) {
+        return await this.storage.findOne('sms_threads', {
+            where: { channel, contact: this.contactFor(address) }
+        });
+    }
+
+    async getThread(id) {
+        return await this.storage.findOne('sms_threads', { where: { id } });
+    }
+
+    /**
+     * The thread for an address, created on its first message. Texts from a
+     * new number handled at the same time all land on one thread.
+     */
+    async findOrCreateThread(channel, address) {
+        const existing = await this.findThread(channel, address);
+        if (existing) return existing;
+
+        const key = `${channel}:${this.contactFor(address)}`;
+        if (!this.creating.has(key)) {
+            this.creating.set(key, this.createThread(channel, address).finally(() => this.creating.delete(key)));
+        }
+        return await this.creating.get(key);
+    }
+
+    async createThread(channel, address) {
+        const contact = this.contactFor(address);
+        const lead = await this.storage.findOne('leads', {
+            where: { phone_normalized: contact },
+            orderBy: 'created_at',
+            ascending: false
+        });
+
+        try {
+            const thread = await this.storage.insert('sms_threads', {
+                channel,
+                contact,
+                lead_id: lead ? lead.id : null,
+                mode: 'ai',
+                unread_count: 0
+            });
+            this.logger.info(`📥 New ${channel} thread with ${contact}`);
+            return thread;
+        } catch (error) {
+            // Another instance created the thread first
+            const existing = await this.findThread(channel, address);
+            if (existing) return existing;
+            throw error;
+        }
+    }
+
+    /**
+     * Store a message on the sender's or recipient's thread. Inbox failures
+     * never hold back a reply, so errors are logged and null is returned.
+     */
+    async recordMessage(channel, address, message) {
+        const { direction, body, sender, sentBy = null, messageSid = null, status = null } = message;
+        try {
+            const thread = await this.findOrCreateThread(channel, address);
+            const stored = await this.storage.insert('sms_messages', {
+                thread_id: thread.id,
+                direction,
+                sender,
+                body,
+                sent_by: sentBy,
+                message_sid: messageSid,
+                status
+            });
+
+            const changes = { last_message: body, last_direction: direction, last_message_at: stored.created_at };
+            const [updated] = direction === 'inbound'
+                ? [await this.countUnread(thread, changes)]
+                : await this.storage.update('sms_threads', { id: thread.id }, changes);
+
+            return { thread: updated || thread, message: stored };
+        } catch (error) {
+            this.logger.error(`Failed to record ${direction} ${channel} message for ${address}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Add one to a thread's unread count along with `changes`. The update only
+     * applies while the count is still the one read, so two texts handled at
+     * the same time both count; on a clash the thread is read again.
+     */
+    async countUnread(thread, changes) {
+        let current = thread;
+        for (let attempt = 1; attempt < UNREAD_ATTEMPTS; attempt++) {
+            const unread = current.unread_count || 0;
+            const [updated] = await this.storage.update('sms_threads', { id: current.id, unread_count: unread }, {
+                ...changes,
+                unread_count: unread + 1
+            });
+            if (updated) return updated;
+
+            current = await this.getThread(current.id);
+        }
+
+        const [updated] = await this.storage.update('sms_threads', { id: current.id }, {
+            ...changes,
+            unread_count: (current.unread_count || 0) + 1
+        });
+        return updated;
+    }
+
+    /**
+     * Whether a status callback moves a message on: never back to an earlier
+     * stage, and never from one final outcome to another
+     */
+    supersedes(status, previous) {
+        if (!(previous in STATUS_STAGES)) return true;
+        if (FINAL_STATUSES.includes(previous) && FINAL_STATUSES.includes(status)) return status === previous;
+        return STATUS_STAGES[status] >= STATUS_STAGES[previous];
+    }
+
+    /**
+     * Apply a delivery status callback to the sent message with this Twilio
+     * SID. Returns { thread, message, changed }, or null when no stored
+     * message has the SID.
+     */
+    async updateStatus(messageSid, status, errorCode = null) {
+        if (!(status in STATUS_STAGES)) {
+            this.logger.warn(`Ignoring unknown status "${status}" for message ${messageSid}`);
+            return null;
+        }
+
+        try {
+            const message = await this.storage.findOne('sms_messages', { where: { message_sid: messageSid } });
+            if (!message) return null;
+
+            const thread = await this.getThread(message.thread_id);
+            if (!this.supersedes(status, message.status)) {
+                return { thread, message, changed: false };
+            }
+
+            const [updated] = await this.storage.update('sms_messages', { id: message.id }, {
+                status,
+                error_code: errorCode,
+                status_updated_at: new Date().toISOString()
+            });
+            return { thread, message: updated || message, changed: message.status !== status };
+        } catch (error) {
+            this.logger.error(`Failed to update the status of message ${messageSid}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Threads with the most recent message first
+     */
+    async listThreads({ mode = null, unread = false, leadId = null, limit = 50, offset = 0 } = {}) {
+        return await this.storage.find('sms_threads', {
+            where: {
+                ...(mode && { mode }),
+                ...(unread && { unread_count: { gt: 0 } }),
+                ...(leadId && { lead_id: leadId })
+            },
+            orderBy: 'last_message_at',
+            ascending: false,
+            limit,
+            offset
+        });
+    }
+
+    /**
+     * Unread inbound texts across all threads
+     */
+    async getUnreadCount() {
+        const threads = await this.storage.find('sms_threads', { where: { unread_count: { gt: 0 } } });
+        return threads.reduce((sum, thread) => sum + thread.unread_count, 0);
+    }
+
+    /**
+     * A thread's latest messages, oldest first
+     */
+    async getMessages(threadId, limit = 100) {
+        const messages = await this.storage.find('sms_messages', {
+            where: { thread_id: threadId },
+            orderBy: 'created_at',
+            ascending: false,
+            limit
+        });
+        return messages.reverse();
+    }
+
+    /**
+     * Messages to and from a phone number on every channel, newest first
+     */
+    async getContactMessages(address, limit = 50) {
+        const threads = await this.storage.find('sms_threads', { where: { contact: this.contactFor(address) } });
+        if (threads.length === 0) return [];
+
+        return await this.storage.find('sms_messages', {
+            where: { thread_id: threads.map(thread => thread.id) },
+            orderBy: 'created_at',
+            ascending: false,
+            limit
+        });
+    }
+
+    async markRead(id) {
+        return await this.changeThread(id, { unread_count: 0 }, 'read');
+    }
+
+    /**
+     * Pause AI auto-replies so a staff member can answer by hand
+     */
+    async takeOver(id, actor) {
+        return await this.changeThread(id, {
+            mode: 'staff',
+            assigned_to: actor,
+            taken_over_at: new Date().toISOString()
+        }, `taken over by ${actor || 'system'}`);
+    }
+
+    /**
+     * Give the thread back to the AI
+     */
+    async handBack(id, actor) {
+        return await this.changeThread(id, {
+            mode: 'ai',
+            assigned_to: null,
+            taken_over_at: null
+        }, `handed back to the AI by ${actor || 'system'}`);
+    }
+
+    async changeThread(id, changes, action) {
+        try {
+            const [thread] = await this.storage.update('sms_threads', { id }, changes);
+            if (!thread) {
+                return { success: false, code: 'not_found', error: `Thread ${id} not found` };
+            }
+
+            this.logger.info(`📥 ${thread.channel} thread with ${thread.contact} ${action}`);
+            return { success: true, thread };
+        } catch (error) {
+            this.logger.error(`Failed to update thread ${id}:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    /**
+     * Staff reply on a thread they have taken over; the sent message is
+     * stored on the thread by the SMS manager
+     */
+    async reply(id, body, actor) {
+        if (typeof body !== 'string' || !body.trim() || body.length > MAX_MESSAGE_LENGTH) {
+            return {
+                success: false,
+                code: 'invalid_message',
+                error: `Message must be text of at most ${MAX_MESSAGE_LENGTH} characters`
+            };
+        }
+
+        try {
+            const thread = await this.getThread(id);
+            if (!thread) {
+                return { success: false, code: 'not_found', error: `Thread ${id} not found` };
+            }
+            if (thread.mode !== 'staff') {
+                return { success: false, code: 'not_taken_over', error: 'Take over the thread before replying' };
+            }
+
+            const result = await this.send(thread, body.trim(), { sender: 'staff', sentBy: actor });
+            if (!result.success) {
+                return { success: false, code: result.code || 'send_failed', error: result.error };
+            }
+
+            this.logger.info(`📤 ${actor} replied on the ${thread.channel} thread with ${thread.contact}`);
+            return { success: true, messageId: result.messageId, thread: await this.getThread(id) };
+        } catch (error) {
+            this.logger.error(`Failed to reply on thread ${id}:`, error);
+            return { success: false, code: 'error', error: error.message };
+        }
+    }
+
+    /**
+     * Attach threads from a lead's phone number that have no lead yet
+     */
+    async linkLead(phone, leadId) {
+        const contact = this.matcher.normalizePhone(phone);
+        if (!contact) return [];
+
+        try {
+            return await this.storage.update('sms_threads', { contact, lead_id: null }, { lead_id: leadId });
+        } catch (error) {
+            this.logger.error(`Failed to link threads to lead ${leadId}:`, error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Move threads from a merged duplicate to the lead it was merged into
+     */
+    async reassignLead(fromLeadId, toLeadId) {
+        try {
+            return await this.storage.update('sms_threads', { lead_id: fromLeadId }, { lead_id: toLeadId });
+        } catch (error) {
+            this.logger.error(`Failed to move threads from lead ${fromLeadId}:`, error.message);
+            return [];
+        }
+    }
+}
+
+module.exports = SMSInbox;
+module.exports.CHANNELS = CHANNELS;
+module.exports.MODES = MODES;
+module.exports.SENDERS = SENDERS;
+module.exports.STATUS_STAGES = STATUS_STAGES;
@@ -3,6 +3,8 @@
  * Sophisticated multi-touch sequences for lead conversion
  */
 
+const { getBusinessProfile } = require('../business/business-profile');
+
 class NurtureCampaigns {
     constructor() {
         this.campaigns = {
@@ -11,13 +13,11 @@ class NurtureCampaigns {
             reentry: this.getReentryCampaign(),
             general: this.getGeneralCampaign()
         };
-        
-        this.businessInfo = {
-            name: 'Forward Horizon',
-            phone: '(310) 488-5280',
-            email: 'theforwardhorizon@gmail.com',
-            website: 'https://theforwardhorizon.com'
-        };
+    }
+
+    // Business name and contacts used in every template
+    get businessInfo() {
+        return getBusinessProfile().getContactInfo();
     }
 
     /**
@@ -46,7 +46,7 @@ class NurtureCampaigns {
                 {
                     day: 3,
                     hour: 14,
-                    subject: '{name}, Success Story: How Veterans Thrive at Forward Horizon',
+                    subject: `{name}, Success Story: How Veterans Thrive at ${this.businessInfo.name}`,
                     template: 'veteran_success_story',
                     priority: 'medium'
                 },
@@ -281,7 +281,7 @@ class NurtureCampaigns {
                 {
                     day: 1,
                     hour: 12,
-                    subject: 'Affordable Housing Solutions at Forward Horizon',
+                    subject: `Affordable Housing Solutions at ${this.businessInfo.name}`,
                     template: 'general_solutions',
                     priority: 'high'
                 },
@@ -362,7 +362,7 @@ class NurtureCampaigns {
                 text: this.veteranBenefitsText(lead)
             },
             veteran_success_story: {
-                subject: `${lead.name || 'Friend'}, Success Story: How Veterans Thrive at Forward Horizon`,
+                subject: `${lead.name || 'Friend'}, Success Story: How Veterans Thrive at ${this.businessInfo.name}`,
                 html: this.getDefaultTemplate(lead).html,
                 text: this.getDefaultTemplate(lead).text
             },
@@ -375,32 +375,32 @@ class NurtureCampaigns {
             },
             recovery_environment: {
                 subject: 'Safe, Supportive Housing for Your Recovery',
-                html: this.recoveryEnvironmentTemplate(lead),
-                text: this.recoveryEnvironmentText(lead)
+                html: this.getDefaultTemplate(lead).html,
+                text: this.getDefaultTemplate(lead).text
             },
             
             // Reentry Templates
             reentry_welcome: {
                 subject: `Welcome ${lead.name || 'Friend'} - Fresh Start Housing Available`,
-                html: this.reentryWelcomeTemplate(lead),
-                text: this.reentryWelcomeText(lead)
+                html: this.getDefaultTemplate(lead).html,
+                text: this.getDefaultTemplate(lead).text
             },
             reentry_acceptance: {
                 subject: 'No Judgment, Just Support - Your Housing Options',
-                html: this.reentryAcceptanceTemplate(lead),
-                text: this.reentryAcceptanceText(lead)
+                html: this.getDefaultTemplate(lead).html,
+                text: this.getDefaultTemplate(lead).text
             },
             
             // General Templates
             general_welcome: {
                 subject: `Thank You ${lead.name || 'Friend'} - Your Housing Inquiry Received`,
-                html: this.generalWelcomeTemplate(lead),
-                text: this.generalWelcomeText(lead)
+                html: this.getDefaultTemplate(lead).html,
+                text: this.getDefaultTemplate(lead).text
             },
             general_solutions: {
-                subject: 'Affordable Housing Solutions at Forward Horizon',
-                html: this.generalSolutionsTemplate(lead),
-                text: this.generalSolutionsText(lead)
+                subject: `Affordable Housing Solutions at ${this.businessInfo.name}`,
+                html: this.getDefaultTemplate(lead).html,
+                text: this.getDefaultTemplate(lead).text
             }
         };
         
@@ -418,7 +418,7 @@ class NurtureCampaigns {
                 
                 <div style="background: white; padding: 40px 30px; border: 1px solid #e5e7eb;">
                     <p style="font-size: 18px; color: #111827; line-height: 1.6;">
-                        Thank you for your service and for choosing Forward Horizon for your housing needs.
+                        Thank you for your service and for choosing ${this.businessInfo.name} for your housing needs.
                     </p>
                     
                     <div style="background: #eff6ff; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #1e3a8a;">
@@ -465,7 +465,7 @@ class NurtureCampaigns {
                 
                 <div style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb; border-radius: 0 0 10px 10px;">
                     <p style="color: #6b7280; font-size: 12px; margin: 0;">
-                        Forward Horizon - Transitional Housing for Heroes<br>
+                        ${this.businessInfo.name} - Transitional Housing for Heroes<br>
                         "Your Service Honored, Your Future Secured"
                     </p>
                 </div>
@@ -477,7 +477,7 @@ class NurtureCampaigns {
         return `
 Welcome Home, ${lead.name || 'Veteran'}!
 
-Thank you for your service and for choosing Forward Horizon for your housing needs.
+Thank you for your service and for choosing ${this.businessInfo.name} for your housing needs.
 
 APPLICATION RECEIVED ✅
 We've received your housing application and our Veterans Liaison will review it within 24 hours.
@@ -501,7 +501,7 @@ Need immediate assistance?
 Call our Veterans Hotline: ${this.businessInfo.phone}
 Email: ${this.businessInfo.email}
 
-Forward Horizon - Your Service Honored, Your Future Secured
+${this.businessInfo.name} - Your Service Honored, Your Future Secured
         `.trim();
     }
 
@@ -572,7 +572,7 @@ Forward Horizon - Your Service Honored, Your Future Secured
                     
                     <div style="background: #f9fafb; padding: 20px; border-radius: 8px; margin-top: 25px;">
                         <p style="color: #111827; font-weight: bold; margin-top: 0;">
-                            🎖️ "Forward Horizon helped me get $1,200/month in benefits I didn't know I qualified for."
+                            🎖️ "${this.businessInfo.name} helped me get $1,200/month in benefits I didn't know I qualified for."
                         </p>
                         <p style="color: #6b7280; font-size: 14px; margin-bottom: 0;">
                             - James K., Marine Corps Veteran
@@ -585,7 +585,7 @@ Forward Horizon - Your Service Honored, Your Future Secured
                         Questions? Call our Veterans Specialist: <strong>${this.businessInfo.phone}</strong>
                     </p>
                     <p style="color: #9ca3af; font-size: 12px; margin: 0;">
-                        Forward Horizon - Maximizing Benefits for Those Who Served
+                        ${this.businessInfo.name} - Maximizing Benefits for Those Who Served
                     </p>
                 </div>
             </div>
@@ -617,14 +617,14 @@ We Handle Everything For You:
 ✓ Application Support - We complete and submit all paperwork
 ✓ Advocacy Services - We fight for your maximum benefits
 
-"Forward Horizon helped me get $1,200/month in benefits I didn't know I qualified for."
+"${this.businessInfo.name} helped me get $1,200/month in benefits I didn't know I qualified for."
 - James K., Marine Corps Veteran
 
 Check your benefits now: ${this.businessInfo.website}/veterans-benefits
 
 Questions? Call our Veterans Specialist: ${this.businessInfo.phone}
 
-Forward Horizon - Maximizing Benefits for Those Who Served
+${this.businessInfo.name} - Maximizing Benefits for Those Who Served
         `.trim();
     }
 
@@ -649,7 +649,7 @@ Forward Horizon - Maximizing Benefits for Those Who Served
                     <div style="background: #faf5ff; padding: 25px; border-radius: 8px; margin: 25px 0; border-left: 4px solid #7c3aed;">
                         <h2 style="color: #7c3aed; margin-top: 0;">🏠 A Place That Supports Your Recovery</h2>
                         <p style="color: #4b5563; line-height: 1.6;">
-                            Forward Horizon isn't just housing - it's a recovery-focused community designed 
+                            ${this.businessInfo.name} isn't just housing - it's a recovery-focused community designed 
                             to support your sobriety and personal growth every step of the way.
                         </p>
                     </div>
@@ -668,7 +668,7 @@ Forward Horizon - Maximizing Benefits for Those Who Served
                     
                     <div style="background: #ecfdf5; padding: 20px; border-radius: 8px; margin: 25px 0;">
                         <p style="color: #065f46; font-weight: bold; margin-top: 0;">
-                            ✨ "Forward Horizon gave me the stability I needed to focus on my recovery. 
+                            ✨ "${this.businessInfo.name} gave me the stability I needed to focus on my recovery. 
                             18 months clean and counting!"
                         </p>
                         <p style="color: #047857; font-size: 14px; margin-bottom: 0;">
@@ -701,7 +701,7 @@ Forward Horizon - Maximizing Benefits for Those Who Served
                 
                 <div style="background: #f9fafb; padding: 25px 30px; text-align: center; border-top: 1px solid #e5e7eb; border-radius: 0 0 10px 10px;">
                     <p style="color: #6b7280; font-size: 12px; margin: 0;">
-                        Forward Horizon - Recovery-Focused Transitional Housing<br>
+                        ${this.businessInfo.name} - Recovery-Focused Transitional Housing<br>
                         "Your Recovery, Our Priority"
                     </p>
                 </div>
@@ -719,7 +719,7 @@ Thank you for taking this brave step. We understand that recovery is a journey,
 and having stable, supportive housing is crucial to your success.
 
 A PLACE THAT SUPPORTS YOUR RECOVERY
-Forward Horizon isn't just housing - it's a recovery-focused community designed 
+${this.businessInfo.name} isn't just housing - it's a recovery-focused community designed 
 to support your sobriety and personal growth every step of the way.
 
 Our Recovery Support Includes:
@@ -730,7 +730,7 @@ Our Recovery Support Includes:
 💼 Employment assistance and skill building
 🎯 Personalized recovery planning
 
-"Forward Horizon gave me the stability I needed to focus on my recovery. 
+"${this.businessInfo.name} gave me the stability I needed to focus on my recovery. 
 18 months clean and counting!" - Sarah M., Current Resident
 
 Your Next Steps:
@@ -744,7 +744,7 @@ Call: ${this.businessInfo.phone}
 Email: ${this.businessInfo.email}
 All communications are completely confidential
 
-Forward Horizon - Your Recovery, Our Priority
+${this.businessInfo.name} - Your Recovery, Our Priority
         `.trim();
     }
 
@@ -757,10 +757,10 @@ Forward Horizon - Your Recovery, Our Priority
                     <h2>Hello ${lead.name || 'there'},</h2>
                     <p>We wanted to follow up on your housing inquiry.</p>
                     <p>Please contact us at ${this.businessInfo.phone} to discuss your options.</p>
-                    <p>Best regards,<br>Forward Horizon Team</p>
+                    <p>Best regards,<br>${this.businessInfo.name} Team</p>
                 </div>
             `,
-            text: `Hello ${lead.name || 'there'}, We wanted to follow up on your housing inquiry. Please contact us at ${this.businessInfo.phone}. Best regards, Forward Horizon Team`
+            text: `Hello ${lead.name || 'there'}, We wanted to follow up on your housing inquiry. Please contact us at ${this.businessInfo.phone}. Best regards, ${this.businessInfo.name} Team`
         };
     }
 
@@ -6,6 +6,16 @@
 const path = require('path');
 const Logger = require('../utils/logger');
 
+// Permission each dashboard action needs (see src/auth/permissions.js)
+const ACTION_PERMISSIONS = {
+  start_agent: 'agent:control',
+  stop_agent: 'agent:control',
+  clear_memory: 'memory:write',
+  send_test_email: 'messages:send',
+  schedule_task: 'tasks:write',
+  research_topic: 'dashboard:act'
+};
+
 class Dashboard {
   constructor() {
     this.logger = new Logger('Dashboard');
@@ -29,14 +39,15 @@ class Dashboard {
 
   setupDashboardRoutes() {
     const app = this.agent.app;
+    const auth = this.agent.auth;
 
     // Dashboard static files
-    app.get('/dashboard', (req, res) => {
+    app.get('/dashboard', auth.require('dashboard:view'), (req, res) => {
       res.send(this.generateDashboardHTML());
     });
 
     // Dashboard data API
-    app.get('/api/dashboard/data', async (req, res) => {
+    app.get('/api/dashboard/data', auth.require('dashboard:view'), async (req, res) => {
       try {
         const data = await this.getDashboardData();
         res.json(data);
@@ -46,7 +57,8 @@ class Dashboard {
     });
 
     // Agent control actions
-    app.post('/api/dashboard/action', async (req, res) => {
+    const actionPermission = (req) => ACTION_PERMISSIONS[(req.body || {}).action] || 'agent:control';
+    app.post('/api/dashboard/action', auth.require(actionPermission), async (req, res) => {
       try {
         const { action, params } = req.body;
         const result = await this.executeAction(action, params);
@@ -57,7 +69,7 @@ class Dashboard {
     });
 
     // Real-time updates endpoint
-    app.get('/api/dashboard/updates', (req, res) => {
+    app.get('/api/dashboard/updates', auth.require('dashboard:view'), (req, res) => {
       // This would be enhanced with WebSocket for real-time updates
       res.json({
         timestamp: new Date().toISOString(),
@@ -67,6 +79,12 @@ class Dashboard {
   }
 
   async getDashboardData() {
+    const memory = await this.agent.getMemory();
+    const business = await this.agent.getBusiness();
+    const automation = await this.agent.getAutomation();
+    const email = await this.agent.getEmail();
+    const ai = await this.agent.getAI();
+
     const data = {
       agent: {
         status: this.agent.isRunning ? 'active' : 'inactive',
@@ -74,11 +92,12 @@ class Dashboard {
         lastActivity: this.agent.lastActivity,
         version: require('../../package.json').version
       },
-      memory: await this.agent.memory.getStats(),
-      business: await this.agent.business.getStats(),
-      automation: this.agent.automation.getStats(),
-      email: this.agent.email.getStats(),
-      ai: this.agent.ai.getStats(),
+      modules: this.agent.getModuleNames(),
+      memory: await memory.getStats(),
+      business: await business.getStats(),
+      automation: automation.getStats(),
+      email: email.getStats(),
+      ai: ai.getStats(),
       system: {
         node_version: process.version,
         platform: process.platform,
@@ -99,7 +118,8 @@ class Dashboard {
 
   async getRecentActivities() {
     try {
-      const memories = await this.agent.memory.getRecentMemories(10);
+      const memory = await this.agent.getMemory();
+      const memories = await memory.getRecentMemories(10);
       return memories.map(memory => ({
         id: memory.id,
         type: memory.type,
@@ -114,7 +134,8 @@ class Dashboard {
 
   async getUpcomingTasks() {
     try {
-      const tasks = await this.agent.automation.getTasks({ status: 'pending', limit: 10 });
+      const automation = await this.agent.getAutomation();
+      const tasks = await automation.getTasks({ status: 'pending', limit: 10 });
       return tasks.map(task => ({
         id: task.id,
         type: task.type,
@@ -138,12 +159,12 @@ class Dashboard {
         return 'Agent stopped successfully';
       
       case 'clear_memory':
-        await this.agent.memory.cleanup();
+        await (await this.agent.getMemory()).cleanup();
         return 'Memory cleared successfully';
       
       case 'send_test_email':
         if (!params.email) throw new Error('Email address required');
-        const result = await this.agent.email.sendEmail({
+        const result = await (await this.agent.getEmail()).sendEmail({
           to: params.email,
           subject: 'Test Email from Forward Horizon AI',
           text: 'This is a test email to verify the email system is working correctly.'
@@ -152,13 +173,13 @@ class Dashboard {
       
       case 'schedule_task':
         if (!params.type || !params.data) throw new Error('Task type and data required');
-        const taskId = await this.agent.automation.scheduleTask(params.type, params.data);
+        const taskId = await (await this.agent.getAutomation()).scheduleTask(params.type, params.data);
         return `Task scheduled with ID: ${taskId}`;
       
       case 'research_topic':
         if (!params.topic) throw new Error('Research topic required');
-        const research = await this.agent.internet.research(params.topic);
-        await this.agent.memory.store(`Researched: ${params.topic}`, 'research', 'medium');
+        const research = await (await this.agent.getInternet()).research(params.topic);
+        await (await this.agent.getMemory()).store(`Researched: ${params.topic}`, 'research', 'medium');
         return `Research completed on "${params.topic}"`;
       
       default:
@@ -368,6 +389,50 @@ class Dashboard {
             color: #6b7280;
         }
 
+        .inbox {
+            display: grid;
+            grid-template-columns: minmax(220px, 1fr) 2fr;
+            gap: 1rem;
+        }
+
+        .inbox-thread {
+            padding: 0.5rem;
+            border-bottom: 1px solid #f3f4f6;
+            cursor: pointer;
+            font-size: 0.875rem;
+        }
+
+        .inbox-thread.selected {
+            background: #eff6ff;
+        }
+
+        .inbox-unread {
+            background: #ef4444;
+            color: white;
+            border-radius: 10px;
+            padding: 0 0.5rem;
+            font-size: 0.75rem;
+            font-weight: 600;
+        }
+
+        .inbox-message {
+            margin: 0.5rem 0;
+            padding: 0.5rem 0.75rem;
+            border-radius: 8px;
+            font-size: 0.875rem;
+            max-width: 80%;
+        }
+
+        .inbox-reply {
+            flex: 1;
+            padding: 0.5rem;
+            border: 1px solid #d1d5db;
+            border-radius: 8px;
+        }
+
+        .inbox-message.inbound { background: #f3f4f6; }
+        .inbox-message.outbound { background: #dbeafe; margin-left: auto; }
+
         .loading {
             text-align: center;
             padding: 2rem;
@@ -479,6 +544,33 @@ class Dashboard {
             <div id="recent-activities" class="loading">Loading...</div>
         </div>
 
+        <!-- SMS / WhatsApp Inbox -->
+        <div class="card" style="grid-column: 1 / -1; margin-top: 1.5rem;">
+            <div class="card-header">
+                <span>📥</span>
+                <h3 class="card-title">SMS Inbox</h3>
+                <span id="inbox-unread" class="inbox-unread" style="display: none;"></span>
+            </div>
+            <div class="inbox">
+                <div id="inbox-threads" class="loading">Loading...</div>
+                <div>
+                    <div id="inbox-messages" style="max-height: 400px; overflow-y: auto;">
+                        <p class="loading">Select a conversation</p>
+                    </div>
+                    <div id="inbox-controls" class="controls" style="margin-top: 1rem; display: none;">
+                        <button id="inbox-takeover" class="btn btn-primary" onclick="takeOverThread()">
+                            Take Over
+                        </button>
+                        <button id="inbox-release" class="btn btn-secondary" onclick="handBackThread()">
+                            Hand Back to AI
+                        </button>
+                        <input type="text" id="inbox-reply" class="inbox-reply" placeholder="Reply by text...">
+                        <button id="inbox-send" class="btn btn-primary" onclick="sendThreadReply()">Send</button>
+                    </div>
+                </div>
+            </div>
+        </div>
+
         <!-- Chat Interface -->
         <div class="card" style="grid-column: 1 / -1; margin-top: 1.5rem;">
             <div class="card-header">
@@ -501,6 +593,10 @@ class Dashboard {
         async function loadDashboard() {
             try {
                 const response = await fetch('/api/dashboard/data');
+                if (response.status === 401) {
+                    window.location.href = '/login?next=/dashboard';
+                    return;
+                }
                 dashboardData = await response.json();
                 updateDashboard();
             } catch (error) {
@@ -692,6 +788,115 @@ class Dashboard {
             \`).join('');
         }
 
+        // SMS inbox
+        let selectedThread = null;
+
+        function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text == null ? '' : String(text);
+            return div.innerHTML;
+        }
+
+        async function loadInbox() {
+            try {
+                const response = await fetch('/api/inbox/threads');
+                if (!response.ok) return;
+                const { threads, unread } = await response.json();
+
+                const badge = document.getElementById('inbox-unread');
+                badge.textContent = unread + ' unread';
+                badge.style.display = unread > 0 ? 'inline' : 'none';
+
+                const container = document.getElementById('inbox-threads');
+                container.className = '';
+                if (threads.length === 0) {
+                    container.innerHTML = '<p class="loading">No conversations yet</p>';
+                    return;
+                }
+
+                container.innerHTML = threads.map(thread => {
+                    const selected = selectedThread && selectedThread.id === thread.id ? ' selected' : '';
+                    const preview = escapeHtml((thread.last_message || '').substring(0, 60));
+                    const channel = thread.channel === 'whatsapp' ? '(WhatsApp)' : '';
+                    const unread = thread.unread_count > 0
+                        ? \`<span class="inbox-unread">\${thread.unread_count}</span>\`
+                        : '';
+                    return \`
+                        <div class="inbox-thread\${selected}" onclick="openThread('\${thread.id}')">
+                            <strong>\${escapeHtml(thread.contact)}</strong> \${channel} \${unread}
+                            \${thread.mode === 'staff' ? '✋' : '🤖'}
+                            <div class="activity-time">\${preview} · \${formatTime(thread.last_message_at)}</div>
+                        </div>
+                    \`;
+                }).join('');
+            } catch (error) {
+                console.error('Failed to load inbox:', error);
+            }
+        }
+
+        async function openThread(id) {
+            const response = await fetch('/api/inbox/threads/' + id);
+            const { thread, messages } = await response.json();
+            selectedThread = thread;
+
+            const container = document.getElementById('inbox-messages');
+            container.innerHTML = messages.map(message => {
+                const from = message.sender === 'staff' ? escapeHtml(message.sent_by) : message.sender;
+                return \`
+                    <div class="inbox-message \${message.direction}">
+                        \${escapeHtml(message.body)}
+                        <div class="activity-time">\${from} · \${formatTime(message.created_at)}</div>
+                    </div>
+                \`;
+            }).join('');
+            container.scrollTop = container.scrollHeight;
+
+            const takenOver = thread.mode === 'staff';
+            document.getElementById('inbox-controls').style.display = 'flex';
+            document.getElementById('inbox-takeover').style.display = takenOver ? 'none' : 'inline-block';
+            document.getElementById('inbox-release').style.display = takenOver ? 'inline-block' : 'none';
+            document.getElementById('inbox-reply').style.display = takenOver ? 'block' : 'none';
+            document.getElementById('inbox-send').style.display = takenOver ? 'inline-block' : 'none';
+
+            if (thread.unread_count > 0) {
+                await fetch('/api/inbox/threads/' + id + '/read', { method: 'POST' });
+            }
+            loadInbox();
+        }
+
+        async function threadAction(action, body) {
+            const response = await fetch('/api/inbox/threads/' + selectedThread.id + '/' + action, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body || {})
+            });
+            const result = await response.json();
+            if (!response.ok) {
+                alert('Action failed: ' + result.error);
+                return false;
+            }
+            await openThread(selectedThread.id);
+            return true;
+        }
+
+        function takeOverThread() {
+            threadAction('takeover');
+        }
+
+        function handBackThread() {
+            threadAction('release');
+        }
+
+        async function sendThreadReply() {
+            const input = document.getElementById('inbox-reply');
+            const message = input.value.trim();
+            if (!message) return;
+
+            if (await threadAction('messages', { message })) {
+                input.value = '';
+            }
+        }
+
         // Control functions
         async function controlAgent(action) {
             try {
@@ -748,14 +953,14 @@ class Dashboard {
             input.value = '';
             
             try {
-                const response = await fetch('/api/chat', {
+                const response = await fetch('/api/assistant', {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
                     body: JSON.stringify({ message })
                 });
                 
                 const result = await response.json();
-                responseDiv.innerHTML = result.response || 'No response received';
+                responseDiv.textContent = result.response || result.error || 'No response received';
             } catch (error) {
                 responseDiv.innerHTML = 'Error: ' + error.message;
             }
@@ -776,9 +981,11 @@ class Dashboard {
 
         // Auto-refresh dashboard
         setInterval(loadDashboard, 30000); // Refresh every 30 seconds
+        setInterval(loadInbox, 30000);
         
         // Initial load
         loadDashboard();
+        loadInbox();
         
         // Enter key for chat
         document.getElementById('chat-input').addEventListener('keypress', function(e) {
@@ -5,6 +5,7 @@
 
 const nodemailer = require('nodemailer');
 const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
 
 class EmailManager {
   constructor() {
@@ -22,14 +23,11 @@ class EmailManager {
     
     // Rate limiting
     this.maxDailyEmails = parseInt(process.env.MAX_DAILY_EMAILS) || 50;
-    
-    // Business info
-    this.businessInfo = {
-      name: process.env.BUSINESS_NAME || 'Forward Horizon',
-      phone: process.env.BUSINESS_PHONE || '(310) 488-5280',
-      email: process.env.BUSINESS_EMAIL || 'info@forwardhorizon.com',
-      website: process.env.BUSINESS_WEBSITE || 'https://www.theforwardhorizon.com'
-    };
+  }
+
+  // Business name and contacts from the business profile
+  get businessInfo() {
+    return getBusinessProfile().getContactInfo();
   }
 
   async initialize() {
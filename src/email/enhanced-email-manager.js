@@ -5,14 +5,21 @@
 
 const nodemailer = require('nodemailer');
 const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
 const NurtureCampaigns = require('../campaigns/nurture-campaigns');
 const LeadScoring = require('../campaigns/lead-scoring');
+const { getStorage } = require('../storage/storage');
+const LeadLifecycle = require('../business/lead-lifecycle');
+const ConsentManager = require('../business/consent-manager');
 
 class EnhancedEmailManager {
-    constructor(supabase) {
+    constructor(storage = null, options = {}) {
         this.logger = new Logger('EnhancedEmail');
-        this.supabase = supabase;
+        this.storage = storage;
+        this.lifecycle = options.lifecycle || null;
+        this.consent = options.consent || null;
         this.transporter = null;
+        this.campaignTimer = null;
         this.initialized = false;
         
         // Campaign and scoring systems
@@ -34,20 +41,28 @@ class EnhancedEmailManager {
         this.maxHourlyEmails = 10;
         this.hourlyCount = 0;
         this.lastHourReset = new Date().getHours();
-        
-        // Business info
-        this.businessInfo = {
-            name: process.env.BUSINESS_NAME || 'Forward Horizon',
-            phone: process.env.BUSINESS_PHONE || '(310) 488-5280',
-            email: process.env.BUSINESS_EMAIL || 'theforwardhorizon@gmail.com',
-            website: process.env.BUSINESS_WEBSITE || 'https://theforwardhorizon.com'
-        };
+    }
+
+    // Business name and contacts from the business profile
+    get businessInfo() {
+        return getBusinessProfile().getContactInfo();
     }
 
     async initialize() {
         this.logger.info('📧 Initializing Enhanced Email Manager...');
         
         try {
+            // Use the shared storage backend unless one was injected
+            this.storage = this.storage || getStorage();
+            this.lifecycle = this.lifecycle || new LeadLifecycle(this.storage);
+            this.consent = this.consent || new ConsentManager(this.storage);
+            await this.storage.initialize();
+            
+            if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+                this.logger.warn('⚠️ Email credentials not configured - email disabled');
+                return false;
+            }
+            
             // Clear any cached nodemailer module
             delete require.cache[require.resolve('nodemailer')];
             const nodemailer = require('nodemailer');
@@ -72,9 +87,6 @@ class EnhancedEmailManager {
             this.initialized = true;
             this.logger.info('✅ Enhanced Email Manager initialized successfully');
             
-            // Start campaign processor
-            this.startCampaignProcessor();
-            
             return true;
         } catch (error) {
             this.logger.error('❌ Failed to initialize email manager:', error);
@@ -87,13 +99,82 @@ class EnhancedEmailManager {
      * Process and send nurturing campaigns
      */
     async startCampaignProcessor() {
+        if (this.campaignTimer) return;
+        
         // Process campaigns every 30 minutes
-        setInterval(async () => {
+        this.campaignTimer = setInterval(async () => {
             await this.processCampaigns();
         }, 30 * 60 * 1000);
         
         // Process immediately on start
-        setTimeout(() => this.processCampaigns(), 5000);
+        setTimeout(() => this.processCampaigns(), 5000).unref();
+    }
+
+    stopCampaignProcessor() {
+        if (this.campaignTimer) {
+            clearInterval(this.campaignTimer);
+            this.campaignTimer = null;
+        }
+    }
+
+    /**
+     * Send the welcome email for a newly captured lead
+     */
+    async sendWelcomeEmail(lead) {
+        if (!lead.email) {
+            return { success: false, error: 'Lead has no email address' };
+        }
+        
+        const email = { template: 'welcome', subject: `🏠 Welcome to ${this.businessInfo.name} - Your Housing Application`, day: 0 };
+        const result = await this.sendEmail({
+            to: lead.email,
+            subject: email.subject,
+            html: this.generateWelcomeHTML(lead),
+            leadId: lead.id,
+            campaignId: 'welcome'
+        });
+        
+        if (result.success) {
+            await this.recordEmailInteraction(lead.id, email, result);
+            this.logger.info(`✅ Welcome email sent for lead ${lead.id}`);
+        } else {
+            this.logger.error(`Failed to send welcome email for lead ${lead.id}:`, result.error);
+        }
+        
+        return result;
+    }
+
+    generateWelcomeHTML(lead) {
+        return `
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <div style="background: linear-gradient(135deg, #1e3a8a 0%, #3730a3 100%); padding: 30px; text-align: center; color: white;">
+                    <h1>🏠 Welcome, ${lead.name}!</h1>
+                    <p>Thank you for choosing ${this.businessInfo.name}</p>
+                </div>
+                
+                <div style="padding: 30px;">
+                    <p>Dear ${lead.name},</p>
+                    
+                    <p>We've received your housing inquiry and want to help you find the perfect transitional housing solution.</p>
+                    
+                    <div style="background: #f8fafc; padding: 20px; border-left: 4px solid #1e3a8a; margin: 20px 0;">
+                        <h3>✅ Next Steps:</h3>
+                        <ul>
+                            <li>Housing specialist will review your application within 24 hours</li>
+                            <li>We'll call you to discuss your specific needs</li>
+                            <li>Schedule a tour of available units</li>
+                            <li>Complete your move-in process</li>
+                        </ul>
+                    </div>
+                    
+                    <p><strong>Need immediate help?</strong><br>
+                    Call our hotline: <a href="tel:${this.businessInfo.phone}">${this.businessInfo.phone}</a></p>
+                    
+                    <p>Best regards,<br>
+                    The ${this.businessInfo.name} Team</p>
+                </div>
+            </div>
+        `;
     }
 
     /**
@@ -106,16 +187,16 @@ class EnhancedEmailManager {
         
         try {
             // Get all leads with active campaigns
-            const { data: leads, error } = await this.supabase
-                .from('leads')
-                .select(`
-                    *,
-                    lead_interactions (*)
-                `)
-                .in('status', ['new', 'contacted', 'nurturing'])
-                .not('opted_out', 'eq', true);
-            
-            if (error) {
+            let leads;
+            try {
+                leads = await this.storage.find('leads', {
+                    where: {
+                        status: ['new', 'contacted', 'nurturing'],
+                        opted_out: { neq: true }
+                    },
+                    embed: { lead_interactions: 'lead_id' }
+                });
+            } catch (error) {
                 this.logger.error('Failed to fetch leads:', error);
                 return;
             }
@@ -203,6 +284,7 @@ class EnhancedEmailManager {
             // Send the email
             const result = await this.sendEmail({
                 to: lead.email,
+                leadId: lead.id,
                 subject: this.personalizeSubject(template.subject, lead),
                 html: template.html,
                 text: template.text
@@ -300,13 +382,20 @@ class EnhancedEmailManager {
     }
 
     /**
-     * Send email with enhanced tracking
+     * Send email with enhanced tracking.
+     * Recipients who unsubscribed are skipped; every email links to the preferences page.
      */
     async sendEmail(options) {
         if (!this.initialized) {
             return { success: false, error: 'Email not configured' };
         }
 
+        const consent = await this.consent.check('email', options.to);
+        if (!consent.allowed) {
+            this.logger.warn(`🔕 Email to ${options.to} not sent: ${consent.reason}`);
+            return { success: false, code: 'no_consent', error: consent.reason };
+        }
+
         if (!this.checkDailyLimit()) {
             return { success: false, error: 'Daily email limit reached' };
         }
@@ -318,16 +407,24 @@ class EnhancedEmailManager {
             // Add tracking to links for clicks
             const trackedHtml = this.addLinkTracking(options.html, options.trackingId);
             
+            // Preferences / unsubscribe links (added after tracking so they stay direct)
+            const links = await this.consent.getEmailLinks(options.to, options.leadId);
+            const headers = {
+                'X-Campaign-ID': options.campaignId || 'default',
+                'X-Lead-ID': options.leadId || 'unknown'
+            };
+            if (links.unsubscribe) {
+                headers['List-Unsubscribe'] = `<${links.unsubscribe}>`;
+                headers['List-Unsubscribe-Post'] = 'List-Unsubscribe=One-Click';
+            }
+            
             const mailOptions = {
                 from: process.env.EMAIL_FROM || `"${this.businessInfo.name}" <${process.env.EMAIL_USER}>`,
                 to: options.to,
                 subject: options.subject,
-                text: options.text,
-                html: trackedHtml + trackingPixel,
-                headers: {
-                    'X-Campaign-ID': options.campaignId || 'default',
-                    'X-Lead-ID': options.leadId || 'unknown'
-                }
+                text: options.text ? `${options.text}\n\n${this.preferencesFooterText(links)}` : options.text,
+                html: options.html ? this.addPreferencesFooter(trackedHtml, links) + trackingPixel : undefined,
+                headers
             };
 
             const result = await this.transporter.sendMail(mailOptions);
@@ -351,6 +448,19 @@ class EnhancedEmailManager {
         }
     }
 
+    preferencesFooterText(links) {
+        return `Manage your email and text preferences or unsubscribe: ${links.preferences}`;
+    }
+
+    addPreferencesFooter(html, links) {
+        return `${html}
+            <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 20px auto 0; font-size: 12px; color: #6b7280; text-align: center;">
+                You are receiving this because you contacted ${this.businessInfo.name}.<br>
+                <a href="${links.preferences}" style="color: #6b7280;">Manage preferences or unsubscribe</a>
+            </div>
+        `;
+    }
+
     /**
      * Add click tracking to links
      */
@@ -369,22 +479,20 @@ class EnhancedEmailManager {
      */
     async recordEmailInteraction(leadId, email, result) {
         try {
-            await this.supabase
-                .from('lead_interactions')
-                .insert({
-                    lead_id: leadId,
-                    interaction_type: 'email_sent',
-                    interaction_data: {
-                        template: email.template,
-                        subject: email.subject,
-                        priority: email.priority,
-                        day: email.day,
-                        messageId: result.messageId,
-                        sentAt: new Date().toISOString()
-                    },
-                    status: 'completed',
-                    completed_at: new Date().toISOString()
-                });
+            await this.storage.insert('lead_interactions', {
+                lead_id: leadId,
+                interaction_type: 'email_sent',
+                interaction_data: {
+                    template: email.template,
+                    subject: email.subject,
+                    priority: email.priority,
+                    day: email.day,
+                    messageId: result.messageId,
+                    sentAt: new Date().toISOString()
+                },
+                status: 'completed',
+                completed_at: new Date().toISOString()
+            });
         } catch (error) {
             this.logger.error('Failed to record email interaction:', error);
         }
@@ -395,29 +503,61 @@ class EnhancedEmailManager {
      */
     async updateLeadStatus(lead, email) {
         try {
-            // Update status based on campaign progress
-            let newStatus = lead.status;
+            await this.storage.update('leads', { id: lead.id }, {
+                last_contact: new Date().toISOString()
+            });
+            
+            // Advance the stage based on campaign progress
+            const { stages } = this.lifecycle;
+            let newStatus = null;
             
             if (email.day === 0) {
-                newStatus = 'contacted';
+                newStatus = stages.CONTACTED;
             } else if (email.day >= 7) {
-                newStatus = 'nurturing';
+                newStatus = stages.NURTURING;
             }
             
-            if (newStatus !== lead.status) {
-                await this.supabase
-                    .from('leads')
-                    .update({ 
-                        status: newStatus,
-                        last_contact: new Date().toISOString()
-                    })
-                    .eq('id', lead.id);
+            if (newStatus && this.lifecycle.canTransition(lead.status, newStatus)) {
+                await this.lifecycle.transition(lead.id, newStatus, {
+                    source: 'nurture_campaign',
+                    template: email.template
+                });
             }
         } catch (error) {
             this.logger.error('Failed to update lead status:', error);
         }
     }
 
+    /**
+     * Stop nurture emails for a lead and cancel its pending email follow-ups
+     */
+    async stopNurture(leadId, reason = '') {
+        try {
+            const cancelled = await this.storage.update('lead_interactions', {
+                lead_id: leadId,
+                interaction_type: 'follow_up_email',
+                status: 'pending'
+            }, {
+                status: 'cancelled',
+                completed_at: new Date().toISOString()
+            });
+            
+            await this.storage.insert('lead_interactions', {
+                lead_id: leadId,
+                interaction_type: 'nurture_stopped',
+                interaction_data: { reason, cancelled_follow_ups: cancelled.length },
+                status: 'completed',
+                completed_at: new Date().toISOString()
+            });
+            
+            this.logger.info(`🛑 Nurture emails stopped for lead ${leadId}${reason ? ` (${reason})` : ''}`);
+            return true;
+        } catch (error) {
+            this.logger.error(`Failed to stop nurture for lead ${leadId}:`, error);
+            return false;
+        }
+    }
+
     /**
      * Personalize subject line
      */
@@ -5,27 +5,24 @@
 
 const { google } = require('googleapis');
 const Logger = require('../utils/logger');
+const { getBusinessProfile, DAYS } = require('../business/business-profile');
+
+// Message queue kind for appointment reminder texts
+const REMINDER_KIND = 'appointment_reminder';
 
 class CalendarManager {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger('CalendarManager');
         this.calendar = null;
         this.oauth2Client = null;
         this.initialized = false;
         
-        // Available time slots
-        this.businessHours = {
-            monday: { start: '09:00', end: '17:00' },
-            tuesday: { start: '09:00', end: '17:00' },
-            wednesday: { start: '09:00', end: '17:00' },
-            thursday: { start: '09:00', end: '17:00' },
-            friday: { start: '09:00', end: '17:00' },
-            saturday: { start: '10:00', end: '14:00' },
-            sunday: null // Closed
-        };
-        
+        // Available time slots follow the business profile's hours and holidays
         this.appointmentDuration = 30; // minutes
         this.bufferTime = 15; // minutes between appointments
+        
+        // Durable queue (src/automation/message-queue.js) that sends the reminder texts
+        this.queue = options.queue || null;
     }
 
     async initialize() {
@@ -84,10 +81,10 @@ class CalendarManager {
             const currentDate = new Date(startDate);
             currentDate.setDate(currentDate.getDate() + i);
             
-            const dayName = currentDate.toLocaleLowerCase().split(' ')[0];
-            const dayHours = this.businessHours[dayName];
+            const dayName = DAYS[currentDate.getDay()];
+            const dayHours = getBusinessProfile().getHoursFor(currentDate);
             
-            if (!dayHours) continue; // Closed
+            if (!dayHours) continue; // Closed or a holiday
             
             // Get existing appointments for this day
             const existingAppointments = await this.getAppointmentsForDay(currentDate);
@@ -200,11 +197,11 @@ class CalendarManager {
             description: `Lead: ${appointment.name}\nEmail: ${appointment.email}\nPhone: ${appointment.phone || 'N/A'}\n\nNotes: ${appointment.notes}`,
             start: {
                 dateTime: startDateTime.toISOString(),
-                timeZone: 'America/Los_Angeles'
+                timeZone: getBusinessProfile().timezone
             },
             end: {
                 dateTime: endDateTime.toISOString(),
-                timeZone: 'America/Los_Angeles'
+                timeZone: getBusinessProfile().timezone
             },
             attendees: [
                 { email: appointment.email }
@@ -247,6 +244,8 @@ class CalendarManager {
     }
 
     generateConfirmationEmail(appointment) {
+        const profile = getBusinessProfile();
+        const { name, phone, website } = profile.getContactInfo();
         return `
             <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
                 <h2 style="color: #667eea;">Appointment Confirmed! 🎉</h2>
@@ -259,8 +258,7 @@ class CalendarManager {
                     <p><strong>Time:</strong> ${appointment.time}</p>
                     <p><strong>Duration:</strong> ${appointment.duration} minutes</p>
                     <p><strong>Type:</strong> ${appointment.type}</p>
-                    <p><strong>Location:</strong> Forward Horizon Office</p>
-                    <p><strong>Address:</strong> [Your Address Here]</p>
+                    <p><strong>Location:</strong> ${profile.describeLocation()}</p>
                 </div>
                 
                 <div style="background: #e8f5e9; padding: 15px; border-radius: 10px; margin: 20px 0;">
@@ -273,61 +271,87 @@ class CalendarManager {
                 </div>
                 
                 <div style="margin: 20px 0;">
-                    <a href="${process.env.BUSINESS_WEBSITE}/appointments/${appointment.id}" 
+                    <a href="${website}/appointments/${appointment.id}" 
                        style="background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block;">
                         View Appointment Details
                     </a>
                 </div>
                 
-                <p>Need to reschedule? Call us at <strong>(310) 488-5280</strong></p>
+                <p>Need to reschedule? Call us at <strong>${phone}</strong></p>
                 
                 <p>We look forward to meeting you!</p>
                 
                 <p>Best regards,<br>
-                The Forward Horizon Team</p>
+                The ${name} Team</p>
             </div>
         `;
     }
 
+    /**
+     * Queue reminder texts 24 hours and 1 hour before the appointment. They
+     * live in the message queue, so a restart or redeploy doesn't lose them.
+     */
     async scheduleReminders(appointment) {
-        // Schedule 24-hour reminder
-        const dayBefore = new Date(`${appointment.date} ${appointment.time}`);
-        dayBefore.setDate(dayBefore.getDate() - 1);
-        
-        if (dayBefore > new Date()) {
-            setTimeout(async () => {
-                await this.sendReminderSMS(appointment, '24 hours');
-            }, dayBefore - new Date());
+        if (!this.queue) {
+            this.logger.warn('Message queue not configured - appointment reminders not scheduled');
+            return [];
         }
         
-        // Schedule 1-hour reminder
-        const hourBefore = new Date(`${appointment.date} ${appointment.time}`);
-        hourBefore.setHours(hourBefore.getHours() - 1);
+        const start = new Date(`${appointment.date} ${appointment.time}`);
+        const reminders = [
+            { timeframe: '24 hours', sendAt: new Date(start.getTime() - 24 * 60 * 60 * 1000) },
+            { timeframe: '1 hour', sendAt: new Date(start.getTime() - 60 * 60 * 1000) }
+        ].filter(reminder => reminder.sendAt > new Date());
         
-        if (hourBefore > new Date()) {
-            setTimeout(async () => {
-                await this.sendReminderSMS(appointment, '1 hour');
-            }, hourBefore - new Date());
+        const scheduled = [];
+        for (const { timeframe, sendAt } of reminders) {
+            const result = await this.queue.schedule({
+                to: appointment.phone,
+                body: this.getReminderMessage(appointment, timeframe),
+                sendAt,
+                kind: REMINDER_KIND,
+                reference: appointment.id,
+                leadId: appointment.leadId
+            });
+            if (result.success) scheduled.push(result.message);
         }
+        
+        return scheduled;
     }
 
-    async sendReminderSMS(appointment, timeframe) {
-        // This would integrate with your SMS manager
-        const message = `Reminder: Your ${appointment.type} is in ${timeframe}! Date: ${appointment.date} at ${appointment.time}. Location: Forward Horizon Office. Call (310) 488-5280 if you need to reschedule.`;
+    /**
+     * Cancel pending appointment reminders for a lead or one appointment
+     */
+    async cancelReminders({ leadId, appointmentId } = {}) {
+        if (!this.queue) return 0;
         
-        this.logger.info(`📱 SMS reminder sent for appointment ${appointment.id}`);
-        return message;
+        const cancelled = await this.queue.cancel({ leadId, reference: appointmentId, kind: REMINDER_KIND });
+        if (cancelled > 0) {
+            const target = appointmentId ? `appointment ${appointmentId}` : `lead ${leadId}`;
+            this.logger.info(`🚫 Cancelled ${cancelled} appointment reminder(s) for ${target}`);
+        }
+        return cancelled;
+    }
+
+    getReminderMessage(appointment, timeframe) {
+        const profile = getBusinessProfile();
+        return `Reminder: Your ${appointment.type} is in ${timeframe}! ` +
+            `Date: ${appointment.date} at ${appointment.time}. Location: ${profile.describeLocation()}. ` +
+            `Call ${profile.getContactInfo().phone} if you need to reschedule.`;
     }
 
     /**
      * Cancel an appointment
      */
     async cancelAppointment(appointmentId, reason = '') {
+        // Reminders are queued by appointment id, so they stop even if the appointment isn't found
+        const remindersCancelled = await this.cancelReminders({ appointmentId });
+        
         // Find appointment
         const appointment = await this.getAppointment(appointmentId);
         
         if (!appointment) {
-            return { success: false, error: 'Appointment not found' };
+            return { success: false, error: 'Appointment not found', remindersCancelled };
         }
         
         // Cancel in Google Calendar
@@ -350,7 +374,7 @@ class CalendarManager {
         // Send cancellation notification
         await this.sendCancellationNotification(appointment);
         
-        return { success: true, appointment };
+        return { success: true, appointment, remindersCancelled };
     }
 
     async sendCancellationNotification(appointment) {
@@ -358,7 +382,7 @@ class CalendarManager {
         const email = {
             to: appointment.email,
             subject: 'Appointment Cancelled',
-            text: `Your ${appointment.type} on ${appointment.date} at ${appointment.time} has been cancelled. To reschedule, please call (310) 488-5280.`
+            text: `Your ${appointment.type} on ${appointment.date} at ${appointment.time} has been cancelled. To reschedule, please call ${getBusinessProfile().getContactInfo().phone}.`
         };
         
         this.logger.info(`📧 Cancellation notification sent for ${appointment.id}`);
@@ -389,9 +413,10 @@ class CalendarManager {
             googleCalendarConnected: !!this.calendar,
             todayAppointments: 0, // Would query database
             weekAppointments: 0, // Would query database
-            businessHours: this.businessHours
+            businessHours: getBusinessProfile().get().hours
         };
     }
 }
 
-module.exports = CalendarManager;
\ No newline at end of file
+module.exports = CalendarManager;
+module.exports.REMINDER_KIND = REMINDER_KIND;
\ No newline at end of file
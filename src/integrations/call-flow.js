@@ -0,0 +1,527 @@
+/**
+ * Call Flow
+ * Declarative IVR for inbound calls, defined in config/call-flow.json (or
+ * CALL_FLOW_PATH) as named nodes: menus, speech/keypad gathers, the AI
+ * assistant, tour booking, warm transfer to staff, voicemail and hangup.
+ *
+ * The engine keeps no state of its own. Each Twilio webhook hands it the
+ * call's stored node, flow state and collected variables, and it returns
+ * TwiML plus the state to store for the next webhook. AI replies, open tour
+ * times and booking are actions passed in by VoiceAI.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
+
+const DEFAULT_PATH = path.join(__dirname, '../../config/call-flow.json');
+
+// Every answer, dial result and recording comes back here and goes to the call's current node
+const ACTION_URL = '/api/voice/gather';
+const WHISPER_URL = '/api/voice/whisper';
+
+// Settings each node type needs
+const REQUIRED = {
+    say: ['say', 'next'],
+    menu: ['prompt', 'options', 'fallback'],
+    gather: ['prompt', 'save_as', 'next', 'fallback'],
+    assistant: ['prompt', 'fallback'],
+    book: ['offer', 'booked', 'next', 'fallback'],
+    transfer: ['fallback'],
+    voicemail: ['next'],
+    hangup: []
+};
+const NODE_TYPES = Object.keys(REQUIRED);
+
+// Settings that name another node
+const LINKS = ['next', 'fallback', 'default', 'after_hours'];
+
+const INPUTS = ['speech', 'dtmf', 'dtmf speech'];
+const DEFAULT_INPUTS = { menu: 'dtmf speech', gather: 'speech', assistant: 'speech', book: 'dtmf speech' };
+const VALIDATORS = ['text', 'name', 'phone'];
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY = 'Sorry, I didn\'t catch that.';
+
+// Nodes one webhook may pass through without waiting for the caller before the flow is taken to loop
+const MAX_HOPS = 10;
+
+const YES = /\b(yes|yeah|yep|sure|okay|book it|sounds good)\b/i;
+const NO = /\b(no|nope|another|different|other)\b/i;
+const SAME_NUMBER = /\b(this|same|my) (number|phone|one)\b/i;
+const NAME_PREFIX = /^(my name is|my name's|this is|it's|it is|i'm|i am)\s+/i;
+const NAME_PATTERN = /^[a-z][a-z .'-]{0,99}$/i;
+
+class CallFlow {
+    constructor(options = {}) {
+        this.logger = new Logger('CallFlow');
+        this.filePath = options.filePath || process.env.CALL_FLOW_PATH || DEFAULT_PATH;
+        this.config = this.assertValid(options.config || this.load());
+        this.nodes = this.config.nodes;
+        this.voice = this.config.voice || 'alice';
+
+        // { reply(call, input), slots(), book(call, slot, variables) } - see VoiceAI
+        this.actions = options.actions || {};
+    }
+
+    load() {
+        try {
+            return JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Call flow ${this.filePath} could not be read: ${error.message}`);
+        }
+    }
+
+    assertValid(config) {
+        const errors = this.validate(config);
+        if (errors.length > 0) {
+            throw new Error(`Call flow ${this.filePath} is invalid: ${errors.join('; ')}`);
+        }
+        return config;
+    }
+
+    /**
+     * Problems with a flow, as a list of messages (empty when valid)
+     */
+    validate(config) {
+        const nodes = config && config.nodes;
+        if (!nodes || typeof nodes !== 'object' || Object.keys(nodes).length === 0) {
+            return ['nodes must define at least one node'];
+        }
+
+        const errors = [];
+        if (!nodes[config.start]) errors.push('start must name a node');
+        if (config.crisis && !nodes[config.crisis]) errors.push('crisis must name a node');
+
+        for (const [name, node] of Object.entries(nodes)) {
+            errors.push(...this.validateNode(`nodes.${name}`, node, nodes));
+        }
+        return errors;
+    }
+
+    validateNode(where, node, nodes) {
+        if (!REQUIRED[node.type]) return [`${where}.type must be one of ${NODE_TYPES.join(', ')}`];
+
+        const errors = REQUIRED[node.type]
+            .filter(key => !node[key])
+            .map(key => `${where}.${key} is required`);
+
+        LINKS.filter(key => node[key] && !nodes[node[key]])
+            .forEach(key => errors.push(`${where}.${key} must name a node`));
+
+        if (node.input && !INPUTS.includes(node.input)) {
+            errors.push(`${where}.input must be one of ${INPUTS.join(', ')}`);
+        }
+        if (node.validate && !VALIDATORS.includes(node.validate)) {
+            errors.push(`${where}.validate must be one of ${VALIDATORS.join(', ')}`);
+        }
+
+        (node.options || []).forEach((option, i) => {
+            if (!option.digits && !(option.keywords || []).length) {
+                errors.push(`${where}.options[${i}] needs digits or keywords`);
+            }
+            if (!nodes[option.next]) errors.push(`${where}.options[${i}].next must name a node`);
+        });
+        return errors;
+    }
+
+    /**
+     * First response to a call. Returns { node, state, variables, spoken,
+     * ended, twiml } - everything but the TwiML is stored with the call.
+     */
+    async start(call) {
+        const turn = this.begin(call);
+        await this.enter(turn, this.config.start, call);
+        return this.finish(turn);
+    }
+
+    /**
+     * Hand a webhook's input ({ speech, confidence, digits, dialStatus,
+     * recordingUrl, recordingDuration }) to the call's current node
+     */
+    async handle(call, input = {}) {
+        const turn = this.begin(call);
+        const node = this.nodes[turn.node];
+
+        if (node) {
+            await this.dispatch(turn, node, input, call);
+        } else {
+            this.logger.warn(`Call ${call.call_sid} was at unknown node "${turn.node}", starting over`);
+            await this.enter(turn, this.config.start, call);
+        }
+        return this.finish(turn);
+    }
+
+    /**
+     * Say something from outside the flow (a crisis response), then carry on
+     * at the flow's crisis node
+     */
+    async divert(call, text) {
+        const turn = this.begin(call);
+        this.say(turn, text);
+        await this.enter(turn, this.config.crisis || turn.node || this.config.start, call);
+        return this.finish(turn);
+    }
+
+    /**
+     * What staff hear when they answer a transferred call, before it connects
+     */
+    whisper(call) {
+        const node = this.nodes[call.node] || {};
+        const turn = this.begin(call);
+        this.say(turn, this.fill(node.whisper || 'Call from {caller}. Connecting you now.', turn, call));
+        return this.finish(turn).twiml;
+    }
+
+    begin(call) {
+        return {
+            node: call.node || null,
+            state: { ...(call.flow_state || {}) },
+            variables: { ...(call.variables || {}) },
+            verbs: [],
+            spoken: [],
+            hops: 0,
+            ended: false
+        };
+    }
+
+    finish(turn) {
+        const verbs = turn.verbs.map(verb => `    ${verb}`).join('\n');
+        return {
+            node: turn.node,
+            state: turn.state,
+            variables: turn.variables,
+            spoken: turn.spoken,
+            ended: turn.ended,
+            twiml: `<?xml version="1.0" encoding="UTF-8"?>\n<Response>\n${verbs}\n</Response>`
+        };
+    }
+
+    /**
+     * Move to a node and render it. Nodes that don't wait for the caller
+     * (say, a booking with no open times...) pass straight on to the next.
+     */
+    async enter(turn, name, call) {
+        if (++turn.hops > MAX_HOPS) {
+            throw new Error(`Call flow passed through ${MAX_HOPS} nodes without waiting for the caller`);
+        }
+
+        const node = this.nodes[name];
+        turn.node = name;
+        turn.state = {};
+
+        switch (node.type) {
+            case 'say':
+                this.say(turn, this.fill(node.say, turn, call));
+                return await this.enter(turn, node.next, call);
+            case 'book':
+                return await this.offerSlot(turn, node, call);
+            case 'transfer':
+                return await this.dial(turn, node, call);
+            case 'voicemail':
+                return this.record(turn, node, call);
+            case 'hangup':
+                return this.hangUp(turn, node, call);
+            default:
+                if (node.say) this.say(turn, this.fill(node.say, turn, call));
+                return this.prompt(turn, node, call);
+        }
+    }
+
+    async dispatch(turn, node, input, call) {
+        switch (node.type) {
+            case 'menu':
+                return await this.choose(turn, node, input, call);
+            case 'gather':
+                return await this.collect(turn, node, input, call);
+            case 'assistant':
+                return await this.converse(turn, node, input, call);
+            case 'book':
+                return await this.answerOffer(turn, node, input, call);
+            case 'transfer':
+                return await this.dialEnded(turn, node, input, call);
+            case 'voicemail':
+                return await this.recorded(turn, node, input, call);
+            default:
+                return await this.enter(turn, turn.node, call);
+        }
+    }
+
+    async choose(turn, node, input, call) {
+        const option = this.match(node.options, input);
+        if (option) return await this.enter(turn, option.next, call);
+
+        // Anything else said at a menu goes to its default node, e.g. the AI assistant
+        if (input.speech && node.default) {
+            const target = this.nodes[node.default];
+            if (target.type !== 'assistant') return await this.enter(turn, node.default, call);
+
+            turn.node = node.default;
+            turn.state = {};
+            return await this.converse(turn, target, input, call);
+        }
+
+        return await this.retry(turn, node, call);
+    }
+
+    async collect(turn, node, input, call) {
+        const value = this.capture(node, input, call);
+        if (!value) return await this.retry(turn, node, call);
+
+        turn.variables[node.save_as] = value;
+        return await this.enter(turn, node.next, call);
+    }
+
+    /**
+     * The answer to a gather, cleaned up and checked, or null
+     */
+    capture(node, input, call) {
+        const answer = (input.digits || input.speech || '').trim();
+
+        switch (node.validate) {
+            case 'phone':
+                return toPhoneNumber(SAME_NUMBER.test(answer) ? call.from_number : answer);
+            case 'name':
+                return toName(answer);
+            default:
+                return answer || null;
+        }
+    }
+
+    async converse(turn, node, input, call) {
+        const option = this.match(node.options, input);
+        if (option) return await this.enter(turn, option.next, call);
+
+        // The caller has nothing more to ask
+        if (!input.speech) return await this.enter(turn, node.fallback, call);
+
+        const reply = this.actions.reply ? await this.actions.reply(call, input) : null;
+        if (reply) this.say(turn, reply);
+        return this.prompt(turn, node, call);
+    }
+
+    /**
+     * Offer the first open tour time after `after`, up to the node's limit
+     */
+    async offerSlot(turn, node, call, after = null) {
+        const offered = turn.state.offered || 0;
+        const slots = this.actions.slots ? await this.actions.slots() : [];
+        const slot = slots.find(open => !after || `${open.date} ${open.time}` > `${after.date} ${after.time}`);
+
+        if (!slot || offered >= (node.offers || 3)) {
+            if (offered === 0 && node.no_slots) this.say(turn, this.fill(node.no_slots, turn, call));
+            return await this.enter(turn, node.fallback, call);
+        }
+
+        turn.state = { offered: offered + 1, slot };
+        return this.prompt(turn, node, call);
+    }
+
+    async answerOffer(turn, node, input, call) {
+        const { slot } = turn.state;
+        const speech = input.speech || '';
+
+        if (slot && (input.digits === '1' || YES.test(speech))) return await this.book(turn, node, slot, call);
+        if (slot && (input.digits === '2' || NO.test(speech))) return await this.offerSlot(turn, node, call, slot);
+        return await this.retry(turn, node, call);
+    }
+
+    async book(turn, node, slot, call) {
+        const result = this.actions.book
+            ? await this.actions.book(call, slot, turn.variables)
+            : { success: false, error: 'Booking is not available' };
+
+        if (!result.success) {
+            this.logger.warn(`Tour booking failed on call ${call.call_sid}: ${result.error}`);
+            return await this.enter(turn, node.fallback, call);
+        }
+
+        Object.assign(turn.variables, {
+            appointment_id: result.appointment.id,
+            appointment_date: describeDate(slot.date),
+            appointment_time: describeTime(slot.time)
+        });
+        this.say(turn, this.fill(node.booked, turn, call));
+        return await this.enter(turn, node.next, call);
+    }
+
+    /**
+     * Warm transfer: ring staff, who hear the whisper before the caller is
+     * connected. Outside opening hours the call goes to the after-hours node.
+     */
+    async dial(turn, node, call) {
+        if (node.after_hours && !getBusinessProfile().isOpen()) {
+            if (node.closed) this.say(turn, this.fill(node.closed, turn, call));
+            return await this.enter(turn, node.after_hours, call);
+        }
+
+        const numbers = node.numbers || parseList(process.env.VOICE_TRANSFER_NUMBERS);
+        if (numbers.length === 0) return await this.noAnswer(turn, node, call);
+
+        if (node.say) this.say(turn, this.fill(node.say, turn, call));
+        const targets = numbers.map(number => tag('Number', { url: WHISPER_URL }, escapeXml(number))).join('');
+        turn.verbs.push(tag('Dial', { action: ACTION_URL, timeout: node.timeout || 20 }, targets));
+    }
+
+    async dialEnded(turn, node, input, call) {
+        if (input.dialStatus !== 'completed') return await this.noAnswer(turn, node, call);
+
+        // Staff took the call and it is over
+        turn.verbs.push(tag('Hangup'));
+        turn.ended = true;
+    }
+
+    async noAnswer(turn, node, call) {
+        if (node.no_answer) this.say(turn, this.fill(node.no_answer, turn, call));
+        return await this.enter(turn, node.fallback, call);
+    }
+
+    record(turn, node, call) {
+        if (node.say) this.say(turn, this.fill(node.say, turn, call));
+        turn.verbs.push(tag('Record', { action: ACTION_URL, maxLength: node.max_length || 120, playBeep: 'true' }));
+        // Twilio skips the action when nothing was recorded
+        turn.verbs.push(tag('Redirect', { method: 'POST' }, ACTION_URL));
+    }
+
+    async recorded(turn, node, input, call) {
+        if (input.recordingUrl) {
+            turn.variables.voicemail_url = input.recordingUrl;
+            turn.variables.voicemail_seconds = input.recordingDuration || 0;
+            if (node.saved) this.say(turn, this.fill(node.saved, turn, call));
+        }
+        return await this.enter(turn, node.next, call);
+    }
+
+    hangUp(turn, node, call) {
+        if (node.say) this.say(turn, this.fill(node.say, turn, call));
+        turn.verbs.push(tag('Hangup'));
+        turn.ended = true;
+    }
+
+    async retry(turn, node, call) {
+        const attempts = (turn.state.attempts || 0) + 1;
+        const flowRetries = this.config.retries !== undefined ? this.config.retries : DEFAULT_RETRIES;
+        const retries = node.retries !== undefined ? node.retries : flowRetries;
+        if (attempts > retries) return await this.enter(turn, node.fallback, call);
+
+        turn.state.attempts = attempts;
+        this.say(turn, node.retry || this.config.retry || DEFAULT_RETRY);
+        return this.prompt(turn, node, call);
+    }
+
+    /**
+     * Ask the node's question and wait for the answer. Silence comes back
+     * through the redirect with no input.
+     */
+    prompt(turn, node, call) {
+        const input = node.input || DEFAULT_INPUTS[node.type];
+        const attributes = { input, action: ACTION_URL, timeout: 5 };
+        if (input.includes('speech')) attributes.speechTimeout = 'auto';
+        if (input.includes('dtmf')) {
+            // Menus take one keypress; gathers take digits up to the pound key
+            const keypad = node.type === 'gather' ? { finishOnKey: '#' } : { numDigits: this.digitsFor(node) };
+            Object.assign(attributes, keypad);
+        }
+
+        const text = this.fill(node.prompt || node.offer, turn, call);
+        turn.spoken.push(text);
+        turn.verbs.push(tag('Gather', attributes, this.sayTag(text)));
+        turn.verbs.push(tag('Redirect', { method: 'POST' }, ACTION_URL));
+    }
+
+    digitsFor(node) {
+        return Math.max(1, ...(node.options || []).map(option => (option.digits || '').length));
+    }
+
+    match(options = [], input) {
+        return options.find(option =>
+            (input.digits && option.digits === input.digits) ||
+            (input.speech && (option.keywords || []).some(keyword => mentions(input.speech, keyword)))
+        ) || null;
+    }
+
+    say(turn, text) {
+        turn.spoken.push(text);
+        turn.verbs.push(this.sayTag(text));
+    }
+
+    sayTag(text) {
+        return tag('Say', { voice: this.voice }, escapeXml(text));
+    }
+
+    /**
+     * Fill {placeholders} from the business profile, the caller and the
+     * variables collected so far
+     */
+    fill(text, turn, call) {
+        const profile = getBusinessProfile();
+        const { name, phone } = profile.getContactInfo();
+        const { slot } = turn.state;
+        const values = {
+            business: name,
+            phone,
+            hours: profile.describeHours(),
+            caller: turn.variables.name || call.from_number || 'a caller',
+            slot: slot ? `${describeDate(slot.date)} at ${describeTime(slot.time)}` : '',
+            ...turn.variables
+        };
+        return text.replace(/\{(\w+)\}/g, (placeholder, key) => (values[key] !== undefined ? String(values[key]) : ''));
+    }
+}
+
+// Text goes inside TwiML elements and attributes
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function tag(name, attributes = {}, content = null) {
+    const attrs = Object.entries(attributes).map(([key, value]) => ` ${key}="${escapeXml(value)}"`).join('');
+    return content === null ? `<${name}${attrs}/>` : `<${name}${attrs}>${content}</${name}>`;
+}
+
+function mentions(text, phrase) {
+    const pattern = phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${pattern}\\b`, 'i').test(text);
+}
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * A US number as +1XXXXXXXXXX from keypad digits or speech, or null
+ */
+function toPhoneNumber(value) {
+    const digits = String(value || '').replace(/\D/g, '');
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+}
+
+/**
+ * The name from an answer like "My name is Jordan Lee.", or null
+ */
+function toName(answer) {
+    const name = answer.replace(NAME_PREFIX, '').replace(/[.!?,]+$/, '').trim();
+    return NAME_PATTERN.test(name) && name.split(/\s+/).length <= 5 ? name : null;
+}
+
+// "2030-01-08" -> "Tuesday, January 8"
+function describeDate(date) {
+    return new Date(`${date}T12:00:00`).toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+}
+
+// "14:30" -> "2:30 PM"
+function describeTime(time) {
+    const [hour, minute] = time.split(':').map(Number);
+    return `${hour % 12 || 12}${minute ? `:${String(minute).padStart(2, '0')}` : ''} ${hour < 12 ? 'AM' : 'PM'}`;
+}
+
+module.exports = CallFlow;
+module.exports.NODE_TYPES = NODE_TYPES;
+module.exports.ACTION_URL = ACTION_URL;
@@ -5,11 +5,29 @@
 
 const twilio = require('twilio');
 const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
+
+// Carrier opt-out / opt-in keywords, matched against the whole message
+const OPT_OUT_KEYWORDS = ['stop', 'stopall', 'unsubscribe', 'cancel', 'end', 'quit'];
+const OPT_IN_KEYWORDS = ['start', 'unstop', 'yes'];
+
+// Twilio error codes meaning the number itself can't receive texts (invalid,
+// unknown handset, landline), as opposed to a carrier or content problem
+const INVALID_PHONE_ERRORS = [21211, 21214, 21217, 21401, 21614, 30005, 30006];
 
 class SMSManager {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger('SMSManager');
         this.client = null;
+        this.consent = options.consent || null;
+        // Agent used for AI replies that remember the conversation with each number
+        this.aiAgent = options.aiAgent || null;
+        // Staff inbox (src/business/sms-inbox.js) that stores every text and can pause auto-replies
+        this.inbox = options.inbox || null;
+        // async (phone, errorCode) => void - called when Twilio reports a number can't receive texts
+        this.onInvalidPhone = options.onInvalidPhone || null;
+        // Durable queue (src/automation/message-queue.js) for texts sent later
+        this.queue = options.queue || null;
         this.initialized = false;
         
         // Twilio configuration
@@ -18,6 +36,11 @@ class SMSManager {
         this.phoneNumber = process.env.TWILIO_PHONE_NUMBER;
         this.whatsappNumber = process.env.TWILIO_WHATSAPP_NUMBER;
         
+        // Delivery status callbacks (/api/sms/status) need the server's public URL
+        this.statusCallback = process.env.BASE_URL
+            ? `${process.env.BASE_URL.replace(/\/+$/, '')}/api/sms/status`
+            : undefined;
+        
         // Rate limiting
         this.dailySMSCount = 0;
         this.maxDailySMS = parseInt(process.env.MAX_DAILY_SMS) || 100;
@@ -67,7 +90,8 @@ class SMSManager {
     }
 
     /**
-     * Send SMS message
+     * Send SMS message. `options.staffAlert` is for pages to our own staff:
+     * they skip the lead consent check and don't count toward the daily limit.
      */
     async sendSMS(to, message, options = {}) {
         if (!this.initialized) {
@@ -75,9 +99,14 @@ class SMSManager {
             return { success: false, error: 'SMS not configured' };
         }
 
-        // Check rate limit
-        if (!this.checkRateLimit()) {
-            return { success: false, error: 'Daily SMS limit reached' };
+        if (!options.staffAlert) {
+            const blocked = await this.checkConsent('sms', to);
+            if (blocked) return blocked;
+
+            // Check rate limit
+            if (!this.checkRateLimit()) {
+                return { success: false, error: 'Daily SMS limit reached' };
+            }
         }
 
         try {
@@ -85,11 +114,11 @@ class SMSManager {
                 body: message,
                 to: to,
                 from: this.phoneNumber,
-                statusCallback: options.statusCallback,
+                statusCallback: options.statusCallback || this.statusCallback,
                 ...(options.mediaUrl && { mediaUrl: options.mediaUrl })
             });
 
-            this.incrementCounter();
+            if (!options.staffAlert) this.incrementCounter();
             
             this.logger.success(`📤 SMS sent to ${to}: ${result.sid}`);
             
@@ -100,6 +129,8 @@ class SMSManager {
                 message: message,
                 status: result.status,
                 type: 'sms',
+                sender: options.sender,
+                sentBy: options.sentBy,
                 timestamp: new Date()
             });
 
@@ -110,10 +141,7 @@ class SMSManager {
             };
         } catch (error) {
             this.logger.error(`Failed to send SMS to ${to}:`, error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return await this.sendFailed(to, error);
         }
     }
 
@@ -126,6 +154,9 @@ class SMSManager {
             return { success: false, error: 'WhatsApp not configured' };
         }
 
+        const blocked = await this.checkConsent('whatsapp', to);
+        if (blocked) return blocked;
+
         try {
             // Format number for WhatsApp
             const whatsappTo = to.startsWith('whatsapp:') ? to : `whatsapp:${to}`;
@@ -134,6 +165,7 @@ class SMSManager {
                 body: message,
                 to: whatsappTo,
                 from: `whatsapp:${this.whatsappNumber}`,
+                statusCallback: options.statusCallback || this.statusCallback,
                 ...(options.mediaUrl && { mediaUrl: options.mediaUrl })
             });
 
@@ -145,6 +177,8 @@ class SMSManager {
                 message: message,
                 status: result.status,
                 type: 'whatsapp',
+                sender: options.sender,
+                sentBy: options.sentBy,
                 timestamp: new Date()
             });
 
@@ -155,18 +189,73 @@ class SMSManager {
             };
         } catch (error) {
             this.logger.error(`Failed to send WhatsApp to ${to}:`, error);
-            return {
-                success: false,
-                error: error.message
-            };
+            return await this.sendFailed(to, error);
+        }
+    }
+
+    /**
+     * Result for a send Twilio rejected; numbers it calls invalid are flagged
+     */
+    async sendFailed(to, error) {
+        if (INVALID_PHONE_ERRORS.includes(error.code)) {
+            await this.reportInvalidPhone(to, error.code);
+            return { success: false, code: 'invalid_phone', error: error.message };
+        }
+        return { success: false, error: error.message };
+    }
+
+    async reportInvalidPhone(to, errorCode) {
+        if (!this.onInvalidPhone) return;
+
+        try {
+            await this.onInvalidPhone(String(to).replace(/^whatsapp:/, ''), errorCode);
+        } catch (error) {
+            this.logger.error(`Failed to flag ${to} as an invalid phone:`, error.message);
         }
     }
 
+    /**
+     * Twilio delivery status callback for a sent message: moves the stored
+     * message to its new status and flags numbers that can't receive texts
+     */
+    async handleStatusCallback({ MessageSid, MessageStatus, SmsStatus, ErrorCode, To }) {
+        const status = String(MessageStatus || SmsStatus || '').toLowerCase();
+        const errorCode = ErrorCode ? parseInt(ErrorCode) : null;
+        const invalidPhone = INVALID_PHONE_ERRORS.includes(errorCode);
+
+        if (errorCode) {
+            this.logger.warn(`📵 Message ${MessageSid} to ${To} ${status} (Twilio error ${errorCode})`);
+        }
+
+        // Messages sent outside the inbox have no stored status to compare with
+        const update = (this.inbox && await this.inbox.updateStatus(MessageSid, status, errorCode))
+            || { thread: null, message: null, changed: true };
+        if (invalidPhone && To) {
+            await this.reportInvalidPhone(To, errorCode);
+        }
+
+        return { messageSid: MessageSid, status, errorCode, invalidPhone, ...update };
+    }
+
+    /**
+     * Consent gate for outbound messages; returns the failed result when the recipient opted out
+     */
+    async checkConsent(channel, to) {
+        if (!this.consent) return null;
+
+        const consent = await this.consent.check(channel, to);
+        if (consent.allowed) return null;
+
+        this.logger.warn(`🔕 ${channel} to ${to} not sent: ${consent.reason}`);
+        return { success: false, code: 'no_consent', error: consent.reason };
+    }
+
     /**
      * Send automated lead notification
      */
     async sendLeadNotification(lead) {
-        const message = `🏠 New Forward Horizon Lead!\n\nName: ${lead.name}\nEmail: ${lead.email}\nPhone: ${lead.phone || 'Not provided'}\n${lead.is_veteran ? '🎖️ Veteran' : ''}\n\nMessage: ${lead.message || 'No message'}\n\nReply STOP to unsubscribe.`;
+        const { name, phone } = getBusinessProfile().getContactInfo();
+        const message = `🏠 New ${name} Lead!\n\nName: ${lead.name}\nEmail: ${lead.email}\nPhone: ${lead.phone || 'Not provided'}\n${lead.is_veteran ? '🎖️ Veteran' : ''}\n\nMessage: ${lead.message || 'No message'}\n\nReply STOP to unsubscribe.`;
         
         // Send to business owner
         const businessPhone = process.env.BUSINESS_OWNER_PHONE;
@@ -176,46 +265,143 @@ class SMSManager {
         
         // Send welcome to lead if phone provided
         if (lead.phone) {
-            const welcomeMsg = `Welcome to Forward Horizon, ${lead.name}! 🏠\n\nThank you for your interest in our transitional housing. We'll be in touch shortly.\n\nFor immediate assistance, call (310) 488-5280.\n\nReply STOP to unsubscribe.`;
+            const welcomeMsg = `Welcome to ${name}, ${lead.name}! 🏠\n\nThank you for your interest in our transitional housing. We'll be in touch shortly.\n\nFor immediate assistance, call ${phone}.\n\nReply STOP to unsubscribe.`;
             
             await this.sendSMS(lead.phone, welcomeMsg);
         }
     }
 
     /**
-     * Handle incoming SMS/WhatsApp
+     * Handle incoming SMS/WhatsApp and return the reply text, or null when
+     * a staff member has taken over the thread.
+     * The reply is sent back in the webhook's TwiML response, so it works
+     * even when outbound messaging is not configured.
      */
     async handleIncomingMessage(from, body, type = 'sms') {
         this.logger.info(`📨 Incoming ${type} from ${from}: ${body}`);
         
-        // Check for opt-out
-        if (body.toLowerCase().includes('stop')) {
-            await this.handleOptOut(from);
-            return;
+        const recorded = this.inbox
+            ? await this.inbox.recordMessage(type, from, { direction: 'inbound', body, sender: 'contact' })
+            : null;
+        
+        const reply = await this.getReply(from, body, type, recorded && recorded.thread);
+        if (reply && this.inbox) {
+            await this.inbox.recordMessage(type, from, { direction: 'outbound', body: reply, sender: 'assistant' });
+        }
+        return reply;
+    }
+
+    async getReply(from, body, type, thread) {
+        // Crisis screen first: a crisis gets the vetted response, never an AI reply
+        // or a keyword confirmation, even when the text also opts the sender out
+        const safety = this.aiAgent && typeof this.aiAgent.screenMessage === 'function'
+            ? await this.aiAgent.screenMessage(body, { channel: type, id: from })
+            : { flagged: false };
+        
+        const confirmation = await this.handleKeyword(from, body, type);
+        if (safety.suppress_ai) {
+            return safety.response;
+        }
+        if (confirmation) {
+            return confirmation;
+        }
+        
+        // A case manager is answering this thread by hand until they hand it back
+        if (thread && thread.mode === 'staff') {
+            this.logger.info(`✋ No automatic reply to ${from}: thread taken over by ${thread.assigned_to}`);
+            return safety.flagged ? safety.response : null;
         }
         
-        // Process with AI
-        const response = await this.processWithAI(body, from);
+        return await this.processWithAI(body, from, type, safety);
+    }
+
+    /**
+     * Opt-out / opt-in keywords; returns the confirmation to send, or null.
+     * Only a message that is just the keyword counts, as with Twilio's own handling
+     */
+    async handleKeyword(from, body, type) {
+        const keyword = body.trim().toLowerCase();
+        if (OPT_OUT_KEYWORDS.includes(keyword)) {
+            return await this.handleOptOut(from, type, keyword);
+        }
+        if (OPT_IN_KEYWORDS.includes(keyword) && this.consent) {
+            const consent = await this.consent.check(type, from);
+            if (!consent.allowed) {
+                return await this.handleOptIn(from, type, keyword);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether an inbound message looks like someone asking for housing
+     */
+    isLeadInquiry(body) {
+        const lowerBody = (body || '').toLowerCase();
+        const leadIndicators = [
+            'housing', 'homeless', 'need help', 'apply', 'application',
+            'tour', 'visit', 'veteran', 'room', 'bed', 'qualify'
+        ];
+        
+        return !lowerBody.includes('stop') && leadIndicators.some(indicator => lowerBody.includes(indicator));
+    }
+
+    async processWithAI(message, from, type = 'sms', safety = { flagged: false }) {
+        if (this.aiAgent && typeof this.aiAgent.processConversationMessage === 'function') {
+            try {
+                const conversation = { channel: type, id: from };
+                const reply = await this.aiAgent.processConversationMessage(message, conversation, { safety });
+                if (reply) return reply;
+            } catch (error) {
+                this.logger.error(`AI reply to ${type} failed, using keyword reply:`, error.message);
+            }
+        }
+        
+        if (safety.flagged) return safety.response;
         
-        // Send response
-        if (type === 'whatsapp') {
-            await this.sendWhatsApp(from, response);
-        } else {
-            await this.sendSMS(from, response);
+        // Keyword replies when the AI core is not configured
+        const lowerBody = message.toLowerCase();
+        const profile = getBusinessProfile();
+        const { name, phone } = profile.getContactInfo();
+        
+        if (lowerBody.includes('housing') || lowerBody.includes('help')) {
+            return `${name} provides transitional housing for individuals and families. We have programs for veterans and those experiencing homelessness. Call ${phone} or visit our website to apply. Reply STOP to unsubscribe.`;
+        }
+        if (lowerBody.includes('veteran')) {
+            return `Thank you for your service! We have specialized housing programs for veterans with additional support services. Priority placement available. Call ${phone} to learn more. Reply STOP to unsubscribe.`;
         }
+        if (lowerBody.includes('tour') || lowerBody.includes('visit')) {
+            return `We offer property tours ${profile.describeHours()}. Call ${phone} to schedule your tour. Reply STOP to unsubscribe.`;
+        }
+        return `Thank you for contacting ${name}! For housing assistance, call ${phone} or visit our website. Reply HELP for more info or STOP to unsubscribe.`;
     }
 
-    async processWithAI(message, from) {
-        // This would integrate with your AI core
-        // For now, return a default response
-        return `Thank you for contacting Forward Horizon! We've received your message and will respond shortly. For immediate assistance, call (310) 488-5280.`;
+    async handleOptOut(phoneNumber, type = 'sms', keyword = 'stop') {
+        this.logger.info(`❌ ${phoneNumber} opted out of ${type}`);
+        
+        if (this.consent) {
+            const result = await this.consent.recordForAddress(
+                type, phoneNumber, 'revoked', `${type}_keyword`, { keyword }
+            );
+            if (!result.success) {
+                this.logger.error(`Failed to record opt-out for ${phoneNumber}: ${result.error}`);
+            }
+        }
+        
+        return `You have been unsubscribed from ${getBusinessProfile().name} messages. Reply START to resubscribe.`;
     }
 
-    async handleOptOut(phoneNumber) {
-        // Add to opt-out list
-        this.logger.info(`❌ ${phoneNumber} opted out`);
-        // Store in database
-        return await this.sendSMS(phoneNumber, 'You have been unsubscribed from Forward Horizon messages. Reply START to resubscribe.');
+    async handleOptIn(phoneNumber, type = 'sms', keyword = 'start') {
+        this.logger.info(`✅ ${phoneNumber} opted back in to ${type}`);
+        
+        const result = await this.consent.recordForAddress(
+            type, phoneNumber, 'granted', `${type}_keyword`, { keyword }
+        );
+        if (!result.success) {
+            this.logger.error(`Failed to record opt-in for ${phoneNumber}: ${result.error}`);
+        }
+        
+        return `You have been resubscribed to ${getBusinessProfile().name} messages. Reply STOP to unsubscribe.`;
     }
 
     /**
@@ -249,27 +435,51 @@ class SMSManager {
     }
 
     /**
-     * Schedule SMS for later
+     * Schedule SMS for later. The message is stored in the message queue and
+     * sent by its poller, so it survives restarts; consent is checked when it
+     * is sent.
      */
-    async scheduleSMS(to, message, sendAt) {
-        const delay = new Date(sendAt) - new Date();
-        
-        if (delay <= 0) {
+    async scheduleSMS(to, message, sendAt, options = {}) {
+        if (new Date(sendAt) - new Date() <= 0) {
             return await this.sendSMS(to, message);
         }
+        if (!this.queue) {
+            return { success: false, error: 'Message queue not configured' };
+        }
         
-        setTimeout(async () => {
-            await this.sendSMS(to, message);
-        }, delay);
+        const result = await this.queue.schedule({
+            channel: options.channel || 'sms',
+            to,
+            body: message,
+            sendAt,
+            kind: options.kind,
+            reference: options.reference,
+            leadId: options.leadId
+        });
+        if (!result.success) return result;
         
-        this.logger.info(`⏰ SMS scheduled for ${sendAt}`);
-        return { success: true, scheduledFor: sendAt };
+        return { success: true, scheduledFor: result.message.send_at, scheduledId: result.message.id };
     }
 
     /**
-     * Get SMS conversation history
+     * Get SMS conversation history, newest first - from the inbox when it is
+     * configured, otherwise from Twilio
      */
     async getConversationHistory(phoneNumber, limit = 50) {
+        if (this.inbox) {
+            const messages = await this.inbox.getContactMessages(phoneNumber, limit);
+            return messages.map(msg => ({
+                sid: msg.message_sid,
+                from: msg.direction === 'inbound' ? phoneNumber : this.phoneNumber,
+                to: msg.direction === 'inbound' ? this.phoneNumber : phoneNumber,
+                body: msg.body,
+                status: msg.status,
+                direction: msg.direction,
+                sender: msg.sender,
+                timestamp: msg.created_at
+            }));
+        }
+        
         if (!this.initialized) {
             return [];
         }
@@ -324,10 +534,22 @@ class SMSManager {
         this.dailySMSCount++;
     }
 
+    /**
+     * Store a sent message on the recipient's inbox thread
+     */
     async logSMS(data) {
-        // This would store in your database
-        // For now, just log
         this.logger.info('SMS logged:', data);
+        
+        if (this.inbox) {
+            await this.inbox.recordMessage(data.type, data.to, {
+                direction: 'outbound',
+                body: data.message,
+                sender: data.sender || 'assistant',
+                sentBy: data.sentBy || null,
+                messageSid: data.sid,
+                status: data.status
+            });
+        }
     }
 
     delay(ms) {
@@ -344,4 +566,5 @@ class SMSManager {
     }
 }
 
-module.exports = SMSManager;
\ No newline at end of file
+module.exports = SMSManager;
+module.exports.INVALID_PHONE_ERRORS = INVALID_PHONE_ERRORS;
\ No newline at end of file
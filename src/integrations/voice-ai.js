@@ -1,13 +1,31 @@
 /**
  * Voice AI Integration
  * Handles phone calls, voice transcription, and speech synthesis
+ *
+ * Calls follow the IVR in CallFlow. Each call's place in the flow, the
+ * answers collected and the transcript are stored in voice_calls, so every
+ * webhook of a call picks up where the last one left off.
  */
 
 const Logger = require('../utils/logger');
+const LeadExtractor = require('../ai/lead-extractor');
+const CallFlow = require('./call-flow');
+const { getBusinessProfile } = require('../business/business-profile');
+const { getStorage } = require('../storage/storage');
+
+// Spoken text goes inside <Say>, so only markup characters need escaping
+function escapeText(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
 
 class VoiceAI {
-    constructor() {
+    constructor(aiAgent = null, options = {}) {
         this.logger = new Logger('VoiceAI');
+        this.aiAgent = aiAgent;
+        this.storage = options.storage || (aiAgent && aiAgent.storage) || getStorage();
         this.initialized = false;
         
         // Voice settings
@@ -19,9 +37,14 @@ class VoiceAI {
             pitch: 0.0
         };
         
-        // Call handling
-        this.activeCalls = new Map();
-        this.callHistory = [];
+        // IVR call flow (config/call-flow.json) and the actions its nodes use
+        this.flow = options.flow || new CallFlow({
+            actions: {
+                reply: (call, input) => this.generateAIResponse(input.speech, call, input.safety),
+                slots: () => this.getOpenSlots(),
+                book: (call, slot, variables) => this.bookTour(call, slot, variables)
+            }
+        });
         
         // Supported services
         this.services = {
@@ -69,91 +92,150 @@ class VoiceAI {
     async handleIncomingCall(callSid, from, to) {
         this.logger.info(`📞 Incoming call from ${from}: ${callSid}`);
         
-        const call = {
-            id: callSid,
-            from: from,
-            to: to,
-            startTime: new Date(),
+        // A retried webhook finds the call already stored
+        const call = await this.getCall(callSid) || await this.storage.insert('voice_calls', {
+            call_sid: callSid,
+            from_number: from,
+            to_number: to,
             status: 'in-progress',
+            flow_state: {},
+            variables: {},
             transcript: [],
-            summary: '',
-            lead: null
-        };
-        
-        this.activeCalls.set(callSid, call);
-        
-        // Generate TwiML response for Twilio
-        const response = this.generateWelcomeMessage();
+            started_at: new Date().toISOString()
+        });
         
-        return response;
+        const step = await this.flow.start(call);
+        await this.saveStep(call, step, []);
+        return step.twiml;
     }
 
-    generateWelcomeMessage() {
-        const message = `Hello! Thank you for calling Forward Horizon. I'm your AI assistant. How can I help you today?`;
-        
-        // TwiML for Twilio
-        return `<?xml version="1.0" encoding="UTF-8"?>
-        <Response>
-            <Say voice="alice">${message}</Say>
-            <Gather input="speech" action="/voice/gather" timeout="5" speechTimeout="auto">
-                <Say voice="alice">Please tell me what you need help with.</Say>
-            </Gather>
-            <Say voice="alice">I'm sorry, I didn't hear anything. Please call back and try again. Goodbye!</Say>
-            <Hangup/>
-        </Response>`;
+    async getCall(callSid) {
+        return await this.storage.findOne('voice_calls', { where: { call_sid: callSid } });
     }
 
     /**
      * Process speech input
      */
     async processSpeechInput(callSid, transcript, confidence) {
-        const call = this.activeCalls.get(callSid);
+        return await this.handleInput(callSid, { speech: transcript, confidence });
+    }
+
+    /**
+     * Hand a webhook's input (speech, keypad digits, a dial result or a
+     * voicemail recording) to the call flow
+     */
+    async handleInput(callSid, input) {
+        const call = await this.getCall(callSid);
         if (!call) {
             this.logger.error(`Call ${callSid} not found`);
             return this.generateErrorResponse();
         }
         
-        // Add to transcript
-        call.transcript.push({
-            text: transcript,
-            confidence: confidence,
-            timestamp: new Date(),
-            speaker: 'caller'
+        try {
+            const entries = this.callerEntries(input);
+            
+            // Crisis screen first: a crisis gets the vetted response, never an AI reply or menu
+            const safety = input.speech ? await this.screen(call, input.speech) : { flagged: false };
+            const step = safety.suppress_ai
+                ? await this.flow.divert(call, safety.response)
+                : await this.flow.handle(call, { ...input, safety });
+            
+            if (step.spoken.length > 0) {
+                entries.push({ text: step.spoken.join(' '), timestamp: new Date(), speaker: 'ai' });
+            }
+            await this.saveStep(call, step, entries);
+            return step.twiml;
+        } catch (error) {
+            this.logger.error(`Call flow failed on call ${callSid}:`, error);
+            return this.generateErrorResponse();
+        }
+    }
+
+    callerEntries(input) {
+        if (input.speech) {
+            this.logger.info(`🎤 Transcript: ${input.speech} (${input.confidence}% confidence)`);
+            return [{ text: input.speech, confidence: input.confidence, timestamp: new Date(), speaker: 'caller' }];
+        }
+        if (input.digits) {
+            const text = `Pressed ${input.digits}`;
+            return [{ text, digits: input.digits, timestamp: new Date(), speaker: 'caller' }];
+        }
+        return [];
+    }
+
+    async screen(call, transcript) {
+        if (!this.aiAgent || typeof this.aiAgent.screenMessage !== 'function') return { flagged: false };
+        return await this.aiAgent.screenMessage(transcript, { channel: 'voice', id: call.call_sid }, {
+            contact: call.from_number
         });
-        
-        this.logger.info(`🎤 Transcript: ${transcript} (${confidence}% confidence)`);
-        
-        // Process with AI
-        const aiResponse = await this.generateAIResponse(transcript, call);
-        
-        // Add AI response to transcript
-        call.transcript.push({
-            text: aiResponse,
-            timestamp: new Date(),
-            speaker: 'ai'
+    }
+
+    async saveStep(call, step, entries) {
+        const transcript = (call.transcript || []).concat(entries);
+        await this.storage.update('voice_calls', { id: call.id }, {
+            node: step.node,
+            flow_state: step.state,
+            variables: step.variables,
+            transcript
         });
+    }
+
+    /**
+     * TwiML for staff answering a warm transfer, before the caller is connected
+     */
+    async whisper(parentCallSid) {
+        const call = await this.getCall(parentCallSid);
+        return call ? this.flow.whisper(call) : this.flow.whisper({ node: null, from_number: null });
+    }
+
+    /**
+     * Open tour times, earliest first, as { date, time }
+     */
+    async getOpenSlots() {
+        if (!this.aiAgent || typeof this.aiAgent.getCalendar !== 'function') return [];
+        
+        const calendar = await this.aiAgent.getCalendar();
+        const days = await calendar.getAvailableSlots(new Date(), 7);
+        return days.flatMap(day => day.slots.map(slot => ({ date: day.date, time: slot.start })));
+    }
+
+    /**
+     * Book a tour chosen on the call with the vetted book_tour action, which
+     * books it in the calendar, captures the lead and sets it to appointment_set
+     */
+    async bookTour(call, slot, variables) {
+        if (!this.aiAgent || !this.aiAgent.tools) {
+            return { success: false, error: 'Booking is not available' };
+        }
         
-        // Generate TwiML response
-        return this.generateSpeechResponse(aiResponse);
+        return await this.aiAgent.tools.execute('book_tour', {
+            name: variables.name,
+            phone: variables.callback_number || call.from_number,
+            date: slot.date,
+            time: slot.time
+        }, { channel: 'voice', conversation: { channel: 'voice', id: call.call_sid } });
     }
 
-    async generateAIResponse(transcript, call) {
-        // This would integrate with your AI core (Claude)
-        const context = {
-            previousTranscript: call.transcript,
-            callerNumber: call.from,
-            businessInfo: {
-                name: 'Forward Horizon',
-                phone: '(310) 488-5280',
-                services: 'Transitional housing for individuals and families'
+    async generateAIResponse(transcript, call, safety = { flagged: false }) {
+        // Claude replies with the earlier turns of this call as history
+        if (this.aiAgent && typeof this.aiAgent.processConversationMessage === 'function') {
+            try {
+                const conversation = { channel: 'voice', id: call.call_sid };
+                const reply = await this.aiAgent.processConversationMessage(transcript, conversation, { safety });
+                if (reply) return reply;
+            } catch (error) {
+                this.logger.error('AI reply failed, using keyword reply:', error.message);
             }
-        };
+        }
+        
+        if (safety.flagged) return safety.response;
         
-        // For now, return contextual responses
+        // Keyword replies when the AI core is not configured
         const lowerTranscript = transcript.toLowerCase();
+        const profile = getBusinessProfile();
         
         if (lowerTranscript.includes('housing') || lowerTranscript.includes('home')) {
-            return `I'd be happy to help you with housing! Forward Horizon provides transitional housing for individuals and families. We have different programs depending on your situation. Are you currently experiencing homelessness, or are you looking for temporary housing assistance?`;
+            return `I'd be happy to help you with housing! ${profile.name} provides transitional housing for individuals and families. We have different programs depending on your situation. Are you currently experiencing homelessness, or are you looking for temporary housing assistance?`;
         }
         
         if (lowerTranscript.includes('veteran')) {
@@ -161,7 +243,7 @@ class VoiceAI {
         }
         
         if (lowerTranscript.includes('tour') || lowerTranscript.includes('visit') || lowerTranscript.includes('see')) {
-            return `I can definitely help you schedule a property tour! We have availability most weekdays and Saturdays. Would you prefer a morning or afternoon appointment? I'll also need your name and contact information to confirm the tour.`;
+            return `I can definitely help you schedule a property tour! Our office hours are ${profile.describeHours()}. Would you prefer a morning or afternoon appointment? I'll also need your name and contact information to confirm the tour.`;
         }
         
         if (lowerTranscript.includes('cost') || lowerTranscript.includes('price') || lowerTranscript.includes('money')) {
@@ -176,22 +258,11 @@ class VoiceAI {
         return `I understand you're asking about ${transcript}. Let me connect you with one of our housing specialists who can provide detailed information. Are you available for a callback today, or would you prefer to schedule an in-person meeting?`;
     }
 
-    generateSpeechResponse(message) {
-        return `<?xml version="1.0" encoding="UTF-8"?>
-        <Response>
-            <Say voice="alice">${message}</Say>
-            <Gather input="speech" action="/voice/gather" timeout="5" speechTimeout="auto">
-                <Say voice="alice">Is there anything else I can help you with?</Say>
-            </Gather>
-            <Say voice="alice">Thank you for calling Forward Horizon! If you need to speak with someone, please call back at (310) 488-5280. Have a great day!</Say>
-            <Hangup/>
-        </Response>`;
-    }
-
     generateErrorResponse() {
+        const { phone } = getBusinessProfile().getContactInfo();
         return `<?xml version="1.0" encoding="UTF-8"?>
         <Response>
-            <Say voice="alice">I'm sorry, there was an error processing your call. Please try calling back at (310) 488-5280 or visit our website. Thank you!</Say>
+            <Say voice="alice">I'm sorry, there was an error processing your call. Please try calling back at ${escapeText(phone)} or visit our website. Thank you!</Say>
             <Hangup/>
         </Response>`;
     }
@@ -200,22 +271,25 @@ class VoiceAI {
      * Handle call completion
      */
     async handleCallEnd(callSid, duration, status) {
-        const call = this.activeCalls.get(callSid);
-        if (!call) return;
+        const stored = await this.getCall(callSid);
+        if (!stored) return;
         
-        call.endTime = new Date();
-        call.duration = duration;
-        call.status = status;
+        const call = { ...stored, duration, status, ended_at: new Date().toISOString() };
         call.summary = await this.generateCallSummary(call);
         
         // Check if this looks like a lead
         if (this.isLikeLead(call)) {
-            await this.createLeadFromCall(call);
+            const lead = await this.createLeadFromCall(call);
+            call.lead_id = (lead && lead.id) || null;
         }
         
-        // Move to history
-        this.callHistory.push(call);
-        this.activeCalls.delete(callSid);
+        await this.storage.update('voice_calls', { id: call.id }, {
+            status,
+            duration,
+            summary: call.summary,
+            lead_id: call.lead_id || null,
+            ended_at: call.ended_at
+        });
         
         // Log call completion
         this.logger.success(`📞 Call completed: ${callSid} (${duration}s)`);
@@ -229,11 +303,19 @@ class VoiceAI {
             .join('\n');
         
         // This would use AI to summarize
-        return `Call from ${call.from} lasting ${call.duration}s. Key topics discussed: housing, services.`;
+        return `Call from ${call.from_number} lasting ${call.duration}s. Key topics discussed: housing, services.`;
     }
 
     isLikeLead(call) {
-        const transcript = call.transcript.map(t => t.text.toLowerCase()).join(' ');
+        // Callers who gave a name or number, booked or left a message in the call flow
+        const { name, callback_number, appointment_id, voicemail_url } = call.variables || {};
+        if (name || callback_number || appointment_id || voicemail_url) return true;
+        
+        // Only the caller's words count - the assistant's replies mention housing too
+        const transcript = call.transcript
+            .filter(t => t.speaker === 'caller')
+            .map(t => t.text.toLowerCase())
+            .join(' ');
         
         const leadIndicators = [
             'housing', 'homeless', 'need help', 'application', 
@@ -244,22 +326,61 @@ class VoiceAI {
     }
 
     async createLeadFromCall(call) {
+        const extracted = await this.extractLeadFields(call);
+        const variables = call.variables || {};
         const lead = {
-            name: 'Phone Caller', // Would try to extract from conversation
-            phone: call.from,
-            email: '', // Would try to extract from conversation
+            name: 'Phone Caller',
+            ...extracted,
+            ...(variables.name && { name: variables.name }),
+            // The number the caller gave, otherwise the one that called - both are known to reach them
+            phone: variables.callback_number || call.from_number,
             source: 'phone_call',
-            message: call.summary,
+            message: variables.voicemail_url ? `${call.summary}\nVoicemail: ${variables.voicemail_url}` : call.summary,
+            preferred_contact_method: 'phone',
             call_transcript: call.transcript,
             created_at: new Date()
         };
         
-        this.logger.info(`👤 Lead created from call: ${call.from}`);
+        // Create lead using the AI agent's intake (which merges repeat callers) if available.
+        // Only caller ID is verified: a number or email the caller gave goes to review on a match
+        const typed = (variables.callback_number && variables.callback_number !== call.from_number) || extracted.email;
+        if (this.aiAgent && typeof this.aiAgent.createLead === 'function') {
+            try {
+                const created = await this.aiAgent.createLead(lead, { verified: !typed });
+                if (typeof this.aiAgent.recordOutcome === 'function') {
+                    await this.aiAgent.recordOutcome({ channel: 'voice', id: call.call_sid }, 'lead_created');
+                }
+                return created;
+            } catch (error) {
+                this.logger.error(`Failed to create lead from call ${call.call_sid}:`, error);
+                return lead;
+            }
+        }
         
-        // This would integrate with your lead management system
+        this.logger.info(`👤 Lead created from call: ${call.from_number}`);
         return lead;
     }
 
+    /**
+     * Details the caller gave during the call (name, email, program, timeline...)
+     */
+    async extractLeadFields(call) {
+        const text = call.transcript
+            .filter(t => t.speaker === 'caller')
+            .map(t => t.text)
+            .join('\n');
+        
+        try {
+            if (this.aiAgent && typeof this.aiAgent.extractLeadFields === 'function') {
+                return await this.aiAgent.extractLeadFields(text);
+            }
+            return (await new LeadExtractor().extract(text)).fields;
+        } catch (error) {
+            this.logger.error(`Lead extraction failed for call ${call.call_sid}:`, error.message);
+            return {};
+        }
+    }
+
     /**
      * Make outbound call
      */
@@ -268,6 +389,15 @@ class VoiceAI {
             return { success: false, error: 'Twilio not configured' };
         }
         
+        // Never call someone who opted out of phone contact
+        const consent = this.aiAgent && this.aiAgent.consent
+            ? await this.aiAgent.consent.check('voice', to)
+            : { allowed: true };
+        if (!consent.allowed) {
+            this.logger.warn(`🔕 Outbound call to ${to} not placed: ${consent.reason}`);
+            return { success: false, code: 'no_consent', error: consent.reason };
+        }
+        
         try {
             // This would use Twilio to make the call
             const call = {
@@ -338,14 +468,14 @@ class VoiceAI {
                 break;
         }
         
-        const recentCalls = this.callHistory.filter(call => 
-            new Date(call.startTime) > cutoff
-        );
+        const recentCalls = await this.storage.find('voice_calls', {
+            where: { started_at: { gt: cutoff.toISOString() } }
+        });
         
         const analytics = {
             totalCalls: recentCalls.length,
             averageDuration: recentCalls.reduce((sum, call) => sum + (call.duration || 0), 0) / recentCalls.length || 0,
-            leadsGenerated: recentCalls.filter(call => call.lead).length,
+            leadsGenerated: recentCalls.filter(call => call.lead_id).length,
             topKeywords: this.extractTopKeywords(recentCalls),
             callsByHour: this.groupCallsByHour(recentCalls)
         };
@@ -380,21 +510,25 @@ class VoiceAI {
         const hourly = {};
         
         calls.forEach(call => {
-            const hour = new Date(call.startTime).getHours();
+            const hour = new Date(call.started_at).getHours();
             hourly[hour] = (hourly[hour] || 0) + 1;
         });
         
         return hourly;
     }
 
-    getStats() {
+    async getStats() {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const callsToday = await this.storage.find('voice_calls', {
+            where: { started_at: { gte: today.toISOString() } }
+        });
+        
         return {
             initialized: this.initialized,
             services: this.services,
-            activeCalls: this.activeCalls.size,
-            totalCallsToday: this.callHistory.filter(call => 
-                new Date(call.startTime).toDateString() === new Date().toDateString()
-            ).length,
+            activeCalls: callsToday.filter(call => call.status === 'in-progress').length,
+            totalCallsToday: callsToday.length,
             voice: this.voice
         };
     }
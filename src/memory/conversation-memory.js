@@ -0,0 +1,180 @@
+/**
+ * Conversation Memory
+ * Multi-turn history for the AI, keyed by channel and conversation id
+ * (chat session ID, phone number or call SID). When a conversation outgrows
+ * its token budget the oldest turns are folded into a running summary, so the
+ * assistant keeps what people already told it without resending every message.
+ */
+
+const Logger = require('../utils/logger');
+
+const CHANNELS = ['chat', 'sms', 'whatsapp', 'voice'];
+
+// Rough token estimate - Claude averages about four characters per token
+const CHARS_PER_TOKEN = 4;
+
+class ConversationMemory {
+  constructor(storage, options = {}) {
+    this.logger = new Logger('Conversations');
+    this.storage = storage;
+
+    // async (previousSummary, messages) => summary text, or null to use the fallback
+    this.summarize = options.summarize || null;
+
+    this.tokenBudget = options.tokenBudget || parseInt(process.env.CONVERSATION_TOKEN_BUDGET) || 2000;
+    this.minRecentMessages = options.minRecentMessages || 4;
+    this.retentionDays = options.retentionDays || parseInt(process.env.CONVERSATION_RETENTION_DAYS) || 30;
+  }
+
+  static estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Load a conversation, or start a new unsaved one
+   */
+  async load(channel, id) {
+    if (!CHANNELS.includes(channel)) {
+      throw new Error(`Unknown conversation channel: ${channel}`);
+    }
+
+    const key = String(id);
+    const row = await this.storage.findOne('conversations', {
+      where: { channel, conversation_key: key }
+    });
+
+    return row || {
+      id: null,
+      channel,
+      conversation_key: key,
+      summary: null,
+      messages: [],
+      summarized_count: 0
+    };
+  }
+
+  /**
+   * History in the shape the AI core expects
+   */
+  getHistory(conversation) {
+    return (conversation.messages || []).map(({ role, content }) => ({ role, content }));
+  }
+
+  /**
+   * Record one exchange, trim to the token budget and save
+   */
+  async append(conversation, userMessage, reply) {
+    const timestamp = new Date().toISOString();
+    conversation.messages = [
+      ...(conversation.messages || []),
+      { role: 'user', content: userMessage, timestamp },
+      { role: 'assistant', content: reply, timestamp }
+    ];
+
+    await this.trim(conversation);
+    return await this.save(conversation);
+  }
+
+  countTokens(conversation) {
+    return ConversationMemory.estimateTokens(conversation.summary) +
+      conversation.messages.reduce((sum, message) => sum + ConversationMemory.estimateTokens(message.content), 0);
+  }
+
+  /**
+   * Fold the oldest turns into the summary until the conversation fits the budget.
+   * The most recent messages are always kept verbatim, and the kept history
+   * starts with a user turn as the Messages API requires.
+   */
+  async trim(conversation) {
+    const { messages } = conversation;
+    let remaining = this.countTokens(conversation);
+    if (remaining <= this.tokenBudget) return false;
+
+    let split = 0;
+    while (remaining > this.tokenBudget && messages.length - split > this.minRecentMessages) {
+      remaining -= ConversationMemory.estimateTokens(messages[split].content);
+      split++;
+    }
+    while (split < messages.length && messages[split].role !== 'user') {
+      split++;
+    }
+    if (split === 0) return false;
+
+    const older = messages.slice(0, split);
+    conversation.summary = await this.summarizeTurns(conversation.summary, older);
+    conversation.messages = messages.slice(split);
+    conversation.summarized_count = (conversation.summarized_count || 0) + older.length;
+
+    this.logger.info(`🗜️ Summarized ${older.length} older message(s) in ${conversation.channel} conversation`);
+    return true;
+  }
+
+  async summarizeTurns(previousSummary, messages) {
+    if (this.summarize) {
+      try {
+        const summary = await this.summarize(previousSummary, messages);
+        if (summary) return summary;
+      } catch (error) {
+        this.logger.error('Conversation summary failed, keeping an excerpt instead:', error.message);
+      }
+    }
+
+    return this.fallbackSummary(previousSummary, messages);
+  }
+
+  /**
+   * Without the AI, keep what the person said (their words carry the facts),
+   * capped at a quarter of the token budget
+   */
+  fallbackSummary(previousSummary, messages) {
+    const said = messages
+      .filter(message => message.role === 'user')
+      .map(message => message.content.trim())
+      .join(' | ');
+    const summary = [previousSummary, said && `Earlier the person said: ${said}`].filter(Boolean).join('\n');
+
+    const maxChars = Math.floor(this.tokenBudget / 4) * CHARS_PER_TOKEN;
+    return summary.length > maxChars ? `…${summary.slice(-maxChars)}` : summary;
+  }
+
+  async save(conversation) {
+    const record = {
+      channel: conversation.channel,
+      conversation_key: conversation.conversation_key,
+      summary: conversation.summary,
+      messages: conversation.messages,
+      summarized_count: conversation.summarized_count || 0,
+      last_activity: new Date().toISOString()
+    };
+
+    if (conversation.id) {
+      const [updated] = await this.storage.update('conversations', { id: conversation.id }, record);
+      return Object.assign(conversation, updated);
+    }
+
+    return Object.assign(conversation, await this.storage.insert('conversations', record));
+  }
+
+  /**
+   * Forget conversations nobody has touched within the retention period
+   */
+  async cleanup() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+    try {
+      const removed = await this.storage.remove('conversations', {
+        last_activity: { lt: cutoff.toISOString() }
+      });
+      if (removed.length > 0) {
+        this.logger.info(`🧹 Removed ${removed.length} inactive conversation(s)`);
+      }
+      return removed.length;
+    } catch (error) {
+      this.logger.error('Error cleaning up conversations:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = ConversationMemory;
+module.exports.CHANNELS = CHANNELS;
@@ -0,0 +1,94 @@
+/**
+ * Text Embeddings
+ * Vectors for semantic memory search. The default embedder runs locally: words
+ * and their character trigrams are hashed into a fixed-size vector, so related
+ * wordings ("apply"/"application", "sober"/"sobriety") land close together
+ * without a model or API call. Any object with `name`, `dimensions` and
+ * `async embed(texts)` returning one vector per text can be used instead.
+ */
+
+const { tokenize } = require('../ai/bm25-index');
+
+const DEFAULT_DIMENSIONS = 256;
+
+// Whole words count more than the trigrams they share with other words
+const WORD_WEIGHT = 1;
+const TRIGRAM_WEIGHT = 0.5;
+
+/**
+ * 32-bit FNV-1a hash
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+class HashingEmbedder {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    this.name = `hashing-${this.dimensions}`;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.vector(text));
+  }
+
+  vector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    const add = (feature, weight) => {
+      const value = hash(feature);
+      // The top bit picks the sign so unrelated features tend to cancel out
+      vector[value % this.dimensions] += value & 0x80000000 ? -weight : weight;
+    };
+
+    for (const token of tokenize(text)) {
+      add(`w:${token}`, WORD_WEIGHT);
+      const padded = `#${token}#`;
+      for (let i = 0; i + 3 <= padded.length; i++) {
+        add(`t:${padded.slice(i, i + 3)}`, TRIGRAM_WEIGHT);
+      }
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm === 0 ? vector : vector.map(value => Math.round(value / norm * 10000) / 10000);
+  }
+}
+
+/**
+ * Embedder named by EMBEDDING_PROVIDER: "local" (default) or "none" to search by keywords only
+ */
+function createEmbedder(provider = process.env.EMBEDDING_PROVIDER || 'local') {
+  switch (provider) {
+    case 'local':
+      return new HashingEmbedder({ dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS });
+    case 'none':
+      return null;
+    default:
+      throw new Error(`Unknown EMBEDDING_PROVIDER: ${provider}`);
+  }
+}
+
+function cosineSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  HashingEmbedder,
+  createEmbedder,
+  cosineSimilarity
+};
@@ -1,17 +1,42 @@
 /**
  * Memory System for AI Agent
- * Stores, retrieves, and manages agent memories with different types and importance levels
+ * Stores, retrieves, and manages agent memories with different types and importance levels.
+ * Search is hybrid: BM25 keyword matches and embedding similarity, weighted by
+ * importance and recency.
  */
 
-const { createClient } = require('@supabase/supabase-js');
 const Logger = require('../utils/logger');
+const { getStorage } = require('../storage/storage');
+const { redactFor } = require('../utils/redaction');
+const BM25Index = require('../ai/bm25-index');
+const { createEmbedder, cosineSimilarity } = require('./embeddings');
+
+// Share of a memory's relevance that comes from keywords; the rest is embedding similarity
+const KEYWORD_WEIGHT = 0.4;
+
+// Memories less relevant than this are not returned, however recent or important
+const MIN_RELEVANCE = 0.08;
+
+const IMPORTANCE_WEIGHTS = { low: 0.7, medium: 0.85, high: 1, critical: 1.15 };
+
+// A memory's recency bonus halves every RECENCY_HALF_LIFE_DAYS
+const RECENCY_HALF_LIFE_DAYS = 14;
+
+// Memories about the lead or conversation being discussed rank higher
+const SUBJECT_BOOST = 1.5;
 
 class Memory {
-  constructor() {
+  constructor(storage = null, options = {}) {
     this.logger = new Logger('Memory');
-    this.supabase = null;
+    this.storage = storage;
     this.initialized = false;
     
+    // Vectors for semantic search (src/memory/embeddings.js); null searches by keywords only
+    this.embedder = options.embedder !== undefined ? options.embedder : createEmbedder();
+    
+    // Newest memories considered by a search, plus the same number of high and critical ones
+    this.searchCandidates = options.searchCandidates || parseInt(process.env.MEMORY_SEARCH_CANDIDATES) || 500;
+    
     // Simple cache for frequent queries
     this.cache = new Map();
     this.cacheTimeouts = new Map();
@@ -40,18 +65,9 @@ class Memory {
     this.logger.info('🧠 Initializing Memory System...');
     
     try {
-      // Initialize Supabase client
-      const supabaseUrl = process.env.SUPABASE_URL;
-      const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY;
-      
-      if (!supabaseUrl || !supabaseKey) {
-        throw new Error('Supabase credentials not found in environment variables');
-      }
-      
-      this.supabase = createClient(supabaseUrl, supabaseKey);
-      
-      // Test connection and create tables if needed
-      await this.setupDatabase();
+      // Use the shared storage backend unless one was injected
+      this.storage = this.storage || getStorage();
+      await this.storage.initialize();
       
       this.initialized = true;
       this.logger.info('✅ Memory System initialized');
@@ -63,79 +79,6 @@ class Memory {
     }
   }
 
-  async setupDatabase() {
-    try {
-      // Create memories table if it doesn't exist
-      const { error } = await this.supabase.rpc('create_memories_table_if_not_exists');
-      
-      if (error && !error.message.includes('already exists')) {
-        // Try creating with raw SQL
-        await this.createMemoriesTable();
-      }
-      
-      this.logger.info('📊 Database tables verified/created');
-    } catch (error) {
-      this.logger.warn('Database setup warning (may be normal):', error.message);
-    }
-  }
-
-  async createMemoriesTable() {
-    const sql = `
-      CREATE TABLE IF NOT EXISTS agent_memories (
-        id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
-        content TEXT NOT NULL,
-        type VARCHAR(50) NOT NULL DEFAULT 'system',
-        importance VARCHAR(20) NOT NULL DEFAULT 'medium',
-        metadata JSONB DEFAULT '{}',
-        embedding VECTOR(1536), -- For semantic search
-        created_at TIMESTAMPTZ DEFAULT NOW(),
-        updated_at TIMESTAMPTZ DEFAULT NOW(),
-        expires_at TIMESTAMPTZ,
-        
-        -- Indexes
-        CONSTRAINT memories_type_check CHECK (type IN ('conversation', 'lead', 'action', 'business', 'research', 'system')),
-        CONSTRAINT memories_importance_check CHECK (importance IN ('low', 'medium', 'high', 'critical'))
-      );
-      
-      -- Indexes for performance
-      CREATE INDEX IF NOT EXISTS memories_type_idx ON agent_memories(type);
-      CREATE INDEX IF NOT EXISTS memories_importance_idx ON agent_memories(importance);
-      CREATE INDEX IF NOT EXISTS memories_created_at_idx ON agent_memories(created_at DESC);
-      CREATE INDEX IF NOT EXISTS memories_expires_at_idx ON agent_memories(expires_at) WHERE expires_at IS NOT NULL;
-      
-      -- Updated trigger
-      CREATE OR REPLACE FUNCTION update_memories_updated_at()
-      RETURNS TRIGGER AS $$
-      BEGIN
-        NEW.updated_at = NOW();
-        RETURN NEW;
-      END;
-      $$ language 'plpgsql';
-      
-      DROP TRIGGER IF EXISTS update_memories_updated_at ON agent_memories;
-      CREATE TRIGGER update_memories_updated_at
-        BEFORE UPDATE ON agent_memories
-        FOR EACH ROW
-        EXECUTE FUNCTION update_memories_updated_at();
-    `;
-
-    const { error } = await this.supabase.rpc('exec_sql', { sql });
-    if (error) {
-      this.logger.warn('Could not create memories table via RPC, using direct queries');
-      
-      // Fallback: try individual operations
-      const { error: tableError } = await this.supabase
-        .from('agent_memories')
-        .select('id')
-        .limit(1);
-        
-      if (tableError && tableError.code === 'PGRST116') {
-        this.logger.warn('Memories table does not exist and cannot be created automatically');
-        this.logger.info('Please run the setup SQL in your Supabase dashboard');
-      }
-    }
-  }
-
   /**
    * Cache management methods
    */
@@ -152,7 +95,8 @@ class Memory {
       this.cache.delete(key);
       this.cacheTimeouts.delete(key);
     }, this.CACHE_TTL);
-    
+    timeout.unref(); // Cache expiry alone should not keep the process alive
+
     this.cacheTimeouts.set(key, timeout);
   }
   
@@ -166,6 +110,10 @@ class Memory {
    * Store a memory
    */
   async store(content, type = 'system', importance = 'medium', metadata = {}) {
+    // Memories are fed back into AI prompts, so protected lead fields are masked
+    // unless SENSITIVE_DATA_CONSUMERS includes "memory"
+    ({ content, metadata } = redactFor('memory', { content, metadata }));
+
     if (!this.initialized) {
       this.logger.warn('Memory system not initialized, storing locally only');
       return { id: 'local-' + Date.now(), content, type, importance, created_at: new Date() };
@@ -175,29 +123,21 @@ class Memory {
       // Calculate expiration based on importance
       const expiresAt = this.calculateExpiration(importance);
       
-      const { data, error } = await this.supabase
-        .from('agent_memories')
-        .insert([{
-          content,
-          type,
-          importance,
-          metadata,
-          expires_at: expiresAt
-        }])
-        .select()
-        .single();
-
-      if (error) {
-        this.logger.error('Failed to store memory:', error);
-        return null;
-      }
+      const data = await this.storage.insert('agent_memories', {
+        content,
+        type,
+        importance,
+        metadata,
+        ...await this.embedFields(content),
+        expires_at: expiresAt.toISOString()
+      });
 
       this.logger.debug(`💾 Stored ${importance} ${type} memory: ${content.substring(0, 50)}...`);
       
       // Clear relevant cache entries since we added new data
       this.clearCache();
       
-      return data;
+      return this.withoutEmbedding(data);
     } catch (error) {
       this.logger.error('Error storing memory:', error);
       return null;
@@ -221,24 +161,12 @@ class Memory {
     }
 
     try {
-      let query = this.supabase
-        .from('agent_memories')
-        .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
-      if (type) {
-        query = query.eq('type', type);
-      }
-
-      const { data, error } = await query;
-
-      if (error) {
-        this.logger.error('Failed to retrieve memories:', error);
-        return [];
-      }
-
-      const result = data || [];
+      const result = (await this.storage.find('agent_memories', {
+        where: type ? { type } : {},
+        orderBy: 'created_at',
+        ascending: false,
+        limit
+      })).map(row => this.withoutEmbedding(row));
       
       // Cache the result
       this.setCacheWithTimeout(cacheKey, result);
@@ -251,39 +179,127 @@ class Memory {
   }
 
   /**
-   * Search memories by content
+   * Memories most relevant to a query, best first, each with its `score`.
+   * `options.leadId` and `options.conversationKey` name who is being discussed:
+   * their memories rank higher, and with `options.ownConversationOnly` other
+   * people's conversation memories are left out.
    */
-  async search(query, limit = 10, types = null) {
+  async search(query, limit = 10, types = null, options = {}) {
     if (!this.initialized) {
       return [];
     }
 
     try {
-      let dbQuery = this.supabase
-        .from('agent_memories')
-        .select('*')
-        .textSearch('content', query)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
-      if (types) {
-        dbQuery = dbQuery.in('type', types);
-      }
+      const candidates = await this.getSearchCandidates(types);
+      const ranked = await this.rank(query, candidates, options);
+      
+      return ranked.slice(0, limit).map(({ memory, score }) => ({ ...this.withoutEmbedding(memory), score }));
+    } catch (error) {
+      this.logger.error('Error searching memories:', error);
+      return [];
+    }
+  }
 
-      const { data, error } = await dbQuery;
+  /**
+   * Newest memories plus the newest important ones, which are kept much longer
+   */
+  async getSearchCandidates(types) {
+    const where = types ? { type: types } : {};
+    const query = { orderBy: 'created_at', ascending: false, limit: this.searchCandidates };
+    
+    const [recent, important] = await Promise.all([
+      this.storage.find('agent_memories', { ...query, where }),
+      this.storage.find('agent_memories', { ...query, where: { ...where, importance: ['high', 'critical'] } })
+    ]);
+    
+    const byId = new Map([...recent, ...important].map(memory => [memory.id, memory]));
+    return [...byId.values()];
+  }
 
-      if (error) {
-        this.logger.error('Failed to search memories:', error);
-        return [];
-      }
+  async rank(query, memories, options = {}) {
+    const subject = memory => {
+      const metadata = memory.metadata || {};
+      return Boolean((options.leadId && metadata.lead_id === options.leadId) ||
+        (options.conversationKey && metadata.conversation_key === options.conversationKey));
+    };
+    const candidates = options.ownConversationOnly
+      ? memories.filter(memory => memory.type !== this.types.CONVERSATION || subject(memory))
+      : memories;
+    if (candidates.length === 0) return [];
+
+    const keywordScores = this.keywordScores(query, candidates);
+    const vectorScores = await this.vectorScores(query, candidates);
+    const keywordWeight = vectorScores ? KEYWORD_WEIGHT : 1;
+    const now = Date.now();
+
+    return candidates
+      .map((memory, i) => {
+        const relevance = keywordWeight * keywordScores[i] + (1 - keywordWeight) * (vectorScores ? vectorScores[i] : 0);
+        const ageDays = Math.max(0, now - new Date(memory.created_at).getTime()) / (24 * 60 * 60 * 1000);
+        const recency = 0.6 + 0.4 * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+        const score = relevance * recency *
+          (IMPORTANCE_WEIGHTS[memory.importance] || IMPORTANCE_WEIGHTS.medium) *
+          (subject(memory) ? SUBJECT_BOOST : 1);
+
+        return { memory, relevance, score: Math.round(score * 1000) / 1000 };
+      })
+      .filter(hit => hit.relevance >= MIN_RELEVANCE)
+      .sort((a, b) => b.score - a.score);
+  }
 
-      return data || [];
+  /**
+   * BM25 scores scaled so the best keyword match is 1
+   */
+  keywordScores(query, memories) {
+    const index = new BM25Index();
+    memories.forEach((memory, i) => index.add(i, memory.content));
+    
+    const scores = new Array(memories.length).fill(0);
+    const hits = index.search(query, { limit: memories.length });
+    for (const hit of hits) {
+      scores[hit.id] = hit.score / hits[0].score;
+    }
+    return scores;
+  }
+
+  /**
+   * Cosine similarity to the query. Memories stored without an embedding, or
+   * with a different embedder, are embedded again on the fly.
+   */
+  async vectorScores(query, memories) {
+    if (!this.embedder) return null;
+
+    const stale = memories.filter(memory =>
+      !Array.isArray(memory.embedding) || memory.embedding_model !== this.embedder.name
+    );
+    const vectors = await this.embedder.embed([query, ...stale.map(memory => memory.content)]);
+    const fresh = new Map(stale.map((memory, i) => [memory, vectors[i + 1]]));
+
+    return memories.map(memory =>
+      Math.max(0, cosineSimilarity(vectors[0], fresh.get(memory) || memory.embedding))
+    );
+  }
+
+  async embedFields(content) {
+    if (!this.embedder) return {};
+
+    try {
+      const [embedding] = await this.embedder.embed([content]);
+      return { embedding, embedding_model: this.embedder.name };
     } catch (error) {
-      this.logger.error('Error searching memories:', error);
-      return [];
+      this.logger.warn('Could not embed memory, it will be embedded when searched:', error.message);
+      return {};
     }
   }
 
+  withoutEmbedding(memory) {
+    if (!memory) return memory;
+    const copy = { ...memory };
+    delete copy.embedding;
+    delete copy.embedding_model;
+    return copy;
+  }
+
   /**
    * Get memories by type and importance
    */
@@ -293,20 +309,12 @@ class Memory {
     }
 
     try {
-      const { data, error } = await this.supabase
-        .from('agent_memories')
-        .select('*')
-        .eq('type', type)
-        .eq('importance', importance)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
-      if (error) {
-        this.logger.error('Failed to get memories by type/importance:', error);
-        return [];
-      }
-
-      return data || [];
+      return (await this.storage.find('agent_memories', {
+        where: { type, importance },
+        orderBy: 'created_at',
+        ascending: false,
+        limit
+      })).map(row => this.withoutEmbedding(row));
     } catch (error) {
       this.logger.error('Error getting memories:', error);
       return [];
@@ -322,18 +330,11 @@ class Memory {
     }
 
     try {
-      const { data, error } = await this.supabase
-        .from('agent_memories')
-        .delete()
-        .lt('expires_at', new Date().toISOString())
-        .select('id');
-
-      if (error) {
-        this.logger.error('Failed to cleanup memories:', error);
-        return { deleted: 0, error: error.message };
-      }
+      const deleted = await this.storage.remove('agent_memories', {
+        expires_at: { lt: new Date().toISOString() }
+      });
 
-      const deletedCount = data ? data.length : 0;
+      const deletedCount = deleted.length;
       if (deletedCount > 0) {
         this.logger.info(`🗑️ Cleaned up ${deletedCount} expired memories`);
       }
@@ -354,14 +355,7 @@ class Memory {
     }
 
     try {
-      const { data, error } = await this.supabase
-        .from('agent_memories')
-        .select('type, importance');
-
-      if (error) {
-        this.logger.error('Failed to get memory stats:', error);
-        return { total: 0, by_type: {}, by_importance: {} };
-      }
+      const data = await this.storage.find('agent_memories');
 
       const stats = {
         total: data.length,
@@ -0,0 +1,62 @@
+/**
+ * Calendar Module
+ * Appointment availability and booking
+ */
+
+const Logger = require('../utils/logger');
+const { hasPermission } = require('../auth/permissions');
+
+class CalendarModule {
+    constructor(agent) {
+        this.name = 'calendar';
+        this.agent = agent;
+        this.logger = new Logger('CalendarModule');
+    }
+
+    async setup(app) {
+        app.get('/api/calendar/slots', async (req, res) => {
+            try {
+                const { date, days = 7 } = req.query;
+                const calendar = await this.agent.getCalendar();
+                const slots = await calendar.getAvailableSlots(date ? new Date(date) : new Date(), parseInt(days));
+                res.json(slots);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        app.post('/api/calendar/book', async (req, res) => {
+            try {
+                const { leadData, slot } = req.body;
+                const calendar = await this.agent.getCalendar();
+                const appointment = await calendar.bookAppointment(leadData, slot);
+
+                // Booking is public, so only staff who may edit leads move the lead along
+                const user = leadData.id ? await this.getLeadEditor(req) : null;
+                if (user) {
+                    await this.agent.lifecycle.transition(leadData.id, 'appointment_set', {
+                        source: 'calendar',
+                        actor: user.email,
+                        appointment_id: appointment.id,
+                        appointment_at: `${appointment.date} ${appointment.time}`
+                    });
+                }
+
+                res.json(appointment);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    /**
+     * The signed-in user behind a request, if they may change leads
+     */
+    async getLeadEditor(req) {
+        const { auth } = this.agent;
+        const user = await auth.getSessionUser(auth.extractToken(req));
+        return user && hasPermission(user.role, 'leads:write') ? user : null;
+    }
+}
+
+module.exports = CalendarModule;
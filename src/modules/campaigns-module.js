@@ -0,0 +1,47 @@
+/**
+ * Campaigns Module
+ * Runs the nurture email campaigns and exposes lead scoring
+ */
+
+const LeadScoring = require('../campaigns/lead-scoring');
+const Logger = require('../utils/logger');
+
+class CampaignsModule {
+    constructor(agent) {
+        this.name = 'campaigns';
+        this.agent = agent;
+        this.logger = new Logger('CampaignsModule');
+        this.scoring = new LeadScoring();
+        this.email = null;
+    }
+
+    async setup(app) {
+        app.get('/api/campaigns/scores', this.agent.auth.require('leads:read'), async (req, res) => {
+            try {
+                const business = await this.agent.getBusiness();
+                const leads = await business.getLeads({ limit: parseInt(req.query.limit) || 50 });
+                const interactionMap = Object.fromEntries(
+                    leads.map(lead => [lead.id, lead.lead_interactions || []])
+                );
+                res.json(await this.scoring.scoreLeads(leads, interactionMap));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.email = await this.agent.getEmail();
+        if (this.email.initialized) {
+            this.email.startCampaignProcessor();
+        } else {
+            this.logger.warn('Email not configured - nurture campaigns will not be sent');
+        }
+    }
+
+    async stop() {
+        if (this.email) {
+            this.email.stopCampaignProcessor();
+        }
+    }
+}
+
+module.exports = CampaignsModule;
@@ -0,0 +1,112 @@
+/**
+ * Chat Module
+ * Website chat widget, chat sessions and the quick-reply chat API
+ */
+
+const ChatIntegration = require('../../chat-integration');
+const Logger = require('../utils/logger');
+const { getBusinessProfile } = require('../business/business-profile');
+
+class ChatModule {
+    constructor(agent) {
+        this.name = 'chat';
+        this.agent = agent;
+        this.logger = new Logger('ChatModule');
+        this.chatIntegration = null;
+        this.cleanupTimer = null;
+    }
+
+    async setup(app) {
+        this.chatIntegration = new ChatIntegration(this.agent, this.agent.storage);
+        this.chatIntegration.setupRoutes(app);
+        await this.chatIntegration.loadSessions();
+
+        app.post('/api/chat', async (req, res) => {
+            const { message, context } = req.body;
+
+            if (!message || typeof message !== 'string' || message.length > 5000) {
+                return res.status(400).json({ error: 'Invalid message: must be a string under 5000 characters' });
+            }
+
+            try {
+                const chatContext = this.buildContext(context);
+                const conversationId = chatContext.conversation ? chatContext.conversation.id : null;
+
+                // Crisis screen first: a crisis gets the vetted response, never an AI reply
+                const safety = await this.agent.screenMessage(message, { channel: 'chat', id: conversationId });
+                if (safety.suppress_ai) {
+                    return res.json({ response: safety.response });
+                }
+
+                const response = await this.agent.processWebChatMessage(message, { ...chatContext, safety }) ||
+                    (safety.flagged ? safety.response : this.getQuickReply(message));
+                res.json({ response });
+            } catch (error) {
+                this.logger.error('Chat API error:', error.message);
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Schedule session cleanup
+        this.cleanupTimer = setInterval(async () => {
+            const cleanedUp = await this.chatIntegration.cleanupSessions();
+            if (cleanedUp > 0) {
+                this.logger.info(`Cleaned up ${cleanedUp} expired chat sessions`);
+            }
+        }, 15 * 60 * 1000); // Every 15 minutes
+        this.cleanupTimer.unref();
+    }
+
+    /**
+     * Only take what the widget is expected to send from the public request body;
+     * the widget's conversation ID keys the multi-turn history
+     */
+    buildContext(context = {}) {
+        const { conversationId, source } = context || {};
+        const isKey = value => typeof value === 'string' && value.length > 0 && value.length <= 100;
+
+        return {
+            channel: 'chat',
+            ...(isKey(source) && { source }),
+            ...(isKey(conversationId) && { conversation: { channel: 'chat', id: conversationId } })
+        };
+    }
+
+    /**
+     * Keyword replies used when the AI core is not configured
+     */
+    getQuickReply(message) {
+        const msg = message.toLowerCase();
+        const { name } = getBusinessProfile().getContactInfo();
+
+        if (msg.includes('housing') || msg.includes('home')) {
+            return `I can help you find transitional housing! ${name} specializes in helping veterans, people in recovery, and those reentering society. What's your housing situation?`;
+        }
+        if (msg.includes('veteran')) {
+            return 'Thank you for your service! We have specialized housing programs for veterans with VA benefits coordination and priority placement. Would you like to apply?';
+        }
+        if (msg.includes('recovery')) {
+            return 'We offer safe, substance-free housing with 24/7 peer support and recovery program integration. You\'re taking an important step - how can I help?';
+        }
+        if (msg.includes('help') || msg.includes('need')) {
+            return `I'm here to help! ${name} provides transitional housing and support services. Tell me about your situation and I'll guide you to the right resources.`;
+        }
+        if (msg.includes('apply') || msg.includes('application')) {
+            return 'Great! I can start your housing application right now. I\'ll need your name, phone number, and some basic information about your housing needs. Ready to begin?';
+        }
+        return `Hello! I'm your ${name} housing assistant. I can help you with housing applications, answer questions about our services, or connect you with resources. How can I help you today?`;
+    }
+
+    async stop() {
+        if (this.cleanupTimer) {
+            clearInterval(this.cleanupTimer);
+            this.cleanupTimer = null;
+        }
+    }
+
+    getStats() {
+        return this.chatIntegration ? this.chatIntegration.getStats() : null;
+    }
+}
+
+module.exports = ChatModule;
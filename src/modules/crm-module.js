@@ -0,0 +1,64 @@
+/**
+ * CRM Module
+ * Syncs new leads to the configured CRMs and receives signed CRM webhooks,
+ * handling each delivery once
+ */
+
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+
+class CRMModule {
+    constructor(agent) {
+        this.name = 'crm';
+        this.agent = agent;
+        this.logger = new Logger('CRMModule');
+    }
+
+    async setup(app) {
+        app.post('/api/crm/sync', this.agent.auth.require('crm:sync'), async (req, res) => {
+            try {
+                const { leadData } = req.body;
+                const crm = await this.agent.getCRM();
+                const results = await crm.syncLead(leadData);
+                res.json(results);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        app.post('/api/crm/webhook/:crmName',
+            this.agent.webhooks.require(req => `crm:${req.params.crmName}`),
+            this.agent.webhookEvents.once('crm', req => this.eventId(req)),
+            async (req, res) => {
+                try {
+                    const { crmName } = req.params;
+                    const crm = await this.agent.getCRM();
+                    await crm.processWebhook(crmName, req.body);
+                    res.status(200).send('OK');
+                } catch (error) {
+                    res.status(500).json({ error: error.message });
+                }
+            });
+
+        this.agent.hooks.on('lead:created', async lead => {
+            const crm = await this.agent.getCRM();
+            await crm.syncLead(lead);
+        });
+    }
+
+    /**
+     * CRM webhook delivery id: the X-Webhook-Id header or the payload's event
+     * id, falling back to a hash of the body so exact repeats are caught
+     */
+    eventId(req) {
+        const body = req.body || {};
+        const payloadId = body.eventId || body.id || (body.meta && body.meta.id);
+        const id = req.get('X-Webhook-Id') || payloadId;
+        if (id) return `${req.params.crmName}:${id}`;
+
+        const hash = crypto.createHash('sha256').update(req.rawBody || '').digest('hex');
+        return `${req.params.crmName}:${hash}`;
+    }
+}
+
+module.exports = CRMModule;
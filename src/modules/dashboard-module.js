@@ -0,0 +1,74 @@
+/**
+ * Dashboard Module
+ * Staff dashboard, analytics endpoints and lead and SMS delivery analytics tracking
+ */
+
+const Logger = require('../utils/logger');
+
+class DashboardModule {
+    constructor(agent) {
+        this.name = 'dashboard';
+        this.agent = agent;
+        this.logger = new Logger('DashboardModule');
+    }
+
+    async setup(app) {
+        await this.agent.getDashboard();
+
+        app.get('/api/analytics/dashboard', this.agent.auth.require('analytics:read'), async (req, res) => {
+            try {
+                const analytics = await this.agent.getAnalytics();
+                res.json(analytics.getDashboardMetrics());
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        app.get('/api/analytics/funnel', this.agent.auth.require('analytics:read'), async (req, res) => {
+            try {
+                const { timeframe = '30d' } = req.query;
+                const analytics = await this.agent.getAnalytics();
+                res.json(analytics.getConversionFunnel(timeframe));
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        app.post('/api/analytics/track', async (req, res) => {
+            try {
+                const { event, data } = req.body;
+                const analytics = await this.agent.getAnalytics();
+
+                switch (event) {
+                    case 'lead':
+                        analytics.trackLead(data.lead, data.event);
+                        break;
+                    case 'conversion':
+                        analytics.trackConversion(data.leadId, data.type, data.value);
+                        break;
+                    case 'email':
+                        analytics.trackEmail(data.emailId, data.event, data);
+                        break;
+                    default:
+                        return res.status(400).json({ error: 'Invalid event type' });
+                }
+
+                res.json({ success: true });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.agent.hooks.on('lead:created', async lead => {
+            const analytics = await this.agent.getAnalytics();
+            analytics.trackLead(lead, 'created');
+        });
+
+        this.agent.hooks.on('sms:status', async update => {
+            const analytics = await this.agent.getAnalytics();
+            analytics.trackSMS(update.messageSid, update.status, { errorCode: update.errorCode });
+        });
+    }
+}
+
+module.exports = DashboardModule;
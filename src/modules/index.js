@@ -0,0 +1,69 @@
+/**
+ * Feature Module Registry
+ * Every optional subsystem of the server is a module with a `setup(app)` method
+ * (and optionally `stop()`). Which modules load is controlled by configuration:
+ *
+ *   ENABLED_MODULES=chat,sms,voice      only these modules (default: all)
+ *   DISABLED_MODULES=crm,campaigns      everything except these
+ *
+ * Core routes such as /api/leads and /api/sms/webhook are not modules and
+ * behave identically whichever modules are enabled.
+ */
+
+const ChatModule = require('./chat-module');
+const SMSModule = require('./sms-module');
+const VoiceModule = require('./voice-module');
+const CalendarModule = require('./calendar-module');
+const CRMModule = require('./crm-module');
+const CampaignsModule = require('./campaigns-module');
+const DashboardModule = require('./dashboard-module');
+
+const MODULES = {
+    chat: ChatModule,
+    sms: SMSModule,
+    voice: VoiceModule,
+    calendar: CalendarModule,
+    crm: CRMModule,
+    campaigns: CampaignsModule,
+    dashboard: DashboardModule
+};
+
+function parseList(value) {
+    return (value || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Resolve the enabled module names from options or environment
+ */
+function resolveModules(options = {}) {
+    const enabled = options.enabled || parseList(process.env.ENABLED_MODULES);
+    const disabled = options.disabled || parseList(process.env.DISABLED_MODULES);
+
+    const requested = enabled.length === 0 || enabled.includes('all')
+        ? Object.keys(MODULES)
+        : enabled;
+
+    for (const name of [...requested, ...disabled]) {
+        if (!MODULES[name]) {
+            throw new Error(`Unknown module "${name}" (expected one of: ${Object.keys(MODULES).join(', ')})`);
+        }
+    }
+
+    return requested.filter(name => !disabled.includes(name));
+}
+
+/**
+ * Instantiate the given modules for an agent
+ */
+function createModules(agent, names) {
+    return names.map(name => new MODULES[name](agent));
+}
+
+module.exports = {
+    MODULES,
+    resolveModules,
+    createModules
+};
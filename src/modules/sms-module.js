@@ -0,0 +1,42 @@
+/**
+ * SMS Module
+ * Outbound SMS/WhatsApp and new-lead text notifications.
+ * Inbound replies (/api/sms/webhook) are handled by the core server so they
+ * behave the same whether or not this module is enabled.
+ */
+
+const Logger = require('../utils/logger');
+
+class SMSModule {
+    constructor(agent) {
+        this.name = 'sms';
+        this.agent = agent;
+        this.logger = new Logger('SMSModule');
+    }
+
+    async setup(app) {
+        app.post('/api/sms/send', this.agent.auth.require('messages:send'), async (req, res) => {
+            try {
+                const { to, message, type = 'sms' } = req.body;
+                const sms = await this.agent.getSMS();
+
+                const result = type === 'whatsapp'
+                    ? await sms.sendWhatsApp(to, message)
+                    : await sms.sendSMS(to, message);
+
+                res.json(result);
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.agent.hooks.on('lead:created', async lead => {
+            const sms = await this.agent.getSMS();
+            if (sms.initialized) {
+                await sms.sendLeadNotification(lead);
+            }
+        });
+    }
+}
+
+module.exports = SMSModule;
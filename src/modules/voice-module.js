@@ -0,0 +1,89 @@
+/**
+ * Voice Module
+ * Twilio voice webhooks backed by VoiceAI and its IVR call flow
+ */
+
+const Logger = require('../utils/logger');
+
+// Everything the call flow can be handed: speech, keypad digits, a dial result or a voicemail
+function callInput(body) {
+    return {
+        speech: body.SpeechResult || '',
+        confidence: parseFloat(body.Confidence),
+        digits: body.Digits,
+        dialStatus: body.DialCallStatus,
+        recordingUrl: body.RecordingUrl,
+        recordingDuration: parseInt(body.RecordingDuration) || 0
+    };
+}
+
+class VoiceModule {
+    constructor(agent) {
+        this.name = 'voice';
+        this.agent = agent;
+        this.logger = new Logger('VoiceModule');
+    }
+
+    async setup(app) {
+        // Load the call flow up front: an invalid flow fails the module at startup, not a caller's call
+        await this.agent.getVoice();
+
+        app.post('/api/voice/incoming', this.agent.twilioWebhook(req => req.body.CallSid), async (req, res) => {
+            try {
+                const { CallSid, From, To } = req.body;
+                const voice = await this.agent.getVoice();
+                const response = await voice.handleIncomingCall(CallSid, From, To);
+                res.set('Content-Type', 'text/xml');
+                res.send(response);
+            } catch (error) {
+                this.logger.error('Voice webhook error:', error.message);
+                res.status(500).send('Error processing call');
+            }
+        });
+
+        // Twilio sends the same idempotency token when it retries a request
+        const retryToken = req => req.get('I-Twilio-Idempotency-Token');
+        app.post('/api/voice/gather', this.agent.twilioWebhook(retryToken), async (req, res) => {
+            try {
+                const voice = await this.agent.getVoice();
+                const response = await voice.handleInput(req.body.CallSid, callInput(req.body));
+                res.set('Content-Type', 'text/xml');
+                res.send(response);
+            } catch (error) {
+                this.logger.error('Voice gather error:', error.message);
+                res.status(500).send('Error processing speech');
+            }
+        });
+
+        // Staff answering a warm transfer hear who is calling before they are connected
+        app.post('/api/voice/whisper', this.agent.webhooks.require('twilio'), async (req, res) => {
+            try {
+                const voice = await this.agent.getVoice();
+                const response = await voice.whisper(req.body.ParentCallSid);
+                res.set('Content-Type', 'text/xml');
+                res.send(response);
+            } catch (error) {
+                this.logger.error('Voice whisper error:', error.message);
+                res.status(500).send('Error processing transfer');
+            }
+        });
+
+        // Twilio call status callback - completed calls that look like leads go through intake
+        const statusEvent = req => req.body.CallSid && `${req.body.CallSid}:${req.body.CallStatus}`;
+        app.post('/api/voice/status', this.agent.twilioWebhook(statusEvent), async (req, res) => {
+            try {
+                const { CallSid, CallDuration, CallStatus } = req.body;
+                if (CallStatus === 'completed') {
+                    const voice = await this.agent.getVoice();
+                    await voice.handleCallEnd(CallSid, parseInt(CallDuration) || 0, CallStatus);
+                }
+                res.sendStatus(204);
+            } catch (error) {
+                this.logger.error('Voice status error:', error.message);
+                res.status(500).send('Error processing call status');
+            }
+        });
+    }
+}
+
+module.exports = VoiceModule;
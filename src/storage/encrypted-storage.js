@@ -0,0 +1,143 @@
+/**
+ * Encrypted Storage
+ * Wraps any storage backend so sensitive lead attributes are encrypted at rest
+ *
+ * Values under a sensitive key (see SENSITIVE_FIELDS) are encrypted on every write,
+ * including copies nested inside JSON columns such as interaction snapshots, and
+ * decrypted on every read. Encrypted columns cannot be used in `where` filters.
+ */
+
+const Logger = require('../utils/logger');
+const FieldEncryption = require('./field-encryption');
+const { SENSITIVE_FIELDS } = require('../utils/redaction');
+
+const SENSITIVE_SET = new Set(SENSITIVE_FIELDS);
+
+class EncryptedStorage {
+    constructor(backend, encryption = new FieldEncryption()) {
+        this.logger = new Logger('EncryptedStorage');
+        this.backend = backend;
+        this.encryption = encryption;
+        this.warnedUnencrypted = false;
+    }
+
+    get name() {
+        return this.backend.name;
+    }
+
+    get initialized() {
+        return this.backend.initialized;
+    }
+
+    async initialize() {
+        const ready = await this.backend.initialize();
+
+        if (!this.encryption.enabled && !this.warnedUnencrypted) {
+            this.warnedUnencrypted = true;
+            this.logger.warn('⚠️ FIELD_ENCRYPTION_KEY is not set - sensitive lead fields are stored unencrypted');
+        }
+
+        return ready;
+    }
+
+    async insert(table, record) {
+        const row = await this.backend.insert(table, this.encryptRecord(this.withDefaults(table, record)));
+        return this.decryptRecord(row);
+    }
+
+    async find(table, query = {}) {
+        this.assertQueryable(table, query.where);
+        const rows = await this.backend.find(table, query);
+        return rows.map(row => this.decryptRecord(row));
+    }
+
+    async findOne(table, query = {}) {
+        this.assertQueryable(table, query.where);
+        return this.decryptRecord(await this.backend.findOne(table, query));
+    }
+
+    async update(table, where, changes) {
+        this.assertQueryable(table, where);
+        const rows = await this.backend.update(table, where, this.encryptRecord(changes));
+        return rows.map(row => this.decryptRecord(row));
+    }
+
+    async remove(table, where) {
+        this.assertQueryable(table, where);
+        const rows = await this.backend.remove(table, where);
+        return rows.map(row => this.decryptRecord(row));
+    }
+
+    exec(sql) {
+        return this.backend.exec(sql);
+    }
+
+    flush() {
+        return this.backend.flush();
+    }
+
+    getStats() {
+        return { ...this.backend.getStats(), fieldEncryption: this.encryption.enabled };
+    }
+
+    /**
+     * New leads always carry every sensitive flag, so a missing column
+     * cannot reveal which flags were set
+     */
+    withDefaults(table, record) {
+        if (table !== 'leads') return record;
+
+        const defaults = Object.fromEntries(SENSITIVE_FIELDS.map(field => [field, false]));
+        const row = { ...defaults, ...record };
+        SENSITIVE_FIELDS.forEach(field => {
+            if (row[field] === null || row[field] === undefined) row[field] = false;
+        });
+        return row;
+    }
+
+    assertQueryable(table, where = {}) {
+        const field = Object.keys(where || {}).find(column => SENSITIVE_SET.has(column));
+        if (field && this.encryption.enabled) {
+            throw new Error(`Cannot filter ${table} on encrypted field ${field}`);
+        }
+    }
+
+    encryptRecord(value) {
+        return this.transform(value, (item) => this.encryption.encrypt(item));
+    }
+
+    decryptRecord(value) {
+        return this.transform(value, (item, key) => this.decryptValue(item, key));
+    }
+
+    decryptValue(value, key) {
+        // Columns converted from BOOLEAN hold 'true' / 'false' until re-encrypted
+        if (value === 'true' || value === 'false') return value === 'true';
+
+        try {
+            return this.encryption.decrypt(value);
+        } catch (error) {
+            this.logger.error(`Could not decrypt ${key}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Apply `fn` to every value stored under a sensitive key, at any depth
+     */
+    transform(value, fn) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.transform(item, fn));
+        }
+        if (value === null || typeof value !== 'object' || value instanceof Date) {
+            return value;
+        }
+
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+            key,
+            SENSITIVE_SET.has(key) ? fn(item, key) : this.transform(item, fn)
+        ]));
+    }
+}
+
+module.exports = EncryptedStorage;
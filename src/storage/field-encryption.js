@@ -0,0 +1,124 @@
+/**
+ * Field Encryption
+ * AES-256-GCM encryption for individual column values
+ *
+ * Keys come from FIELD_ENCRYPTION_KEY (32 bytes as 64 hex characters or base64).
+ * Retired keys listed in FIELD_ENCRYPTION_OLD_KEYS stay usable for decryption so
+ * the key can be rotated; `npm run encrypt-fields` re-encrypts with the current key.
+ *
+ * Encrypted values look like `enc:v1:<key id>:<iv>:<auth tag>:<ciphertext>`.
+ */
+
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+class FieldEncryption {
+    constructor(options = {}) {
+        const key = options.key !== undefined ? options.key : process.env.FIELD_ENCRYPTION_KEY;
+        const oldKeys = options.oldKeys !== undefined
+            ? options.oldKeys
+            : (process.env.FIELD_ENCRYPTION_OLD_KEYS || '').split(',');
+
+        this.keys = new Map();
+        this.currentKeyId = null;
+
+        if (key) {
+            this.currentKeyId = this.addKey(key);
+        }
+        oldKeys.filter(Boolean).forEach(oldKey => this.addKey(oldKey));
+    }
+
+    get enabled() {
+        return this.currentKeyId !== null;
+    }
+
+    /**
+     * Register a key and return its id (a short fingerprint, never the key itself)
+     */
+    addKey(encodedKey) {
+        const key = FieldEncryption.parseKey(encodedKey);
+        const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+        this.keys.set(keyId, key);
+        return keyId;
+    }
+
+    static parseKey(encodedKey) {
+        const value = String(encodedKey).trim();
+        const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+
+        if (key.length !== 32) {
+            throw new Error('Field encryption keys must be 32 bytes (64 hex characters or base64)');
+        }
+        return key;
+    }
+
+    /**
+     * Generate a new random key in hex, e.g. for FIELD_ENCRYPTION_KEY
+     */
+    static generateKey() {
+        return crypto.randomBytes(32).toString('hex');
+    }
+
+    static isEncrypted(value) {
+        return typeof value === 'string' && value.startsWith(PREFIX);
+    }
+
+    /**
+     * Encrypt any JSON value. Returns the value unchanged when no key is configured.
+     */
+    encrypt(value) {
+        if (!this.enabled || value === null || value === undefined || FieldEncryption.isEncrypted(value)) {
+            return value;
+        }
+
+        const iv = crypto.randomBytes(IV_LENGTH);
+        const cipher = crypto.createCipheriv(ALGORITHM, this.keys.get(this.currentKeyId), iv);
+        const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+
+        return [
+            `${PREFIX}${this.currentKeyId}`,
+            iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'),
+            ciphertext.toString('base64')
+        ].join(':');
+    }
+
+    /**
+     * Decrypt a value produced by encrypt(). Plain values are returned as they are.
+     */
+    decrypt(value) {
+        if (!FieldEncryption.isEncrypted(value)) {
+            return value;
+        }
+
+        const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+        const key = this.keys.get(keyId);
+        if (!key) {
+            throw new Error(`No field encryption key configured for key id ${keyId}`);
+        }
+
+        const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const plaintext = Buffer.concat([
+            decipher.update(Buffer.from(ciphertext, 'base64')),
+            decipher.final()
+        ]).toString('utf8');
+
+        return JSON.parse(plaintext);
+    }
+
+    /**
+     * Whether a value was encrypted with an older key (or not encrypted at all)
+     */
+    needsRotation(value) {
+        if (value === null || value === undefined) return false;
+        return !FieldEncryption.isEncrypted(value) ||
+            !value.startsWith(`${PREFIX}${this.currentKeyId}:`);
+    }
+}
+
+module.exports = FieldEncryption;
+module.exports.PREFIX = PREFIX;
@@ -0,0 +1,282 @@
+/**
+ * File Storage Backend
+ * Keeps tables in memory and persists them to a local JSON file.
+ * With no file path it runs purely in memory (useful for tests and demos).
+ *
+ * Writes are serialized and atomic: each snapshot goes to a temp file that is
+ * fsynced and then renamed over the store, so a crash mid-write leaves the
+ * previous snapshot intact instead of a truncated file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Logger = require('../utils/logger');
+
+class FileStorage {
+    constructor(options = {}) {
+        this.logger = new Logger('FileStorage');
+        this.filePath = options.filePath || null;
+        this.name = this.filePath ? 'file' : 'memory';
+        this.tables = {};
+        this.writeQueue = Promise.resolve();
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (this.initialized) return true;
+
+        if (this.filePath) {
+            await this.removeStaleTempFile();
+        }
+
+        if (this.filePath && fs.existsSync(this.filePath)) {
+            const raw = await fs.promises.readFile(this.filePath, 'utf8');
+            try {
+                this.tables = raw.trim() ? JSON.parse(raw) : {};
+            } catch (error) {
+                // Refuse to start on a corrupt store rather than overwrite it with empty tables
+                throw new Error(`Storage file ${this.filePath} is not valid JSON: ${error.message}`);
+            }
+        }
+
+        this.initialized = true;
+        this.logger.database(this.filePath ? `File storage ready (${this.filePath})` : 'In-memory storage ready');
+        return true;
+    }
+
+    async insert(table, record) {
+        const now = new Date().toISOString();
+        const row = {
+            id: crypto.randomUUID(),
+            created_at: now,
+            updated_at: now,
+            ...this.serialize(record)
+        };
+
+        this.getTable(table).push(row);
+        await this.persist();
+
+        return this.copy(row);
+    }
+
+    async find(table, query = {}) {
+        let rows = this.getTable(table).filter(row => this.matches(row, query.where));
+
+        if (query.search) {
+            rows = rows.filter(row => this.matchesSearch(row[query.search.column], query.search.text));
+        }
+
+        if (query.orderBy) {
+            const direction = query.ascending === false ? -1 : 1;
+            rows = [...rows].sort((a, b) => this.compare(a[query.orderBy], b[query.orderBy]) * direction);
+        }
+
+        if (query.limit !== undefined) {
+            const offset = query.offset || 0;
+            rows = rows.slice(offset, offset + query.limit);
+        }
+
+        rows = rows.map(row => this.copy(row));
+
+        if (query.embed) {
+            rows.forEach(row => this.attachRelations(row, query.embed));
+        }
+
+        return rows;
+    }
+
+    async findOne(table, query = {}) {
+        const rows = await this.find(table, { ...query, limit: 1 });
+        return rows[0] || null;
+    }
+
+    async update(table, where, changes) {
+        const updated = [];
+        const values = this.serialize(changes);
+
+        for (const row of this.getTable(table)) {
+            if (this.matches(row, where)) {
+                Object.assign(row, values, { updated_at: values.updated_at || new Date().toISOString() });
+                updated.push(this.copy(row));
+            }
+        }
+
+        if (updated.length > 0) {
+            await this.persist();
+        }
+
+        return updated;
+    }
+
+    async remove(table, where) {
+        const rows = this.getTable(table);
+        const removed = rows.filter(row => this.matches(row, where));
+
+        if (removed.length > 0) {
+            this.tables[table] = rows.filter(row => !this.matches(row, where));
+            await this.persist();
+        }
+
+        return removed.map(row => this.copy(row));
+    }
+
+    /**
+     * Raw SQL is not supported by the file backend - tables are schemaless
+     */
+    async exec() {
+        return false;
+    }
+
+    /**
+     * Write all tables to disk, queued behind any write already in flight
+     */
+    async persist() {
+        if (!this.filePath) return;
+
+        const snapshot = JSON.stringify(this.tables, null, 2);
+        const write = this.writeQueue
+            .catch(() => {})
+            .then(() => this.writeAtomic(snapshot));
+
+        this.writeQueue = write;
+        return write;
+    }
+
+    /**
+     * Wait for all queued writes to reach disk
+     */
+    async flush() {
+        await this.writeQueue.catch(error => {
+            this.logger.error('Storage flush failed:', error.message);
+        });
+    }
+
+    async writeAtomic(contents) {
+        const tempPath = this.getTempPath();
+
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const handle = await fs.promises.open(tempPath, 'w');
+        try {
+            await handle.writeFile(contents);
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async removeStaleTempFile() {
+        try {
+            await fs.promises.unlink(this.getTempPath());
+            this.logger.warn('Discarded incomplete storage write from a previous run');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    getTempPath() {
+        return `${this.filePath}.tmp`;
+    }
+
+    // Query helpers
+    getTable(table) {
+        if (!this.tables[table]) {
+            this.tables[table] = [];
+        }
+        return this.tables[table];
+    }
+
+    matches(row, where = {}) {
+        return Object.entries(where || {}).every(([column, condition]) => {
+            const value = row[column];
+
+            if (Array.isArray(condition)) {
+                return condition.includes(value);
+            }
+
+            if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+                return Object.entries(condition).every(([operator, expected]) =>
+                    this.matchesOperator(value, operator, expected)
+                );
+            }
+
+            if (condition === null) {
+                return value === null || value === undefined;
+            }
+
+            return this.compare(value, condition) === 0;
+        });
+    }
+
+    matchesOperator(value, operator, expected) {
+        switch (operator) {
+            case 'neq':
+                return expected === null ? value !== null && value !== undefined : this.compare(value, expected) !== 0;
+            case 'in':
+                return expected.includes(value);
+            case 'lt':
+                return value !== null && value !== undefined && this.compare(value, expected) < 0;
+            case 'lte':
+                return value !== null && value !== undefined && this.compare(value, expected) <= 0;
+            case 'gt':
+                return value !== null && value !== undefined && this.compare(value, expected) > 0;
+            case 'gte':
+                return value !== null && value !== undefined && this.compare(value, expected) >= 0;
+            default:
+                throw new Error(`Unsupported query operator: ${operator}`);
+        }
+    }
+
+    matchesSearch(content, text) {
+        if (!content || !text) return false;
+        const haystack = String(content).toLowerCase();
+        return String(text)
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean)
+            .every(term => haystack.includes(term));
+    }
+
+    compare(a, b) {
+        const left = a instanceof Date ? a.toISOString() : a;
+        const right = b instanceof Date ? b.toISOString() : b;
+
+        if (left === right) return 0;
+        if (left === null || left === undefined) return -1;
+        if (right === null || right === undefined) return 1;
+        if (typeof left === 'number' && typeof right === 'number') return left - right;
+        return String(left) < String(right) ? -1 : 1;
+    }
+
+    attachRelations(row, embed) {
+        for (const [relation, foreignKey] of Object.entries(embed)) {
+            row[relation] = this.getTable(relation)
+                .filter(related => related[foreignKey] === row.id)
+                .map(related => this.copy(related));
+        }
+    }
+
+    serialize(record) {
+        return JSON.parse(JSON.stringify(record));
+    }
+
+    copy(row) {
+        return JSON.parse(JSON.stringify(row));
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            initialized: this.initialized,
+            filePath: this.filePath,
+            tables: Object.fromEntries(
+                Object.entries(this.tables).map(([table, rows]) => [table, rows.length])
+            )
+        };
+    }
+}
+
+module.exports = FileStorage;
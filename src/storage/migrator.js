@@ -0,0 +1,179 @@
+/**
+ * Database Migrator
+ * Applies and rolls back the numbered migrations in /migrations and records
+ * them in the schema_migrations table.
+ *
+ * Each migration file is named NNN_description.js and exports { description, up, down }
+ * where up/down are SQL strings. SQL runs through storage.exec(), which uses the
+ * Supabase exec_sql RPC. Schemaless backends (file/memory) skip the SQL but still
+ * record the migration, so status stays meaningful everywhere.
+ *
+ * Supabase needs the exec_sql function created once in the SQL editor:
+ *
+ *   CREATE OR REPLACE FUNCTION exec_sql(sql text) RETURNS void
+ *   LANGUAGE plpgsql SECURITY DEFINER AS $$ BEGIN EXECUTE sql; END; $$;
+ *   REVOKE ALL ON FUNCTION exec_sql(text) FROM anon, authenticated;
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Logger = require('../utils/logger');
+
+const MIGRATIONS_TABLE = 'schema_migrations';
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+class Migrator {
+    constructor(storage, options = {}) {
+        this.logger = new Logger('Migrator');
+        this.storage = storage;
+        this.directory = options.directory || path.join(__dirname, '../../migrations');
+    }
+
+    /**
+     * Load migration definitions sorted by version
+     */
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.directory)
+            .map(file => ({ file, match: file.match(MIGRATION_FILE_PATTERN) }))
+            .filter(({ match }) => match)
+            .map(({ file, match }) => {
+                const definition = require(path.join(this.directory, file));
+
+                if (typeof definition.up !== 'string' || typeof definition.down !== 'string') {
+                    throw new Error(`Migration ${file} must export "up" and "down" SQL strings`);
+                }
+
+                return {
+                    version: parseInt(match[1], 10),
+                    name: match[2],
+                    description: definition.description || match[2],
+                    up: definition.up,
+                    down: definition.down
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        for (let i = 1; i < migrations.length; i++) {
+            if (migrations[i].version === migrations[i - 1].version) {
+                throw new Error(`Duplicate migration version ${migrations[i].version}`);
+            }
+        }
+
+        return migrations;
+    }
+
+    async ensureMigrationsTable() {
+        await this.storage.initialize();
+        await this.storage.exec(`
+            CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+            );
+        `);
+    }
+
+    async getApplied() {
+        const rows = await this.storage.find(MIGRATIONS_TABLE, { orderBy: 'version' });
+        return new Map(rows.map(row => [Number(row.version), row]));
+    }
+
+    /**
+     * List every migration with whether and when it was applied
+     */
+    async status() {
+        await this.ensureMigrationsTable();
+        const applied = await this.getApplied();
+
+        return this.loadMigrations().map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            description: migration.description,
+            applied: applied.has(migration.version),
+            applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+        }));
+    }
+
+    async getPending() {
+        return (await this.status()).filter(migration => !migration.applied);
+    }
+
+    /**
+     * Apply pending migrations in order, optionally stopping at a version
+     */
+    async migrate(options = {}) {
+        const { to = Infinity, dryRun = false } = options;
+
+        await this.ensureMigrationsTable();
+        const applied = await this.getApplied();
+        const pending = this.loadMigrations()
+            .filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+        for (const migration of pending) {
+            if (dryRun) {
+                this.logger.info(`[dry run] Would apply ${this.label(migration)}`);
+                continue;
+            }
+
+            this.logger.database(`Applying ${this.label(migration)}...`);
+            await this.run(migration.up, migration, 'up');
+            await this.storage.insert(MIGRATIONS_TABLE, {
+                version: migration.version,
+                name: migration.name,
+                applied_at: new Date().toISOString()
+            });
+            this.logger.success(`Applied ${this.label(migration)}`);
+        }
+
+        return pending;
+    }
+
+    /**
+     * Roll back the most recent migrations (one by default), or down to a version
+     */
+    async rollback(options = {}) {
+        const { steps = 1, to = null, dryRun = false } = options;
+
+        await this.ensureMigrationsTable();
+        const applied = await this.getApplied();
+        const appliedMigrations = this.loadMigrations()
+            .filter(migration => applied.has(migration.version))
+            .reverse();
+
+        const targets = to !== null
+            ? appliedMigrations.filter(migration => migration.version > to)
+            : appliedMigrations.slice(0, steps);
+
+        for (const migration of targets) {
+            if (dryRun) {
+                this.logger.info(`[dry run] Would roll back ${this.label(migration)}`);
+                continue;
+            }
+
+            this.logger.database(`Rolling back ${this.label(migration)}...`);
+            await this.run(migration.down, migration, 'down');
+            await this.storage.remove(MIGRATIONS_TABLE, { version: migration.version });
+            this.logger.success(`Rolled back ${this.label(migration)}`);
+        }
+
+        return targets;
+    }
+
+    async run(sql, migration, direction) {
+        try {
+            const executed = await this.storage.exec(sql);
+            if (!executed) {
+                this.logger.info(`${this.storage.name} backend is schemaless - recording ${direction} without SQL`);
+            }
+        } catch (error) {
+            throw new Error(`Migration ${this.label(migration)} (${direction}) failed: ${error.message}`);
+        }
+    }
+
+    label(migration) {
+        return `${String(migration.version).padStart(3, '0')}_${migration.name}`;
+    }
+}
+
+module.exports = Migrator;
+module.exports.MIGRATIONS_TABLE = MIGRATIONS_TABLE;
@@ -0,0 +1,105 @@
+/**
+ * Storage Factory
+ * Selects the storage backend (Supabase or local file) from configuration
+ *
+ * Every backend exposes the same table-oriented interface:
+ *   initialize()                      -> connect / load
+ *   insert(table, record)             -> inserted row
+ *   find(table, query)                -> rows
+ *   findOne(table, query)             -> row | null
+ *   update(table, where, changes)     -> updated rows
+ *   remove(table, where)              -> removed rows
+ *   exec(sql)                         -> true if raw SQL was executed
+ *   flush()                           -> resolves once pending writes are durable
+ *
+ * A query is { where, orderBy, ascending, limit, offset, search, embed } where
+ * `where` maps columns to a value (equality), an array (IN) or an operator
+ * object such as { neq, lt, lte, gt, gte, in }. `embed` maps a related table
+ * to its foreign key, e.g. { lead_interactions: 'lead_id' }.
+ *
+ * Backends are wrapped in EncryptedStorage so sensitive lead fields are
+ * encrypted before they reach the database or the JSON file.
+ */
+
+const path = require('path');
+const SupabaseStorage = require('./supabase-storage');
+const FileStorage = require('./file-storage');
+const EncryptedStorage = require('./encrypted-storage');
+const FieldEncryption = require('./field-encryption');
+
+const BACKENDS = ['supabase', 'file', 'memory'];
+
+let sharedStorage = null;
+
+/**
+ * Resolve the backend name from options and environment
+ */
+function resolveBackend(options = {}) {
+    const requested = (options.backend || process.env.STORAGE_BACKEND || '').toLowerCase();
+
+    if (requested) {
+        if (!BACKENDS.includes(requested)) {
+            throw new Error(`Unknown storage backend "${requested}" (expected one of: ${BACKENDS.join(', ')})`);
+        }
+        return requested;
+    }
+
+    const hasSupabase = process.env.SUPABASE_URL &&
+        (process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY);
+
+    return hasSupabase ? 'supabase' : 'file';
+}
+
+/**
+ * Create the raw backend for a resolved backend name
+ */
+function createBackend(backend, options = {}) {
+    switch (backend) {
+        case 'supabase':
+            return new SupabaseStorage({
+                url: options.url || process.env.SUPABASE_URL,
+                key: options.key || process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
+            });
+        case 'memory':
+            return new FileStorage({ filePath: null });
+        default:
+            return new FileStorage({
+                filePath: options.filePath ||
+                    process.env.STORAGE_FILE ||
+                    path.join(process.cwd(), 'data', 'agent-store.json')
+            });
+    }
+}
+
+/**
+ * Create a new storage instance
+ */
+function createStorage(options = {}) {
+    const backend = createBackend(resolveBackend(options), options);
+    return new EncryptedStorage(backend, options.encryption || new FieldEncryption());
+}
+
+/**
+ * Get the process-wide storage instance, creating it on first use
+ */
+function getStorage() {
+    if (!sharedStorage) {
+        sharedStorage = createStorage();
+    }
+    return sharedStorage;
+}
+
+/**
+ * Replace the process-wide storage instance (used by entrypoints and tests)
+ */
+function setStorage(storage) {
+    sharedStorage = storage;
+}
+
+module.exports = {
+    BACKENDS,
+    createStorage,
+    getStorage,
+    setStorage,
+    resolveBackend
+};
@@ -0,0 +1,171 @@
+/**
+ * Supabase Storage Backend
+ * Maps the storage interface onto the Supabase/PostgREST query builder
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+const Logger = require('../utils/logger');
+
+class SupabaseStorage {
+    constructor(options = {}) {
+        this.logger = new Logger('SupabaseStorage');
+        this.name = 'supabase';
+        this.url = options.url;
+        this.key = options.key;
+        this.client = options.client || null;
+        this.initialized = false;
+    }
+
+    async initialize() {
+        if (this.initialized) return true;
+
+        if (!this.client) {
+            if (!this.url || !this.key) {
+                throw new Error('Supabase credentials not found in environment variables');
+            }
+            this.client = createClient(this.url, this.key);
+        }
+
+        this.initialized = true;
+        this.logger.database('Supabase storage ready');
+        return true;
+    }
+
+    async insert(table, record) {
+        const { data, error } = await this.client
+            .from(table)
+            .insert([record])
+            .select()
+            .single();
+
+        if (error) {
+            throw new Error(`Insert into ${table} failed: ${error.message}`);
+        }
+
+        return data;
+    }
+
+    async find(table, query = {}) {
+        const columns = this.buildSelect(query.embed);
+        let builder = this.applyWhere(this.client.from(table).select(columns), query.where);
+
+        if (query.search) {
+            builder = builder.textSearch(query.search.column, query.search.text);
+        }
+
+        if (query.orderBy) {
+            builder = builder.order(query.orderBy, { ascending: query.ascending !== false });
+        }
+
+        if (query.limit !== undefined) {
+            const offset = query.offset || 0;
+            builder = builder.range(offset, offset + query.limit - 1);
+        }
+
+        const { data, error } = await builder;
+
+        if (error) {
+            throw new Error(`Query on ${table} failed: ${error.message}`);
+        }
+
+        return data || [];
+    }
+
+    async findOne(table, query = {}) {
+        const rows = await this.find(table, { ...query, limit: 1 });
+        return rows[0] || null;
+    }
+
+    async update(table, where, changes) {
+        const builder = this.applyWhere(this.client.from(table).update(changes), where);
+        const { data, error } = await builder.select();
+
+        if (error) {
+            throw new Error(`Update on ${table} failed: ${error.message}`);
+        }
+
+        return data || [];
+    }
+
+    async remove(table, where) {
+        const builder = this.applyWhere(this.client.from(table).delete(), where);
+        const { data, error } = await builder.select();
+
+        if (error) {
+            throw new Error(`Delete on ${table} failed: ${error.message}`);
+        }
+
+        return data || [];
+    }
+
+    /**
+     * Execute raw SQL through the exec_sql RPC function
+     */
+    async exec(sql) {
+        const { error } = await this.client.rpc('exec_sql', { sql });
+
+        if (error) {
+            throw new Error(`SQL execution failed: ${error.message}`);
+        }
+
+        return true;
+    }
+
+    /**
+     * Writes go straight to Supabase, so there is nothing to flush
+     */
+    async flush() {
+        return true;
+    }
+
+    buildSelect(embed) {
+        if (!embed) return '*';
+        return ['*', ...Object.keys(embed).map(relation => `${relation} (*)`)].join(', ');
+    }
+
+    applyWhere(builder, where = {}) {
+        for (const [column, condition] of Object.entries(where || {})) {
+            if (Array.isArray(condition)) {
+                builder = builder.in(column, condition);
+            } else if (condition !== null && typeof condition === 'object' && !(condition instanceof Date)) {
+                builder = this.applyOperators(builder, column, condition);
+            } else if (condition === null) {
+                builder = builder.is(column, null);
+            } else {
+                builder = builder.eq(column, condition);
+            }
+        }
+        return builder;
+    }
+
+    applyOperators(builder, column, operators) {
+        for (const [operator, value] of Object.entries(operators)) {
+            switch (operator) {
+                case 'neq':
+                    builder = builder.not(column, value === null ? 'is' : 'eq', value);
+                    break;
+                case 'in':
+                    builder = builder.in(column, value);
+                    break;
+                case 'lt':
+                case 'lte':
+                case 'gt':
+                case 'gte':
+                    builder = builder[operator](column, value instanceof Date ? value.toISOString() : value);
+                    break;
+                default:
+                    throw new Error(`Unsupported query operator: ${operator}`);
+            }
+        }
+        return builder;
+    }
+
+    getStats() {
+        return {
+            backend: this.name,
+            initialized: this.initialized
+        };
+    }
+}
+
+module.exports = SupabaseStorage;
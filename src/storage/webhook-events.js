@@ -0,0 +1,180 @@
+/**
+ * Processed Webhook Events
+ * Providers deliver webhooks at least once: Twilio retries when a request
+ * times out and CRMs retry anything that isn't a 2xx. Each delivery is
+ * claimed by provider and event id before it is handled, so a repeat gets
+ * the first delivery's stored response instead of a second AI reply, lead or
+ * booking. A delivery that fails is released and its retry handled again,
+ * as is one still marked processing long after it started (its instance
+ * crashed or the request hung).
+ */
+
+const Logger = require('../utils/logger');
+
+const STATUSES = ['processing', 'processed', 'failed'];
+
+// Longest a delivery may be processing before a retry may take it over
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+class WebhookEvents {
+    constructor(storage, options = {}) {
+        this.logger = new Logger('WebhookEvents');
+        this.storage = storage;
+        this.retentionDays = options.retentionDays || parseInt(process.env.WEBHOOK_EVENT_RETENTION_DAYS) || 7;
+        this.processingTimeoutMs = options.processingTimeoutMs || PROCESSING_TIMEOUT_MS;
+
+        // Claims in flight in this process; the unique index covers other instances
+        this.claiming = new Set();
+    }
+
+    async find(provider, eventId) {
+        return await this.storage.findOne('webhook_events', { where: { provider, event_id: eventId } });
+    }
+
+    /**
+     * Claim an event for processing. Returns { claimed: true, event } for a
+     * first delivery (or the retry of a failed or abandoned one), otherwise
+     * { claimed: false, event } with the earlier delivery, if it is stored yet.
+     */
+    async claim(provider, eventId) {
+        const key = `${provider}:${eventId}`;
+        if (this.claiming.has(key)) return { claimed: false, event: null };
+
+        this.claiming.add(key);
+        try {
+            const existing = await this.find(provider, eventId);
+            if (existing && !this.isRetryable(existing)) return { claimed: false, event: existing };
+            if (existing) return await this.retry(existing);
+
+            const event = await this.storage.insert('webhook_events', {
+                provider,
+                event_id: eventId,
+                status: 'processing',
+                attempts: 1
+            });
+            return { claimed: true, event };
+        } catch (error) {
+            // Another instance inserted the same event first
+            const existing = await this.find(provider, eventId);
+            if (existing) return { claimed: false, event: existing };
+            throw error;
+        } finally {
+            this.claiming.delete(key);
+        }
+    }
+
+    isRetryable(event) {
+        if (event.status === 'failed') return true;
+        const startedAt = new Date(event.updated_at || event.created_at).getTime();
+        return event.status === 'processing' && Date.now() - startedAt > this.processingTimeoutMs;
+    }
+
+    /**
+     * Take over a failed or abandoned delivery, unless another retry took it
+     * first (the row no longer looks as it did when it was read)
+     */
+    async retry(previous) {
+        const where = { id: previous.id, status: previous.status, updated_at: previous.updated_at };
+        const [event] = await this.storage.update('webhook_events', where, {
+            status: 'processing',
+            attempts: (previous.attempts || 1) + 1,
+            error: null
+        });
+        if (event && previous.status === 'processing') {
+            this.logger.warn(`Webhook event ${previous.event_id} stuck processing - handling its retry`);
+        }
+        return event ? { claimed: true, event } : { claimed: false, event: previous };
+    }
+
+    async complete(event, response) {
+        await this.storage.update('webhook_events', { id: event.id }, {
+            status: 'processed',
+            response,
+            processed_at: new Date().toISOString()
+        });
+    }
+
+    async fail(event, error) {
+        await this.storage.update('webhook_events', { id: event.id }, { status: 'failed', error });
+    }
+
+    /**
+     * Route guard that handles each event once. `eventIdOf(req)` names the
+     * delivery (requests without one are always handled); repeats get the
+     * stored response, or `duplicate(req, res)` while the first is still
+     * being handled. If the store is down, webhooks are handled regardless.
+     */
+    once(provider, eventIdOf, { duplicate = (req, res) => res.sendStatus(409) } = {}) {
+        return async (req, res, next) => {
+            const eventId = eventIdOf(req);
+            if (!eventId) return next();
+
+            let claim;
+            try {
+                claim = await this.claim(provider, eventId);
+            } catch (error) {
+                this.logger.error(`Failed to claim ${provider} event ${eventId}:`, error.message);
+                return next();
+            }
+
+            if (claim.claimed) {
+                this.track(claim.event, res);
+                return next();
+            }
+
+            this.logger.info(`🔁 Duplicate ${provider} event ${eventId} not processed again`);
+            const stored = claim.event && claim.event.status === 'processed' && claim.event.response;
+            if (!stored) return duplicate(req, res);
+
+            if (stored.content_type) res.set('Content-Type', stored.content_type);
+            res.status(stored.status).send(stored.body);
+        };
+    }
+
+    /**
+     * Store the response once it is sent; a 5xx or dropped connection
+     * releases the event for the provider's retry
+     */
+    track(event, res) {
+        const send = res.send.bind(res);
+        let body = null;
+        res.send = payload => {
+            body = payload;
+            return send(payload);
+        };
+
+        res.on('close', () => {
+            const done = res.writableFinished && res.statusCode < 500;
+            const update = done
+                ? this.complete(event, {
+                    status: res.statusCode,
+                    content_type: res.get('Content-Type') || null,
+                    body: typeof body === 'string' ? body : null
+                })
+                : this.fail(event, `Responded ${res.statusCode}`);
+
+            update.catch(error => this.logger.error(`Failed to record webhook event ${event.event_id}:`, error));
+        });
+    }
+
+    /**
+     * Forget events older than the retention period
+     */
+    async cleanup() {
+        const cutoff = new Date(Date.now() - this.retentionDays * 24 * 60 * 60 * 1000);
+
+        try {
+            const removed = await this.storage.remove('webhook_events', { created_at: { lt: cutoff.toISOString() } });
+            if (removed.length > 0) {
+                this.logger.info(`🧹 Removed ${removed.length} processed webhook event(s)`);
+            }
+            return removed.length;
+        } catch (error) {
+            this.logger.error('Error cleaning up webhook events:', error);
+            return 0;
+        }
+    }
+}
+
+module.exports = WebhookEvents;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,44 @@
+/**
+ * Hook Registry
+ * Lets feature modules react to core events (e.g. a lead being created)
+ * without the core knowing which modules are enabled
+ */
+
+const Logger = require('./logger');
+
+class Hooks {
+    constructor() {
+        this.logger = new Logger('Hooks');
+        this.handlers = new Map();
+    }
+
+    /**
+     * Register a handler for an event
+     */
+    on(event, handler) {
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, []);
+        }
+        this.handlers.get(event).push(handler);
+    }
+
+    /**
+     * Run every handler for an event in registration order.
+     * A failing handler is logged and never stops the others or the caller.
+     */
+    async emit(event, payload) {
+        for (const handler of this.handlers.get(event) || []) {
+            try {
+                await handler(payload);
+            } catch (error) {
+                this.logger.error(`Hook for ${event} failed:`, error.message);
+            }
+        }
+    }
+
+    count(event) {
+        return (this.handlers.get(event) || []).length;
+    }
+}
+
+module.exports = Hooks;
@@ -1,10 +1,14 @@
 /**
  * Logger Utility
  * Provides consistent logging across all modules
+ *
+ * Sensitive lead fields are masked in messages and metadata unless
+ * SENSITIVE_DATA_CONSUMERS includes "logs".
  */
 
 const winston = require('winston');
 const path = require('path');
+const { redactFor } = require('./redaction');
 
 class Logger {
   constructor(module = 'App') {
@@ -42,6 +46,13 @@ class Logger {
     });
   }
 
+  /**
+   * Mask sensitive fields before anything is written to the console or log files
+   */
+  redact(message, meta) {
+    return [redactFor('logs', message), redactFor('logs', meta)];
+  }
+
   formatMessage(level, message, meta = {}) {
     const timestamp = new Date().toISOString();
     const prefix = `[${timestamp}] [${this.module}] [${level.toUpperCase()}]`;
@@ -54,18 +65,21 @@ class Logger {
   }
 
   info(message, meta = {}) {
+    [message, meta] = this.redact(message, meta);
     const formatted = this.formatMessage('info', message, meta);
     console.log(`\x1b[36m${formatted}\x1b[0m`); // Cyan
     this.winston.info(message, { module: this.module, ...meta });
   }
 
   warn(message, meta = {}) {
+    [message, meta] = this.redact(message, meta);
     const formatted = this.formatMessage('warn', message, meta);
     console.warn(`\x1b[33m${formatted}\x1b[0m`); // Yellow
     this.winston.warn(message, { module: this.module, ...meta });
   }
 
   error(message, meta = {}) {
+    [message, meta] = this.redact(message, meta);
     const formatted = this.formatMessage('error', message, meta);
     console.error(`\x1b[31m${formatted}\x1b[0m`); // Red
     this.winston.error(message, { module: this.module, ...meta });
@@ -73,6 +87,7 @@ class Logger {
 
   debug(message, meta = {}) {
     if (process.env.NODE_ENV === 'development' || process.env.DEBUG === 'true') {
+      [message, meta] = this.redact(message, meta);
       const formatted = this.formatMessage('debug', message, meta);
       console.log(`\x1b[37m${formatted}\x1b[0m`); // Gray
       this.winston.debug(message, { module: this.module, ...meta });
@@ -80,6 +95,7 @@ class Logger {
   }
 
   success(message, meta = {}) {
+    [message, meta] = this.redact(message, meta);
     const formatted = this.formatMessage('success', message, meta);
     console.log(`\x1b[32m${formatted}\x1b[0m`); // Green
     this.winston.info(message, { module: this.module, type: 'success', ...meta });
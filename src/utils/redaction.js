@@ -0,0 +1,92 @@
+/**
+ * Sensitive Data Redaction
+ * Masks protected lead attributes before they reach logs, agent memories or AI prompts
+ *
+ * Consumers that are allowed to see the real values are listed in
+ * SENSITIVE_DATA_CONSUMERS (comma separated: logs, memory, ai).
+ */
+
+// Protected lead attributes, stored encrypted and masked everywhere else
+const SENSITIVE_FIELDS = ['is_veteran', 'in_recovery', 'is_reentry', 'currently_homeless'];
+
+const CONSUMERS = ['logs', 'memory', 'ai'];
+const MASK = '[REDACTED]';
+
+// Integrations spell the same attributes in camelCase or with CRM prefixes
+const FIELD_ALIASES = SENSITIVE_FIELDS.flatMap(field => [
+    field,
+    field.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase()),
+    `custom_field_${field}`
+]);
+const ALIAS_SET = new Set(FIELD_ALIASES.map(alias => alias.toLowerCase()));
+
+// `in_recovery: true`, `"isVeteran":false`, `is_reentry=yes` ...
+const TEXT_PATTERN = new RegExp(
+    `(["']?\\b(?:${FIELD_ALIASES.join('|')})\\b["']?\\s*[:=]\\s*)("[^"]*"|'[^']*'|[\\w-]+)`,
+    'gi'
+);
+
+function isSensitiveField(key) {
+    return ALIAS_SET.has(String(key).toLowerCase());
+}
+
+/**
+ * Whether a consumer (logs, memory, ai) may see sensitive values
+ */
+function isAllowed(consumer) {
+    return (process.env.SENSITIVE_DATA_CONSUMERS || '')
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .includes(consumer);
+}
+
+/**
+ * Mask `field: value` pairs inside free text such as log lines or JSON strings
+ */
+function redactText(text) {
+    if (typeof text !== 'string') return text;
+    return text.replace(TEXT_PATTERN, (match, prefix, value) =>
+        `${prefix}${value.startsWith('"') ? `"${MASK}"` : MASK}`
+    );
+}
+
+/**
+ * Copy of a value with sensitive fields masked in plain objects and arrays.
+ * Other objects (errors, dates, buffers) are passed through unchanged.
+ */
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === 'string') return redactText(value);
+    if (value === null || typeof value !== 'object' || seen.has(value)) return value;
+
+    if (Array.isArray(value)) {
+        seen.add(value);
+        return value.map(item => redact(item, seen));
+    }
+
+    const prototype = Object.getPrototypeOf(value);
+    if (prototype !== Object.prototype && prototype !== null) return value;
+
+    seen.add(value);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        isSensitiveField(key) && item !== null && item !== undefined ? MASK : redact(item, seen)
+    ]));
+}
+
+/**
+ * Redact unless the consumer (or an explicit per-call flag) is allowed to see the data
+ */
+function redactFor(consumer, value, allowed = isAllowed(consumer)) {
+    return allowed ? value : redact(value);
+}
+
+module.exports = {
+    SENSITIVE_FIELDS,
+    CONSUMERS,
+    MASK,
+    isSensitiveField,
+    isAllowed,
+    redact,
+    redactText,
+    redactFor
+};
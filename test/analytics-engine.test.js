@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const AnalyticsEngine = require('../src/analytics/analytics-engine');
+
+describe('AnalyticsEngine', () => {
+    it('reports SMS delivery rates from status callbacks, counting each message once', () => {
+        const analytics = new AnalyticsEngine();
+
+        analytics.trackSMS('SM1', 'sent');
+        analytics.trackSMS('SM1', 'delivered');
+        analytics.trackSMS('SM2', 'delivered');
+        analytics.trackSMS('SM3', 'sent');
+        analytics.trackSMS('SM3', 'undelivered', { errorCode: 30006 });
+        analytics.trackSMS('SM4', 'queued');
+
+        const metrics = analytics.getDashboardMetrics();
+        assert.deepEqual(metrics.sms, { sent: 4, delivered: 2, failed: 1, deliveryRate: 67 });
+        assert.match(analytics.generateRecommendations(metrics).join('\n'), /undelivered texts/);
+    });
+});
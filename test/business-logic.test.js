@@ -0,0 +1,79 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakes } = require('./helpers');
+
+const BusinessLogic = require('../src/business/business-logic');
+const { createStorage } = require('../src/storage/storage');
+
+describe('BusinessLogic.processNewLead', () => {
+    let storage;
+    let business;
+
+    beforeEach(async () => {
+        storage = createStorage({ backend: 'memory' });
+        business = new BusinessLogic(storage);
+        await business.initialize();
+    });
+
+    it('stores a scored lead and records its creation', async () => {
+        const lead = await business.processNewLead({
+            name: 'Maria Lopez',
+            email: 'maria@example.com',
+            phone: '+15551234567',
+            source: 'website',
+            is_veteran: true
+        });
+
+        assert.ok(lead.id);
+        assert.equal(lead.status, 'new');
+        assert.equal(lead.score, 80);
+        assert.equal(lead.next_action, 'priority_contact');
+
+        const interactions = await storage.find('lead_interactions', { where: { lead_id: lead.id } });
+        assert.equal(interactions.length, 1);
+        assert.equal(interactions[0].interaction_type, 'lead_created');
+        assert.deepEqual(interactions[0].interaction_data, { source: 'website', initial_score: 80 });
+        assert.equal(business.metrics.leads.new, 1);
+    });
+
+    it('prioritises people who are currently homeless', async () => {
+        const lead = await business.processNewLead({ name: 'Sam', currently_homeless: true, eviction_risk: true });
+
+        assert.equal(lead.score, 95);
+        assert.equal(lead.next_action, 'immediate_outreach');
+    });
+
+    it('accepts phone and chat leads without an email', async () => {
+        const lead = await business.processNewLead({ name: 'SMS Contact', phone: '+15557654321', source: 'sms' });
+
+        assert.equal(lead.email, undefined);
+        assert.equal((await storage.findOne('leads', { where: { id: lead.id } })).phone, '+15557654321');
+    });
+
+    it('rejects a lead without a name', async () => {
+        await assert.rejects(business.processNewLead({ email: 'anon@example.com' }), /Lead name is required/);
+    });
+
+    it('encrypts sensitive fields before they reach the backend', async () => {
+        const lead = await business.processNewLead({ name: 'Alex', email: 'alex@example.com', in_recovery: true });
+        const [raw] = await storage.backend.find('leads', { where: { id: lead.id } });
+
+        assert.match(raw.in_recovery, /^enc:v1:/);
+        assert.equal(lead.in_recovery, true);
+    });
+
+    it('keeps the lead in memory when the database rejects the insert', async () => {
+        const supabaseStorage = createStorage({ backend: 'supabase', url: 'https://db.test', key: 'service-key' });
+        const fallback = new BusinessLogic(supabaseStorage);
+        await fallback.initialize();
+
+        const [client] = fakes.supabase.clients.slice(-1);
+        client.failNext('leads', 'relation "leads" does not exist');
+
+        const lead = await fallback.processNewLead({ name: 'Jordan', email: 'jordan@example.com' });
+
+        assert.match(lead.id, /^lead_/);
+        assert.equal(fallback.memoryLeads.length, 1);
+        assert.equal(client.rows('leads').length, 0);
+    });
+});
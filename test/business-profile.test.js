@@ -0,0 +1,100 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+
+const BusinessProfile = require('../src/business/business-profile');
+
+const DEFAULT_PATH = path.join(__dirname, '../config/business-profile.json');
+
+describe('BusinessProfile', () => {
+    let dir;
+    let filePath;
+    let profile;
+
+    before(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fh-profile-test-'));
+    });
+
+    after(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        filePath = path.join(dir, 'business-profile.json');
+        fs.copyFileSync(DEFAULT_PATH, filePath);
+        profile = new BusinessProfile({ filePath });
+    });
+
+    it('loads the shipped profile', () => {
+        assert.equal(profile.name, 'Forward Horizon');
+        assert.equal(profile.getContactInfo().phone, '(310) 488-5280');
+        assert.deepEqual(profile.getPrograms().map(program => program.id), ['veteran', 'recovery', 'reentry']);
+        assert.equal(profile.describeHours(), 'Monday-Friday 9am-5pm and Saturday 10am-2pm');
+        assert.equal(profile.describeLocation(), 'Forward Horizon Office, Los Angeles, CA');
+    });
+
+    it('closes on closed days and holidays', () => {
+        assert.deepEqual(profile.getHoursFor(new Date(2030, 0, 7)), { start: '09:00', end: '17:00' });
+        assert.equal(profile.getHoursFor(new Date(2030, 0, 6)), null);
+        assert.equal(profile.getHoursFor(new Date(2026, 11, 25)), null);
+        assert.equal(profile.getHoliday(new Date(2026, 11, 25)).name, 'Christmas Day');
+
+        assert.equal(profile.isOpen(new Date(2030, 0, 7, 16, 59)), true);
+        assert.equal(profile.isOpen(new Date(2030, 0, 7, 17, 0)), false);
+        assert.equal(profile.isOpen(new Date(2030, 0, 5, 9, 30)), false);
+    });
+
+    it('reports every problem with a profile', () => {
+        const broken = profile.get();
+        broken.contacts.phone = '555';
+        broken.hours.saturday = { start: '14:00', end: '10:00' };
+        broken.hours.funday = null;
+        broken.programs.push({ id: 'veteran', name: 'Duplicate' });
+        broken.holidays.push({ date: '2026-02-30', name: 'Not a day' });
+        delete broken.hours.sunday;
+
+        assert.deepEqual(profile.validate(broken), [
+            'contacts.phone must be a phone number',
+            'programs[3].id "veteran" is used more than once',
+            'Unknown field: hours.funday',
+            'hours.sunday must be null (closed) or { "start": "HH:MM", "end": "HH:MM" }',
+            'hours.saturday must start before it ends',
+            'holidays[3] must have a date (YYYY-MM-DD) and a name'
+        ]);
+    });
+
+    it('refuses to load an invalid file', () => {
+        fs.writeFileSync(filePath, JSON.stringify({ ...profile.get(), timezone: 'Mars/Olympus' }));
+
+        assert.throws(() => new BusinessProfile({ filePath }), /timezone must be an IANA time zone/);
+    });
+
+    it('merges contact and hours edits and writes them to the file', async () => {
+        const result = await profile.update({
+            contacts: { phone: '(555) 010-2000' },
+            hours: { sunday: { start: '12:00', end: '16:00' } },
+            holidays: [{ date: '2030-07-04', name: 'Independence Day' }]
+        }, 'admin@forward-horizon.test');
+
+        assert.equal(result.success, true);
+        assert.equal(result.profile.contacts.email, 'info@forwardhorizon.com');
+        assert.equal(profile.describeHours(), 'Monday-Friday 9am-5pm, Saturday 10am-2pm and Sunday 12pm-4pm');
+
+        const reloaded = new BusinessProfile({ filePath });
+        assert.equal(reloaded.getContactInfo().phone, '(555) 010-2000');
+        assert.equal(reloaded.getHoursFor(new Date(2030, 6, 4)), null);
+    });
+
+    it('rejects invalid edits and keeps the saved profile', async () => {
+        const result = await profile.update({ contacts: { email: 'not-an-email' }, motto: 'Home' });
+
+        assert.equal(result.code, 'invalid_profile');
+        assert.deepEqual(result.errors, ['Unknown section: motto', 'contacts.email must be an email address']);
+        assert.equal(profile.getContactInfo().email, 'info@forwardhorizon.com');
+        const read = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+        assert.deepEqual(read(filePath), read(DEFAULT_PATH));
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { freezeTime } = require('./helpers');
+
+const CallFlow = require('../src/integrations/call-flow');
+const DEFAULT_FLOW = require('../config/call-flow.json');
+
+// A Monday morning, inside opening hours
+const OPEN = '2030-01-07T10:00:00';
+const SLOTS = [{ date: '2030-01-08', time: '10:00' }, { date: '2030-01-08', time: '10:45' }];
+
+// Runs a call through the flow, storing its state between webhooks like VoiceAI does
+function callThrough(flow, from = '+15551234567') {
+    const call = { call_sid: 'CA1', from_number: from, node: null, flow_state: {}, variables: {} };
+    const store = step => {
+        Object.assign(call, { node: step.node, flow_state: step.state, variables: step.variables });
+        return step;
+    };
+    return {
+        call,
+        start: async () => store(await flow.start(call)),
+        send: async input => store(await flow.handle(call, input))
+    };
+}
+
+describe('CallFlow', () => {
+    let restoreTime;
+
+    before(() => {
+        restoreTime = freezeTime(OPEN);
+    });
+
+    after(() => {
+        restoreTime();
+    });
+
+    it('books a tour from the menu with the caller\'s name and number', async () => {
+        const booked = [];
+        const flow = new CallFlow({
+            actions: {
+                slots: async () => SLOTS,
+                book: async (call, slot, variables) => {
+                    booked.push({ slot, variables });
+                    return { success: true, appointment: { id: 'apt_1' } };
+                }
+            }
+        });
+        const caller = callThrough(flow);
+
+        const welcome = await caller.start();
+        assert.match(welcome.twiml, /Thank you for calling Forward Horizon/);
+        assert.match(welcome.twiml, /<Gather input="dtmf speech" action="\/api\/voice\/gather" timeout="5"/);
+
+        assert.match((await caller.send({ digits: '1' })).twiml, /what is your name/);
+        assert.match((await caller.send({ speech: 'My name is Jordan Lee.' })).twiml, /Thanks, Jordan Lee/);
+        assert.match((await caller.send({ speech: 'Use this number' })).twiml, /Tuesday, January 8 at 10 AM/);
+        assert.match((await caller.send({ digits: '2' })).twiml, /Tuesday, January 8 at 10:45 AM/);
+
+        const confirmed = await caller.send({ speech: 'Yes please' });
+        assert.match(confirmed.twiml, /booked for a property tour on Tuesday, January 8 at 10:45 AM/);
+        assert.match(confirmed.twiml, /<Hangup\/>/);
+        assert.equal(confirmed.ended, true);
+
+        assert.deepEqual(booked[0].slot, SLOTS[1]);
+        assert.equal(booked[0].variables.name, 'Jordan Lee');
+        assert.equal(booked[0].variables.callback_number, '+15551234567');
+        assert.equal(caller.call.variables.appointment_id, 'apt_1');
+    });
+
+    it('reprompts a menu and ends the call after the last retry', async () => {
+        const caller = callThrough(new CallFlow());
+        await caller.start();
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            const retry = await caller.send({ digits: '9' });
+            assert.match(retry.twiml, /Sorry, I didn't catch that\./);
+            assert.equal(retry.state.attempts, attempt);
+        }
+
+        const goodbye = await caller.send({});
+        assert.equal(goodbye.node, 'goodbye');
+        assert.match(goodbye.twiml, /<Hangup\/>/);
+    });
+
+    it('honours a flow that allows no retries', async () => {
+        const caller = callThrough(new CallFlow({ config: { ...DEFAULT_FLOW, retries: 0 } }));
+        await caller.start();
+
+        const goodbye = await caller.send({ digits: '9' });
+        assert.equal(goodbye.node, 'goodbye');
+        assert.doesNotMatch(goodbye.twiml, /Sorry, I didn't catch that\./);
+    });
+
+    it('answers questions at the menu with the AI assistant', async () => {
+        const flow = new CallFlow({ actions: { reply: async (call, input) => `You asked: ${input.speech}` } });
+        const caller = callThrough(flow);
+        await caller.start();
+
+        const answer = await caller.send({ speech: 'Do you take pets?' });
+
+        assert.equal(answer.node, 'assistant');
+        assert.match(answer.twiml, /<Say voice="alice">You asked: Do you take pets\?<\/Say>/);
+        assert.match(answer.twiml, /<Gather input="speech" action="\/api\/voice\/gather"/);
+
+        // Asking for staff leaves the assistant; with no staff numbers set the caller gets voicemail
+        const transfer = await caller.send({ speech: 'Can I talk to a real person' });
+        assert.match(transfer.twiml, /no one is available/);
+        assert.equal(transfer.node, 'voicemail');
+    });
+
+    it('transfers to staff with a whisper and takes a voicemail when no one answers', async () => {
+        process.env.VOICE_TRANSFER_NUMBERS = '+15005550010, +15005550011';
+        const flow = new CallFlow();
+        const caller = callThrough(flow);
+        await caller.start();
+
+        const transfer = await caller.send({ digits: '2' });
+        assert.match(transfer.twiml, /<Dial action="\/api\/voice\/gather" timeout="20">/);
+        assert.match(transfer.twiml, /<Number url="\/api\/voice\/whisper">\+15005550011<\/Number>/);
+        assert.match(flow.whisper(caller.call), /Call from \+15551234567 for Forward Horizon/);
+
+        const voicemail = await caller.send({ dialStatus: 'no-answer' });
+        assert.match(voicemail.twiml, /no one is available/);
+        assert.match(voicemail.twiml, /<Record action="\/api\/voice\/gather" maxLength="120" playBeep="true"\/>/);
+
+        const saved = await caller.send({ recordingUrl: 'https://api.twilio.com/RE1', recordingDuration: 14 });
+        assert.equal(saved.variables.voicemail_url, 'https://api.twilio.com/RE1');
+        assert.equal(saved.node, 'goodbye');
+
+        delete process.env.VOICE_TRANSFER_NUMBERS;
+    });
+
+    it('sends after-hours transfers to voicemail', async () => {
+        restoreTime();
+        restoreTime = freezeTime('2030-01-06T10:00:00');
+        const caller = callThrough(new CallFlow());
+        await caller.start();
+
+        const closed = await caller.send({ speech: 'I want to talk to staff' });
+
+        assert.equal(closed.node, 'voicemail');
+        assert.match(closed.twiml, /Our office is closed right now/);
+    });
+
+    it('lists every problem with an invalid flow', () => {
+        const config = {
+            start: 'welcome',
+            nodes: {
+                welcome: { type: 'menu', prompt: 'Press 1', options: [{ digits: '1', next: 'missing' }] },
+                ask: { type: 'gather', prompt: 'Name?', save_as: 'name', next: 'welcome', fallback: 'welcome',
+                    validate: 'email' },
+                odd: { type: 'dance' }
+            }
+        };
+
+        assert.throws(() => new CallFlow({ config }), error => {
+            assert.match(error.message, /nodes\.welcome\.fallback is required/);
+            assert.match(error.message, /nodes\.welcome\.options\[0\]\.next must name a node/);
+            assert.match(error.message, /nodes\.ask\.validate must be one of text, name, phone/);
+            assert.match(error.message, /nodes\.odd\.type must be one of/);
+            return true;
+        });
+    });
+});
@@ -0,0 +1,110 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const ConversationMemory = require('../src/memory/conversation-memory');
+const AICore = require('../src/ai/ai-core');
+const { createStorage } = require('../src/storage/storage');
+
+// 100 characters, about 25 tokens
+const LONG_TEXT = 'x'.repeat(100);
+
+describe('ConversationMemory', () => {
+    let storage;
+    let summaries;
+    let conversations;
+
+    beforeEach(() => {
+        storage = createStorage({ backend: 'memory' });
+        summaries = [];
+        conversations = new ConversationMemory(storage, {
+            tokenBudget: 120,
+            summarize: async (summary, messages) => {
+                summaries.push({ summary, messages });
+                return `Summary of ${messages.length} message(s)`;
+            }
+        });
+    });
+
+    it('keys conversations by channel and id', async () => {
+        const sms = await conversations.load('sms', '+15551234567');
+        await conversations.append(sms, 'Hi', 'Hello! How can I help?');
+
+        const reloaded = await conversations.load('sms', '+15551234567');
+        assert.deepEqual(conversations.getHistory(reloaded), [
+            { role: 'user', content: 'Hi' },
+            { role: 'assistant', content: 'Hello! How can I help?' }
+        ]);
+        assert.deepEqual((await conversations.load('voice', '+15551234567')).messages, []);
+        await assert.rejects(conversations.load('fax', '1'), /Unknown conversation channel/);
+    });
+
+    it('folds the oldest turns into a summary once over the token budget', async () => {
+        const conversation = await conversations.load('chat', 'session-1');
+        for (let turn = 1; turn <= 3; turn++) {
+            await conversations.append(conversation, `Question ${turn} ${LONG_TEXT}`, `Answer ${turn} ${LONG_TEXT}`);
+        }
+
+        assert.equal(summaries.length, 1);
+        assert.deepEqual(summaries[0].messages.map(message => message.content.split(' ', 2).join(' ')),
+            ['Question 1', 'Answer 1']);
+
+        const saved = await conversations.load('chat', 'session-1');
+        assert.equal(saved.summary, 'Summary of 2 message(s)');
+        assert.equal(saved.summarized_count, 2);
+        assert.equal(saved.messages[0].role, 'user');
+        assert.match(saved.messages[0].content, /^Question 2/);
+        assert.ok(conversations.countTokens(saved) <= 120);
+    });
+
+    it('always keeps the most recent messages verbatim', async () => {
+        const conversation = await conversations.load('chat', 'session-2');
+        await conversations.append(conversation, LONG_TEXT.repeat(4), LONG_TEXT.repeat(4));
+        await conversations.append(conversation, LONG_TEXT.repeat(4), LONG_TEXT.repeat(4));
+
+        assert.equal(summaries.length, 0);
+        assert.equal(conversation.messages.length, 4);
+    });
+
+    it('keeps what the person said when the summarizer is unavailable', async () => {
+        conversations.summarize = async () => {
+            throw new Error('AI unavailable');
+        };
+        const conversation = await conversations.load('sms', '+15550001111');
+        await conversations.append(conversation, 'My name is Dana', `Hi Dana ${LONG_TEXT.repeat(2)}`);
+        await conversations.append(conversation, 'I need a bed', `Sure ${LONG_TEXT.repeat(2)}`);
+        await conversations.append(conversation, 'Next week', `Great ${LONG_TEXT.repeat(2)}`);
+
+        assert.match(conversation.summary, /^Earlier the person said: My name is Dana/);
+        assert.doesNotMatch(conversation.summary, /Hi Dana/);
+    });
+
+    it('removes conversations past the retention period', async () => {
+        const stale = await conversations.load('chat', 'stale');
+        await conversations.append(stale, 'Hi', 'Hello');
+        await storage.update('conversations', { id: stale.id }, { last_activity: '2000-01-01T00:00:00.000Z' });
+        await conversations.append(await conversations.load('chat', 'fresh'), 'Hi', 'Hello');
+
+        assert.equal(await conversations.cleanup(), 1);
+        assert.deepEqual((await storage.find('conversations')).map(row => row.conversation_key), ['fresh']);
+    });
+});
+
+describe('AICore.buildMessages', () => {
+    const ai = new AICore();
+
+    it('sends history before the new message with alternating roles', () => {
+        const messages = ai.buildMessages([
+            { role: 'assistant', content: 'Welcome!' },
+            { role: 'user', content: 'Hi' },
+            { role: 'user', content: 'Are you there?' },
+            { role: 'assistant', content: 'Yes, how can I help?' }
+        ], 'I need housing');
+
+        assert.deepEqual(messages, [
+            { role: 'user', content: 'Hi\n\nAre you there?' },
+            { role: 'assistant', content: 'Yes, how can I help?' },
+            { role: 'user', content: 'I need housing' }
+        ]);
+    });
+});
@@ -0,0 +1,149 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const SafetyClassifier = require('../src/ai/safety-classifier');
+const CrisisManager = require('../src/business/crisis-manager');
+const { createStorage } = require('../src/storage/storage');
+
+const RULES = require('../config/safety-rules.json');
+
+describe('SafetyClassifier', () => {
+    it('flags crisis and risk messages by rule and severity', async () => {
+        const classifier = new SafetyClassifier();
+
+        const suicide = await classifier.classify('Honestly I want to kill myself');
+        assert.deepEqual(
+            [suicide.category, suicide.severity, suicide.method, suicide.matched],
+            ['suicide', 'critical', 'rules', 'kill myself']
+        );
+        assert.equal((await classifier.classify('I don’t want to wake up anymore')).category, 'suicide');
+        assert.equal((await classifier.classify('I relapsed last night')).severity, 'elevated');
+        assert.equal((await classifier.classify('I relapsed and I want to die')).category, 'suicide');
+        assert.deepEqual(await classifier.classify('Can you help me find housing?'), { flagged: false });
+    });
+
+    it('refuses invalid rules', () => {
+        const config = {
+            ...RULES,
+            page_at: 'urgent',
+            rules: [{ id: 'broken', label: 'Broken', severity: 'high', response: 'missing', patterns: ['(unclosed'] }]
+        };
+
+        assert.throws(() => new SafetyClassifier({ config }), error => {
+            assert.match(error.message, /page_at must be one of elevated, high, critical/);
+            assert.match(error.message, /rules\[0\]\.response must name an entry in responses/);
+            assert.match(error.message, /rules\[0\] pattern \(unclosed is invalid/);
+            return true;
+        });
+    });
+
+    it('uses model scores only when enabled and confident', async () => {
+        const scores = { 'Everyone would be fine without me around': { category: 'suicide', confidence: 0.9 } };
+        const scoreWithModel = async text => {
+            if (text === 'boom') throw new Error('API down');
+            return scores[text] || { category: 'relapse', confidence: 0.4 };
+        };
+        const config = { ...RULES, model_scoring: { enabled: true, min_confidence: 0.7 } };
+        const classifier = new SafetyClassifier({ config, scoreWithModel });
+
+        const scored = await classifier.classify('Everyone would be fine without me around');
+        assert.deepEqual([scored.category, scored.method, scored.confidence], ['suicide', 'model', 0.9]);
+        assert.deepEqual(await classifier.classify('Thinking about a drink'), { flagged: false });
+        assert.equal((await classifier.classify('boom')).flagged, false);
+
+        const rulesOnly = new SafetyClassifier({ scoreWithModel });
+        assert.deepEqual(await rulesOnly.classify('Everyone would be fine without me around'), { flagged: false });
+    });
+});
+
+describe('CrisisManager', () => {
+    let storage;
+    let pages;
+    let crisis;
+
+    beforeEach(() => {
+        storage = createStorage({ backend: 'memory' });
+        pages = [];
+        crisis = new CrisisManager(storage, {
+            page: async incident => {
+                pages.push(incident);
+                return [{ channel: 'sms', to: '+15005550002', success: true, error: null }];
+            }
+        });
+    });
+
+    it('suppresses the AI, pages staff and logs a crisis', async () => {
+        const result = await crisis.screen('I am going to end my life tonight', {
+            channel: 'sms',
+            conversationKey: 'sms:+15550001111',
+            contact: '+15550001111'
+        });
+
+        assert.equal(result.suppress_ai, true);
+        assert.match(result.response, /call or text 988/);
+        assert.match(result.response, /call 911/);
+        assert.match(result.response, /Our team has been alerted/);
+        assert.equal(pages.length, 1);
+
+        await crisis.pagesSent();
+        const [incident] = await crisis.listIncidents({ status: 'open' });
+        assert.equal(incident.id, result.incident_id);
+        assert.equal(incident.category, 'suicide');
+        assert.equal(incident.paged, true);
+        assert.equal(incident.contact, '+15550001111');
+    });
+
+    it('lets the AI answer elevated risks without paging', async () => {
+        const result = await crisis.screen('I relapsed yesterday, can I still get a bed?', {
+            channel: 'chat',
+            conversationKey: 'chat:abc'
+        });
+
+        assert.equal(result.suppress_ai, false);
+        assert.match(result.response, /1-800-662-4357/);
+        assert.match(result.response, /\(310\) 488-5280/);
+        assert.doesNotMatch(result.response, /alerted/);
+        assert.equal(pages.length, 0);
+        assert.equal((await crisis.listIncidents()).length, 1);
+    });
+
+    it('updates the open incident for repeat messages and pages again only on escalation', async () => {
+        const options = { channel: 'sms', conversationKey: 'sms:+15550002222' };
+        await crisis.screen('I relapsed', options);
+        await crisis.screen('I am using again', options);
+        await crisis.screen('I think I overdosed', options);
+        await crisis.screen('I overdosed again', options);
+
+        const incidents = await crisis.listIncidents();
+        assert.equal(incidents.length, 1);
+        assert.equal(incidents[0].message_count, 4);
+        assert.equal(incidents[0].severity, 'critical');
+        assert.equal(incidents[0].last_message, 'I overdosed again');
+        assert.equal(pages.length, 1);
+    });
+
+    it('answers without waiting for the page and records a failed page', async () => {
+        let fail;
+        crisis.page = () => new Promise((resolve, reject) => { fail = reject; });
+
+        const result = await crisis.screen('I want to kill myself', { channel: 'chat', conversationKey: 'chat:page' });
+        assert.match(result.response, /call or text 988/);
+
+        fail(new Error('Twilio is down'));
+        await crisis.pagesSent();
+        const [incident] = await crisis.listIncidents();
+        assert.equal(incident.paged, false);
+    });
+
+    it('records staff follow-up', async () => {
+        const { incident_id: id } = await crisis.screen('He hits me every night', { channel: 'chat' });
+
+        assert.equal((await crisis.updateIncident(id, { status: 'closed' })).code, 'invalid_status');
+        assert.equal((await crisis.updateIncident('missing', { status: 'resolved' })).code, 'not_found');
+
+        const result = await crisis.updateIncident(id, { status: 'resolved', notes: 'Called back' }, 'case@fh.test');
+        assert.equal(result.incident.status, 'resolved');
+        assert.equal(result.incident.handled_by, 'case@fh.test');
+    });
+});
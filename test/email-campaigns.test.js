@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakes, freezeTime } = require('./helpers');
+
+const EnhancedEmailManager = require('../src/email/enhanced-email-manager');
+const ConsentManager = require('../src/business/consent-manager');
+const { createStorage } = require('../src/storage/storage');
+
+// Monday 10:00 local time - the veteran sequence's day-1 email is due at 10:00
+const NOW = new Date(2026, 0, 5, 10, 0, 0);
+const YESTERDAY = new Date(NOW.getTime() - 24 * 60 * 60 * 1000).toISOString();
+
+describe('EnhancedEmailManager.processCampaigns', () => {
+    let storage;
+    let consent;
+    let email;
+    let restoreTime;
+
+    async function addLead(fields) {
+        return storage.insert('leads', {
+            status: 'new',
+            opted_out: false,
+            created_at: YESTERDAY,
+            ...fields
+        });
+    }
+
+    beforeEach(async () => {
+        fakes.reset();
+        restoreTime = freezeTime(NOW);
+
+        storage = createStorage({ backend: 'memory' });
+        consent = new ConsentManager(storage);
+        email = new EnhancedEmailManager(storage, { consent });
+        email.delay = async () => {};
+        assert.equal(await email.initialize(), true);
+    });
+
+    afterEach(() => {
+        restoreTime();
+    });
+
+    it('sends the next due email in the lead\'s sequence and records it', async () => {
+        const lead = await addLead({ name: 'Maria Lopez', email: 'maria@example.com', is_veteran: true });
+
+        await email.processCampaigns();
+
+        assert.equal(fakes.nodemailer.sent.length, 1);
+        const [mail] = fakes.nodemailer.sent;
+        assert.equal(mail.to, 'maria@example.com');
+        assert.match(mail.subject, /VA Benefits/);
+        assert.match(mail.headers['List-Unsubscribe'],
+            /^<https:\/\/forward-horizon\.test\/api\/preferences\/.+\/unsubscribe>$/);
+        assert.match(mail.html, /Manage preferences or unsubscribe/);
+
+        const [sent] = await storage.find('lead_interactions', {
+            where: { lead_id: lead.id, interaction_type: 'email_sent' }
+        });
+        assert.equal(sent.interaction_data.template, 'veteran_benefits');
+        assert.equal(sent.interaction_data.messageId, mail.messageId);
+    });
+
+    it('does not send the same template twice', async () => {
+        await addLead({ name: 'Maria Lopez', email: 'maria@example.com', is_veteran: true });
+
+        await email.processCampaigns();
+        await email.processCampaigns();
+
+        assert.equal(fakes.nodemailer.sent.length, 1);
+    });
+
+    it('skips leads who unsubscribed from email', async () => {
+        const lead = await addLead({
+            name: 'Chris',
+            email: 'chris@example.com',
+            phone: '+15551112222',
+            is_veteran: true
+        });
+        await consent.record({ leadId: lead.id, channel: 'email', status: 'revoked', source: 'unsubscribe_link' });
+
+        await email.processCampaigns();
+
+        assert.equal(fakes.nodemailer.sent.length, 0);
+        assert.equal(email.stats.sent, 0);
+    });
+
+    it('only nurtures leads in the early pipeline stages', async () => {
+        await addLead({ name: 'Pat', email: 'pat@example.com', is_veteran: true, status: 'moved_in' });
+        await addLead({ name: 'Lee', email: 'lee@example.com', is_veteran: true, opted_out: true });
+
+        await email.processCampaigns();
+
+        assert.equal(fakes.nodemailer.sent.length, 0);
+    });
+
+    it('does nothing when email is not configured', async () => {
+        await addLead({ name: 'Maria Lopez', email: 'maria@example.com', is_veteran: true });
+        email.initialized = false;
+
+        await email.processCampaigns();
+
+        assert.equal(fakes.nodemailer.sent.length, 0);
+    });
+});
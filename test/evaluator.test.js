@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers');
+
+const Evaluator = require('../src/ai/evaluator');
+
+const { MockModel, RecordedModel, diffRuns, formatDiff } = Evaluator;
+
+describe('Evaluator', () => {
+    const dataset = Evaluator.loadDataset();
+
+    it('covers every category in the golden dataset and rejects invalid cases', () => {
+        const categories = new Set(dataset.cases.map(testCase => testCase.category));
+        assert.deepEqual([...categories].sort(), ['cost', 'crisis', 'off_topic', 'recovery', 'reentry', 'veteran']);
+
+        const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'fh-eval-')), 'dataset.json');
+        fs.writeFileSync(file, JSON.stringify({
+            cases: [
+                { id: 'a', messages: ['Hi'], checks: ['no_prices'] },
+                { id: 'a', messages: [], checks: ['sounds_nice'] }
+            ]
+        }));
+        assert.throws(() => Evaluator.loadDataset(file), /cases\[1\] needs a unique id; cases\[1\]\.messages.*checks/);
+        fs.rmSync(path.dirname(file), { recursive: true, force: true });
+    });
+
+    it('scores the AI and built-in replies, with crises answered by the safety screen', async () => {
+        const run = await new Evaluator({ model: new MockModel() }).run(dataset);
+
+        assert.equal(run.results.length, dataset.cases.length * 2);
+        assert.equal(run.summary.ai.passed, dataset.cases.length);
+
+        const crisis = run.results.find(result => result.case_id === 'crisis-suicidal' && result.target === 'builtin');
+        assert.equal(crisis.handled_by, 'safety');
+        assert.equal(crisis.checks.crisis_resources, true);
+
+        const multiTurn = run.results.find(result => result.case_id === 'veteran-multi-turn' && result.target === 'ai');
+        assert.match(multiTurn.response, /^Thanks for your service, Marcus/);
+
+        const cost = run.results.find(result => result.case_id === 'cost-monthly-rent' && result.target === 'builtin');
+        assert.deepEqual(cost.checks, { no_prices: true, offers_consultation: true, mentions_phone: false });
+    });
+
+    it('records model replies and replays them offline', async () => {
+        const cases = dataset.cases.filter(testCase => testCase.category === 'veteran');
+        const text = 'Call (310) 488-5280 to schedule a tour of our veteran housing.';
+        const live = { messages: { create: async () => ({ content: [{ type: 'text', text }] }) } };
+        const recorder = new RecordedModel({}, live);
+        await new Evaluator({ model: recorder }).run({ cases }, { targets: ['ai'] });
+        assert.deepEqual(Object.keys(recorder.recordings), [
+            'veteran-leaving-service#0', 'veteran-multi-turn#0', 'veteran-multi-turn#1'
+        ]);
+
+        const replayer = new Evaluator({ model: new RecordedModel(recorder.recordings) });
+        const replay = await replayer.run({ cases }, { targets: ['ai'] });
+        assert.equal(replay.summary.ai.passed, 2);
+
+        const missing = await new Evaluator({ model: new RecordedModel({}) }).run({ cases }, { targets: ['ai'] });
+        assert.equal(missing.results[0].error, 'No recorded reply for veteran-leaving-service#0');
+        assert.equal(missing.results[0].passed, false);
+    });
+
+    it('reports regressions and fixes between two runs', async () => {
+        const cases = dataset.cases.filter(testCase => testCase.category === 'cost');
+        const base = await new Evaluator().run({ cases }, { label: 'baseline' });
+        const reply = 'Rent is $650 per month. Call (310) 488-5280 to schedule a tour.';
+        const pricey = { name: 'pricey', create: async () => reply };
+        const head = await new Evaluator({ model: pricey }).run({ cases }, { label: 'candidate' });
+
+        const diff = diffRuns(base, head);
+        assert.equal(diff.regressions, 2);
+        const rent = diff.changes.find(change => change.case_id === 'cost-monthly-rent');
+        assert.deepEqual(rent.regressions, ['no_prices']);
+        assert.deepEqual(diff.pass_rates.ai, { before: 1, after: 0 });
+
+        const report = formatDiff(diff);
+        assert.match(report, /^# Evaluation diff: baseline -> candidate/);
+        assert.match(report, /\| ai \| 100% \| 0% \|/);
+        assert.match(report, /## ai \/ cost-monthly-rent \(changed\)\n- Regressed: no_prices/);
+
+        assert.deepEqual(diffRuns(base, base).changes, []);
+        assert.throws(() => new Evaluator({ systemPrompt: 'No safety section' }), /must include \{\{safety\}\}/);
+    });
+});
@@ -0,0 +1,105 @@
+/**
+ * Fake Anthropic SDK
+ * messages.create() answers from a replaceable responder and records every request;
+ * messages.stream() sends the same reply a word at a time
+ */
+
+const DEFAULT_REPLY = 'Thanks for reaching out to Forward Horizon. How can I help you today?';
+
+const requests = [];
+const streams = [];
+let responder = () => DEFAULT_REPLY;
+
+/**
+ * Stand-in for the SDK's MessageStream: emits 'text' per word, stops when
+ * its signal aborts, and records whether it finished or was aborted
+ */
+class MessageStream {
+    constructor(message, signal) {
+        this.listeners = { text: [] };
+        this.ended = false;
+        this.aborted = false;
+        this.result = this.run(message, signal).finally(() => { this.ended = true; });
+        this.result.catch(() => {});
+    }
+
+    on(event, listener) {
+        (this.listeners[event] = this.listeners[event] || []).push(listener);
+        return this;
+    }
+
+    async run(message, signal) {
+        const response = await message;
+        const words = response.content
+            .filter(block => block.type === 'text')
+            .flatMap(block => block.text.match(/\S+\s*/g) || []);
+
+        for (const word of words) {
+            await new Promise(resolve => setTimeout(resolve, 1));
+            if (signal && signal.aborted) {
+                this.aborted = true;
+                const error = new Error('Request was aborted.');
+                error.name = 'APIUserAbortError';
+                throw error;
+            }
+            this.listeners.text.forEach(listener => listener(word));
+        }
+        return response;
+    }
+
+    finalMessage() {
+        return this.result;
+    }
+}
+
+class Anthropic {
+    constructor(options = {}) {
+        this.apiKey = options.apiKey;
+        this.messages = {
+            stream: (params, options = {}) => {
+                const stream = new MessageStream(this.messages.create(params), options.signal);
+                streams.push(stream);
+                return stream;
+            },
+            create: async (params) => {
+                requests.push(params);
+                const reply = await responder(params);
+
+                if (reply instanceof Error) throw reply;
+
+                const content = typeof reply === 'string' ? [{ type: 'text', text: reply }] : reply;
+                return {
+                    id: `msg_test_${requests.length}`,
+                    type: 'message',
+                    role: 'assistant',
+                    model: params.model,
+                    content,
+                    stop_reason: content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn',
+                    usage: { input_tokens: 10, output_tokens: 20 }
+                };
+            }
+        };
+    }
+
+    /**
+     * Replace the responder; it receives the request params and returns
+     * reply text, an array of content blocks or an Error to throw
+     */
+    static respond(fn) {
+        responder = fn;
+    }
+
+    static reset() {
+        requests.length = 0;
+        streams.length = 0;
+        responder = () => DEFAULT_REPLY;
+    }
+}
+
+Anthropic.requests = requests;
+Anthropic.streams = streams;
+Anthropic.DEFAULT_REPLY = DEFAULT_REPLY;
+Anthropic.default = Anthropic;
+Anthropic.Anthropic = Anthropic;
+
+module.exports = Anthropic;
@@ -0,0 +1,56 @@
+/**
+ * Fake googleapis
+ * OAuth2 clients and a Calendar API whose events live in memory
+ */
+
+const events = [];
+
+let sequence = 0;
+
+class OAuth2 {
+    constructor(clientId, clientSecret, redirectUri) {
+        this.clientId = clientId;
+        this.clientSecret = clientSecret;
+        this.redirectUri = redirectUri;
+        this.credentials = {};
+    }
+
+    setCredentials(credentials) {
+        this.credentials = credentials;
+    }
+}
+
+function calendar() {
+    return {
+        calendarList: {
+            list: async () => ({ data: { items: [{ id: 'primary', summary: 'Forward Horizon' }] } })
+        },
+        events: {
+            insert: async ({ calendarId, resource, requestBody }) => {
+                sequence++;
+                const event = { id: `evt_${sequence}`, calendarId, ...(resource || requestBody) };
+                events.push(event);
+                return { data: event };
+            },
+            delete: async ({ eventId }) => {
+                const index = events.findIndex(event => event.id === eventId);
+                if (index !== -1) events.splice(index, 1);
+                return { data: '' };
+            },
+            list: async () => ({ data: { items: [...events] } })
+        }
+    };
+}
+
+function reset() {
+    events.length = 0;
+}
+
+module.exports = {
+    google: {
+        auth: { OAuth2 },
+        calendar
+    },
+    events,
+    reset
+};
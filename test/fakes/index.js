@@ -0,0 +1,57 @@
+/**
+ * Offline Fakes
+ * Routes require() of every external service SDK to an in-process fake, so the
+ * agent runs end to end without network access or credentials.
+ *
+ * The hook sits on Module._load rather than require.cache because
+ * EnhancedEmailManager clears nodemailer from the cache and requires it again.
+ */
+
+const Module = require('module');
+
+const twilio = require('./twilio');
+const nodemailer = require('./nodemailer');
+const Anthropic = require('./anthropic');
+const googleapis = require('./googleapis');
+const supabase = require('./supabase');
+
+const FAKES = {
+    'twilio': twilio,
+    'nodemailer': nodemailer,
+    '@anthropic-ai/sdk': Anthropic,
+    'googleapis': googleapis,
+    '@supabase/supabase-js': supabase
+};
+
+let originalLoad = null;
+
+function install() {
+    if (originalLoad) return;
+
+    originalLoad = Module._load;
+    Module._load = function (request, parent, isMain) {
+        if (Object.prototype.hasOwnProperty.call(FAKES, request)) {
+            return FAKES[request];
+        }
+        return originalLoad.call(this, request, parent, isMain);
+    };
+}
+
+/**
+ * Clear everything the fakes have recorded
+ */
+function reset() {
+    for (const fake of Object.values(FAKES)) {
+        fake.reset();
+    }
+}
+
+module.exports = {
+    install,
+    reset,
+    twilio,
+    nodemailer,
+    Anthropic,
+    googleapis,
+    supabase
+};
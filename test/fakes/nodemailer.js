@@ -0,0 +1,37 @@
+/**
+ * Fake nodemailer
+ * Transports accept every message and keep it in `sent` instead of talking SMTP
+ */
+
+const sent = [];
+const transports = [];
+
+let sequence = 0;
+
+function createTransport(options = {}) {
+    const transport = {
+        options,
+        verify: async () => true,
+        sendMail: async (mail) => {
+            sequence++;
+            const messageId = `<test-${sequence}@forward-horizon.test>`;
+            sent.push({ ...mail, messageId });
+            return { messageId, accepted: [mail.to], rejected: [], response: '250 OK' };
+        }
+    };
+
+    transports.push(transport);
+    return transport;
+}
+
+function reset() {
+    sent.length = 0;
+    transports.length = 0;
+}
+
+module.exports = {
+    createTransport,
+    sent,
+    transports,
+    reset
+};
@@ -0,0 +1,288 @@
+/**
+ * Fake Supabase client
+ * An in-memory stand-in for the PostgREST query builder used by SupabaseStorage.
+ * Rows get an id and timestamps like the database defaults, comparisons follow
+ * SQL NULL semantics, and embedded relations (`lead_interactions (*)`) are joined
+ * through `<parent>_id`.
+ */
+
+const crypto = require('crypto');
+
+const clients = [];
+
+function clone(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function isNull(value) {
+    return value === null || value === undefined;
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+}
+
+class QueryBuilder {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.payload = null;
+        this.returning = false;
+        this.filters = [];
+        this.ordering = [];
+        this.window = null;
+        this.expectSingle = false;
+    }
+
+    select(columns = '*') {
+        this.columns = columns;
+        this.returning = true;
+        return this;
+    }
+
+    insert(records) {
+        this.action = 'insert';
+        this.payload = Array.isArray(records) ? records : [records];
+        return this;
+    }
+
+    update(changes) {
+        this.action = 'update';
+        this.payload = changes;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(predicate) {
+        this.filters.push(predicate);
+        return this;
+    }
+
+    eq(column, value) {
+        return this.filter(row => !isNull(row[column]) && row[column] === value);
+    }
+
+    neq(column, value) {
+        return this.filter(row => !isNull(row[column]) && row[column] !== value);
+    }
+
+    in(column, values) {
+        return this.filter(row => !isNull(row[column]) && values.includes(row[column]));
+    }
+
+    is(column, value) {
+        return this.filter(row => (value === null ? isNull(row[column]) : row[column] === value));
+    }
+
+    not(column, operator, value) {
+        switch (operator) {
+            case 'is':
+                return this.filter(row => (value === null ? !isNull(row[column]) : row[column] !== value));
+            case 'eq':
+                return this.neq(column, value);
+            default:
+                throw new Error(`Fake Supabase does not support not.${operator}`);
+        }
+    }
+
+    lt(column, value) {
+        return this.filter(row => !isNull(row[column]) && compare(row[column], value) < 0);
+    }
+
+    lte(column, value) {
+        return this.filter(row => !isNull(row[column]) && compare(row[column], value) <= 0);
+    }
+
+    gt(column, value) {
+        return this.filter(row => !isNull(row[column]) && compare(row[column], value) > 0);
+    }
+
+    gte(column, value) {
+        return this.filter(row => !isNull(row[column]) && compare(row[column], value) >= 0);
+    }
+
+    textSearch(column, query) {
+        const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+        return this.filter(row => {
+            const text = String(row[column] || '').toLowerCase();
+            return words.every(word => text.includes(word));
+        });
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.ordering.push({ column, ascending });
+        return this;
+    }
+
+    range(from, to) {
+        this.window = { from, to };
+        return this;
+    }
+
+    single() {
+        this.expectSingle = true;
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve()
+            .then(() => this.execute())
+            .then(resolve, reject);
+    }
+
+    execute() {
+        const failure = this.client.takeFailure(this.table);
+        if (failure) {
+            return { data: null, error: { message: failure } };
+        }
+
+        let rows;
+        switch (this.action) {
+            case 'insert':
+                rows = this.runInsert();
+                break;
+            case 'update':
+                rows = this.runUpdate();
+                break;
+            case 'delete':
+                rows = this.runDelete();
+                break;
+            default:
+                rows = this.runSelect();
+        }
+
+        if (this.action !== 'select' && !this.returning) {
+            return { data: null, error: null };
+        }
+
+        const data = rows.map(row => this.embed(clone(row)));
+
+        if (this.expectSingle) {
+            if (data.length !== 1) {
+                return { data: null, error: { message: 'JSON object requested, multiple (or no) rows returned' } };
+            }
+            return { data: data[0], error: null };
+        }
+
+        return { data, error: null };
+    }
+
+    matching() {
+        return this.client.rows(this.table).filter(row => this.filters.every(predicate => predicate(row)));
+    }
+
+    runInsert() {
+        const now = new Date().toISOString();
+        return this.payload.map(record => {
+            const row = { id: crypto.randomUUID(), created_at: now, updated_at: now, ...clone(record) };
+            this.client.rows(this.table).push(row);
+            return row;
+        });
+    }
+
+    runUpdate() {
+        const now = new Date().toISOString();
+        return this.matching().map(row => Object.assign(row, clone(this.payload), { updated_at: now }));
+    }
+
+    runDelete() {
+        const removed = this.matching();
+        const remaining = this.client.rows(this.table).filter(row => !removed.includes(row));
+        this.client.tables.set(this.table, remaining);
+        return removed;
+    }
+
+    runSelect() {
+        let rows = this.matching();
+
+        for (const { column, ascending } of [...this.ordering].reverse()) {
+            rows = [...rows].sort((a, b) => {
+                // Postgres sorts NULLs last ascending and first descending
+                if (isNull(a[column]) || isNull(b[column])) {
+                    return (isNull(a[column]) - isNull(b[column])) * (ascending ? 1 : -1);
+                }
+                return compare(a[column], b[column]) * (ascending ? 1 : -1);
+            });
+        }
+
+        if (this.window) {
+            rows = rows.slice(this.window.from, this.window.to + 1);
+        }
+
+        return rows;
+    }
+
+    embed(row) {
+        const foreignKey = `${this.table.replace(/s$/, '')}_id`;
+        for (const [, relation] of this.columns.matchAll(/(\w+)\s*\(\*\)/g)) {
+            row[relation] = clone(this.client.rows(relation).filter(child => child[foreignKey] === row.id));
+        }
+        return row;
+    }
+}
+
+class FakeSupabaseClient {
+    constructor(url, key) {
+        this.url = url;
+        this.key = key;
+        this.tables = new Map();
+        this.sql = [];
+        this.failures = new Map();
+    }
+
+    rows(table) {
+        if (!this.tables.has(table)) {
+            this.tables.set(table, []);
+        }
+        return this.tables.get(table);
+    }
+
+    from(table) {
+        return new QueryBuilder(this, table);
+    }
+
+    async rpc(fn, params) {
+        if (fn !== 'exec_sql') {
+            return { data: null, error: { message: `Could not find the function public.${fn}` } };
+        }
+        this.sql.push(params.sql);
+        return { data: null, error: null };
+    }
+
+    /**
+     * Make the next request against a table return a PostgREST error
+     */
+    failNext(table, message) {
+        this.failures.set(table, message);
+    }
+
+    takeFailure(table) {
+        const message = this.failures.get(table);
+        this.failures.delete(table);
+        return message;
+    }
+}
+
+function createClient(url, key) {
+    const client = new FakeSupabaseClient(url, key);
+    clients.push(client);
+    return client;
+}
+
+function reset() {
+    clients.length = 0;
+}
+
+module.exports = {
+    createClient,
+    FakeSupabaseClient,
+    clients,
+    reset
+};
@@ -0,0 +1,81 @@
+/**
+ * Fake Twilio client
+ * Records outbound messages and calls instead of reaching the Twilio API.
+ * Webhook signatures use the SDK's own helpers, which make no API calls.
+ */
+
+const webhooks = require('twilio/lib/webhooks/webhooks');
+
+const state = {
+    messages: [],
+    calls: [],
+    failure: null
+};
+
+let sequence = 0;
+
+function nextSid(prefix) {
+    sequence++;
+    return `${prefix}${String(sequence).padStart(32, '0')}`;
+}
+
+async function create(collection, prefix, params) {
+    if (state.failure) {
+        const error = state.failure;
+        state.failure = null;
+        throw error;
+    }
+
+    const record = {
+        sid: nextSid(prefix),
+        status: 'queued',
+        dateCreated: new Date(),
+        ...params
+    };
+    collection.push(record);
+    return record;
+}
+
+function twilio(accountSid, authToken) {
+    return {
+        accountSid,
+        authToken,
+        messages: {
+            create: params => create(state.messages, 'SM', params),
+            list: async ({ to, from, limit } = {}) => state.messages
+                .filter(message => (!to || message.to === to) && (!from || message.from === from))
+                .slice(0, limit)
+        },
+        calls: {
+            create: params => create(state.calls, 'CA', params)
+        },
+        lookups: {
+            v1: {
+                phoneNumbers: phoneNumber => ({
+                    fetch: async () => ({ phoneNumber })
+                })
+            }
+        }
+    };
+}
+
+/**
+ * Make the next API call reject, like a Twilio error response
+ */
+twilio.failNext = function (message, code = 21211) {
+    state.failure = Object.assign(new Error(message), { code, status: 400 });
+};
+
+twilio.reset = function () {
+    state.messages.length = 0;
+    state.calls.length = 0;
+    state.failure = null;
+};
+
+twilio.validateRequest = webhooks.validateRequest;
+twilio.getExpectedTwilioSignature = webhooks.getExpectedTwilioSignature;
+
+twilio.messages = state.messages;
+twilio.calls = state.calls;
+
+module.exports = twilio;
@@ -0,0 +1,166 @@
+/**
+ * Test Helpers
+ * Installs the offline fakes, pins a test environment and starts agents on a
+ * free port. Require this before anything from src/.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const fakes = require('./fakes');
+
+fakes.install();
+
+// Tests that edit the business profile write to a private copy, never to config/
+const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fh-profile-'));
+const profilePath = path.join(profileDir, 'business-profile.json');
+fs.copyFileSync(path.join(__dirname, '../config/business-profile.json'), profilePath);
+process.on('exit', () => fs.rmSync(profileDir, { recursive: true, force: true }));
+
+Object.assign(process.env, {
+    NODE_ENV: 'test',
+    DOTENV_CONFIG_QUIET: 'true',
+    LOG_LEVEL: 'error',
+    STORAGE_BACKEND: 'memory',
+    AUTO_MIGRATE: 'false',
+    FIELD_ENCRYPTION_KEY: '0123456789abcdef'.repeat(4),
+    TWILIO_ACCOUNT_SID: 'ACtest00000000000000000000000000',
+    TWILIO_AUTH_TOKEN: 'test-auth-token',
+    TWILIO_PHONE_NUMBER: '+15005550006',
+    BUSINESS_OWNER_PHONE: '+15005550001',
+    SAFETY_ONCALL_PHONES: '+15005550002',
+    SAFETY_ONCALL_EMAILS: 'oncall@forward-horizon.test',
+    EMAIL_USER: 'agent@forward-horizon.test',
+    EMAIL_PASS: 'test-password',
+    ANTHROPIC_API_KEY: 'sk-ant-REDACTED',
+    GOOGLE_CLIENT_ID: 'test-client-id',
+    GOOGLE_CLIENT_SECRET: 'test-client-secret',
+    GOOGLE_REFRESH_TOKEN: 'test-refresh-token',
+    ADMIN_EMAIL: 'admin@forward-horizon.test',
+    ADMIN_PASSWORD: 'test-admin-password',
+    BASE_URL: 'https://forward-horizon.test',
+    BUSINESS_PROFILE_PATH: profilePath
+});
+
+for (const name of ['ENABLED_MODULES', 'DISABLED_MODULES', 'SENSITIVE_DATA_CONSUMERS', 'FIELD_ENCRYPTION_OLD_KEYS',
+    'SUPABASE_URL', 'SUPABASE_SERVICE_ROLE_KEY', 'SUPABASE_ANON_KEY', 'AUTO_RESPOND_LEADS', 'SAFETY_MODEL_SCORING']) {
+    delete process.env[name];
+}
+
+const ForwardHorizonAIAgent = require('../src/agent');
+const { createStorage } = require('../src/storage/storage');
+
+// Analytics and CRM start intervals that would keep the test process alive
+const TEST_MODULES = ['chat', 'sms', 'voice', 'calendar', 'campaigns'];
+
+/**
+ * Start an agent on a free port, backed by in-memory storage by default
+ */
+async function startAgent(options = {}) {
+    fakes.reset();
+
+    const storage = options.storage || createStorage({ backend: 'memory' });
+    const agent = new ForwardHorizonAIAgent({
+        port: 0,
+        storage,
+        // Every test request comes from the same address
+        rateLimit: 1000,
+        modules: { enabled: options.modules || TEST_MODULES }
+    });
+
+    if (!(await agent.initialize())) {
+        throw new Error('Agent failed to initialize');
+    }
+
+    const server = await agent.listen();
+    if (!server.listening) {
+        await once(server, 'listening');
+    }
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        agent,
+        storage,
+        baseUrl,
+        request: (method, route, body) => request(baseUrl, method, route, body),
+        login: (email, password) => login(baseUrl, email, password),
+        stop: () => agent.shutdown()
+    };
+}
+
+/**
+ * Send a request and decode the response. `json` is sent as a JSON body,
+ * `form` url-encoded and signed like a Twilio webhook, `token` as a bearer
+ * token and `headers` as given (overriding the signature).
+ */
+async function request(baseUrl, method, route, { json, form, token, headers: extra = {} } = {}) {
+    const headers = {};
+    let payload;
+
+    if (form) {
+        headers['Content-Type'] = 'application/x-www-form-urlencoded';
+        headers['X-Twilio-Signature'] = fakes.twilio.getExpectedTwilioSignature(
+            process.env.TWILIO_AUTH_TOKEN, `${process.env.BASE_URL}${route}`, form);
+        payload = new URLSearchParams(form).toString();
+    } else if (json !== undefined) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(json);
+    }
+
+    if (token) {
+        headers.Authorization = `Bearer ${token}`;
+    }
+    Object.assign(headers, extra);
+
+    const response = await fetch(`${baseUrl}${route}`, { method, headers, body: payload, redirect: 'manual' });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+
+    return {
+        status: response.status,
+        headers: response.headers,
+        body: isJson && text ? JSON.parse(text) : text
+    };
+}
+
+async function login(baseUrl, email = process.env.ADMIN_EMAIL, password = process.env.ADMIN_PASSWORD) {
+    const response = await request(baseUrl, 'POST', '/api/auth/login', { json: { email, password } });
+    if (response.status !== 200) {
+        throw new Error(`Login failed for ${email}: ${response.status}`);
+    }
+    return response.body.token;
+}
+
+/**
+ * Pin `new Date()` and Date.now() to a fixed moment; returns a function that
+ * restores the real clock. Timers keep running in real time.
+ */
+function freezeTime(now) {
+    const RealDate = Date;
+    const fixed = new RealDate(now).getTime();
+
+    class FrozenDate extends RealDate {
+        constructor(...args) {
+            super(...(args.length > 0 ? args : [fixed]));
+        }
+
+        static now() {
+            return fixed;
+        }
+    }
+
+    global.Date = FrozenDate;
+    return () => {
+        global.Date = RealDate;
+    };
+}
+
+module.exports = {
+    fakes,
+    startAgent,
+    request,
+    freezeTime,
+    TEST_MODULES
+};
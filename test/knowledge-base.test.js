@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const KnowledgeBase = require('../src/ai/knowledge-base');
+const AICore = require('../src/ai/ai-core');
+const { createStorage } = require('../src/storage/storage');
+
+describe('KnowledgeBase', () => {
+    let knowledge;
+
+    beforeEach(() => {
+        knowledge = new KnowledgeBase(createStorage({ backend: 'memory' }));
+    });
+
+    it('chunks the shipped markdown and JSON documents by heading', async () => {
+        const stats = await knowledge.reindex();
+        assert.equal(stats.documents, 4);
+
+        const documents = await knowledge.listDocuments();
+        assert.deepEqual(documents.map(document => document.id), ['admissions', 'faq', 'house-rules', 'programs']);
+
+        const faq = await knowledge.getDocument('faq');
+        assert.equal(faq.title, 'Frequently Asked Questions');
+        assert.equal(faq.source, 'file');
+
+        const [passage] = await knowledge.search('Is there a cost for housing?');
+        assert.equal(passage.document_id, 'faq');
+        assert.equal(passage.heading, 'Is there a cost for housing services?');
+        assert.match(passage.text, /payment plans/);
+    });
+
+    it('ranks the passage that matches the question first', async () => {
+        const [rules] = await knowledge.search('What happens after a relapse?');
+        assert.equal(rules.document_id, 'house-rules');
+
+        const [veterans] = await knowledge.search('VA benefits for veterans');
+        assert.equal(veterans.heading, 'Veteran Transitional Housing');
+
+        assert.deepEqual(await knowledge.search('the and of'), []);
+    });
+
+    it('lets stored documents override and extend the files', async () => {
+        const saved = await knowledge.saveDocument('faq', {
+            format: 'json',
+            content: JSON.stringify({
+                title: 'Updated FAQ',
+                faqs: [{ question: 'Do you allow pets?', answer: 'Service animals only.' }]
+            })
+        }, 'admin@forward-horizon.test');
+
+        assert.equal(saved.success, true);
+        assert.equal(saved.document.source, 'admin');
+        assert.equal(saved.document.passages, 1);
+        assert.equal((await knowledge.search('pets allowed'))[0].text, 'Service animals only.');
+        const costs = await knowledge.search('payment plans cost');
+        assert.ok(costs.every(passage => passage.document_id !== 'faq'));
+
+        const removed = await knowledge.removeDocument('faq');
+        assert.equal(removed.document.source, 'file');
+        assert.equal((await knowledge.removeDocument('faq')).code, 'not_found');
+    });
+
+    it('rejects unusable documents', async () => {
+        const cases = [
+            ['Bad Id', { content: '# Title' }, /Document id/],
+            ['rules', { format: 'pdf', content: 'x' }, /format/],
+            ['rules', { content: '   ' }, /content is required/],
+            ['rules', { format: 'json', content: '{' }, /not valid JSON/],
+            ['rules', { format: 'json', content: '{"items": []}' }, /"faqs" list/]
+        ];
+
+        for (const [id, document, error] of cases) {
+            const result = await knowledge.saveDocument(id, document);
+            assert.equal(result.code, 'invalid_document');
+            assert.match(result.error, error);
+        }
+    });
+
+    it('splits long sections on paragraphs', () => {
+        const paragraph = 'Residents attend weekly house meetings. '.repeat(20).trim();
+        const passages = knowledge.chunk({
+            id: 'meetings',
+            title: 'Meetings',
+            format: 'markdown',
+            source: 'admin',
+            content: `# Meetings\n\nIntro.\n\n## Weekly\n\n${paragraph}\n\n${paragraph}\n\n` +
+                '### Missed meetings\n\nTalk to staff.'
+        });
+
+        assert.deepEqual(passages.map(passage => [passage.id, passage.heading]), [
+            ['meetings#1', 'Meetings'],
+            ['meetings#2', 'Weekly'],
+            ['meetings#3', 'Weekly'],
+            ['meetings#4', 'Weekly > Missed meetings']
+        ]);
+    });
+
+    it('cites passages in the prompt and lists the cited sources', () => {
+        const ai = new AICore();
+        const passages = [
+            { document_id: 'faq', title: 'FAQ', heading: 'Cost', text: 'Payment plans are available.' },
+            { document_id: 'house-rules', title: 'House Rules', heading: 'Curfew', text: 'Curfew is 10pm.' }
+        ];
+
+        const prompt = ai.buildSystemPrompt({ knowledge: passages, channel: 'chat' });
+        assert.match(prompt, /\[1\] FAQ > Cost \(faq\)\nPayment plans are available\./);
+        assert.match(prompt, /Cite the passages you use by number/);
+        assert.match(ai.buildSystemPrompt({ knowledge: passages, channel: 'sms' }), /Do not include citation numbers/);
+
+        assert.equal(
+            ai.appendSources('Curfew is at 10pm [2].', { knowledge: passages, channel: 'chat' }),
+            'Curfew is at 10pm [2].\n\nSources: [2] House Rules - Curfew'
+        );
+        assert.equal(ai.appendSources('No citation.', { knowledge: passages, channel: 'chat' }), 'No citation.');
+    });
+});
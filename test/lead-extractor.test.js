@@ -0,0 +1,117 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakes, freezeTime } = require('./helpers');
+
+const LeadExtractor = require('../src/ai/lead-extractor');
+const AICore = require('../src/ai/ai-core');
+
+// Monday 5 January 2026
+const NOW = new Date(2026, 0, 5, 12, 0, 0);
+
+describe('LeadExtractor rules', () => {
+    const extractor = new LeadExtractor();
+    let restoreTime;
+
+    before(() => {
+        restoreTime = freezeTime(NOW);
+    });
+
+    after(() => {
+        restoreTime();
+    });
+
+    const extract = async (text) => (await extractor.extract(text)).fields;
+
+    it('pulls contact details out of a chat', async () => {
+        const fields = await extract('Hi, my name is dana smith and I need help. ' +
+            'You can email me at Dana.S@example.com or call (555) 123-4567.');
+
+        assert.deepEqual(fields, { name: 'Dana Smith', email: 'Dana.S@example.com', phone: '+15551234567' });
+    });
+
+    it('detects programs, housing status, timeline and household', async () => {
+        const fields = await extract('This is Marcus. I got out of prison last month and I am homeless. ' +
+            'Need a place next week for me and my 2 kids.');
+
+        assert.deepEqual(fields, {
+            name: 'Marcus',
+            is_reentry: true,
+            housing_status: 'homeless',
+            currently_homeless: true,
+            move_in_date: '2026-01-12',
+            household_size: 3,
+            has_family: true
+        });
+    });
+
+    it('ignores negated mentions and non-name words after "I\'m"', async () => {
+        const fields = await extract('I\'m not a veteran, I\'m looking for sober living in about two weeks. Just me.');
+
+        assert.deepEqual(fields, {
+            in_recovery: true,
+            move_in_date: '2026-01-19',
+            household_size: 1,
+            has_family: false
+        });
+    });
+
+    it('resolves month names to the next occurrence', async () => {
+        const fields = await extract('Facing eviction, we need to move by March 15. Family of four.');
+
+        assert.equal(fields.move_in_date, '2026-03-15');
+        assert.equal(fields.eviction_risk, true);
+        assert.equal(fields.household_size, 4);
+    });
+});
+
+describe('LeadExtractor with the AI core', () => {
+    let ai;
+    let restoreTime;
+
+    beforeEach(async () => {
+        fakes.reset();
+        restoreTime = freezeTime(NOW);
+        ai = new AICore();
+        await ai.initialize();
+    });
+
+    after(() => {
+        restoreTime();
+    });
+
+    it('validates what Claude extracts', async () => {
+        fakes.Anthropic.respond(() => JSON.stringify({
+            name: 'Sam Rivera',
+            email: 'sam@invented.example',
+            phone: '555 222 3333',
+            programs: ['veteran', 'astronaut'],
+            housing_status: 'at_risk',
+            move_in_date: '2026-02-01',
+            household_size: 'two'
+        }));
+
+        const { fields, method } = await new LeadExtractor(ai)
+            .extract('Sam Rivera here, army vet, landlord wants me out by February. Text 555-222-3333.');
+
+        assert.equal(method, 'ai');
+        assert.deepEqual(fields, {
+            name: 'Sam Rivera',
+            phone: '+15552223333',
+            is_veteran: true,
+            housing_status: 'at_risk',
+            eviction_risk: true,
+            move_in_date: '2026-02-01'
+        });
+        const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+        assert.match(request.system, /Today is 2026-01-05/);
+    });
+
+    it('falls back to the rules when the reply is not JSON', async () => {
+        fakes.Anthropic.respond(() => 'Sorry, I cannot help with that.');
+
+        const { fields, method } = await new LeadExtractor(ai).extract('My name is Dana, I am a veteran.');
+
+        assert.equal(method, 'rules');
+        assert.deepEqual(fields, { name: 'Dana', is_veteran: true });
+    });
+});
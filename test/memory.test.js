@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const Memory = require('../src/memory/memory');
+const { HashingEmbedder, cosineSimilarity } = require('../src/memory/embeddings');
+const { createStorage } = require('../src/storage/storage');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('Memory search', () => {
+    let storage;
+    let memory;
+
+    const age = async (stored, days) => {
+        const createdAt = new Date(Date.now() - days * DAY).toISOString();
+        await storage.update('agent_memories', { id: stored.id }, { created_at: createdAt });
+    };
+
+    beforeEach(async () => {
+        storage = createStorage({ backend: 'memory' });
+        memory = new Memory(storage);
+        await memory.initialize();
+    });
+
+    it('embeds memories when they are stored and keeps vectors out of results', async () => {
+        const stored = await memory.store('Tour booked for Tuesday', 'action', 'medium');
+        assert.equal(stored.embedding, undefined);
+
+        const [row] = await storage.find('agent_memories');
+        assert.equal(row.embedding_model, 'hashing-256');
+        assert.equal(row.embedding.length, 256);
+
+        const [result] = await memory.search('tour booked');
+        assert.equal(result.content, 'Tour booked for Tuesday');
+        assert.equal(result.embedding, undefined);
+        assert.ok(result.score > 0);
+    });
+
+    it('finds related wording that shares no exact keyword', async () => {
+        const embedder = new HashingEmbedder();
+        const [query, related, unrelated] = await embedder.embed([
+            'applying for sober housing',
+            'Asked how the application for sobriety housing works',
+            'Printer in the office is out of toner'
+        ]);
+        assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+
+        await memory.store('Printer in the office is out of toner', 'system');
+        await memory.store('Asked about the application process for sobriety programs', 'conversation');
+
+        const results = await memory.search('applying to sober living');
+        assert.deepEqual(results.map(result => result.content), [
+            'Asked about the application process for sobriety programs'
+        ]);
+    });
+
+    it('ranks equally relevant memories by importance and recency', async () => {
+        const old = await memory.store('Veteran asked about VA benefits', 'lead', 'medium');
+        await age(old, 60);
+        await memory.store('Veteran asked about VA benefits again', 'lead', 'medium');
+        await memory.store('Veteran asked about VA benefits (flagged)', 'lead', 'critical');
+
+        const results = await memory.search('veteran VA benefits');
+        assert.deepEqual(results.map(result => result.content), [
+            'Veteran asked about VA benefits (flagged)',
+            'Veteran asked about VA benefits again',
+            'Veteran asked about VA benefits'
+        ]);
+    });
+
+    it('favors the current lead and can leave out other conversations', async () => {
+        await memory.store('User message: do you have beds open?', 'conversation', 'medium', {
+            conversation_key: 'sms:+15550001111'
+        });
+        await memory.store('User message: do you have beds open this week?', 'conversation', 'medium', {
+            conversation_key: 'sms:+15550002222',
+            lead_id: 'lead-2'
+        });
+        await memory.store('Beds open at the veterans house', 'business', 'medium');
+
+        const boosted = await memory.search('beds open', 10, null, { leadId: 'lead-2' });
+        assert.equal(boosted[0].metadata.lead_id, 'lead-2');
+
+        const own = await memory.search('beds open', 10, null, {
+            conversationKey: 'sms:+15550001111',
+            ownConversationOnly: true
+        });
+        assert.deepEqual(own.map(result => result.content).sort(), [
+            'Beds open at the veterans house',
+            'User message: do you have beds open?'
+        ]);
+    });
+
+    it('re-embeds memories from another embedder and works without one', async () => {
+        await memory.store('Follow up with Dana about move-in', 'action');
+
+        const calls = [];
+        const embedder = {
+            name: 'test-embedder',
+            dimensions: 2,
+            embed: async texts => {
+                calls.push(texts);
+                return texts.map(text => (text.includes('move') ? [1, 0] : [0, 1]));
+            }
+        };
+        const custom = new Memory(storage, { embedder });
+        await custom.initialize();
+
+        const [result] = await custom.search('move-in date');
+        assert.equal(result.content, 'Follow up with Dana about move-in');
+        assert.deepEqual(calls, [['move-in date', 'Follow up with Dana about move-in']]);
+
+        const keywordOnly = new Memory(storage, { embedder: null });
+        await keywordOnly.initialize();
+        assert.equal((await keywordOnly.search('Dana')).length, 1);
+        assert.deepEqual(await keywordOnly.search('apartment'), []);
+    });
+});
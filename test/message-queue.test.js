@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const MessageQueue = require('../src/automation/message-queue');
+const { createStorage } = require('../src/storage/storage');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('MessageQueue', () => {
+    it('sends each due message once when several instances poll the same store', async () => {
+        const storage = createStorage({ backend: 'memory' });
+        const sent = [];
+        const send = async message => {
+            sent.push(message.body);
+            return { success: true, messageId: `SM${sent.length}` };
+        };
+        const first = new MessageQueue(storage, { send, instanceId: 'web-1' });
+        const second = new MessageQueue(storage, { send, instanceId: 'web-2' });
+
+        await first.schedule({ to: '+15551230001', body: 'Due now', sendAt: new Date(Date.now() - 1000) });
+        await first.schedule({ to: '+15551230001', body: 'Tomorrow', sendAt: new Date(Date.now() + 24 * HOUR) });
+
+        const counts = await Promise.all([first.processDue(), second.processDue()]);
+        assert.equal(counts[0] + counts[1], 1);
+        assert.deepEqual(sent, ['Due now']);
+
+        const [delivered] = await first.list({ status: 'sent' });
+        assert.equal(delivered.message_sid, 'SM1');
+        assert.equal(delivered.attempts, 1);
+
+        // The later message goes out once its time comes
+        assert.equal(await second.processDue(new Date(Date.now() + 25 * HOUR)), 1);
+        assert.deepEqual(sent, ['Due now', 'Tomorrow']);
+    });
+
+    it('retries failed sends and gives up after the last attempt or a permanent failure', async () => {
+        const storage = createStorage({ backend: 'memory' });
+        const queue = new MessageQueue(storage, {
+            send: async message => (message.recipient === '+15551230002'
+                ? { success: false, code: 'no_consent', error: 'Recipient has not consented to SMS' }
+                : { success: false, error: 'Twilio unavailable' })
+        });
+
+        const { message } = await queue.schedule({ to: '+15551230001', body: 'Hi', sendAt: new Date() });
+        await queue.schedule({ to: '+15551230002', body: 'Hi', sendAt: new Date() });
+
+        let later = new Date();
+        for (let attempt = 1; attempt <= 3; attempt++) {
+            later = new Date(later.getTime() + HOUR);
+            await queue.processDue(later);
+        }
+
+        const failed = await queue.list({ status: 'failed' });
+        const retried = failed.find(failure => failure.id === message.id);
+        assert.equal(retried.attempts, 3);
+        assert.equal(retried.last_error, 'Twilio unavailable');
+
+        const refused = failed.find(failure => failure.id !== message.id);
+        assert.equal(refused.attempts, 1);
+        assert.equal(refused.last_error, 'Recipient has not consented to SMS');
+    });
+
+    it('cancels pending messages by reference without touching others', async () => {
+        const queue = new MessageQueue(createStorage({ backend: 'memory' }), { send: async () => ({ success: true }) });
+        const reminder = { to: '+15551230001', sendAt: new Date(Date.now() + HOUR), kind: 'appointment_reminder' };
+
+        await queue.schedule({ ...reminder, body: 'A', reference: 'apt_1' });
+        await queue.schedule({ ...reminder, body: 'B', reference: 'apt_1' });
+        await queue.schedule({ ...reminder, body: 'C', reference: 'apt_2' });
+
+        assert.equal(await queue.cancel({ reference: 'apt_1' }), 2);
+        assert.deepEqual((await queue.list({ status: 'pending' })).map(message => message.body), ['C']);
+        await assert.rejects(() => queue.cancel({}), /needs a leadId, reference or kind/);
+    });
+});
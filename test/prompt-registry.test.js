@@ -0,0 +1,108 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const PromptRegistry = require('../src/ai/prompt-registry');
+const AICore = require('../src/ai/ai-core');
+const { createStorage } = require('../src/storage/storage');
+
+const SYSTEM = 'You help {{business_name}} on {{channel_name}}.\n{{safety}}';
+
+describe('PromptRegistry', () => {
+    let storage;
+    let prompts;
+
+    beforeEach(() => {
+        storage = createStorage({ backend: 'memory' });
+        prompts = new PromptRegistry(storage);
+    });
+
+    it('uses the built-in template until a version is active', async () => {
+        const prompt = await prompts.choose('assistant_system', { channel: 'chat' });
+        assert.equal(prompt.version, 0);
+
+        const ai = new AICore({ prompts });
+        const system = ai.buildSystemPrompt({ channel: 'chat' }, prompt);
+        assert.match(system, /^You are Horizon AI, an intelligent business assistant for Forward Horizon/);
+        assert.doesNotMatch(system, /\{\{/);
+
+        await prompts.createVersion('assistant_system', { template: 'Draft {{safety}}' });
+        assert.equal((await prompts.choose('assistant_system')).version, 0);
+
+        assert.equal(prompts.render('Hi {{name}}{{missing}}', { name: 'Sam' }), 'Hi Sam');
+    });
+
+    it('rejects versions with unknown variables or without the safety section', async () => {
+        const unknown = await prompts.createVersion('assistant_system', { template: SYSTEM });
+        assert.equal(unknown.code, 'invalid_prompt');
+        assert.match(unknown.error, /Unknown variables: channel_name/);
+
+        const unsafe = await prompts.createVersion('assistant_system', { template: 'You help {{business_name}}.' });
+        assert.match(unsafe.error, /must include \{\{safety\}\}/);
+
+        const weight = await prompts.createVersion('lead_analysis', { template: 'Lead {{name}}', weight: 150 });
+        assert.match(weight.error, /weight must be a whole number/);
+
+        const channel = await prompts.createVersion('lead_analysis', { template: 'Lead {{name}}', channel: 'fax' });
+        assert.match(channel.error, /channel must be one of/);
+
+        assert.equal((await prompts.createVersion('nonexistent', { template: 'x' })).code, 'not_found');
+        assert.equal((await prompts.updateVersion('lead_analysis', 9, { weight: 10 })).code, 'not_found');
+    });
+
+    it('serves channel variants and splits traffic by weight per conversation', async () => {
+        const first = await prompts.createVersion('assistant_system', { template: 'A {{safety}}', weight: 50 });
+        const second = await prompts.createVersion('assistant_system', { template: 'B {{safety}}', weight: 50 });
+        const sms = await prompts.createVersion('assistant_system', {
+            template: 'Text {{safety}}',
+            channel: 'sms',
+            weight: 100
+        });
+        assert.deepEqual([first, second, sms].map(result => result.version.version), [1, 2, 3]);
+
+        const text = await prompts.choose('assistant_system', { channel: 'sms', conversationKey: 'sms:1' });
+        assert.equal(text.version, 3);
+
+        const picks = [];
+        for (let i = 0; i < 40; i++) {
+            const prompt = await prompts.choose('assistant_system', { channel: 'chat', conversationKey: `chat:${i}` });
+            picks.push(prompt.version);
+        }
+        assert.ok(picks.includes(1) && picks.includes(2));
+        assert.ok(picks.every(version => version === 1 || version === 2));
+
+        // The same conversation keeps its version
+        const again = await prompts.choose('assistant_system', { channel: 'chat', conversationKey: 'chat:7' });
+        assert.equal(again.version, picks[7]);
+
+        const updated = await prompts.updateVersion('assistant_system', 2, { weight: 0 }, 'admin@forward-horizon.test');
+        assert.equal(updated.version.updated_by, 'admin@forward-horizon.test');
+        for (let i = 0; i < 10; i++) {
+            assert.equal((await prompts.choose('assistant_system', { conversationKey: `chat:${i}` })).version, 1);
+        }
+    });
+
+    it('credits outcomes to the version that last replied, once per conversation', async () => {
+        const { version } = await prompts.createVersion('assistant_system', { template: 'A {{safety}}', weight: 100 });
+
+        await prompts.recordServed(version, { channel: 'chat', conversationKey: 'chat:a' });
+        await prompts.recordServed(version, { channel: 'chat', conversationKey: 'chat:a' });
+        await prompts.recordServed(version, { channel: 'chat', conversationKey: 'chat:b' });
+        await prompts.recordServed(prompts.builtIn('assistant_system'), { channel: 'chat', conversationKey: 'chat:c' });
+
+        assert.ok(await prompts.recordOutcome('chat:a', 'lead_created'));
+        assert.equal(await prompts.recordOutcome('chat:a', 'lead_created'), null);
+        await prompts.recordOutcome('chat:a', 'appointment_booked');
+        await prompts.recordOutcome('chat:c', 'escalated');
+        assert.equal(await prompts.recordOutcome('chat:unknown', 'escalated'), null);
+        await assert.rejects(prompts.recordOutcome('chat:a', 'clicked'), /Unknown prompt outcome/);
+
+        const [builtIn, first] = await prompts.getMetrics('assistant_system');
+        assert.deepEqual(builtIn.outcomes, { lead_created: 0, appointment_booked: 0, escalated: 1 });
+        assert.equal(first.version, 1);
+        assert.equal(first.responses, 3);
+        assert.equal(first.conversations, 2);
+        assert.deepEqual(first.outcomes, { lead_created: 1, appointment_booked: 1, escalated: 0 });
+        assert.equal(first.rates.lead_created, 0.5);
+    });
+});
@@ -0,0 +1,969 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakes, startAgent } = require('./helpers');
+const LeadScoring = require('../src/campaigns/lead-scoring');
+
+// Server-sent events in a response body as { event, data }
+function parseEvents(body) {
+    return body.split('\n\n').filter(Boolean).map(block => {
+        const [event, data] = block.split('\n').map(line => line.slice(line.indexOf(':') + 2));
+        return { event, data: JSON.parse(data) };
+    });
+}
+
+describe('Express routes', () => {
+    let server;
+    let adminToken;
+
+    before(async () => {
+        server = await startAgent();
+        adminToken = await server.login();
+    });
+
+    after(async () => {
+        await server.stop();
+    });
+
+    describe('lead intake', () => {
+        let lead;
+
+        it('captures a lead, emails a welcome and texts the owner and the lead', async () => {
+            const response = await server.request('POST', '/api/leads', {
+                json: { name: 'Maria Lopez', email: 'maria@example.com', phone: '+15551234567', is_veteran: true }
+            });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, { success: true, merged: false, needs_review: false });
+            lead = await server.storage.findOne('leads', { where: { email_normalized: 'maria@example.com' } });
+
+            assert.deepEqual(fakes.nodemailer.sent.map(mail => mail.to), ['maria@example.com']);
+            assert.match(fakes.nodemailer.sent[0].subject, /Welcome to Forward Horizon/);
+            assert.deepEqual(fakes.twilio.messages.map(message => message.to).sort(),
+                ['+15005550001', '+15551234567']);
+        });
+
+        it('queues a repeat submission for review without revealing the existing lead', async () => {
+            const response = await server.request('POST', '/api/leads', {
+                json: { name: 'Maria Lopez', email: 'MARIA@example.com', message: 'Following up' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body, { success: true, merged: false, needs_review: true });
+            const [review] = await server.storage.find('lead_match_reviews', { where: { candidate_id: lead.id } });
+            assert.equal(review.status, 'pending');
+            const unchanged = await server.storage.findOne('leads', { where: { id: lead.id } });
+            assert.equal(unchanged.updated_at, lead.updated_at);
+        });
+
+        it('rejects a lead without an email', async () => {
+            const response = await server.request('POST', '/api/leads', { json: { name: 'No Email' } });
+
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, 'Name and email required');
+        });
+
+        it('lists leads for signed-in staff only', async () => {
+            assert.equal((await server.request('GET', '/api/leads')).status, 401);
+
+            const response = await server.request('GET', '/api/leads', { token: adminToken });
+            assert.equal(response.status, 200);
+            const emails = response.body.map(row => row.email.toLowerCase());
+            assert.deepEqual(emails, ['maria@example.com', 'maria@example.com']);
+        });
+
+        it('refuses status changes from read-only staff', async () => {
+            await server.agent.auth.createUser({
+                email: 'viewer@forward-horizon.test',
+                password: 'viewer-password',
+                role: 'read-only'
+            });
+            const token = await server.login('viewer@forward-horizon.test', 'viewer-password');
+
+            const response = await server.request('POST', `/api/leads/${lead.id}/status`, {
+                token,
+                json: { status: 'contacted' }
+            });
+
+            assert.equal(response.status, 403);
+        });
+
+        it('serves the lead\'s public preferences page data', async () => {
+            const token = await server.agent.consent.getPreferencesToken(lead);
+
+            const response = await server.request('GET', `/api/preferences/${token}`);
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.name, 'Maria');
+            assert.equal(response.body.channels.email.subscribed, true);
+        });
+    });
+
+    describe('SMS webhook', () => {
+        it('answers inbound texts with TwiML', async () => {
+            const response = await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15552223333', Body: 'Hi, do you have housing available?' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/xml/);
+            assert.match(response.body, /<Response>\s*<Message>.+<\/Message>/s);
+        });
+
+        it('carries the earlier texts from the same number into the AI reply', async () => {
+            fakes.Anthropic.respond(() => 'We have veteran beds open. When would you like to move in?');
+            await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15556667777', Body: 'I am a veteran looking for a room' }
+            });
+
+            const response = await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15556667777', Body: 'Next week if possible' }
+            });
+
+            assert.match(response.body, /veteran beds open/);
+            const { messages, system } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+            assert.match(messages[0].content, /I am a veteran looking for a room/);
+            assert.match(system, /text message conversation/);
+        });
+
+        it('honours STOP before any further texts are sent', async () => {
+            const textsTo = () => fakes.twilio.messages.filter(message => message.to === '+15552223333').length;
+            await server.request('POST', '/api/sms/webhook', { form: { From: '+15552223333', Body: 'STOP' } });
+            const sentBefore = textsTo();
+
+            const sms = await server.agent.getSMS();
+            const result = await sms.sendSMS('+15552223333', 'Are you still looking for housing?');
+
+            assert.equal(result.success, false);
+            assert.equal(result.code, 'no_consent');
+            assert.equal(textsTo(), sentBefore);
+        });
+
+        it('keeps texting people who only mention stop in a message', async () => {
+            await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15552224444', Body: 'When does the bus stop near the house?' }
+            });
+
+            const sms = await server.agent.getSMS();
+            const result = await sms.sendSMS('+15552224444', 'The 12 stops at the corner every 20 minutes.');
+
+            assert.equal(result.success, true);
+        });
+    });
+
+    describe('voice webhooks', () => {
+        it('turns a completed call into a phone lead', async () => {
+            const call = { CallSid: 'CA200', From: '+15554445555', To: '+15005550006' };
+
+            const incoming = await server.request('POST', '/api/voice/incoming', { form: call });
+            assert.match(incoming.body, /Thank you for calling Forward Horizon/);
+
+            fakes.Anthropic.respond(() => 'We can help you with housing & support. What is your name?');
+            const gather = await server.request('POST', '/api/voice/gather', {
+                form: { CallSid: 'CA200', SpeechResult: 'I need housing as soon as possible', Confidence: '0.9' }
+            });
+            assert.match(gather.body, /help you with housing &amp; support/);
+
+            const status = await server.request('POST', '/api/voice/status', {
+                form: { CallSid: 'CA200', CallDuration: '64', CallStatus: 'completed' }
+            });
+            assert.equal(status.status, 204);
+
+            const lead = await server.storage.findOne('leads', { where: { phone_normalized: '+15554445555' } });
+            assert.equal(lead.source, 'phone_call');
+        });
+
+        it('books a tour through the IVR, keeping the call state between webhooks', async () => {
+            const gather = form => server.request('POST', '/api/voice/gather', { form: { CallSid: 'CA300', ...form } });
+            await server.request('POST', '/api/voice/incoming', {
+                form: { CallSid: 'CA300', From: '+15557770000', To: '+15005550006' }
+            });
+
+            assert.match((await gather({ Digits: '1' })).body, /what is your name/);
+            await gather({ SpeechResult: 'Taylor Brooks', Confidence: '0.9' });
+            assert.match((await gather({ Digits: '3105550199' })).body, /The next open tour is/);
+            const booked = await gather({ Digits: '1' });
+            assert.match(booked.body, /booked for a property tour/);
+
+            const call = await server.storage.findOne('voice_calls', { where: { call_sid: 'CA300' } });
+            assert.equal(call.node, 'goodbye');
+            assert.equal(call.variables.callback_number, '+13105550199');
+            const lead = await server.storage.findOne('leads', { where: { phone_normalized: '+13105550199' } });
+            assert.equal(lead.name, 'Taylor Brooks');
+            assert.equal(lead.status, 'appointment_set');
+
+            const whisper = await server.request('POST', '/api/voice/whisper', {
+                form: { CallSid: 'CA301', ParentCallSid: 'CA300' }
+            });
+            assert.match(whisper.body, /Call from Taylor Brooks/);
+        });
+    });
+
+    describe('webhook verification', () => {
+        it('refuses Twilio webhooks without a valid signature', async () => {
+            const aiRequests = fakes.Anthropic.requests.length;
+            const form = { From: '+15554446666', Body: 'Do you have housing available?' };
+
+            const forged = await server.request('POST', '/api/sms/webhook', {
+                form,
+                headers: { 'X-Twilio-Signature': fakes.twilio.getExpectedTwilioSignature('wrong-token', '', form) }
+            });
+            assert.equal(forged.status, 403);
+
+            const unsigned = await server.request('POST', '/api/voice/incoming', {
+                form: { CallSid: 'CA403', From: '+15554446666' },
+                headers: { 'X-Twilio-Signature': '' }
+            });
+            assert.equal(unsigned.status, 403);
+
+            assert.equal(fakes.Anthropic.requests.length, aiRequests);
+            assert.equal(await server.storage.findOne('sms_threads', { where: { contact: '+15554446666' } }), null);
+        });
+
+        it('handles a retried Twilio message once and replays its reply', async () => {
+            fakes.Anthropic.respond(() => 'We have rooms open this week. When can you visit?');
+            const form = { MessageSid: 'SM0000000000000000000000retry', From: '+15554447777', Body: 'I need housing' };
+
+            const first = await server.request('POST', '/api/sms/webhook', { form });
+            const aiRequests = fakes.Anthropic.requests.length;
+            const retry = await server.request('POST', '/api/sms/webhook', { form });
+
+            assert.equal(retry.status, 200);
+            assert.equal(retry.body, first.body);
+            assert.match(retry.body, /rooms open this week/);
+            assert.equal(fakes.Anthropic.requests.length, aiRequests);
+
+            const leads = await server.storage.find('leads', { where: { phone_normalized: '+15554447777' } });
+            assert.equal(leads.length, 1);
+            const event = await server.storage.findOne('webhook_events', {
+                where: { provider: 'twilio', event_id: form.MessageSid }
+            });
+            assert.equal(event.status, 'processed');
+        });
+
+        it('holds a call retried while its first delivery is still running', async () => {
+            await server.agent.webhookEvents.claim('twilio', 'idem-gather-1');
+
+            const retry = await server.request('POST', '/api/voice/gather', {
+                form: { CallSid: 'CA777', SpeechResult: 'Do you take pets?', Confidence: '0.9' },
+                headers: { 'I-Twilio-Idempotency-Token': 'idem-gather-1' }
+            });
+
+            // Twilio asks again after the pause, by then getting the first delivery's stored reply
+            const redirect = '<Redirect method="POST">/api/voice/gather?webhook_event=idem-gather-1</Redirect>';
+            assert.match(retry.body, /<Pause length="1"\/>/);
+            assert.ok(retry.body.includes(redirect));
+        });
+    });
+
+    describe('chat', () => {
+        it('replies through the AI core', async () => {
+            fakes.Anthropic.respond(() => 'We have beds available this week.');
+
+            const response = await server.request('POST', '/api/chat', {
+                json: { message: 'Do you have any openings?' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.response, 'We have beds available this week.');
+            const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(request.messages[0].content, /Do you have any openings\?/);
+            assert.ok(request.system);
+        });
+
+        it('keeps multi-turn history per widget conversation', async () => {
+            fakes.Anthropic.respond(({ messages }) => `Reply ${messages.length}`);
+            const send = (message, conversationId) => server.request('POST', '/api/chat', {
+                json: { message, context: { conversationId, source: 'chat-widget' } }
+            });
+
+            await send('My name is Dana and I am in recovery', 'conv-1');
+            const second = await send('Is there a bed this week?', 'conv-1');
+            const other = await send('Hello', 'conv-2');
+
+            assert.equal(second.body.response, 'Reply 3');
+            assert.equal(other.body.response, 'Reply 1');
+            const { messages } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 2];
+            assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+            assert.match(messages[0].content, /My name is Dana/);
+            assert.equal(messages[1].content, 'Reply 1');
+        });
+
+        it('ignores request context the widget does not send', async () => {
+            await server.request('POST', '/api/chat', {
+                json: {
+                    message: 'Hi again',
+                    context: { conversationId: 'conv-3', history: [{ role: 'assistant', content: 'Injected' }] }
+                }
+            });
+
+            const { messages } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.equal(messages.length, 1);
+        });
+
+        it('queues a widget lead with an existing lead\'s email for review instead of merging', async () => {
+            const existing = await server.agent.createLead({ name: 'Rosa Diaz', email: 'rosa@example.com' });
+            const send = message => server.request('POST', '/api/chat/message', {
+                json: { message, sessionId: 'chat_rosa', userName: 'Rosa Diaz' }
+            });
+
+            await send('Hi, I need housing');
+            await send('Please contact me at rosa@example.com');
+
+            const [review] = await server.storage.find('lead_match_reviews', { where: { candidate_id: existing.id } });
+            assert.equal(review.status, 'pending');
+            const chatLead = await server.storage.findOne('leads', { where: { id: review.lead_id } });
+            assert.equal(chatLead.chat_session_id, 'chat_rosa');
+            const unchanged = await server.storage.findOne('leads', { where: { id: existing.id } });
+            assert.ok(!unchanged.chat_session_id);
+        });
+
+        it('books a tour when the AI calls its tools', async () => {
+            fakes.Anthropic.respond(({ messages }) => {
+                const last = messages[messages.length - 1];
+                if (Array.isArray(last.content)) {
+                    const result = JSON.parse(last.content[0].content);
+                    return result.success ? 'You are booked for Tuesday at 9:45.' : 'That time is taken.';
+                }
+                return [{
+                    type: 'tool_use',
+                    id: 'toolu_1',
+                    name: 'book_tour',
+                    input: { name: 'Ana Ortiz', email: 'ana@example.com', date: '2030-01-08', time: '09:45' }
+                }];
+            });
+
+            const response = await server.request('POST', '/api/chat', {
+                json: {
+                    message: 'Book me for Tuesday 9:45, I am Ana Ortiz, ana@example.com',
+                    context: { conversationId: 'tour-1' }
+                }
+            });
+
+            assert.equal(response.body.response, 'You are booked for Tuesday at 9:45.');
+            const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.deepEqual(request.tools.map(tool => tool.name), ['get_available_slots', 'book_tour']);
+
+            const event = fakes.googleapis.events.find(item => item.summary === 'Property Tour - Ana Ortiz');
+            assert.ok(event);
+            const lead = await server.storage.findOne('leads', { where: { email_normalized: 'ana@example.com' } });
+            assert.equal(lead.status, 'appointment_set');
+            assert.equal(lead.source, 'website_chat');
+
+            const [call] = await server.agent.tools.getCalls({ tool: 'book_tour' });
+            assert.equal(call.success, true);
+            assert.equal(call.channel, 'chat');
+            assert.equal(call.conversation_key, 'chat:tour-1');
+        });
+
+        it('queues a visitor booking with an existing lead\'s email for review instead of merging', async () => {
+            const existing = await server.agent.createLead({ name: 'Sam Reyes', email: 'sam@example.com' });
+            fakes.Anthropic.respond(({ messages }) => {
+                const last = messages[messages.length - 1];
+                if (Array.isArray(last.content)) return 'You are booked for Tuesday at 11:15.';
+                return [{
+                    type: 'tool_use',
+                    id: 'toolu_2',
+                    name: 'book_tour',
+                    input: { name: 'Sam Reyes', email: 'sam@example.com', date: '2030-01-08', time: '11:15' }
+                }];
+            });
+
+            await server.request('POST', '/api/chat', {
+                json: { message: 'Book me for Tuesday 11:15, I am Sam Reyes', context: { conversationId: 'tour-2' } }
+            });
+
+            const unchanged = await server.storage.findOne('leads', { where: { id: existing.id } });
+            assert.equal(unchanged.status, 'new');
+            const [review] = await server.storage.find('lead_match_reviews', { where: { candidate_id: existing.id } });
+            assert.equal(review.status, 'pending');
+            const booked = await server.storage.findOne('leads', { where: { id: review.lead_id } });
+            assert.equal(booked.status, 'appointment_set');
+        });
+
+        it('gives the AI relevant memories, never other visitors\' messages', async () => {
+            await server.request('POST', '/api/memory', {
+                token: adminToken,
+                json: { content: 'Pet policy: only service animals are allowed', type: 'business', importance: 'high' }
+            });
+            await server.request('POST', '/api/chat', {
+                json: { message: 'My pet iguana needs a home too', context: { conversationId: 'pets-1' } }
+            });
+
+            await server.request('POST', '/api/chat', {
+                json: { message: 'Can I bring my pet dog?', context: { conversationId: 'pets-2' } }
+            });
+
+            const { system } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(system, /Relevant memories: Pet policy: only service animals are allowed/);
+            assert.doesNotMatch(system, /iguana/);
+        });
+
+        it('rejects an empty message', async () => {
+            const response = await server.request('POST', '/api/chat', { json: { message: '' } });
+
+            assert.equal(response.status, 400);
+        });
+
+        it('streams the widget reply as server-sent events', async () => {
+            fakes.Anthropic.respond(() => 'We have beds available this week.');
+
+            const response = await server.request('POST', '/api/chat/stream', {
+                json: { message: 'Do you have any openings?' }
+            });
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+            const events = parseEvents(response.body);
+            const tokens = events.filter(event => event.event === 'token').map(event => event.data.text);
+            assert.deepEqual(tokens, ['We ', 'have ', 'beds ', 'available ', 'this ', 'week.']);
+
+            const { sessionId } = events[0].data;
+            assert.deepEqual(events[events.length - 1], {
+                event: 'done',
+                data: { response: 'We have beds available this week.', sessionId }
+            });
+            const session = await server.request('GET', `/api/chat/session/${sessionId}`);
+            assert.equal(session.body.messageCount, 2);
+        });
+
+        it('saves exactly the streamed text when the AI uses tools before replying', async () => {
+            fakes.Anthropic.respond(({ messages }) => {
+                if (Array.isArray(messages[messages.length - 1].content)) return 'Tuesday at 9:00 is open.';
+                return [
+                    { type: 'text', text: 'Let me check the calendar.' },
+                    { type: 'tool_use', id: 'toolu_3', name: 'get_available_slots', input: { date: '2030-01-08' } }
+                ];
+            });
+            const streamed = [];
+
+            const reply = await server.agent.processWebChatMessage('Any tours on Tuesday?', {
+                channel: 'chat',
+                conversation: { channel: 'chat', id: 'stream-tools' },
+                onText: text => streamed.push(text)
+            });
+
+            assert.equal(streamed.join(''), 'Let me check the calendar.\n\nTuesday at 9:00 is open.');
+            assert.equal(reply, streamed.join(''));
+            const conversation = await server.agent.conversations.load('chat', 'stream-tools');
+            const [, saved] = server.agent.conversations.getHistory(conversation);
+            assert.equal(saved.content, reply);
+        });
+
+        it('cancels the AI reply when the visitor closes the stream', async () => {
+            fakes.Anthropic.respond(() => 'Our programs include '.repeat(200));
+            const controller = new AbortController();
+
+            const response = await fetch(`${server.baseUrl}/api/chat/stream`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message: 'Tell me about every program' }),
+                signal: controller.signal
+            });
+            const reader = response.body.getReader();
+            let received = '';
+            while (!received.includes('event: token')) {
+                received += Buffer.from((await reader.read()).value).toString();
+            }
+            controller.abort();
+
+            const stream = fakes.Anthropic.streams[fakes.Anthropic.streams.length - 1];
+            while (!stream.ended) await new Promise(resolve => setTimeout(resolve, 5));
+            assert.equal(stream.aborted, true);
+
+            const { sessionId } = parseEvents(received)[0].data;
+            const conversation = await server.agent.conversations.load('chat', sessionId);
+            assert.deepEqual(server.agent.conversations.getHistory(conversation), []);
+        });
+    });
+
+    describe('staff assistant', () => {
+        it('acts with the signed-in user\'s permissions and is audited', async () => {
+            const lead = await server.storage.findOne('leads', { where: { email_normalized: 'maria@example.com' } });
+            fakes.Anthropic.respond(({ messages, tools }) => {
+                if (Array.isArray(messages[messages.length - 1].content)) return 'Done.';
+                assert.ok(tools.some(tool => tool.name === 'update_lead_status'));
+                return [{
+                    type: 'tool_use',
+                    id: 'toolu_2',
+                    name: 'update_lead_status',
+                    input: { lead_id: lead.id, status: 'lost', reason: 'Found housing elsewhere' }
+                }];
+            });
+
+            assert.equal((await server.request('POST', '/api/assistant', { json: { message: 'x' } })).status, 401);
+            const response = await server.request('POST', '/api/assistant', {
+                token: adminToken,
+                json: { message: 'Mark Maria as lost, she found housing elsewhere' }
+            });
+
+            assert.equal(response.body.response, 'Done.');
+            const updated = await server.storage.findOne('leads', { where: { id: lead.id } });
+            assert.equal(updated.status, 'lost');
+
+            const audit = await server.request('GET', '/api/ai/tool-calls?tool=update_lead_status', {
+                token: adminToken
+            });
+            assert.equal(audit.status, 200);
+            assert.equal(audit.body[0].actor, 'admin@forward-horizon.test');
+            assert.equal(audit.body[0].input.reason, 'Found housing elsewhere');
+        });
+    });
+
+    describe('calendar', () => {
+        it('lists open days and closes on Sundays', async () => {
+            const response = await server.request('GET', '/api/calendar/slots?date=2030-01-06T12:00:00&days=2');
+
+            assert.equal(response.status, 200);
+            assert.deepEqual(response.body.map(day => day.dayName), ['monday']);
+        });
+
+        it('books an appointment on Google Calendar', async () => {
+            const eventsBefore = fakes.googleapis.events.length;
+            const response = await server.request('POST', '/api/calendar/book', {
+                json: {
+                    leadData: { name: 'Sam Rivera', email: 'sam@example.com' },
+                    slot: { date: '2030-01-07', time: '10:00' }
+                }
+            });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.body.status, 'confirmed');
+            assert.equal(fakes.googleapis.events.length, eventsBefore + 1);
+            const event = fakes.googleapis.events[eventsBefore];
+            assert.equal(event.summary, 'Property Tour - Sam Rivera');
+            assert.equal(response.body.googleEventId, event.id);
+        });
+
+        it('only moves the booked lead to appointment set for signed-in staff', async () => {
+            const lead = await server.agent.createLead({ name: 'Lee Park', email: 'lee@example.com' });
+            const book = (time, token) => server.request('POST', '/api/calendar/book', {
+                token,
+                json: { leadData: { id: lead.id, name: 'Someone Else' }, slot: { date: '2030-01-09', time } }
+            });
+
+            assert.equal((await book('10:00')).status, 200);
+            assert.equal((await server.storage.findOne('leads', { where: { id: lead.id } })).status, 'new');
+
+            await book('11:00', adminToken);
+            assert.equal((await server.storage.findOne('leads', { where: { id: lead.id } })).status, 'appointment_set');
+        });
+
+        it('queues reminder texts for a booking and cancels them with the appointment', async () => {
+            const response = await server.request('POST', '/api/calendar/book', {
+                json: {
+                    leadData: { name: 'Ana Reyes', email: 'ana@example.com', phone: '+15551239876' },
+                    slot: { date: '2030-01-08', time: '14:00' }
+                }
+            });
+            assert.equal(response.status, 200);
+
+            const reminders = await server.agent.messageQueue.list({ reference: response.body.id });
+            assert.equal(reminders.length, 2);
+            assert.deepEqual(reminders.map(reminder => reminder.status), ['pending', 'pending']);
+            assert.match(reminders[0].body, /is in 24 hours/);
+
+            const calendar = await server.agent.getCalendar();
+            const cancelled = await calendar.cancelAppointment(response.body.id);
+            assert.equal(cancelled.remindersCancelled, 2);
+            const pending = await server.agent.messageQueue.list({ reference: response.body.id, status: 'pending' });
+            assert.equal(pending.length, 0);
+        });
+    });
+
+    describe('business profile', () => {
+        it('is public to read and only admins can edit it', async () => {
+            const profile = await server.request('GET', '/api/business/profile');
+            assert.equal(profile.status, 200);
+            assert.equal(profile.body.contacts.phone, '(310) 488-5280');
+
+            await server.agent.auth.createUser({
+                email: 'case@forward-horizon.test',
+                password: 'case-password',
+                role: 'case-manager'
+            });
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+            const refused = await server.request('PATCH', '/api/business/profile', {
+                token,
+                json: { name: 'Someone Else' }
+            });
+            assert.equal(refused.status, 403);
+
+            const invalid = await server.request('PATCH', '/api/business/profile', {
+                token: adminToken,
+                json: { hours: { monday: { start: '17:00', end: '09:00' } } }
+            });
+            assert.equal(invalid.status, 400);
+            assert.deepEqual(invalid.body.errors, ['hours.monday must start before it ends']);
+        });
+
+        it('applies edits to AI prompts and tour slots', async () => {
+            const response = await server.request('PATCH', '/api/business/profile', {
+                token: adminToken,
+                json: {
+                    contacts: { phone: '(555) 010-2000' },
+                    holidays: [{ date: '2030-01-07', name: 'Staff training' }]
+                }
+            });
+            assert.equal(response.status, 200);
+
+            const slots = await server.request('GET', '/api/calendar/slots?date=2030-01-06T12:00:00&days=2');
+            assert.deepEqual(slots.body, []);
+
+            await server.request('POST', '/api/chat', { json: { message: 'What is your phone number?' } });
+            const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(request.system, /Phone: \(555\) 010-2000/);
+            assert.match(request.system, /Office hours: Monday-Friday 9am-5pm and Saturday 10am-2pm/);
+        });
+    });
+
+    describe('knowledge base', () => {
+        it('injects relevant passages with citations into the chat prompt', async () => {
+            fakes.Anthropic.respond(() => 'Payment plans are available [1].');
+
+            const response = await server.request('POST', '/api/chat', {
+                json: { message: 'How much does housing cost?' }
+            });
+
+            const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(request.system, /KNOWLEDGE BASE:\n\[1\] Frequently Asked Questions > Is there a cost/);
+            assert.match(response.body.response, /Sources: \[1\] Frequently Asked Questions - Is there a cost/);
+        });
+
+        it('lets admins add documents that the AI then answers from', async () => {
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+            const refused = await server.request('PUT', '/api/knowledge/curfew', {
+                token,
+                json: { content: '# Curfew\n\nResidents are home by 10pm.' }
+            });
+            assert.equal(refused.status, 403);
+
+            const invalid = await server.request('PUT', '/api/knowledge/curfew', {
+                token: adminToken,
+                json: { format: 'json', content: '{' }
+            });
+            assert.equal(invalid.status, 400);
+            assert.equal(invalid.body.code, 'invalid_document');
+
+            const saved = await server.request('PUT', '/api/knowledge/curfew', {
+                token: adminToken,
+                json: { content: '# Curfew\n\nResidents are home by 10pm on weeknights.' }
+            });
+            assert.equal(saved.status, 200);
+            assert.equal(saved.body.document.updated_by, 'admin@forward-horizon.test');
+
+            const search = await server.request('GET', '/api/knowledge/search?q=curfew', { token });
+            assert.equal(search.body.passages[0].document_id, 'curfew');
+
+            await server.request('POST', '/api/chat', { json: { message: 'What time is curfew?' } });
+            const request = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(request.system, /\[1\] Curfew > Curfew \(curfew\)\nResidents are home by 10pm/);
+
+            const removed = await server.request('DELETE', '/api/knowledge/curfew', { token: adminToken });
+            assert.equal(removed.status, 200);
+            const missing = await server.request('GET', '/api/knowledge/curfew', { token });
+            assert.equal(missing.status, 404);
+        });
+    });
+
+    describe('prompt registry', () => {
+        it('serves a new chat prompt version and reports its outcomes', async () => {
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+            const template = 'PILOT PROMPT for {{business_name}}\n{{knowledge}}{{safety}}';
+            const refused = await server.request('POST', '/api/prompts/assistant_system/versions', {
+                token,
+                json: { template, channel: 'chat', weight: 100 }
+            });
+            assert.equal(refused.status, 403);
+
+            const created = await server.request('POST', '/api/prompts/assistant_system/versions', {
+                token: adminToken,
+                json: { template, channel: 'chat', weight: 100, description: 'Shorter chat prompt' }
+            });
+            assert.equal(created.status, 200);
+            assert.equal(created.body.version, 1);
+
+            fakes.Anthropic.respond(() => 'Happy to help.');
+            await server.request('POST', '/api/chat', {
+                json: { message: 'Do you have beds open?', context: { conversationId: 'pilot-1' } }
+            });
+            const { system } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(system, /^PILOT PROMPT for Forward Horizon/);
+
+            await server.request('POST', '/api/chat', {
+                json: { message: 'I relapsed, can I still come?', context: { conversationId: 'pilot-1' } }
+            });
+
+            const metrics = await server.request('GET', '/api/prompts/assistant_system/metrics', { token });
+            const pilot = metrics.body.versions.find(row => row.version === 1);
+            assert.equal(pilot.channel, 'chat');
+            assert.equal(pilot.responses, 2);
+            assert.equal(pilot.outcomes.escalated, 1);
+
+            const paused = await server.request('PATCH', '/api/prompts/assistant_system/versions/1', {
+                token: adminToken,
+                json: { weight: 0 }
+            });
+            assert.equal(paused.body.weight, 0);
+
+            await server.request('POST', '/api/chat', { json: { message: 'Thanks!' } });
+            const latest = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(latest.system, /^You are Horizon AI/);
+        });
+    });
+
+    describe('SMS inbox', () => {
+        const openThread = async (token, contact) => {
+            const { body } = await server.request('GET', '/api/inbox/threads', { token });
+            return { ...body, thread: body.threads.find(thread => thread.contact === contact) };
+        };
+
+        it('threads inbound texts and replies under the lead with unread counts', async () => {
+            fakes.Anthropic.respond(() => 'We have beds open. Would you like a tour?');
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+
+            await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15554440001', Body: 'Do you have housing for veterans?' }
+            });
+
+            const { thread, unread } = await openThread(token, '+15554440001');
+            assert.equal(thread.channel, 'sms');
+            assert.equal(thread.mode, 'ai');
+            assert.equal(thread.unread_count, 1);
+            assert.ok(unread >= 1);
+            const lead = await server.storage.findOne('leads', { where: { phone_normalized: '+15554440001' } });
+            assert.equal(thread.lead_id, lead.id);
+
+            const { messages } = (await server.request('GET', `/api/inbox/threads/${thread.id}`, { token })).body;
+            assert.deepEqual(messages.slice(0, 2).map(message => [message.direction, message.sender, message.body]), [
+                ['inbound', 'contact', 'Do you have housing for veterans?'],
+                ['outbound', 'assistant', 'We have beds open. Would you like a tour?']
+            ]);
+            // Texts sent through Twilio, such as the new-lead welcome, join the thread too
+            assert.match(messages[2].body, /^Welcome to Forward Horizon/);
+            assert.ok(messages[2].message_sid);
+
+            const read = await server.request('POST', `/api/inbox/threads/${thread.id}/read`, { token });
+            assert.equal(read.body.unread_count, 0);
+        });
+
+        it('pauses AI replies while a case manager has the thread', async () => {
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+            const text = Body => server.request('POST', '/api/sms/webhook', { form: { From: '+15554440002', Body } });
+            await text('Hello?');
+            const { thread } = await openThread(token, '+15554440002');
+
+            const early = await server.request('POST', `/api/inbox/threads/${thread.id}/messages`, {
+                token,
+                json: { message: 'Hi, this is Sam from Forward Horizon.' }
+            });
+            assert.equal(early.status, 409);
+
+            const taken = await server.request('POST', `/api/inbox/threads/${thread.id}/takeover`, { token });
+            assert.equal(taken.body.mode, 'staff');
+            assert.equal(taken.body.assigned_to, 'case@forward-horizon.test');
+
+            const aiRequests = fakes.Anthropic.requests.length;
+            const quiet = await text('Is anyone there?');
+            assert.doesNotMatch(quiet.body, /<Message>/);
+            assert.equal(fakes.Anthropic.requests.length, aiRequests);
+
+            const sent = await server.request('POST', `/api/inbox/threads/${thread.id}/messages`, {
+                token,
+                json: { message: 'Hi, this is Sam from Forward Horizon.' }
+            });
+            assert.equal(sent.status, 200);
+            const outbound = fakes.twilio.messages[fakes.twilio.messages.length - 1];
+            assert.equal(outbound.to, '+15554440002');
+            assert.equal(outbound.body, 'Hi, this is Sam from Forward Horizon.');
+
+            const { messages } = (await server.request('GET', `/api/inbox/threads/${thread.id}`, { token })).body;
+            const last = messages[messages.length - 1];
+            assert.deepEqual([last.sender, last.sent_by], ['staff', 'case@forward-horizon.test']);
+            assert.equal(sent.body.thread.unread_count, 2);
+
+            await server.request('POST', `/api/inbox/threads/${thread.id}/release`, { token });
+            const answered = await text('Thanks Sam');
+            assert.match(answered.body, /<Message>/);
+            assert.equal(fakes.Anthropic.requests.length, aiRequests + 1);
+        });
+
+        it('puts the first texts from a new number, handled at the same time, on one thread', async () => {
+            const inbound = body => server.agent.inbox.recordMessage('whatsapp', 'whatsapp:+15554440010', {
+                direction: 'inbound', body, sender: 'contact'
+            });
+
+            const recorded = await Promise.all([inbound('Hi'), inbound('Do you have a room?')]);
+
+            const threads = await server.storage.find('sms_threads', { where: { contact: '+15554440010' } });
+            assert.equal(threads.length, 1);
+            assert.deepEqual(recorded.map(result => result.thread.id), [threads[0].id, threads[0].id]);
+            assert.equal(threads[0].unread_count, 2);
+        });
+
+        it('counts every inbound text handled at the same time as unread', async () => {
+            const inbound = body => server.agent.inbox.recordMessage('sms', '+15554440009', {
+                direction: 'inbound', body, sender: 'contact'
+            });
+            await inbound('Hello?');
+
+            await Promise.all([inbound('Is anyone there?'), inbound('I need a bed tonight')]);
+
+            const thread = await server.agent.inbox.findThread('sms', '+15554440009');
+            assert.equal(thread.unread_count, 3);
+        });
+    });
+
+    describe('SMS delivery status', () => {
+        const storedMessage = sid => server.storage.findOne('sms_messages', { where: { message_sid: sid } });
+        const report = (sid, MessageStatus, extra = {}) => server.request('POST', '/api/sms/status', {
+            form: { MessageSid: sid, MessageStatus, To: '+15554448888', ...extra }
+        });
+
+        it('moves sent texts through their delivery statuses', async () => {
+            await server.request('POST', '/api/leads', {
+                json: { name: 'Dana Cole', email: 'dana@example.com', phone: '+15554448888' }
+            });
+            const welcome = fakes.twilio.messages.find(message => message.to === '+15554448888');
+            assert.equal(welcome.statusCallback, 'https://forward-horizon.test/api/sms/status');
+
+            assert.equal((await report(welcome.sid, 'sent')).status, 204);
+            assert.equal((await report(welcome.sid, 'delivered')).status, 204);
+            // A late callback never moves the message back
+            await report(welcome.sid, 'queued');
+
+            const message = await storedMessage(welcome.sid);
+            assert.equal(message.status, 'delivered');
+            assert.equal(message.error_code, null);
+        });
+
+        it('never swaps one final delivery outcome for another', async () => {
+            await server.agent.inbox.recordMessage('sms', '+15554449999', {
+                direction: 'outbound', body: 'See you Tuesday.', sender: 'staff', messageSid: 'SM_final', status: 'sent'
+            });
+
+            await server.agent.inbox.updateStatus('SM_final', 'delivered');
+            const late = await server.agent.inbox.updateStatus('SM_final', 'failed', 30003);
+
+            assert.equal(late.changed, false);
+            const message = await storedMessage('SM_final');
+            assert.deepEqual([message.status, message.error_code], ['delivered', null]);
+        });
+
+        it('marks the lead\'s phone invalid when Twilio reports an invalid number', async () => {
+            const sms = await server.agent.getSMS();
+            const sent = await sms.sendSMS('+15554448888', 'Your tour is confirmed for Tuesday at 10am.');
+
+            await report(sent.messageId, 'undelivered', { ErrorCode: '30006' });
+            const message = await storedMessage(sent.messageId);
+            assert.deepEqual([message.status, message.error_code], ['undelivered', 30006]);
+
+            const lead = await server.storage.findOne('leads', { where: { phone_normalized: '+15554448888' } });
+            assert.equal(lead.phone_invalid, true);
+            const flagged = await server.storage.find('lead_interactions', {
+                where: { lead_id: lead.id, interaction_type: 'phone_invalid' }
+            });
+            assert.equal(flagged.length, 1);
+
+            const scoring = new LeadScoring();
+            assert.equal(scoring.calculatePenalties(lead, []), scoring.weights.invalidPhone);
+
+            // Numbers Twilio rejects outright are flagged the same way
+            fakes.twilio.failNext('The \'To\' number +15550000000 is not a valid phone number.', 21211);
+            const rejected = await sms.sendSMS('+15550000000', 'Hello');
+            assert.equal(rejected.code, 'invalid_phone');
+        });
+    });
+
+    describe('crisis screening', () => {
+        it('answers a crisis text with resources, pages on-call staff and logs it', async () => {
+            const aiRequests = fakes.Anthropic.requests.length;
+
+            const response = await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15558889999', Body: 'I cant do this anymore, I want to kill myself' }
+            });
+
+            assert.match(response.body, /call or text 988/);
+            assert.match(response.body, /Our team has been alerted/);
+            assert.equal(fakes.Anthropic.requests.length, aiRequests);
+
+            await server.agent.crisis.pagesSent();
+            const page = fakes.twilio.messages.find(message => message.to === '+15005550002');
+            assert.match(page.body, /Suicide or self-harm \(critical\) via sms from \+15558889999/);
+            const email = fakes.nodemailer.sent.find(mail => mail.to === 'oncall@forward-horizon.test');
+            assert.match(email.subject, /Safety alert: Suicide or self-harm/);
+
+            const token = await server.login('case@forward-horizon.test', 'case-password');
+            const incidents = await server.request('GET', '/api/safety/incidents?status=open', { token });
+            assert.equal(incidents.status, 200);
+            assert.equal(incidents.body[0].conversation_key, 'sms:+15558889999');
+
+            const resolved = await server.request('PATCH', `/api/safety/incidents/${incidents.body[0].id}`, {
+                token,
+                json: { status: 'resolved', notes: 'Spoke with them, safety plan in place' }
+            });
+            assert.equal(resolved.body.handled_by, 'case@forward-horizon.test');
+        });
+
+        it('answers a crisis text that mentions stop with resources, not an opt-out confirmation', async () => {
+            const response = await server.request('POST', '/api/sms/webhook', {
+                form: { From: '+15558887777', Body: 'I can\'t stop drinking and I want to die' }
+            });
+
+            assert.match(response.body, /call or text 988/);
+            assert.doesNotMatch(response.body, /unsubscribed/);
+            await server.agent.crisis.pagesSent();
+            const page = fakes.twilio.messages.find(message => message.body.includes('from +15558887777'));
+            assert.match(page.body, /Suicide or self-harm \(critical\)/);
+            const incidents = await server.agent.crisis.listIncidents();
+            assert.ok(incidents.some(incident => incident.contact === '+15558887777'));
+        });
+
+        it('still pages on-call staff once the daily SMS limit is reached', async () => {
+            const sms = await server.agent.getSMS();
+            const { dailySMSCount } = sms;
+            sms.dailySMSCount = sms.maxDailySMS;
+
+            try {
+                await server.request('POST', '/api/sms/webhook', {
+                    form: { From: '+15558886666', Body: 'I want to kill myself tonight' }
+                });
+                await server.agent.crisis.pagesSent();
+
+                const page = fakes.twilio.messages.find(message => message.body.includes('from +15558886666'));
+                assert.equal(page.to, '+15005550002');
+                assert.equal(sms.dailySMSCount, sms.maxDailySMS);
+                const incident = (await server.agent.crisis.listIncidents())
+                    .find(item => item.contact === '+15558886666');
+                assert.equal(incident.paged, true);
+            } finally {
+                sms.dailySMSCount = dailySMSCount;
+            }
+        });
+
+        it('gives the AI safety guidance for elevated risks', async () => {
+            fakes.Anthropic.respond(() => 'I am sorry you are going through this. We can still help.');
+
+            const response = await server.request('POST', '/api/chat', {
+                json: { message: 'I relapsed last week, can I still apply?', context: { conversationId: 'risk-1' } }
+            });
+
+            assert.equal(response.body.response, 'I am sorry you are going through this. We can still help.');
+            const { system } = fakes.Anthropic.requests[fakes.Anthropic.requests.length - 1];
+            assert.match(system, /SAFETY:\n- The person's message may indicate: Relapse or substance use risk/);
+            assert.match(system, /1-800-662-4357/);
+        });
+
+        it('speaks the crisis response on calls', async () => {
+            await server.request('POST', '/api/voice/incoming', { form: { CallSid: 'CA911', From: '+15553330000' } });
+
+            const gather = await server.request('POST', '/api/voice/gather', {
+                form: { CallSid: 'CA911', SpeechResult: 'my friend overdosed and is not breathing', Confidence: '0.8' }
+            });
+
+            assert.match(gather.body, /please call 911 right now/);
+            const [incident] = await server.agent.crisis.listIncidents();
+            assert.equal(incident.contact, '+15553330000');
+        });
+    });
+});
@@ -0,0 +1,87 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { fakes } = require('./helpers');
+
+const { createStorage } = require('../src/storage/storage');
+const Migrator = require('../src/storage/migrator');
+
+describe('SupabaseStorage', () => {
+    let storage;
+    let client;
+
+    beforeEach(async () => {
+        fakes.reset();
+        storage = createStorage({ backend: 'supabase', url: 'https://db.test', key: 'service-key' });
+        await storage.initialize();
+        [client] = fakes.supabase.clients;
+    });
+
+    it('returns inserted rows with database defaults', async () => {
+        const lead = await storage.insert('leads', { name: 'Maria', email: 'maria@example.com' });
+
+        assert.ok(lead.id);
+        assert.ok(lead.created_at);
+        assert.deepEqual(await storage.findOne('leads', { where: { id: lead.id } }), lead);
+    });
+
+    it('maps where clauses onto PostgREST filters', async () => {
+        await storage.insert('leads', { name: 'A', status: 'new', score: 40, opted_out: false });
+        await storage.insert('leads', { name: 'B', status: 'contacted', score: 70, opted_out: true });
+        await storage.insert('leads', { name: 'C', status: 'moved_in', score: 90, opted_out: false });
+        await storage.insert('leads', { name: 'D', status: 'new', score: 55, opted_out: null });
+
+        const names = async (query) => (await storage.find('leads', { orderBy: 'name', ...query }))
+            .map(lead => lead.name);
+
+        assert.deepEqual(await names({ where: { status: ['new', 'contacted'] } }), ['A', 'B', 'D']);
+        assert.deepEqual(await names({ where: { score: { gte: 55, lt: 90 } } }), ['B', 'D']);
+        assert.deepEqual(await names({ where: { opted_out: null } }), ['D']);
+        // SQL semantics: NULL <> true is not true, so D is excluded
+        assert.deepEqual(await names({ where: { opted_out: { neq: true } } }), ['A', 'C']);
+        assert.deepEqual(await names({ ascending: false, limit: 2, offset: 1 }), ['C', 'B']);
+    });
+
+    it('embeds related rows', async () => {
+        const lead = await storage.insert('leads', { name: 'Maria' });
+        await storage.insert('lead_interactions', { lead_id: lead.id, interaction_type: 'lead_created' });
+
+        const [found] = await storage.find('leads', { embed: { lead_interactions: 'lead_id' } });
+
+        assert.equal(found.lead_interactions.length, 1);
+        assert.equal(found.lead_interactions[0].interaction_type, 'lead_created');
+    });
+
+    it('returns the rows touched by update and remove', async () => {
+        const lead = await storage.insert('leads', { name: 'Maria', status: 'new' });
+
+        const [updated] = await storage.update('leads', { id: lead.id }, { status: 'contacted' });
+        assert.equal(updated.status, 'contacted');
+
+        const removed = await storage.remove('leads', { id: lead.id });
+        assert.equal(removed.length, 1);
+        assert.equal(await storage.findOne('leads', { where: { id: lead.id } }), null);
+    });
+
+    it('stores sensitive lead fields as ciphertext', async () => {
+        const lead = await storage.insert('leads', { name: 'Alex', is_veteran: true });
+
+        assert.equal(lead.is_veteran, true);
+        assert.match(client.rows('leads')[0].is_veteran, /^enc:v1:/);
+    });
+
+    it('surfaces PostgREST errors with the table name', async () => {
+        client.failNext('leads', 'permission denied for table leads');
+
+        await assert.rejects(storage.find('leads'), /Query on leads failed: permission denied/);
+    });
+
+    it('runs migrations through the exec_sql function', async () => {
+        const migrator = new Migrator(storage);
+
+        const applied = await migrator.migrate();
+
+        assert.ok(applied.length > 0);
+        assert.ok(client.sql.some(sql => sql.includes('CREATE TABLE IF NOT EXISTS lead_consents')));
+        assert.deepEqual(await migrator.getPending(), []);
+    });
+});
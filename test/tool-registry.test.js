@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const ToolRegistry = require('../src/ai/tool-registry');
+const { createStorage } = require('../src/storage/storage');
+
+describe('ToolRegistry', () => {
+    let storage;
+    let tools;
+
+    beforeEach(() => {
+        storage = createStorage({ backend: 'memory' });
+        tools = new ToolRegistry({ storage });
+    });
+
+    afterEach(() => {
+        delete process.env.AI_TOOLS_CHAT;
+    });
+
+    it('offers public channels only tour tools', () => {
+        assert.deepEqual(tools.getAllowed('chat'), ['get_available_slots', 'book_tour']);
+        assert.deepEqual(tools.getAllowed('unknown'), []);
+        assert.equal(tools.forContext({ channel: 'unknown' }), null);
+
+        const { definitions } = tools.forContext({ channel: 'sms' });
+        assert.deepEqual(definitions.map(tool => tool.name), ['get_available_slots', 'book_tour']);
+        assert.equal(definitions[1].input_schema.required.includes('time'), true);
+    });
+
+    it('narrows staff tools to the user\'s permissions', () => {
+        assert.equal(tools.getAllowed('staff', { role: 'admin' }).length, 5);
+        assert.deepEqual(tools.getAllowed('staff', { role: 'read-only' }), ['get_available_slots']);
+        assert.deepEqual(tools.getAllowed('staff'), []);
+    });
+
+    it('never enables staff-only tools on public channels', () => {
+        process.env.AI_TOOLS_CHAT = 'get_available_slots, update_lead_status, made_up';
+
+        assert.deepEqual(new ToolRegistry({ storage }).getAllowed('chat'), ['get_available_slots']);
+
+        process.env.AI_TOOLS_CHAT = 'none';
+        assert.deepEqual(new ToolRegistry({ storage }).getAllowed('chat'), []);
+    });
+
+    it('validates arguments against the tool schema', () => {
+        const booking = { name: 'Sam Rivera', email: 'sam@example.com', date: '2030-01-08', time: '09:45' };
+
+        assert.equal(tools.validate('book_tour', booking), null);
+        assert.equal(tools.validate('book_tour', { ...booking, email: undefined }),
+            'An email or phone number is required');
+        assert.equal(tools.validate('book_tour', { ...booking, date: '2030-02-30' }),
+            'date must be a date (YYYY-MM-DD)');
+        assert.equal(tools.validate('book_tour', { ...booking, time: '9am' }), 'time has an invalid format');
+        assert.equal(tools.validate('book_tour', { ...booking, lead_id: '1' }), 'Unexpected argument: lead_id');
+        assert.equal(tools.validate('book_tour', { date: '2030-01-08' }), 'Missing argument: name');
+        assert.equal(tools.validate('get_available_slots', { days: 30 }), 'days must be at most 14');
+        assert.equal(tools.validate('update_lead_status', { lead_id: '1', status: 'won' }),
+            'status must be one of: new, contacted, qualified, nurturing, appointment_set, ' +
+            'application_submitted, approved, moved_in, lost');
+    });
+
+    it('refuses and audits calls outside the allowlist or with bad input', async () => {
+        const conversation = { channel: 'chat', id: 'conv-1' };
+
+        const refused = await tools.execute('update_lead_status', { lead_id: '1', status: 'lost' },
+            { channel: 'chat', conversation });
+        const invalid = await tools.execute('get_available_slots', { days: 'soon' }, { channel: 'chat', conversation });
+
+        assert.equal(refused.code, 'not_allowed');
+        assert.equal(invalid.code, 'invalid_input');
+
+        const calls = await tools.getCalls();
+        assert.equal(calls.length, 2);
+        assert.deepEqual(calls.map(call => call.error_code).sort(), ['invalid_input', 'not_allowed']);
+        assert.equal(calls[0].actor, 'assistant:chat');
+        assert.equal(calls[0].conversation_key, 'chat:conv-1');
+    });
+});
@@ -0,0 +1,100 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+
+const VoiceAI = require('../src/integrations/voice-ai');
+
+describe('VoiceAI.processSpeechInput', () => {
+    let voice;
+    let createdLeads;
+
+    beforeEach(async () => {
+        createdLeads = [];
+        voice = new VoiceAI({
+            createLead: async (lead, options) => {
+                createdLeads.push({ ...lead, options });
+                return { id: 'lead-1', ...lead };
+            }
+        });
+        await voice.initialize();
+    });
+
+    it('answers with TwiML and keeps gathering speech', async () => {
+        await voice.handleIncomingCall('CA100', '+15551234567', '+15005550006');
+
+        const twiml = await voice.processSpeechInput('CA100', 'I need housing for my family', 92);
+
+        assert.match(twiml, /<Say voice="alice">I'd be happy to help you with housing!/);
+        assert.match(twiml, /<Gather input="speech" action="\/api\/voice\/gather"/);
+    });
+
+    it('records both sides of the conversation', async () => {
+        await voice.handleIncomingCall('CA101', '+15551234567', '+15005550006');
+        await voice.processSpeechInput('CA101', 'I am a veteran', 88);
+
+        const { transcript } = await voice.getCall('CA101');
+        assert.deepEqual(transcript.map(entry => entry.speaker), ['caller', 'ai']);
+        assert.equal(transcript[0].text, 'I am a veteran');
+        assert.equal(transcript[0].confidence, 88);
+        assert.match(transcript[1].text, /Thank you for your service/);
+    });
+
+    it('hangs up politely on an unknown call', async () => {
+        const twiml = await voice.processSpeechInput('CA-missing', 'hello', 90);
+
+        assert.match(twiml, /there was an error processing your call/);
+        assert.match(twiml, /<Hangup\/>/);
+    });
+
+    it('turns a completed housing inquiry into a lead', async () => {
+        await voice.handleIncomingCall('CA102', '+15559876543', '+15005550006');
+        await voice.processSpeechInput('CA102', 'Can I schedule a tour of the housing', 95);
+
+        const call = await voice.handleCallEnd('CA102', 75, 'completed');
+
+        assert.equal(call.duration, 75);
+        assert.equal((await voice.getCall('CA102')).status, 'completed');
+        assert.equal(createdLeads.length, 1);
+        assert.equal(createdLeads[0].phone, '+15559876543');
+        assert.equal(createdLeads[0].source, 'phone_call');
+    });
+
+    it('fills the lead with details the caller gave', async () => {
+        await voice.handleIncomingCall('CA104', '+15559876543', '+15005550006');
+        await voice.processSpeechInput('CA104', 'My name is Jordan Lee and I need housing', 93);
+        await voice.processSpeechInput('CA104', 'I am a veteran, my email is jordan@example.com', 90);
+
+        await voice.handleCallEnd('CA104', 120, 'completed');
+
+        assert.equal(createdLeads[0].name, 'Jordan Lee');
+        assert.equal(createdLeads[0].email, 'jordan@example.com');
+        assert.equal(createdLeads[0].is_veteran, true);
+        assert.equal(createdLeads[0].phone, '+15559876543');
+    });
+
+    it('only lets caller ID land on an existing lead, not a number the caller keyed in', async () => {
+        await voice.handleIncomingCall('CA105', '+15559876543', '+15005550006');
+        await voice.handleIncomingCall('CA106', '+15559876543', '+15005550006');
+        await voice.storage.update('voice_calls', { call_sid: 'CA105' }, { variables: { name: 'Jordan Lee' } });
+        await voice.storage.update('voice_calls', { call_sid: 'CA106' }, {
+            variables: { name: 'Jordan Lee', callback_number: '+15551112222' }
+        });
+
+        await voice.handleCallEnd('CA105', 60, 'completed');
+        await voice.handleCallEnd('CA106', 60, 'completed');
+
+        assert.deepEqual(createdLeads.map(lead => [lead.phone, lead.options.verified]), [
+            ['+15559876543', true],
+            ['+15551112222', false]
+        ]);
+    });
+
+    it('does not create a lead from a call without an inquiry', async () => {
+        await voice.handleIncomingCall('CA103', '+15550001111', '+15005550006');
+        await voice.processSpeechInput('CA103', 'wrong number sorry', 90);
+
+        await voice.handleCallEnd('CA103', 5, 'completed');
+
+        assert.equal(createdLeads.length, 0);
+    });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { freezeTime } = require('./helpers');
+
+const WebhookVerifier = require('../src/auth/webhook-verifier');
+const WebhookEvents = require('../src/storage/webhook-events');
+const { createStorage } = require('../src/storage/storage');
+
+const { signBody } = WebhookVerifier;
+
+// Just enough of an Express request for the verifiers
+function crmRequest(crmName, body, headers = {}) {
+    const rawBody = Buffer.from(JSON.stringify(body));
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    return { params: { crmName }, body, rawBody, get: name => lower[name.toLowerCase()] };
+}
+
+describe('Webhook verification', () => {
+    it('checks CRM webhooks against an HMAC of the raw body with the CRM secret', () => {
+        process.env.CRM_WEBHOOK_SECRET_HUBSPOT = 'hubspot-secret';
+        const verifier = new WebhookVerifier({ enabled: true });
+        const verify = (name, body, headers) => verifier.verify(`crm:${name}`, crmRequest(name, body, headers));
+        const body = { eventId: 42, subscriptionType: 'contact.creation' };
+        const signature = signBody('hubspot-secret', Buffer.from(JSON.stringify(body)));
+
+        assert.equal(verify('hubspot', body, { 'X-Webhook-Signature': signature }), null);
+        assert.equal(verify('hubspot', body, { 'X-Webhook-Signature': `sha256=${signature}` }), null);
+        assert.equal(verify('hubspot', { ...body, eventId: 43 }, { 'X-Webhook-Signature': signature }),
+            'Invalid X-Webhook-Signature');
+        assert.equal(verify('pipedrive', body, { 'X-Webhook-Signature': signature }),
+            'No webhook secret configured for pipedrive');
+
+        // A provider-specific scheme replaces the default
+        verifier.register('crm:pipedrive', req => (req.get('Authorization') === 'Basic cGQ6cGQ=' ? null : 'Bad login'));
+        assert.equal(verify('pipedrive', body, { Authorization: 'Basic cGQ6cGQ=' }), null);
+        assert.equal(verifier.verify('stripe', crmRequest('stripe', body)), 'No webhook verifier for stripe');
+
+        delete process.env.CRM_WEBHOOK_SECRET_HUBSPOT;
+    });
+
+    it('claims each event once and releases failed deliveries for the retry', async () => {
+        const events = new WebhookEvents(createStorage({ backend: 'memory' }));
+
+        const [first, concurrent] = await Promise.all([
+            events.claim('crm', 'hubspot:42'),
+            events.claim('crm', 'hubspot:42')
+        ]);
+        assert.equal(first.claimed, true);
+        assert.equal(concurrent.claimed, false);
+
+        const response = { status: 200, content_type: 'text/plain', body: 'OK' };
+        await events.complete(first.event, response);
+        const repeat = await events.claim('crm', 'hubspot:42');
+        assert.equal(repeat.claimed, false);
+        assert.deepEqual(repeat.event.response, response);
+
+        const failing = await events.claim('twilio', 'SM500');
+        await events.fail(failing.event, 'Responded 500');
+        const retry = await events.claim('twilio', 'SM500');
+        assert.equal(retry.claimed, true);
+        assert.equal(retry.event.attempts, 2);
+        assert.equal((await events.claim('twilio', 'SM500')).claimed, false);
+    });
+
+    it('lets a retry take over a delivery left processing past the timeout', async () => {
+        const events = new WebhookEvents(createStorage({ backend: 'memory' }), { processingTimeoutMs: 60000 });
+        const first = await events.claim('twilio', 'token-1');
+        assert.equal((await events.claim('twilio', 'token-1')).claimed, false);
+
+        const restoreTime = freezeTime(Date.now() + 61000);
+        try {
+            const retry = await events.claim('twilio', 'token-1');
+            assert.equal(retry.claimed, true);
+            assert.equal(retry.event.id, first.event.id);
+            assert.equal(retry.event.attempts, 2);
+            assert.equal((await events.claim('twilio', 'token-1')).claimed, false);
+        } finally {
+            restoreTime();
+        }
+    });
+});